@@ -0,0 +1,8 @@
+export default {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/tests'],
+  setupFiles: ['<rootDir>/tests/helpers/env.js'],
+  // Sources are native ES modules, run without a transform
+  transform: {},
+  testTimeout: 30000,
+};
@@ -6,6 +6,7 @@ import { config } from './config/env.js';
 import { setupSecurity } from './middlewares/security.js';
 import { errorHandler, notFoundHandler } from './middlewares/error.js';
 import apiRoutes from './routes/index.js';
+import sitemapRoutes from './routes/sitemap.routes.js';
 import logger from './core/logger.js';
 import { setupSwagger } from '../swagger.config.js';
 
@@ -29,7 +30,15 @@ app.use(morgan('combined', {
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith(`${config.API_PREFIX}/v1/webhooks`)) {
+      req.rawBody = buf;
+    }
+  },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Security middleware
@@ -41,6 +50,9 @@ setupSwagger(app);
 // API routes
 app.use('/api', apiRoutes);
 
+// Sitemap is served from the site root where crawlers look for it
+app.use(sitemapRoutes);
+
 // 404 handler
 app.use(notFoundHandler);
 
@@ -27,10 +27,32 @@ const config = {
   JWT_EXPIRES_IN: process.env.JWT_EXPIRES_IN || '15m',
   JWT_REFRESH_EXPIRES_IN: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
 
+  // Two-factor authentication
+  TWO_FACTOR_ISSUER: process.env.TWO_FACTOR_ISSUER || 'Enterprise Backend',
+  TWO_FACTOR_CHALLENGE_SECRET: process.env.TWO_FACTOR_CHALLENGE_SECRET || 'your-super-secret-2fa-challenge-key-change-in-production',
+  TWO_FACTOR_CHALLENGE_TTL: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL) || 5 * 60, // seconds
+  TWO_FACTOR_BACKUP_CODES: parseInt(process.env.TWO_FACTOR_BACKUP_CODES) || 10,
+  TWO_FACTOR_MAX_ATTEMPTS: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5, // codes per login challenge
+
   // Security
   BCRYPT_ROUNDS: parseInt(process.env.BCRYPT_ROUNDS) || 12,
   RATE_LIMIT_WINDOW: parseInt(process.env.RATE_LIMIT_WINDOW) || 15 * 60 * 1000, // 15 minutes
   RATE_LIMIT_MAX: parseInt(process.env.RATE_LIMIT_MAX) || 100,
+  AUTH_RATE_LIMIT_WINDOW: parseInt(process.env.AUTH_RATE_LIMIT_WINDOW) || 15 * 60 * 1000, // 15 minutes
+  AUTH_RATE_LIMIT_MAX: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 5,
+  TWO_FACTOR_RATE_LIMIT_MAX: parseInt(process.env.TWO_FACTOR_RATE_LIMIT_MAX) || 5, // per 15 minutes
+  EMAIL_VERIFICATION_RATE_LIMIT_MAX: parseInt(process.env.EMAIL_VERIFICATION_RATE_LIMIT_MAX) || 5, // per hour
+  PASSWORD_RESET_RATE_LIMIT_MAX: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT_MAX) || 5, // per hour
+
+  PASSWORD_RESET_TTL: parseInt(process.env.PASSWORD_RESET_TTL) || 60, // minutes
+
+  // Email verification: comma-separated actions blocked until verified (e.g. place_order,write_review)
+  EMAIL_VERIFICATION_TTL: parseInt(process.env.EMAIL_VERIFICATION_TTL) || 24, // hours
+  EMAIL_VERIFICATION_RESEND_COOLDOWN: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN) || 60, // seconds
+  EMAIL_VERIFICATION_REQUIRED_FOR: (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+    .split(',')
+    .map(action => action.trim())
+    .filter(Boolean),
 
   // Email (for notifications)
   SMTP_HOST: process.env.SMTP_HOST || 'localhost',
@@ -38,6 +60,39 @@ const config = {
   SMTP_USER: process.env.SMTP_USER || '',
   SMTP_PASS: process.env.SMTP_PASS || '',
 
+  // Idempotency
+  IDEMPOTENCY_TTL: parseInt(process.env.IDEMPOTENCY_TTL) || 24 * 60 * 60, // 24 hours (seconds)
+
+  // Cart
+  CART_TTL: parseInt(process.env.CART_TTL) || 30 * 24 * 60 * 60, // 30 days (seconds)
+  GUEST_CART_TTL: parseInt(process.env.GUEST_CART_TTL) || 7 * 24 * 60 * 60, // 7 days (seconds)
+
+  // Payments
+  PAYMENT_PROVIDER: process.env.PAYMENT_PROVIDER || 'mock',
+  MOCK_PAYMENT_WEBHOOK_SECRET: process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'mock-payment-webhook-secret',
+  // Uncaptured authorizations are voided (and their stock released) after this, in minutes
+  PAYMENT_AUTHORIZATION_TTL: parseInt(process.env.PAYMENT_AUTHORIZATION_TTL) || 7 * 24 * 60, // 7 days
+
+  // Stock reservations of unpaid orders, in minutes per payment method
+  RESERVATION_TTL: {
+    default: parseInt(process.env.RESERVATION_TTL) || 30,
+    credit_card: parseInt(process.env.RESERVATION_TTL_CREDIT_CARD) || 30,
+    debit_card: parseInt(process.env.RESERVATION_TTL_DEBIT_CARD) || 30,
+    paypal: parseInt(process.env.RESERVATION_TTL_PAYPAL) || 60,
+    stripe: parseInt(process.env.RESERVATION_TTL_STRIPE) || 30,
+    cash: parseInt(process.env.RESERVATION_TTL_CASH) || 3 * 24 * 60, // 3 days
+  },
+
+  // Returns
+  RETURN_WINDOW_DAYS: parseInt(process.env.RETURN_WINDOW_DAYS) || 30,
+
+  // Scheduled sale prices
+  PRICE_SCHEDULE_INTERVAL: parseInt(process.env.PRICE_SCHEDULE_INTERVAL) || 1, // minutes
+
+  // Sitemap (page URLs point at the storefront)
+  SITEMAP_BASE_URL: process.env.SITEMAP_BASE_URL || process.env.FRONTEND_URL || 'http://localhost:5000',
+  SITEMAP_REFRESH_INTERVAL: parseInt(process.env.SITEMAP_REFRESH_INTERVAL) || 6 * 60, // 6 hours (minutes)
+
   // App
   FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:5000',
   API_PREFIX: process.env.API_PREFIX || '/api',
@@ -58,6 +58,25 @@ export class ConflictError extends AppError {
   }
 }
 
+/**
+ * Stock conflict error class (carries the per-item shortfalls)
+ */
+export class StockConflictError extends ConflictError {
+  constructor(message = 'Insufficient stock for one or more items', items = []) {
+    super(message);
+    this.errors = items;
+  }
+}
+
+/**
+ * Payment error class (declined or failed charges)
+ */
+export class PaymentError extends AppError {
+  constructor(message = 'Payment failed') {
+    super(message, 402);
+  }
+}
+
 /**
  * Rate limit error class
  */
@@ -181,15 +181,49 @@ export class EmailQueue {
     return this.sendEmail(emailData, { priority: 10 });
   }
 
+  /**
+   * Send email address verification email
+   */
+  async sendVerificationEmail(user, verificationToken) {
+    const verifyUrl = `${config.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+
+    const emailData = {
+      to: user.email,
+      subject: 'Verify your email address',
+      html: this.getVerificationEmailTemplate(user, verifyUrl),
+      text: `Confirm your email address using this link: ${verifyUrl}`,
+    };
+
+    return this.sendEmail(emailData, { priority: 10 });
+  }
+
   /**
    * Send order confirmation email
+   *
+   * Carries no invoice: that is issued and emailed on its own once the order is paid.
    */
   async sendOrderConfirmationEmail(user, order) {
     const emailData = {
       to: user.email,
-      subject: `Order Confirmation - #${order._id}`,
+      subject: `Order Confirmation - ${order.orderNumber}`,
       html: this.getOrderConfirmationEmailTemplate(user, order),
-      text: `Order confirmed. Order ID: ${order._id}, Total: $${order.total}`,
+      text: `Order confirmed. Order: ${order.orderNumber}, Total: $${order.total}`,
+    };
+
+    return this.sendEmail(emailData);
+  }
+
+  /**
+   * Send an issued invoice
+   */
+  async sendInvoiceEmail(user, invoice, attachments = []) {
+    const message = `Thank you for your payment. Invoice ${invoice.invoiceNumber} for order ${invoice.orderNumber} (total $${invoice.total}) is attached.`;
+    const emailData = {
+      to: user.email,
+      subject: `Invoice ${invoice.invoiceNumber}`,
+      html: this.getNotificationEmailTemplate(user, { title: `Invoice ${invoice.invoiceNumber}`, message }),
+      text: message,
+      attachments,
     };
 
     return this.sendEmail(emailData);
@@ -235,7 +269,23 @@ export class EmailQueue {
           <a href="${resetUrl}" style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">Reset Password</a>
         </div>
         <p>If you didn't request this password reset, please ignore this email.</p>
-        <p>This link will expire in 1 hour for security reasons.</p>
+        <p>This link will expire in ${config.PASSWORD_RESET_TTL} minutes for security reasons.</p>
+        <p>Best regards,<br>The Enterprise Backend Team</p>
+      </div>
+    `;
+  }
+
+  getVerificationEmailTemplate(user, verifyUrl) {
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #333;">Verify Your Email Address</h1>
+        <p>Hello ${user.username},</p>
+        <p>Please confirm that ${user.email} is your email address by clicking the button below:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${verifyUrl}" style="background-color: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">Verify Email</a>
+        </div>
+        <p>If you didn't create an account, please ignore this email.</p>
+        <p>This link will expire in ${config.EMAIL_VERIFICATION_TTL} hours.</p>
         <p>Best regards,<br>The Enterprise Backend Team</p>
       </div>
     `;
@@ -257,7 +307,7 @@ export class EmailQueue {
         <p>Thank you for your order! Here are the details:</p>
         
         <div style="background-color: #f8f9fa; padding: 20px; border-radius: 4px; margin: 20px 0;">
-          <h3>Order #${order._id}</h3>
+          <h3>Order ${order.orderNumber}</h3>
           <p><strong>Status:</strong> ${order.status}</p>
           <p><strong>Total:</strong> $${order.total}</p>
         </div>
@@ -275,12 +325,41 @@ export class EmailQueue {
           </tbody>
         </table>
 
+        <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+          <tbody>
+            ${this.getOrderTotalsHtml(order)}
+          </tbody>
+        </table>
+
         <p>We'll send you another email when your order ships.</p>
         <p>Best regards,<br>The Enterprise Backend Team</p>
       </div>
     `;
   }
 
+  getOrderTotalsHtml(order) {
+    const rows = [['Subtotal', `$${order.subtotal ?? order.total}`]];
+
+    if (order.discount?.amount > 0) {
+      rows.push([`Discount (${order.discount.code})`, `-$${order.discount.amount}`]);
+    }
+    if (order.shipping) {
+      const shippingLabel = order.shipping.name ? `Shipping (${order.shipping.name})` : 'Shipping';
+      rows.push([shippingLabel, order.shippingTotal > 0 ? `$${order.shippingTotal}` : 'Free']);
+    }
+    if (order.taxTotal > 0) {
+      rows.push([`Tax (${order.tax.name}, ${order.tax.rate}%)`, `$${order.taxTotal}`]);
+    }
+    rows.push(['<strong>Total</strong>', `<strong>$${order.total}</strong>`]);
+
+    return rows.map(([label, amount]) => `
+      <tr>
+        <td style="padding: 8px; text-align: right;">${label}</td>
+        <td style="padding: 8px; text-align: right; width: 120px;">${amount}</td>
+      </tr>
+    `).join('');
+  }
+
   getNotificationEmailTemplate(user, notification) {
     return `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
@@ -0,0 +1,169 @@
+import { Queue, Worker } from 'bullmq';
+import redisClient from '../config/redis.js';
+import logger from '../core/logger.js';
+import InvoiceService from '../modules/invoices/invoice.service.js';
+import Order from '../modules/orders/order.model.js';
+import { renderInvoicePdf } from '../modules/invoices/invoice.templates.js';
+import { emailQueue } from './emailQueue.js';
+
+/**
+ * Invoice queue for issuing invoices outside the request cycle
+ *
+ * Invoices are issued once an order's payment is captured.
+ */
+export class InvoiceQueue {
+  constructor() {
+    this.queueName = 'invoice-queue';
+    this.queue = null;
+    this.worker = null;
+    this.invoiceService = new InvoiceService();
+  }
+
+  /**
+   * Initialize invoice queue and worker
+   */
+  async initialize() {
+    try {
+      // Create queue
+      this.queue = new Queue(this.queueName, {
+        connection: {
+          host: redisClient.getClient().options.host,
+          port: redisClient.getClient().options.port,
+        },
+        defaultJobOptions: {
+          removeOnComplete: 100,
+          removeOnFail: 50,
+          attempts: 3,
+          backoff: {
+            type: 'exponential',
+            delay: 2000,
+          },
+        },
+      });
+
+      // Create worker
+      this.worker = new Worker(
+        this.queueName,
+        this.processInvoiceJob.bind(this),
+        {
+          connection: {
+            host: redisClient.getClient().options.host,
+            port: redisClient.getClient().options.port,
+          },
+          concurrency: 2,
+        }
+      );
+
+      // Worker event handlers
+      this.worker.on('completed', (job) => {
+        logger.info('Invoice job completed', {
+          jobId: job.id,
+          orderId: job.data.orderId,
+        });
+      });
+
+      this.worker.on('failed', (job, err) => {
+        logger.error('Invoice job failed', {
+          jobId: job?.id,
+          error: err.message,
+          orderId: job?.data?.orderId,
+        });
+      });
+
+      this.worker.on('error', (err) => {
+        logger.error('Invoice worker error:', err);
+      });
+
+      logger.info('Invoice queue initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize invoice queue:', error);
+      // throw error;
+    }
+  }
+
+  /**
+   * Process invoice job
+   */
+  async processInvoiceJob(job) {
+    const { orderId, sendInvoice } = job.data;
+
+    try {
+      const invoice = await this.invoiceService.generateInvoice(orderId);
+
+      // Email the invoice to the customer
+      if (sendInvoice) {
+        const order = await Order.findById(orderId).populate('userId', 'username email');
+        const pdf = await renderInvoicePdf(invoice);
+
+        await emailQueue.sendInvoiceEmail(order.userId, invoice, [{
+          filename: `${invoice.invoiceNumber}.pdf`,
+          content: pdf.toString('base64'),
+          encoding: 'base64',
+          contentType: 'application/pdf',
+        }]);
+      }
+
+      logger.info('Invoice processed successfully', {
+        jobId: job.id,
+        orderId,
+        invoiceNumber: invoice.invoiceNumber,
+      });
+
+      return { invoiceNumber: invoice.invoiceNumber };
+    } catch (error) {
+      logger.error('Failed to process invoice', {
+        jobId: job.id,
+        orderId,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Add invoice job to queue (one job per order)
+   */
+  async addInvoiceJob(orderId, options = {}) {
+    try {
+      const { sendInvoice = false, ...jobOptions } = options;
+      const job = await this.queue.add(
+        'generate-invoice',
+        { orderId: orderId.toString(), sendInvoice },
+        {
+          jobId: `invoice-${orderId}`,
+          ...jobOptions,
+        }
+      );
+
+      logger.info('Invoice job added to queue', {
+        jobId: job.id,
+        orderId,
+      });
+
+      return job;
+    } catch (error) {
+      logger.error('Failed to add invoice job to queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Shutdown queue and worker
+   */
+  async shutdown() {
+    try {
+      if (this.worker) {
+        await this.worker.close();
+      }
+      if (this.queue) {
+        await this.queue.close();
+      }
+      logger.info('Invoice queue shutdown completed');
+    } catch (error) {
+      logger.error('Invoice queue shutdown failed:', error);
+    }
+  }
+}
+
+// Create singleton instance
+export const invoiceQueue = new InvoiceQueue();
@@ -3,6 +3,7 @@ import redisClient from '../config/redis.js';
 import logger from '../core/logger.js';
 import NotificationService from '../modules/notifications/notification.service.js';
 import { emailQueue } from './emailQueue.js';
+import { invoiceQueue } from './invoiceQueue.js';
 
 /**
  * Notification worker for handling various notification tasks
@@ -96,6 +97,18 @@ export class NotificationWorker {
         case 'order-status-changed':
           await this.handleOrderStatusChanged(data);
           break;
+        case 'payment-captured':
+          await this.handlePaymentCaptured(data);
+          break;
+        case 'return-requested':
+          await this.handleReturnRequested(data);
+          break;
+        case 'return-status-changed':
+          await this.handleReturnStatusChanged(data);
+          break;
+        case 'review-moderated':
+          await this.handleReviewModerated(data);
+          break;
         case 'password-reset-requested':
           await this.handlePasswordResetRequested(data);
           break;
@@ -105,6 +118,9 @@ export class NotificationWorker {
         case 'user-login-alert':
           await this.handleUserLoginAlert(data);
           break;
+        case 'refresh-token-reused':
+          await this.handleRefreshTokenReused(data);
+          break;
         case 'system-maintenance':
           await this.handleSystemMaintenance(data);
           break;
@@ -154,14 +170,32 @@ export class NotificationWorker {
     await this.notificationService.createNotification({
       userId: user._id,
       title: 'Order Confirmed',
-      message: `Your order #${order._id} has been confirmed. Total: $${order.total}`,
+      message: `Your order ${order.orderNumber} has been confirmed. Total: $${order.total}`,
       type: 'success',
     });
 
-    // Send order confirmation email
+    // The invoice follows once the payment is captured, or cash collected on delivery
     await emailQueue.sendOrderConfirmationEmail(user, order);
   }
 
+  /**
+   * Handle payment captured notification
+   */
+  async handlePaymentCaptured(data) {
+    const { order } = data;
+
+    // Create in-app notification
+    await this.notificationService.createNotification({
+      userId: order.userId,
+      title: 'Payment Received',
+      message: `We received your payment of $${order.total} for order ${order.orderNumber}.`,
+      type: 'success',
+    });
+
+    // Issue the invoice and email it to the customer
+    await invoiceQueue.addInvoiceJob(order.id, { sendInvoice: true });
+  }
+
   /**
    * Handle order status changed notification
    */
@@ -181,7 +215,7 @@ export class NotificationWorker {
     await this.notificationService.createNotification({
       userId: user._id,
       title: 'Order Status Update',
-      message: `Order #${order._id}: ${message}`,
+      message: `Order ${order.orderNumber}: ${message}`,
       type: order.status === 'cancelled' ? 'warning' : 'info',
     });
 
@@ -189,27 +223,89 @@ export class NotificationWorker {
     if (['shipped', 'completed', 'cancelled'].includes(order.status)) {
       await emailQueue.sendNotificationEmail(user, {
         title: 'Order Status Update',
-        message: `Your order #${order._id} status has been updated to: ${order.status}. ${message}`,
+        message: `Your order ${order.orderNumber} status has been updated to: ${order.status}. ${message}`,
       });
     }
   }
 
+  /**
+   * Handle return requested notification
+   */
+  async handleReturnRequested(data) {
+    const { user, returnRequest } = data;
+
+    // Create in-app notification
+    await this.notificationService.createNotification({
+      userId: user._id,
+      title: 'Return Requested',
+      message: `We received your return request ${returnRequest.rmaNumber}. We will review it shortly.`,
+      type: 'info',
+    });
+  }
+
+  /**
+   * Handle return status changed notification
+   */
+  async handleReturnStatusChanged(data) {
+    const { user, returnRequest } = data;
+
+    const statusMessages = {
+      approved: 'Your return has been approved. Please send the items back.',
+      rejected: 'Your return request has been rejected.',
+      refunded: `Your returned items were received and $${returnRequest.refundAmount} has been refunded.`,
+    };
+
+    const message = statusMessages[returnRequest.status] || `Return status updated to ${returnRequest.status}`;
+    const note = returnRequest.resolutionNote ? ` ${returnRequest.resolutionNote}` : '';
+
+    // Create in-app notification
+    await this.notificationService.createNotification({
+      userId: user._id,
+      title: 'Return Status Update',
+      message: `Return ${returnRequest.rmaNumber}: ${message}`,
+      type: returnRequest.status === 'rejected' ? 'warning' : 'info',
+    });
+
+    // Send email notification
+    await emailQueue.sendNotificationEmail(user, {
+      title: 'Return Status Update',
+      message: `Your return ${returnRequest.rmaNumber} status has been updated to: ${returnRequest.status}. ${message}${note}`,
+    });
+  }
+
+  /**
+   * Handle review moderated notification
+   */
+  async handleReviewModerated(data) {
+    const { user, review } = data;
+
+    const message = review.status === 'approved'
+      ? 'Your review has been approved and is now visible.'
+      : 'Your review was not published.';
+    const note = review.moderationNote ? ` ${review.moderationNote}` : '';
+
+    // Create in-app notification
+    await this.notificationService.createNotification({
+      userId: user._id,
+      title: 'Review Update',
+      message: `${message}${note}`,
+      type: review.status === 'rejected' ? 'warning' : 'info',
+    });
+  }
+
   /**
    * Handle password reset requested notification
    */
   async handlePasswordResetRequested(data) {
-    const { user, resetToken } = data;
+    const { user } = data;
 
-    // Create in-app notification
+    // Create in-app notification (the reset email itself is queued by AuthService so the token never enters this job)
     await this.notificationService.createNotification({
       userId: user._id,
       title: 'Password Reset Requested',
       message: 'A password reset was requested for your account. Check your email for instructions.',
       type: 'info',
     });
-
-    // Send password reset email
-    await emailQueue.sendPasswordResetEmail(user, resetToken);
   }
 
   /**
@@ -246,6 +342,34 @@ export class NotificationWorker {
     });
   }
 
+  /**
+   * Handle refresh token reuse (likely token theft) notification
+   */
+  async handleRefreshTokenReused(data) {
+    const { user, session } = data;
+
+    const device = session?.deviceInfo
+      ? `${session.deviceInfo.browser} on ${session.deviceInfo.os}`
+      : 'one of your devices';
+    const message = `A sign-in token for ${device} was used more than once, which can mean it was stolen. That session has been signed out. If this wasn't you, change your password.`;
+
+    // Create in-app notification for security
+    await this.notificationService.createNotification({
+      userId: user._id,
+      title: 'Suspicious Sign-in Activity',
+      message,
+      type: 'warning',
+      category: 'security',
+      priority: 'urgent',
+    });
+
+    // Send email notification
+    await emailQueue.sendNotificationEmail(user, {
+      title: 'Suspicious Sign-in Activity',
+      message,
+    });
+  }
+
   /**
    * Handle system maintenance notification
    */
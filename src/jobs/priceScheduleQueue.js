@@ -0,0 +1,116 @@
+import { Queue, Worker } from 'bullmq';
+import redisClient from '../config/redis.js';
+import { config } from '../config/env.js';
+import logger from '../core/logger.js';
+import ProductPricingService from '../modules/products/productPricing.service.js';
+
+/**
+ * Price schedule queue for starting and ending scheduled sales
+ *
+ * A repeatable job moves due sales along every PRICE_SCHEDULE_INTERVAL
+ * minutes, so sale prices take effect within one interval of their window.
+ */
+export class PriceScheduleQueue {
+  constructor() {
+    this.queueName = 'price-schedule-queue';
+    this.schedulerId = 'apply-scheduled-prices';
+    this.queue = null;
+    this.worker = null;
+    this.productPricingService = new ProductPricingService();
+  }
+
+  /**
+   * Initialize price schedule queue, worker and schedule
+   */
+  async initialize() {
+    try {
+      // Create queue
+      this.queue = new Queue(this.queueName, {
+        connection: {
+          host: redisClient.getClient().options.host,
+          port: redisClient.getClient().options.port,
+        },
+        defaultJobOptions: {
+          removeOnComplete: 10,
+          removeOnFail: 20,
+          // The next run picks up whatever this one missed
+          attempts: 1,
+        },
+      });
+
+      // Create worker
+      this.worker = new Worker(
+        this.queueName,
+        this.processScheduleJob.bind(this),
+        {
+          connection: {
+            host: redisClient.getClient().options.host,
+            port: redisClient.getClient().options.port,
+          },
+          concurrency: 1,
+        }
+      );
+
+      // Worker event handlers
+      this.worker.on('completed', (job, result) => {
+        if (result?.started || result?.ended) {
+          logger.info('Price schedule job completed', {
+            jobId: job.id,
+            ...result,
+          });
+        }
+      });
+
+      this.worker.on('failed', (job, err) => {
+        logger.error('Price schedule job failed', {
+          jobId: job?.id,
+          error: err.message,
+        });
+      });
+
+      this.worker.on('error', (err) => {
+        logger.error('Price schedule worker error:', err);
+      });
+
+      await this.queue.upsertJobScheduler(
+        this.schedulerId,
+        { every: config.PRICE_SCHEDULE_INTERVAL * 60 * 1000 },
+        { name: 'apply-scheduled-prices', data: {} }
+      );
+
+      logger.info('Price schedule queue initialized successfully', {
+        interval: config.PRICE_SCHEDULE_INTERVAL,
+      });
+    } catch (error) {
+      logger.error('Failed to initialize price schedule queue:', error);
+      // throw error;
+    }
+  }
+
+  /**
+   * Process scheduled price job
+   */
+  async processScheduleJob() {
+    return this.productPricingService.applyScheduledPrices();
+  }
+
+  /**
+   * Shutdown queue and worker
+   */
+  async shutdown() {
+    try {
+      if (this.worker) {
+        await this.worker.close();
+      }
+      if (this.queue) {
+        await this.queue.close();
+      }
+      logger.info('Price schedule queue shutdown completed');
+    } catch (error) {
+      logger.error('Price schedule queue shutdown failed:', error);
+    }
+  }
+}
+
+// Create singleton instance
+export const priceScheduleQueue = new PriceScheduleQueue();
@@ -0,0 +1,142 @@
+import { Queue, Worker } from 'bullmq';
+import redisClient from '../config/redis.js';
+import logger from '../core/logger.js';
+import ProductImportService from '../modules/products/productImport.service.js';
+
+/**
+ * Product import queue for processing bulk catalog uploads outside the request cycle
+ */
+export class ProductImportQueue {
+  constructor() {
+    this.queueName = 'product-import-queue';
+    this.queue = null;
+    this.worker = null;
+    this.productImportService = null;
+  }
+
+  /**
+   * Initialize product import queue and worker
+   */
+  async initialize() {
+    try {
+      // Created here rather than in the constructor: ProductImportService imports this queue
+      this.productImportService = new ProductImportService();
+
+      // Create queue
+      this.queue = new Queue(this.queueName, {
+        connection: {
+          host: redisClient.getClient().options.host,
+          port: redisClient.getClient().options.port,
+        },
+        defaultJobOptions: {
+          removeOnComplete: 20,
+          removeOnFail: 20,
+          // Rows are upserted, but a retry would double-count the import totals
+          attempts: 1,
+        },
+      });
+
+      // Create worker (one import at a time keeps SKU and slug upserts race-free)
+      this.worker = new Worker(
+        this.queueName,
+        this.processImportJob.bind(this),
+        {
+          connection: {
+            host: redisClient.getClient().options.host,
+            port: redisClient.getClient().options.port,
+          },
+          concurrency: 1,
+        }
+      );
+
+      // Worker event handlers
+      this.worker.on('completed', (job) => {
+        logger.info('Product import job completed', {
+          jobId: job.id,
+          importId: job.data.importId,
+        });
+      });
+
+      this.worker.on('failed', (job, err) => {
+        logger.error('Product import job failed', {
+          jobId: job?.id,
+          error: err.message,
+          importId: job?.data?.importId,
+        });
+      });
+
+      this.worker.on('error', (err) => {
+        logger.error('Product import worker error:', err);
+      });
+
+      logger.info('Product import queue initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize product import queue:', error);
+      // throw error;
+    }
+  }
+
+  /**
+   * Process product import job
+   */
+  async processImportJob(job) {
+    const { importId, rows, userId } = job.data;
+
+    const productImport = await this.productImportService.processImport(
+      importId,
+      rows,
+      userId,
+      progress => job.updateProgress(progress)
+    );
+
+    return {
+      created: productImport.created,
+      updated: productImport.updated,
+      failed: productImport.failed,
+    };
+  }
+
+  /**
+   * Add product import job to queue
+   */
+  async addImportJob(importId, rows, userId) {
+    try {
+      const job = await this.queue.add(
+        'import-products',
+        { importId: importId.toString(), rows, userId: userId?.toString() },
+        { jobId: `product-import-${importId}` }
+      );
+
+      logger.info('Product import job added to queue', {
+        jobId: job.id,
+        importId,
+        rows: rows.length,
+      });
+
+      return job;
+    } catch (error) {
+      logger.error('Failed to add product import job to queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Shutdown queue and worker
+   */
+  async shutdown() {
+    try {
+      if (this.worker) {
+        await this.worker.close();
+      }
+      if (this.queue) {
+        await this.queue.close();
+      }
+      logger.info('Product import queue shutdown completed');
+    } catch (error) {
+      logger.error('Product import queue shutdown failed:', error);
+    }
+  }
+}
+
+// Create singleton instance
+export const productImportQueue = new ProductImportQueue();
@@ -0,0 +1,194 @@
+import { Queue, Worker } from 'bullmq';
+import redisClient from '../config/redis.js';
+import logger from '../core/logger.js';
+import Order from '../modules/orders/order.model.js';
+import OrderService from '../modules/orders/order.service.js';
+import PaymentService from '../modules/payments/payment.service.js';
+import { ValidationError } from '../core/error.js';
+
+/**
+ * Reservation queue for expiring the stock held by unpaid orders
+ *
+ * Unpaid orders are cancelled when their reservation expires; orders whose
+ * payment was authorized but never captured have the authorization voided,
+ * which cancels them too.
+ * Each reservation gets a delayed job keyed by order and expiry time.
+ * Extending a reservation schedules a new job; the stale one finds the
+ * later expiry when it fires and does nothing.
+ */
+export class ReservationQueue {
+  constructor() {
+    this.queueName = 'reservation-queue';
+    this.queue = null;
+    this.worker = null;
+    this.orderService = null;
+    this.paymentService = null;
+  }
+
+  /**
+   * Initialize reservation queue and worker
+   */
+  async initialize() {
+    try {
+      // Created here rather than in the constructor: OrderService imports this queue
+      this.orderService = new OrderService();
+      this.paymentService = new PaymentService();
+
+      // Create queue
+      this.queue = new Queue(this.queueName, {
+        connection: {
+          host: redisClient.getClient().options.host,
+          port: redisClient.getClient().options.port,
+        },
+        defaultJobOptions: {
+          removeOnComplete: 100,
+          removeOnFail: 50,
+          attempts: 3,
+          backoff: {
+            type: 'exponential',
+            delay: 2000,
+          },
+        },
+      });
+
+      // Create worker
+      this.worker = new Worker(
+        this.queueName,
+        this.processReservationJob.bind(this),
+        {
+          connection: {
+            host: redisClient.getClient().options.host,
+            port: redisClient.getClient().options.port,
+          },
+          concurrency: 2,
+        }
+      );
+
+      // Worker event handlers
+      this.worker.on('completed', (job, result) => {
+        logger.info('Reservation job completed', {
+          jobId: job.id,
+          orderId: job.data.orderId,
+          result: result?.status,
+        });
+      });
+
+      this.worker.on('failed', (job, err) => {
+        logger.error('Reservation job failed', {
+          jobId: job?.id,
+          error: err.message,
+          orderId: job?.data?.orderId,
+        });
+      });
+
+      this.worker.on('error', (err) => {
+        logger.error('Reservation worker error:', err);
+      });
+
+      logger.info('Reservation queue initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize reservation queue:', error);
+      // throw error;
+    }
+  }
+
+  /**
+   * Process reservation expiry job
+   */
+  async processReservationJob(job) {
+    const { orderId } = job.data;
+
+    try {
+      const order = await Order.findById(orderId)
+        .select('status paymentStatus reservationExpiresAt');
+
+      // Paid, cancelled or gone since the job was scheduled
+      if (!order || !order.hasActiveReservation) {
+        return { status: 'skipped' };
+      }
+
+      // Extended after this job was scheduled
+      if (order.reservationExpiresAt > new Date()) {
+        return { status: 'extended' };
+      }
+
+      const voiding = order.paymentStatus === 'authorized';
+
+      try {
+        if (voiding) {
+          await this.paymentService.voidPayment(orderId, { role: 'system' });
+        } else {
+          await this.orderService.cancelOrder(orderId, null, 'Reservation expired', { role: 'system' });
+        }
+      } catch (error) {
+        // Paid, captured or cancelled by someone else since the check above
+        if (error instanceof ValidationError) {
+          return { status: 'skipped' };
+        }
+        throw error;
+      }
+
+      logger.info('Expired reservation released', {
+        jobId: job.id,
+        orderId,
+        voided: voiding,
+      });
+
+      return { status: voiding ? 'voided' : 'cancelled' };
+    } catch (error) {
+      logger.error('Failed to expire reservation', {
+        jobId: job.id,
+        orderId,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Schedule the expiry of an order's reservation
+   */
+  async scheduleExpiry(orderId, expiresAt) {
+    try {
+      const job = await this.queue.add(
+        'expire-reservation',
+        { orderId: orderId.toString() },
+        {
+          jobId: `reservation-${orderId}-${expiresAt.getTime()}`,
+          delay: Math.max(0, expiresAt.getTime() - Date.now()),
+        }
+      );
+
+      logger.info('Reservation expiry scheduled', {
+        jobId: job.id,
+        orderId,
+        expiresAt,
+      });
+
+      return job;
+    } catch (error) {
+      logger.error('Failed to schedule reservation expiry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Shutdown queue and worker
+   */
+  async shutdown() {
+    try {
+      if (this.worker) {
+        await this.worker.close();
+      }
+      if (this.queue) {
+        await this.queue.close();
+      }
+      logger.info('Reservation queue shutdown completed');
+    } catch (error) {
+      logger.error('Reservation queue shutdown failed:', error);
+    }
+  }
+}
+
+// Create singleton instance
+export const reservationQueue = new ReservationQueue();
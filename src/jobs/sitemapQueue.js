@@ -0,0 +1,122 @@
+import { Queue, Worker } from 'bullmq';
+import redisClient from '../config/redis.js';
+import { config } from '../config/env.js';
+import logger from '../core/logger.js';
+import SitemapService from '../modules/sitemap/sitemap.service.js';
+
+/**
+ * Sitemap queue for regenerating the XML sitemap on a schedule
+ *
+ * The schedule is upserted on every start, so a changed
+ * SITEMAP_REFRESH_INTERVAL replaces the previous one.
+ */
+export class SitemapQueue {
+  constructor() {
+    this.queueName = 'sitemap-queue';
+    this.schedulerId = 'regenerate-sitemap';
+    this.queue = null;
+    this.worker = null;
+    this.sitemapService = new SitemapService();
+  }
+
+  /**
+   * Initialize sitemap queue, worker and schedule
+   */
+  async initialize() {
+    try {
+      // Create queue
+      this.queue = new Queue(this.queueName, {
+        connection: {
+          host: redisClient.getClient().options.host,
+          port: redisClient.getClient().options.port,
+        },
+        defaultJobOptions: {
+          removeOnComplete: 10,
+          removeOnFail: 20,
+          attempts: 3,
+          backoff: {
+            type: 'exponential',
+            delay: 5000,
+          },
+        },
+      });
+
+      // Create worker
+      this.worker = new Worker(
+        this.queueName,
+        this.processSitemapJob.bind(this),
+        {
+          connection: {
+            host: redisClient.getClient().options.host,
+            port: redisClient.getClient().options.port,
+          },
+          concurrency: 1,
+        }
+      );
+
+      // Worker event handlers
+      this.worker.on('completed', (job, result) => {
+        logger.info('Sitemap job completed', {
+          jobId: job.id,
+          urlCount: result?.urlCount,
+        });
+      });
+
+      this.worker.on('failed', (job, err) => {
+        logger.error('Sitemap job failed', {
+          jobId: job?.id,
+          error: err.message,
+        });
+      });
+
+      this.worker.on('error', (err) => {
+        logger.error('Sitemap worker error:', err);
+      });
+
+      await this.queue.upsertJobScheduler(
+        this.schedulerId,
+        { every: config.SITEMAP_REFRESH_INTERVAL * 60 * 1000 },
+        { name: 'regenerate-sitemap', data: {} }
+      );
+
+      logger.info('Sitemap queue initialized successfully', {
+        refreshInterval: config.SITEMAP_REFRESH_INTERVAL,
+      });
+    } catch (error) {
+      logger.error('Failed to initialize sitemap queue:', error);
+      // throw error;
+    }
+  }
+
+  /**
+   * Process sitemap regeneration job
+   */
+  async processSitemapJob(job) {
+    const sitemap = await this.sitemapService.generateSitemap();
+
+    return {
+      urlCount: sitemap.urlCount,
+      generatedAt: sitemap.generatedAt,
+    };
+  }
+
+  /**
+   * Shutdown queue and worker
+   */
+  async shutdown() {
+    try {
+      if (this.worker) {
+        await this.worker.close();
+      }
+      if (this.queue) {
+        await this.queue.close();
+      }
+      logger.info('Sitemap queue shutdown completed');
+    } catch (error) {
+      logger.error('Sitemap queue shutdown failed:', error);
+    }
+  }
+}
+
+// Create singleton instance
+export const sitemapQueue = new SitemapQueue();
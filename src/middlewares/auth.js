@@ -1,9 +1,14 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { config } from '../config/env.js';
 import { AuthenticationError, AuthorizationError } from '../core/error.js';
 import { sendUnauthorized, sendForbidden } from '../core/response.js';
 import logger from '../core/logger.js';
 import User from '../modules/users/user.model.js';
+import { AuthSession } from '../modules/auth/auth.model.js';
+
+// How often lastActivity is written back for a busy session
+const SESSION_ACTIVITY_INTERVAL = 60 * 1000;
 
 /**
  * Generate JWT tokens
@@ -13,13 +18,48 @@ export const generateTokens = (payload) => {
     expiresIn: config.JWT_EXPIRES_IN,
   });
 
+  // jwtid keeps every refresh token unique, even two issued for the same session within a second
   const refreshToken = jwt.sign(payload, config.JWT_REFRESH_SECRET, {
     expiresIn: config.JWT_REFRESH_EXPIRES_IN,
+    jwtid: crypto.randomUUID(),
   });
 
   return { accessToken, refreshToken };
 };
 
+/**
+ * Purposes of the short-lived challenge tokens issued during two-factor login
+ */
+export const TWO_FACTOR_CHALLENGES = {
+  LOGIN: 'two_factor_login', // Password accepted, TOTP or backup code still due
+  SETUP: 'two_factor_setup', // Password accepted, but the role requires enrolling first
+};
+
+/**
+ * Generate a two-factor challenge token (signed with its own secret so it never passes as an access token)
+ */
+export const generateTwoFactorChallenge = (userId, purpose, challengeId = undefined) => {
+  const challengeToken = jwt.sign({ userId, purpose }, config.TWO_FACTOR_CHALLENGE_SECRET, {
+    expiresIn: config.TWO_FACTOR_CHALLENGE_TTL,
+    ...(challengeId && { jwtid: challengeId }),
+  });
+
+  return { challengeToken, expiresIn: config.TWO_FACTOR_CHALLENGE_TTL };
+};
+
+/**
+ * Verify a two-factor challenge token issued for the given purpose
+ */
+export const verifyTwoFactorChallenge = (token, purpose) => {
+  const decoded = verifyToken(token, config.TWO_FACTOR_CHALLENGE_SECRET);
+
+  if (decoded.purpose !== purpose) {
+    throw new AuthenticationError('Invalid challenge token');
+  }
+
+  return decoded;
+};
+
 /**
  * Verify JWT token
  */
@@ -37,6 +77,38 @@ export const verifyToken = (token, secret = config.JWT_SECRET) => {
   }
 };
 
+/**
+ * Find the active device session a decoded token belongs to
+ */
+const findTokenSession = async (decoded) => {
+  if (!decoded.sid) {
+    return null;
+  }
+
+  const session = await AuthSession.findActiveSession(decoded.sid);
+
+  if (!session || !session.userId.equals(decoded.userId)) {
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * Record session activity, at most once per SESSION_ACTIVITY_INTERVAL (never blocks the request)
+ */
+const touchSession = (session) => {
+  if (Date.now() - session.lastActivity.getTime() < SESSION_ACTIVITY_INTERVAL) {
+    return;
+  }
+
+  session.updateActivity()
+    .catch(error => logger.warn('Failed to update session activity', {
+      sessionId: session.sessionId,
+      error: error.message,
+    }));
+};
+
 /**
  * Extract token from request headers
  */
@@ -67,6 +139,13 @@ export const authenticate = async (req, res, next) => {
     }
 
     const decoded = verifyToken(token);
+
+    // Tokens are only good while their device session is
+    const session = await findTokenSession(decoded);
+
+    if (!session) {
+      return sendUnauthorized(res, 'Session has been revoked or has expired');
+    }
     
     // Fetch user from database to ensure they still exist and are active
     const user = await User.findById(decoded.userId).select('-password');
@@ -79,9 +158,12 @@ export const authenticate = async (req, res, next) => {
       return sendUnauthorized(res, 'Account is deactivated');
     }
 
+    touchSession(session);
+
     // Attach user to request
     req.user = user;
     req.userId = user._id;
+    req.sessionId = session.sessionId;
 
     next();
   } catch (error) {
@@ -107,11 +189,13 @@ export const optionalAuth = async (req, res, next) => {
     }
 
     const decoded = verifyToken(token);
-    const user = await User.findById(decoded.userId).select('-password');
+    const session = await findTokenSession(decoded);
+    const user = session && await User.findById(decoded.userId).select('-password');
     
     if (user && user.isActive) {
       req.user = user;
       req.userId = user._id;
+      req.sessionId = session.sessionId;
     }
 
     next();
@@ -122,30 +206,35 @@ export const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Refresh token middleware
+ * Two-factor setup authentication: an access token, or the setup challenge from a login that requires enrolling first
  */
-export const refreshAuth = async (req, res, next) => {
-  try {
-    const { refreshToken } = req.body;
-    
-    if (!refreshToken) {
-      return sendUnauthorized(res, 'Refresh token is required');
-    }
+export const authenticateTwoFactorSetup = async (req, res, next) => {
+  const challengeToken = req.body?.challengeToken;
 
-    const decoded = verifyToken(refreshToken, config.JWT_REFRESH_SECRET);
-    
+  if (!challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const decoded = verifyTwoFactorChallenge(challengeToken, TWO_FACTOR_CHALLENGES.SETUP);
     const user = await User.findById(decoded.userId).select('-password');
-    
+
     if (!user || !user.isActive) {
-      return sendUnauthorized(res, 'Invalid refresh token');
+      return sendUnauthorized(res, 'Invalid challenge token');
     }
 
     req.user = user;
     req.userId = user._id;
+    req.twoFactorChallenge = decoded;
 
     next();
   } catch (error) {
-    logger.error('Refresh token error:', error);
-    return sendUnauthorized(res, 'Invalid refresh token');
+    logger.error('Two-factor setup authentication error:', error);
+
+    if (error instanceof AuthenticationError) {
+      return sendUnauthorized(res, error.message);
+    }
+
+    return sendUnauthorized(res, 'Authentication failed');
   }
 };
@@ -140,6 +140,20 @@ export const userCache = (ttl = 3600) => {
   });
 };
 
+/**
+ * User-specific cache tagged by resource, invalidated via `user:${userId}:${tag}`
+ */
+export const userTagCache = (tag, ttl = 3600) => {
+  return cache({
+    ttl,
+    keyGenerator: (req) => {
+      const userId = req.user ? req.user._id.toString() : 'anonymous';
+      return `${req.method}:user:${userId}:${tag}:${req.originalUrl}`;
+    },
+    condition: (req) => req.user !== undefined,
+  });
+};
+
 /**
  * Public cache (no user context)
  */
@@ -7,8 +7,7 @@ import { config } from '../config/env.js';
  * Error handling middleware
  */
 export const errorHandler = (err, req, res, next) => {
-  let error = { ...err };
-  error.message = err.message;
+  let error = err;
 
   // Log error
   logger.error('Error caught by error handler:', {
@@ -60,7 +59,7 @@ export const errorHandler = (err, req, res, next) => {
   }
 
   if (error instanceof AppError) {
-    return sendError(res, error.statusCode, error.message);
+    return sendError(res, error.statusCode, error.message, error.errors);
   }
 
   // Default to 500 server error
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import redisClient from '../config/redis.js';
+import logger from '../core/logger.js';
+import { config } from '../config/env.js';
+import { sendBadRequest, sendConflict, sendError } from '../core/response.js';
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,255}$/;
+
+/**
+ * Fingerprint the parts of a request that must match on a retry
+ */
+const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    body: req.body,
+  }))
+  .digest('hex');
+
+/**
+ * Copy response data without the given fields
+ */
+const omitFields = (data, fields) => Object.fromEntries(
+  Object.entries(data).filter(([field]) => !fields.includes(field))
+);
+
+/**
+ * Idempotency middleware factory
+ *
+ * Clients send an `Idempotency-Key` header with unsafe requests. The first
+ * request claims the key in Redis (SET NX) and its response is stored under
+ * it; retries with the same key and payload get the stored response replayed.
+ * A retry that arrives while the first request is still running gets a 409,
+ * and a key reused with a different payload gets a 422. Server errors release
+ * the key so the client can retry. Keys are scoped per user, so place this
+ * after `authenticate` / `optionalAuth` on protected routes.
+ *
+ * Stored responses are replayed verbatim. On routes that answer with
+ * credentials, list them in `omit` so they are left out of the stored `data`:
+ * a replay then confirms what was created without handing out tokens that may
+ * already have been rotated or revoked, and the client signs in for new ones.
+ */
+export const idempotency = (options = {}) => {
+  const {
+    ttl = config.IDEMPOTENCY_TTL,
+    lockTtl = 60, // seconds an in-flight claim is held if the process dies
+    required = false,
+    omit = [], // fields of the response data that are never stored
+  } = options;
+
+  return async (req, res, next) => {
+    const idempotencyKey = req.get('Idempotency-Key');
+
+    if (!idempotencyKey) {
+      return required
+        ? sendBadRequest(res, 'Idempotency-Key header is required')
+        : next();
+    }
+
+    if (!KEY_PATTERN.test(idempotencyKey)) {
+      return sendBadRequest(res, 'Idempotency-Key must be 8-255 letters, digits, dashes or underscores');
+    }
+
+    const client = redisClient.getClient();
+    if (!client) {
+      logger.warn('Idempotency skipped: Redis not connected');
+      return next();
+    }
+
+    const scope = req.user ? `user:${req.user._id}` : 'anonymous';
+    const redisKey = `idempotency:${scope}:${idempotencyKey}`;
+    const fingerprint = fingerprintRequest(req);
+
+    try {
+      const claimed = await client.set(
+        redisKey,
+        JSON.stringify({ status: 'in_progress', fingerprint }),
+        'EX',
+        lockTtl,
+        'NX'
+      );
+
+      if (!claimed) {
+        const stored = JSON.parse(await client.get(redisKey) || 'null');
+
+        // Expired between SET and GET; let the client retry
+        if (!stored) {
+          return sendConflict(res, 'A request with this Idempotency-Key is still being processed');
+        }
+
+        if (stored.fingerprint !== fingerprint) {
+          return sendError(res, 422, 'Idempotency-Key was already used with a different request');
+        }
+
+        if (stored.status === 'in_progress') {
+          res.set('Retry-After', '1');
+          return sendConflict(res, 'A request with this Idempotency-Key is still being processed');
+        }
+
+        logger.info('Idempotent response replayed', { key: idempotencyKey, scope });
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.statusCode).json(stored.body);
+      }
+    } catch (error) {
+      logger.error('Idempotency middleware error:', error);
+      // Continue without idempotency on error
+      return next();
+    }
+
+    // Store original res.json
+    const originalJson = res.json;
+
+    // Override res.json to store the response under the key
+    res.json = function (data) {
+      const statusCode = res.statusCode;
+      const body = omit.length > 0 && data?.data ? { ...data, data: omitFields(data.data, omit) } : data;
+      const write = statusCode >= 500
+        ? client.del(redisKey)
+        : client.set(
+          redisKey,
+          JSON.stringify({ status: 'completed', fingerprint, statusCode, body }),
+          'EX',
+          ttl
+        );
+
+      write.catch(error => {
+        logger.error('Idempotency store error:', error);
+      });
+
+      return originalJson.call(this, data);
+    };
+
+    next();
+  };
+};
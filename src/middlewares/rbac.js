@@ -1,5 +1,6 @@
 import { AuthorizationError } from '../core/error.js';
 import { sendForbidden } from '../core/response.js';
+import { config } from '../config/env.js';
 import logger from '../core/logger.js';
 
 /**
@@ -22,6 +23,7 @@ export const PERMISSIONS = {
   CREATE_PRODUCTS: 'create:products',
   UPDATE_PRODUCTS: 'update:products',
   DELETE_PRODUCTS: 'delete:products',
+  READ_ALL_PRODUCTS: 'read:all_products', // Catalog admin: inactive products, stats, exports
 
   // Order permissions
   READ_ORDERS: 'read:orders',
@@ -37,6 +39,15 @@ export const PERMISSIONS = {
   DELETE_NOTIFICATIONS: 'delete:notifications',
 };
 
+/**
+ * Actions the email verification policy (EMAIL_VERIFICATION_REQUIRED_FOR) can hold back
+ */
+export const VERIFIED_EMAIL_ACTIONS = {
+  PLACE_ORDER: 'place_order',
+  WRITE_REVIEW: 'write_review',
+  REQUEST_RETURN: 'request_return',
+};
+
 /**
  * Role-permission mapping
  */
@@ -51,6 +62,7 @@ export const ROLE_PERMISSIONS = {
     PERMISSIONS.CREATE_PRODUCTS,
     PERMISSIONS.UPDATE_PRODUCTS,
     PERMISSIONS.DELETE_PRODUCTS,
+    PERMISSIONS.READ_ALL_PRODUCTS,
     PERMISSIONS.READ_ORDERS,
     PERMISSIONS.CREATE_ORDERS,
     PERMISSIONS.UPDATE_ORDERS,
@@ -158,6 +170,34 @@ export const requirePermission = (...requiredPermissions) => {
  */
 export const requireAdmin = requireRole(ROLES.ADMIN);
 
+/**
+ * Email verification middleware (blocks the action only when the policy lists it)
+ */
+export const requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    try {
+      if (!req.user) {
+        return sendForbidden(res, 'Authentication required');
+      }
+
+      if (req.user.emailVerified || !config.EMAIL_VERIFICATION_REQUIRED_FOR.includes(action)) {
+        return next();
+      }
+
+      logger.warn('Access denied - email not verified', {
+        userId: req.user._id,
+        action,
+        endpoint: req.originalUrl,
+      });
+
+      return sendForbidden(res, 'Please verify your email address before continuing');
+    } catch (error) {
+      logger.error('Email verification check error:', error);
+      return sendForbidden(res, 'Authorization failed');
+    }
+  };
+};
+
 /**
  * Resource ownership middleware (for users accessing their own resources)
  */
@@ -40,11 +40,32 @@ export const generalRateLimit = createRateLimit(
 
 // Strict rate limiter for auth endpoints
 export const authRateLimit = createRateLimit(
-  15 * 60 * 1000, // 15 minutes
-  5, // 5 attempts
+  config.AUTH_RATE_LIMIT_WINDOW,
+  config.AUTH_RATE_LIMIT_MAX,
   'Too many authentication attempts, please try again later'
 );
 
+// Strict rate limiter for two-factor codes at login
+export const twoFactorRateLimit = createRateLimit(
+  15 * 60 * 1000, // 15 minutes
+  config.TWO_FACTOR_RATE_LIMIT_MAX,
+  'Too many two-factor attempts, please try again later'
+);
+
+// Rate limiter for sending verification emails
+export const emailVerificationRateLimit = createRateLimit(
+  60 * 60 * 1000, // 1 hour
+  config.EMAIL_VERIFICATION_RATE_LIMIT_MAX,
+  'Too many verification emails requested, please try again later'
+);
+
+// Rate limiter for password reset requests
+export const passwordResetRateLimit = createRateLimit(
+  60 * 60 * 1000, // 1 hour
+  config.PASSWORD_RESET_RATE_LIMIT_MAX,
+  'Too many password reset requests, please try again later'
+);
+
 // CORS configuration
 export const corsOptions = {
   origin: function (origin, callback) {
@@ -72,7 +93,8 @@ export const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Cart-Id', 'Idempotency-Key'],
+  exposedHeaders: ['X-Cart-Id', 'Idempotent-Replayed', 'Retry-After'],
   optionsSuccessStatus: 200
 };
 
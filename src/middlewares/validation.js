@@ -41,6 +41,45 @@ export const validate = (schema, property = 'body') => {
   };
 };
 
+// Product option axis, e.g. { name: 'Size', values: ['S', 'M', 'L'] }
+const productOptionSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(50).required(),
+  values: Joi.array().items(Joi.string().trim().min(1).max(50)).min(1).unique().required(),
+});
+
+const imageSchema = Joi.object({
+  url: Joi.string().uri().required(),
+  alt: Joi.string().trim().max(255).optional(),
+});
+
+const createVariantSchema = Joi.object({
+  sku: Joi.string().trim().max(64).required(),
+  options: Joi.object().pattern(Joi.string(), Joi.string().trim().max(50)).required(),
+  price: Joi.number().positive().precision(2).optional(),
+  salePrice: Joi.number().positive().precision(2).allow(null).optional(),
+  stock: Joi.number().integer().min(0).default(0),
+  images: Joi.array().items(imageSchema).optional(),
+  barcode: Joi.string().trim().max(64).optional(),
+  isActive: Joi.boolean().optional(),
+});
+
+// Null clears the sale; its status follows from the window
+const saleSchema = Joi.object({
+  price: Joi.number().positive().precision(2).optional(),
+  startsAt: Joi.date().iso().required(),
+  endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).allow(null).optional(),
+}).allow(null);
+
+const seoSchema = Joi.object({
+  title: Joi.string().trim().max(70).optional(),
+  description: Joi.string().trim().max(160).optional(),
+  keywords: Joi.array().items(Joi.string().trim().max(50)).optional(),
+});
+
+const productSeoSchema = seoSchema.keys({
+  slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(200).optional(),
+});
+
 /**
  * Common validation schemas
  */
@@ -93,6 +132,48 @@ export const commonSchemas = {
     refreshToken: Joi.string().required(),
   }),
 
+  verifyEmail: Joi.object({
+    token: Joi.string().trim().hex().length(64).required(),
+  }),
+
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required(),
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().trim().hex().length(64).required(),
+    password: Joi.string().min(8).pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/).required()
+      .messages({
+        'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character'
+      }),
+  }),
+
+  verifyTwoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    // A 6-digit TOTP code or a backup code
+    code: Joi.string().trim().max(32).required(),
+  }),
+
+  setupTwoFactor: Joi.object({
+    challengeToken: Joi.string().optional(),
+  }),
+
+  confirmTwoFactor: Joi.object({
+    challengeToken: Joi.string().optional(),
+    code: Joi.string().trim().pattern(/^\d{6}$/).required()
+      .messages({
+        'string.pattern.base': 'Code must be the 6-digit code from your authenticator app'
+      }),
+  }),
+
+  twoFactorPassword: Joi.object({
+    password: Joi.string().required(),
+  }),
+
+  updateTwoFactorPolicy: Joi.object({
+    required: Joi.boolean().required(),
+  }),
+
   changePassword: Joi.object({
     currentPassword: Joi.string().required(),
     newPassword: Joi.string().min(8).pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/).required()
@@ -105,27 +186,99 @@ export const commonSchemas = {
   createProduct: Joi.object({
     name: Joi.string().trim().min(1).max(255).required(),
     description: Joi.string().trim().max(1000).optional(),
+    sku: Joi.string().trim().max(64).optional(),
     price: Joi.number().positive().precision(2).required(),
-    category: Joi.string().trim().min(1).max(100).required(),
+    compareAtPrice: Joi.number().positive().precision(2).allow(null).optional(),
+    sale: saleSchema.optional(),
+    category: Joi.string().trim().min(1).max(100),
+    categoryId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
     stock: Joi.number().integer().min(0).default(0),
     tags: Joi.array().items(Joi.string().trim().max(50)).optional(),
-  }),
+    seo: productSeoSchema.optional(),
+    options: Joi.array().items(productOptionSchema).unique('name').optional(),
+    variants: Joi.array().items(createVariantSchema).unique('sku').optional(),
+  }).or('category', 'categoryId'),
 
   updateProduct: Joi.object({
     name: Joi.string().trim().min(1).max(255).optional(),
     description: Joi.string().trim().max(1000).optional(),
+    sku: Joi.string().trim().max(64).optional(),
     price: Joi.number().positive().precision(2).optional(),
+    compareAtPrice: Joi.number().positive().precision(2).allow(null).optional(),
+    sale: saleSchema.optional(),
     category: Joi.string().trim().min(1).max(100).optional(),
+    categoryId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
     stock: Joi.number().integer().min(0).optional(),
     status: Joi.string().valid('active', 'inactive').optional(),
     tags: Joi.array().items(Joi.string().trim().max(50)).optional(),
+    seo: productSeoSchema.optional(),
+    options: Joi.array().items(productOptionSchema).unique('name').optional(),
   }),
 
+  createVariant: createVariantSchema,
+
+  updateProductStock: Joi.object({
+    quantity: Joi.number().integer().invalid(0).required(),
+    reason: Joi.string().trim().min(1).max(500).optional(),
+  }),
+
+  setFeatured: Joi.object({
+    featured: Joi.boolean().required(),
+  }),
+
+  // Comma-separated tags match any of them
+  searchProducts: Joi.object({
+    q: Joi.string().trim().max(200).allow('').optional(),
+    category: Joi.string().trim().max(100).optional(),
+    tags: Joi.string().trim().max(500).optional(),
+    minPrice: Joi.number().min(0).optional(),
+    maxPrice: Joi.number().min(0).when('minPrice', {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref('minPrice')),
+    }).optional(),
+    inStock: Joi.boolean().optional(),
+    minRating: Joi.number().min(0).max(5).optional(),
+    sort: Joi.string().valid('relevance', 'price_asc', 'price_desc', 'popularity', 'rating', 'newest').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  autocompleteProducts: Joi.object({
+    q: Joi.string().trim().min(1).max(50).required(),
+    limit: Joi.number().integer().min(1).max(20).default(8),
+  }),
+
+  importProducts: Joi.object({
+    format: Joi.string().valid('csv', 'json').optional(),
+    fileName: Joi.string().trim().max(255).optional(),
+  }),
+
+  importReportFormat: Joi.object({
+    format: Joi.string().valid('csv', 'json').default('csv'),
+  }),
+
+  // Remaining query parameters filter the exported catalog
+  exportProducts: Joi.object({
+    format: Joi.string().valid('csv', 'json').default('csv'),
+  }).unknown(true),
+
+  // Variant stock changes go through inventory adjustments
+  updateVariant: Joi.object({
+    sku: Joi.string().trim().max(64).optional(),
+    options: Joi.object().pattern(Joi.string(), Joi.string().trim().max(50)).optional(),
+    price: Joi.number().positive().precision(2).allow(null).optional(),
+    salePrice: Joi.number().positive().precision(2).allow(null).optional(),
+    images: Joi.array().items(imageSchema).optional(),
+    barcode: Joi.string().trim().max(64).allow(null).optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+
   // Order schemas
   createOrder: Joi.object({
     items: Joi.array().items(
       Joi.object({
         productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+        variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
         quantity: Joi.number().integer().min(1).required(),
         price: Joi.number().positive().precision(2).required(),
       })
@@ -137,10 +290,62 @@ export const commonSchemas = {
       zipCode: Joi.string().required(),
       country: Joi.string().required(),
     }).optional(),
+    couponCode: Joi.string().trim().max(50).optional(),
+    paymentMethod: Joi.string().valid('credit_card', 'debit_card', 'paypal', 'stripe', 'cash').optional(),
   }),
 
   updateOrder: Joi.object({
-    status: Joi.string().valid('pending', 'processing', 'completed', 'cancelled').optional(),
+    status: Joi.string().valid('pending', 'processing', 'shipped', 'completed', 'cancelled').optional(),
+    reason: Joi.string().trim().max(500).optional(),
+    shippingAddress: Joi.object({
+      street: Joi.string().required(),
+      city: Joi.string().required(),
+      state: Joi.string().required(),
+      zipCode: Joi.string().required(),
+      country: Joi.string().required(),
+    }).optional(),
+  }),
+
+  extendReservation: Joi.object({
+    minutes: Joi.number().integer().min(1).max(7 * 24 * 60).required(),
+  }),
+
+  cancelOrder: Joi.object({
+    reason: Joi.string().trim().max(500).optional(),
+  }),
+
+  documentFormat: Joi.object({
+    format: Joi.string().valid('html', 'pdf').default('html'),
+  }),
+
+  // Payment schemas
+  authorizePayment: Joi.object({
+    provider: Joi.string().trim().max(50).optional(),
+    paymentMethod: Joi.string().valid('credit_card', 'debit_card', 'paypal', 'stripe', 'cash').optional(),
+    paymentToken: Joi.string().trim().max(255).required(),
+  }),
+
+  refundPayment: Joi.object({
+    amount: Joi.number().positive().precision(2).optional(),
+    reason: Joi.string().trim().max(500).optional(),
+  }),
+
+  // Cart schemas
+  addCartItem: Joi.object({
+    productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    quantity: Joi.number().integer().min(1).default(1),
+  }),
+
+  updateCartItem: Joi.object({
+    quantity: Joi.number().integer().min(0).required(),
+  }),
+
+  cartItemQuery: Joi.object({
+    variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+  }),
+
+  checkoutCart: Joi.object({
     shippingAddress: Joi.object({
       street: Joi.string().required(),
       city: Joi.string().required(),
@@ -148,6 +353,205 @@ export const commonSchemas = {
       zipCode: Joi.string().required(),
       country: Joi.string().required(),
     }).optional(),
+    couponCode: Joi.string().trim().max(50).optional(),
+    paymentMethod: Joi.string().valid('credit_card', 'debit_card', 'paypal', 'stripe', 'cash').optional(),
+  }),
+
+  // Return schemas
+  createReturn: Joi.object({
+    orderId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    items: Joi.array().items(
+      Joi.object({
+        productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+        variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+        quantity: Joi.number().integer().min(1).required(),
+        reason: Joi.string().trim().max(500).optional(),
+      })
+    ).min(1).required(),
+    reason: Joi.string().trim().min(1).max(1000).required(),
+  }),
+
+  reviewReturn: Joi.object({
+    note: Joi.string().trim().max(1000).optional(),
+  }),
+
+  receiveReturn: Joi.object({
+    refundAmount: Joi.number().min(0).precision(2).optional(),
+    note: Joi.string().trim().max(1000).optional(),
+  }),
+
+  // Promotion schemas
+  createPromotion: Joi.object({
+    code: Joi.string().trim().alphanum().min(3).max(50).required(),
+    name: Joi.string().trim().min(1).max(255).required(),
+    description: Joi.string().trim().max(1000).optional(),
+    type: Joi.string().valid('percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y').required(),
+    value: Joi.when('type', {
+      switch: [
+        { is: 'percentage', then: Joi.number().greater(0).max(100).required() },
+        { is: 'fixed_amount', then: Joi.number().positive().precision(2).required() },
+      ],
+      otherwise: Joi.forbidden(),
+    }),
+    maxDiscount: Joi.number().positive().precision(2).optional(),
+    buyQuantity: Joi.when('type', { is: 'buy_x_get_y', then: Joi.number().integer().min(1).required(), otherwise: Joi.forbidden() }),
+    getQuantity: Joi.when('type', { is: 'buy_x_get_y', then: Joi.number().integer().min(1).required(), otherwise: Joi.forbidden() }),
+    categories: Joi.array().items(Joi.string().trim().max(100)).optional(),
+    minOrderTotal: Joi.number().min(0).precision(2).optional(),
+    usageLimit: Joi.number().integer().min(1).optional(),
+    perUserLimit: Joi.number().integer().min(1).optional(),
+    startsAt: Joi.date().iso().optional(),
+    endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).optional(),
+    isActive: Joi.boolean().optional(),
+  }),
+
+  updatePromotion: Joi.object({
+    code: Joi.string().trim().alphanum().min(3).max(50).optional(),
+    name: Joi.string().trim().min(1).max(255).optional(),
+    description: Joi.string().trim().max(1000).optional(),
+    value: Joi.number().min(0).precision(2).optional(),
+    maxDiscount: Joi.number().positive().precision(2).allow(null).optional(),
+    buyQuantity: Joi.number().integer().min(1).optional(),
+    getQuantity: Joi.number().integer().min(1).optional(),
+    categories: Joi.array().items(Joi.string().trim().max(100)).optional(),
+    minOrderTotal: Joi.number().min(0).precision(2).optional(),
+    usageLimit: Joi.number().integer().min(1).allow(null).optional(),
+    perUserLimit: Joi.number().integer().min(1).optional(),
+    startsAt: Joi.date().iso().optional(),
+    endsAt: Joi.date().iso().allow(null).optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+
+  // Pricing schemas
+  createTaxRate: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    country: Joi.string().trim().length(2).required(),
+    state: Joi.string().trim().max(50).allow(null).optional(),
+    rate: Joi.number().min(0).max(100).required(),
+    taxShipping: Joi.boolean().optional(),
+    isActive: Joi.boolean().optional(),
+  }),
+
+  updateTaxRate: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    rate: Joi.number().min(0).max(100).optional(),
+    taxShipping: Joi.boolean().optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+
+  createShippingRate: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    country: Joi.string().trim().length(2).allow(null).optional(),
+    state: Joi.string().trim().max(50).allow(null).optional(),
+    method: Joi.string().valid('flat', 'weight_based').required(),
+    flatRate: Joi.number().min(0).precision(2).optional(),
+    baseRate: Joi.number().min(0).precision(2).optional(),
+    perKg: Joi.number().min(0).precision(2).optional(),
+    freeShippingThreshold: Joi.number().min(0).precision(2).allow(null).optional(),
+    isActive: Joi.boolean().optional(),
+  }),
+
+  updateShippingRate: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    method: Joi.string().valid('flat', 'weight_based').optional(),
+    flatRate: Joi.number().min(0).precision(2).optional(),
+    baseRate: Joi.number().min(0).precision(2).optional(),
+    perKg: Joi.number().min(0).precision(2).optional(),
+    freeShippingThreshold: Joi.number().min(0).precision(2).allow(null).optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+
+  // Inventory schemas
+  createWarehouse: Joi.object({
+    code: Joi.string().trim().alphanum().max(20).required(),
+    name: Joi.string().trim().min(1).max(100).required(),
+    address: Joi.object({
+      street: Joi.string().trim().optional(),
+      city: Joi.string().trim().optional(),
+      state: Joi.string().trim().optional(),
+      zipCode: Joi.string().trim().optional(),
+      country: Joi.string().trim().optional(),
+    }).optional(),
+    priority: Joi.number().integer().optional(),
+    isDefault: Joi.boolean().optional(),
+    isActive: Joi.boolean().optional(),
+  }),
+
+  updateWarehouse: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    address: Joi.object({
+      street: Joi.string().trim().optional(),
+      city: Joi.string().trim().optional(),
+      state: Joi.string().trim().optional(),
+      zipCode: Joi.string().trim().optional(),
+      country: Joi.string().trim().optional(),
+    }).optional(),
+    priority: Joi.number().integer().optional(),
+    isDefault: Joi.boolean().optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+
+  transferStock: Joi.object({
+    productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    fromWarehouseId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    toWarehouseId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).invalid(Joi.ref('fromWarehouseId')).required()
+      .messages({ 'any.invalid': 'Destination warehouse must differ from the source' }),
+    quantity: Joi.number().integer().min(1).required(),
+    reason: Joi.string().trim().max(500).optional(),
+  }),
+
+  // Either a signed delta or the physically counted quantity (cycle count)
+  adjustStock: Joi.object({
+    productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    variantId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    warehouseId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    quantity: Joi.number().integer().invalid(0),
+    countedQuantity: Joi.number().integer().min(0),
+    reason: Joi.string().trim().min(1).max(500).required(),
+  }).xor('quantity', 'countedQuantity'),
+
+  // Category schemas
+  createCategory: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(120).optional(),
+    description: Joi.string().trim().max(1000).optional(),
+    parent: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null).optional(),
+    sortOrder: Joi.number().integer().optional(),
+    image: imageSchema.optional(),
+    seo: seoSchema.optional(),
+    isActive: Joi.boolean().optional(),
+  }),
+
+  updateCategory: Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(120).optional(),
+    description: Joi.string().trim().max(1000).allow('').optional(),
+    parent: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null).optional(),
+    sortOrder: Joi.number().integer().optional(),
+    image: imageSchema.optional(),
+    seo: seoSchema.optional(),
+    isActive: Joi.boolean().optional(),
+  }).min(1),
+
+  // Review schemas
+  createReview: Joi.object({
+    productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    rating: Joi.number().integer().min(1).max(5).required(),
+    title: Joi.string().trim().max(150).optional(),
+    body: Joi.string().trim().min(1).max(5000).required(),
+    images: Joi.array().items(imageSchema).max(5).optional(),
+  }),
+
+  updateReview: Joi.object({
+    rating: Joi.number().integer().min(1).max(5).optional(),
+    title: Joi.string().trim().max(150).allow('').optional(),
+    body: Joi.string().trim().min(1).max(5000).optional(),
+    images: Joi.array().items(imageSchema).max(5).optional(),
+  }).min(1),
+
+  moderateReview: Joi.object({
+    note: Joi.string().trim().max(1000).optional(),
   }),
 
   // Notification schemas
@@ -1,15 +1,20 @@
 import AuthService from './auth.service.js';
+import TwoFactorService from './twoFactor.service.js';
+import SessionService from './session.service.js';
 import UserService from '../users/user.service.js';
+import CartService from '../cart/cart.service.js';
 import { sendSuccess, sendCreated, sendBadRequest } from '../../core/response.js';
 import { asyncHandler } from '../../middlewares/error.js';
-import { generateTokens } from '../../middlewares/auth.js';
 import logger from '../../core/logger.js';
 import { notificationWorker } from '../../jobs/notificationWorker.js';
 
 export default class AuthController {
   constructor() {
     this.authService = new AuthService();
+    this.twoFactorService = new TwoFactorService();
+    this.sessionService = new SessionService();
     this.userService = new UserService();
+    this.cartService = new CartService();
   }
 
   /**
@@ -19,14 +24,21 @@ export default class AuthController {
     const userData = req.body;
 
     const user = await this.userService.createUser(userData);
-    const tokens = generateTokens({ userId: user._id, role: user.role });
 
-    // Store refresh token
-    await user.addRefreshToken(tokens.refreshToken, new Date(Date.now() + 7 * 24 * 60 * 60 * 1000));
+    // Roles that require 2FA enroll before they get tokens, as at login
+    const challenge = await this.authService.getTwoFactorChallenge(user);
+    const session = challenge ? null : await this.sessionService.createSession(user, this.getClientInfo(req));
 
     // Send welcome notification
     await notificationWorker.addNotificationJob('user-registered', { user });
 
+    // Queue the verification email (never blocks registration; the user can ask for a resend)
+    await this.authService.sendVerificationEmail(user)
+      .catch(error => logger.warn('Verification email could not be queued', {
+        userId: user._id,
+        error: error.message,
+      }));
+
     logger.info('User registered successfully', {
       userId: user._id,
       email: user.email,
@@ -34,7 +46,7 @@ export default class AuthController {
 
     sendCreated(res, 'User registered successfully', {
       user,
-      tokens,
+      ...(challenge || { tokens: session.tokens }),
     });
   }
 
@@ -44,7 +56,17 @@ export default class AuthController {
   async login(req, res) {
     const { email, password } = req.body;
 
-    const result = await this.authService.login(email, password);
+    const result = await this.authService.login(email, password, this.getClientInfo(req));
+
+    if (result.twoFactorRequired) {
+      return sendSuccess(res, 'Two-factor authentication required', result);
+    }
+
+    if (result.twoFactorSetupRequired) {
+      return sendSuccess(res, 'Two-factor authentication must be set up before signing in', result);
+    }
+
+    await this.mergeGuestCart(req, result.user._id);
 
     logger.info('User logged in successfully', {
       userId: result.user._id,
@@ -55,16 +77,48 @@ export default class AuthController {
   }
 
   /**
-   * Refresh access token
+   * Complete a two-factor login with a TOTP or backup code
    */
-  async refreshToken(req, res) {
-    const user = req.user;
+  async verifyTwoFactorLogin(req, res) {
+    const { challengeToken, code } = req.body;
+
+    const result = await this.authService.completeTwoFactorLogin(challengeToken, code, this.getClientInfo(req));
+
+    await this.mergeGuestCart(req, result.user._id);
+
+    sendSuccess(res, 'Login successful', result);
+  }
+
+  /**
+   * IP and User-Agent of the request, recorded on sessions and security events
+   */
+  getClientInfo(req) {
+    return {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    };
+  }
 
-    const tokens = generateTokens({ userId: user._id, role: user.role });
+  /**
+   * Merge the guest cart into the user's cart (never blocks login)
+   */
+  async mergeGuestCart(req, userId) {
+    const guestCartId = req.get('X-Cart-Id');
 
-    // Update refresh token
-    await user.removeRefreshToken(req.body.refreshToken);
-    await user.addRefreshToken(tokens.refreshToken, new Date(Date.now() + 7 * 24 * 60 * 60 * 1000));
+    if (guestCartId) {
+      await this.cartService.mergeGuestCart(guestCartId, userId)
+        .catch(error => logger.warn('Guest cart merge failed', {
+          userId,
+          error: error.message,
+        }));
+    }
+  }
+
+  /**
+   * Refresh access token
+   */
+  async refreshToken(req, res) {
+    const { tokens } = await this.authService.refreshTokens(req.body.refreshToken);
 
     sendSuccess(res, 'Token refreshed successfully', { tokens });
   }
@@ -73,17 +127,127 @@ export default class AuthController {
    * Logout user
    */
   async logout(req, res) {
-    const { refreshToken } = req.body;
-
-    if (refreshToken) {
-      await req.user.removeRefreshToken(refreshToken);
-    }
+    await this.authService.logout(req.user._id, req.sessionId);
 
     logger.info('User logged out', { userId: req.user._id });
 
     sendSuccess(res, 'Logout successful');
   }
 
+  /**
+   * Verify email address
+   */
+  async verifyEmail(req, res) {
+    const result = await this.authService.verifyEmail(req.body.token);
+    sendSuccess(res, result.message);
+  }
+
+  /**
+   * Resend the verification email to the current user
+   */
+  async resendVerificationEmail(req, res) {
+    const result = await this.authService.sendVerificationEmail(req.user);
+    sendSuccess(res, result.message);
+  }
+
+  /**
+   * Request a password reset link
+   */
+  async forgotPassword(req, res) {
+    const result = await this.authService.generatePasswordResetToken(req.body.email, this.getClientInfo(req));
+    sendSuccess(res, result.message);
+  }
+
+  /**
+   * Reset password with the token from the reset link
+   */
+  async resetPassword(req, res) {
+    const { token, password } = req.body;
+
+    const result = await this.authService.resetPassword(token, password, this.getClientInfo(req));
+    sendSuccess(res, result.message);
+  }
+
+  /**
+   * Start two-factor enrollment
+   */
+  async setupTwoFactor(req, res) {
+    const result = await this.twoFactorService.setup(req.user);
+    sendSuccess(res, 'Scan the QR code with your authenticator app, then confirm with a code', result);
+  }
+
+  /**
+   * Confirm two-factor enrollment; completes the login when it was started by a setup challenge
+   */
+  async confirmTwoFactor(req, res) {
+    const result = await this.twoFactorService.confirm(req.user, req.body.code);
+
+    if (req.twoFactorChallenge) {
+      const session = await this.authService.issueTokens(req.user, this.getClientInfo(req));
+      await this.mergeGuestCart(req, req.user._id);
+
+      return sendSuccess(res, 'Two-factor authentication enabled', { ...session, ...result });
+    }
+
+    sendSuccess(res, 'Two-factor authentication enabled', result);
+  }
+
+  /**
+   * Disable two-factor authentication
+   */
+  async disableTwoFactor(req, res) {
+    const result = await this.twoFactorService.disable(req.user._id, req.body.password);
+    sendSuccess(res, result.message);
+  }
+
+  /**
+   * Replace the two-factor backup codes
+   */
+  async regenerateBackupCodes(req, res) {
+    const result = await this.twoFactorService.regenerateBackupCodes(req.user._id, req.body.password);
+    sendSuccess(res, 'Backup codes regenerated', result);
+  }
+
+  /**
+   * Get the current user's active sessions
+   */
+  async getSessions(req, res) {
+    const sessions = await this.sessionService.getSessions(req.user._id, req.sessionId);
+    sendSuccess(res, 'Sessions retrieved successfully', sessions);
+  }
+
+  /**
+   * Revoke one of the current user's sessions
+   */
+  async revokeSession(req, res) {
+    const result = await this.sessionService.revokeSession(req.user._id, req.params.sessionId);
+    sendSuccess(res, result.message);
+  }
+
+  /**
+   * Revoke all of the current user's sessions except this one
+   */
+  async revokeOtherSessions(req, res) {
+    const result = await this.sessionService.revokeOtherSessions(req.user._id, req.sessionId);
+    sendSuccess(res, 'Other sessions revoked successfully', result);
+  }
+
+  /**
+   * Get the two-factor requirement of every role (admin)
+   */
+  async getTwoFactorPolicies(req, res) {
+    const policies = await this.twoFactorService.getPolicies();
+    sendSuccess(res, 'Two-factor policies retrieved successfully', policies);
+  }
+
+  /**
+   * Require two-factor authentication for a role (admin)
+   */
+  async updateTwoFactorPolicy(req, res) {
+    const policy = await this.twoFactorService.updatePolicy(req.params.role, req.body.required, req.user._id);
+    sendSuccess(res, 'Two-factor policy updated successfully', policy);
+  }
+
   /**
    * Get current user profile
    */
@@ -101,6 +265,15 @@ export default class AuthController {
 
     const user = await this.userService.updateUser(userId, updateData);
 
+    // A changed address has to be verified again
+    if (!user.emailVerified && updateData.email) {
+      await this.authService.sendVerificationEmail(user)
+        .catch(error => logger.warn('Verification email could not be queued', {
+          userId: user._id,
+          error: error.message,
+        }));
+    }
+
     sendSuccess(res, 'Profile updated successfully', user);
   }
 
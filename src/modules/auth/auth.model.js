@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { hashToken } from '../../utils/tokens.js';
+import { ROLES } from '../../middlewares/rbac.js';
 
 const authSessionSchema = new mongoose.Schema({
   userId: {
@@ -6,19 +8,12 @@ const authSessionSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
+  // Carried as `sid` in the access and refresh tokens of this session
   sessionId: {
     type: String,
     required: true,
     unique: true,
   },
-  accessToken: {
-    type: String,
-    required: true,
-  },
-  refreshToken: {
-    type: String,
-    required: true,
-  },
   deviceInfo: {
     userAgent: String,
     ip: String,
@@ -38,20 +33,48 @@ const authSessionSchema = new mongoose.Schema({
     type: Date,
     required: true,
   },
+  revokedAt: Date,
+  revokedReason: String,
 }, {
   timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret.sessionId;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.sessionId;
+      return ret;
+    },
+  },
 });
 
 // Indexes
-authSessionSchema.index({ userId: 1 });
-authSessionSchema.index({ sessionId: 1 });
-authSessionSchema.index({ refreshToken: 1 });
+authSessionSchema.index({ userId: 1, isActive: 1 });
 authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
-authSessionSchema.index({ isActive: 1 });
 
 // Static method to find active sessions by user
 authSessionSchema.statics.findActiveSessionsByUser = function(userId) {
-  return this.find({ userId, isActive: true });
+  return this.find({ userId, isActive: true, expiresAt: { $gt: new Date() } });
+};
+
+// Static method to find a session that can still authenticate requests
+authSessionSchema.statics.findActiveSession = function(sessionId) {
+  return this.findOne({ sessionId, isActive: true, expiresAt: { $gt: new Date() } });
+};
+
+// Static method to revoke every active session of a user, optionally keeping one
+authSessionSchema.statics.revokeAllForUser = function(userId, { except, reason } = {}) {
+  const filter = { userId, isActive: true };
+
+  if (except) {
+    filter.sessionId = { $ne: except };
+  }
+
+  return this.updateMany(filter, {
+    isActive: false,
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
 };
 
 // Static method to cleanup expired sessions
@@ -66,11 +89,61 @@ authSessionSchema.methods.updateActivity = async function() {
 };
 
 // Instance method to revoke session
-authSessionSchema.methods.revoke = async function() {
+authSessionSchema.methods.revoke = async function(reason) {
   this.isActive = false;
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
   return this.save();
 };
 
+// One refresh token of a session; each refresh retires it in favour of a new one in the same family
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // The sessionId of the AuthSession that issued the token
+  familyId: {
+    type: String,
+    required: true,
+  },
+  // SHA-256 hash of the token handed to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'rotated', 'revoked'],
+    default: 'active',
+  },
+  rotatedAt: Date,
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+refreshTokenSchema.index({ familyId: 1, status: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to revoke every token of a family
+refreshTokenSchema.statics.revokeFamily = function(familyId) {
+  return this.updateMany(
+    { familyId, status: { $ne: 'revoked' } },
+    { status: 'revoked' }
+  );
+};
+
 const authAttemptSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -122,7 +195,8 @@ const passwordResetSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
-  token: {
+  // SHA-256 hash of the token in the reset link
+  tokenHash: {
     type: String,
     required: true,
     unique: true,
@@ -135,37 +209,83 @@ const passwordResetSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  usedAt: Date,
   expiresAt: {
     type: Date,
     required: true,
   },
+  // Client that requested the reset
   ip: String,
   userAgent: String,
+  // Client that completed the reset
+  usedIp: String,
+  usedUserAgent: String,
 }, {
   timestamps: true,
 });
 
 // Indexes
-passwordResetSchema.index({ token: 1 });
 passwordResetSchema.index({ userId: 1 });
 passwordResetSchema.index({ email: 1 });
 passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
-// Instance method to mark as used
-passwordResetSchema.methods.markAsUsed = async function() {
-  this.used = true;
-  return this.save();
-};
-
 // Static method to find valid token
 passwordResetSchema.statics.findValidToken = function(token) {
   return this.findOne({
-    token,
+    tokenHash: hashToken(token),
     used: false,
     expiresAt: { $gt: new Date() },
   });
 };
 
+// Static method to mark a valid token as used; atomic so a token can only be redeemed once
+passwordResetSchema.statics.consumeToken = function(token, { ip, userAgent } = {}) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      used: false,
+      expiresAt: { $gt: now },
+    },
+    {
+      used: true,
+      usedAt: now,
+      usedIp: ip,
+      usedUserAgent: userAgent,
+    },
+    { new: true }
+  );
+};
+
+// Per-role requirement for two-factor authentication, managed by admins
+const twoFactorPolicySchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: Object.values(ROLES),
+    required: true,
+    unique: true,
+  },
+  required: {
+    type: Boolean,
+    default: false,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Static method to check whether a role must use two-factor authentication
+twoFactorPolicySchema.statics.isRequiredForRole = async function(role) {
+  const policy = await this.findOne({ role }).lean();
+  return Boolean(policy?.required);
+};
+
 export const AuthSession = mongoose.model('AuthSession', authSessionSchema);
+export const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
 export const AuthAttempt = mongoose.model('AuthAttempt', authAttemptSchema);
 export const PasswordReset = mongoose.model('PasswordReset', passwordResetSchema);
+export const TwoFactorPolicy = mongoose.model('TwoFactorPolicy', twoFactorPolicySchema);
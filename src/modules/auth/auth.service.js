@@ -1,14 +1,28 @@
+import crypto from 'crypto';
 import User from '../users/user.model.js';
-import { generateTokens } from '../../middlewares/auth.js';
-import { AuthenticationError, NotFoundError } from '../../core/error.js';
+import { AuthSession, PasswordReset, TwoFactorPolicy } from './auth.model.js';
+import SessionService from './session.service.js';
+import {
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  TWO_FACTOR_CHALLENGES,
+} from '../../middlewares/auth.js';
+import { AuthenticationError, ValidationError, RateLimitError } from '../../core/error.js';
+import { config } from '../../config/env.js';
+import { generateToken, hashToken } from '../../utils/tokens.js';
 import logger from '../../core/logger.js';
 import { notificationWorker } from '../../jobs/notificationWorker.js';
+import { emailQueue } from '../../jobs/emailQueue.js';
 
 export default class AuthService {
+  constructor() {
+    this.sessionService = new SessionService();
+  }
+
   /**
-   * Login user with email and password
+   * Login user with email and password; 2FA users get a challenge token instead of tokens
    */
-  async login(email, password) {
+  async login(email, password, client = {}) {
     try {
       // Find user by email and include password
       const user = await User.findByEmail(email).select('+password');
@@ -27,117 +41,278 @@ export default class AuthService {
         throw new AuthenticationError('Invalid email or password');
       }
 
-      // Generate tokens
-      const tokens = generateTokens({ userId: user._id, role: user.role });
+      const challenge = await this.getTwoFactorChallenge(user);
 
-      // Store refresh token
-      await user.addRefreshToken(tokens.refreshToken, new Date(Date.now() + 7 * 24 * 60 * 60 * 1000));
-
-      // Update last login
-      await user.updateLastLogin();
+      if (challenge) {
+        return challenge;
+      }
 
-      // Send login alert notification
-      await notificationWorker.addNotificationJob('user-login-alert', {
-        user,
-        loginInfo: {
-          ip: '127.0.0.1', // This would come from request in real implementation
-          userAgent: 'Browser', // This would come from request in real implementation
-          timestamp: new Date(),
-        },
-      });
+      return await this.issueTokens(user, client);
+    } catch (error) {
+      logger.error('Login failed:', error);
+      throw error;
+    }
+  }
 
-      // Remove password from response
-      const userResponse = user.toJSON();
+  /**
+   * Get the two-factor challenge a user must pass before tokens are issued, or null if none is due
+   */
+  async getTwoFactorChallenge(user) {
+    if (user.twoFactorEnabled) {
+      // A new challenge replaces any earlier one and its attempts
+      const challengeId = crypto.randomUUID();
+      user.twoFactorChallenge = { challengeId, attempts: 0 };
+      await user.save();
 
-      logger.info('User login successful', {
-        userId: user._id,
-        email: user.email,
-      });
+      logger.info('Two-factor challenge issued', { userId: user._id });
+      return {
+        twoFactorRequired: true,
+        ...generateTwoFactorChallenge(user._id, TWO_FACTOR_CHALLENGES.LOGIN, challengeId),
+      };
+    }
 
+    // The role requires 2FA: no tokens until the user has enrolled
+    if (await TwoFactorPolicy.isRequiredForRole(user.role)) {
+      logger.info('Two-factor setup required', { userId: user._id });
       return {
-        user: userResponse,
-        tokens,
+        twoFactorSetupRequired: true,
+        ...generateTwoFactorChallenge(user._id, TWO_FACTOR_CHALLENGES.SETUP),
       };
+    }
+
+    return null;
+  }
+
+  /**
+   * Second login step: exchange the challenge token and a TOTP or backup code for tokens
+   *
+   * Each attempt is counted on the challenge before the code is checked, so a
+   * challenge allows TWO_FACTOR_MAX_ATTEMPTS codes however they are sent; after
+   * that, or once it succeeds, the user has to sign in with the password again.
+   */
+  async completeTwoFactorLogin(challengeToken, code, client = {}) {
+    try {
+      const { userId, jti } = verifyTwoFactorChallenge(challengeToken, TWO_FACTOR_CHALLENGES.LOGIN);
+
+      const user = jti && await User.findOneAndUpdate(
+        {
+          _id: userId,
+          'twoFactorChallenge.challengeId': jti,
+          'twoFactorChallenge.attempts': { $lt: config.TWO_FACTOR_MAX_ATTEMPTS },
+        },
+        { $inc: { 'twoFactorChallenge.attempts': 1 } },
+        { new: true }
+      );
+
+      if (!user || !user.isActive || !user.twoFactorEnabled) {
+        throw new AuthenticationError('Invalid or expired challenge token, please sign in again');
+      }
+
+      // The code is used up in the write that ends the challenge, guarded on it
+      // still being unused, so concurrent logins cannot both spend it
+      const match = user.matchTwoFactorCode(code);
+      let authenticated = null;
+
+      if (match) {
+        const codeUse = match.method === 'totp'
+          ? {
+            filter: { twoFactorLastStep: { $not: { $gte: match.step } } },
+            set: { twoFactorLastStep: match.step },
+          }
+          : {
+            filter: { twoFactorBackupCodes: { $elemMatch: { codeHash: match.codeHash, usedAt: null } } },
+            set: { 'twoFactorBackupCodes.$.usedAt': new Date() },
+          };
+
+        authenticated = await User.findOneAndUpdate(
+          { _id: user._id, 'twoFactorChallenge.challengeId': jti, ...codeUse.filter },
+          { $set: codeUse.set, $unset: { twoFactorChallenge: 1 } },
+          { new: true }
+        );
+      }
+
+      if (!authenticated) {
+        const remaining = config.TWO_FACTOR_MAX_ATTEMPTS - user.twoFactorChallenge.attempts;
+        logger.warn('Invalid two-factor code at login', { userId, remaining });
+        throw new AuthenticationError(remaining > 0
+          ? 'Invalid two-factor code'
+          : 'Too many invalid two-factor codes, please sign in again');
+      }
+
+      const result = await this.issueTokens(authenticated, client);
+
+      if (match.method === 'backup_code') {
+        result.backupCodesRemaining = authenticated.getRemainingBackupCodes();
+      }
+
+      return result;
     } catch (error) {
-      logger.error('Login failed:', error);
+      if (error instanceof AuthenticationError) {
+        throw error;
+      }
+      logger.error('Two-factor login failed:', error);
       throw error;
     }
   }
 
   /**
-   * Verify refresh token
+   * Start a device session for a user who has fully authenticated
    */
-  async verifyRefreshToken(refreshToken) {
+  async issueTokens(user, { ip, userAgent } = {}) {
+    const { tokens } = await this.sessionService.createSession(user, { ip, userAgent });
+
+    // Update last login
+    await user.updateLastLogin();
+
+    // Send login alert notification
+    await notificationWorker.addNotificationJob('user-login-alert', {
+      user,
+      loginInfo: {
+        ip,
+        userAgent,
+        timestamp: new Date(),
+      },
+    });
+
+    // Remove password from response
+    const userResponse = user.toJSON();
+
+    logger.info('User login successful', {
+      userId: user._id,
+      email: user.email,
+    });
+
+    return {
+      user: userResponse,
+      tokens,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (the presented token is retired)
+   */
+  async refreshTokens(refreshToken) {
+    return this.sessionService.rotateRefreshToken(refreshToken);
+  }
+
+  /**
+   * Logout user (end the current session)
+   */
+  async logout(userId, sessionId) {
     try {
-      const user = await User.findOne({
-        'refreshTokens.token': refreshToken,
-        'refreshTokens.expiresAt': { $gt: new Date() },
-      });
+      await this.sessionService.revokeSession(userId, sessionId);
 
-      if (!user) {
-        throw new AuthenticationError('Invalid refresh token');
+      logger.info('User logout successful', { userId });
+      return { message: 'Logout successful' };
+    } catch (error) {
+      logger.error('Logout failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue an email verification token and queue the verification email
+   */
+  async sendVerificationEmail(user) {
+    try {
+      if (user.emailVerified) {
+        throw new ValidationError('Email is already verified');
       }
 
-      if (!user.isActive) {
-        throw new AuthenticationError('Account is deactivated');
+      const cooldown = config.EMAIL_VERIFICATION_RESEND_COOLDOWN * 1000;
+      if (user.emailVerificationSentAt && Date.now() - user.emailVerificationSentAt.getTime() < cooldown) {
+        throw new RateLimitError('A verification email was sent recently, please try again later');
       }
 
-      return user;
+      const token = user.createEmailVerificationToken();
+      await user.save();
+
+      await emailQueue.sendVerificationEmail(user, token);
+
+      logger.info('Verification email queued', { userId: user._id });
+      return { message: 'Verification email sent' };
     } catch (error) {
-      logger.error('Refresh token verification failed:', error);
+      if (error instanceof ValidationError || error instanceof RateLimitError) {
+        throw error;
+      }
+      logger.error('Failed to send verification email:', error);
       throw error;
     }
   }
 
   /**
-   * Logout user (remove refresh token)
+   * Verify email address with the token from the verification link
    */
-  async logout(userId, refreshToken) {
+  async verifyEmail(token) {
     try {
-      const user = await User.findById(userId);
+      const user = await User.findOne({
+        emailVerificationToken: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() },
+      });
 
       if (!user) {
-        throw new NotFoundError('User not found');
+        throw new AuthenticationError('Invalid or expired verification token');
       }
 
-      if (refreshToken) {
-        await user.removeRefreshToken(refreshToken);
-      }
+      await user.markEmailVerified();
 
-      logger.info('User logout successful', { userId });
-      return { message: 'Logout successful' };
+      logger.info('Email verified', { userId: user._id });
+      return { message: 'Email verified successfully' };
     } catch (error) {
-      logger.error('Logout failed:', error);
+      if (error instanceof AuthenticationError) {
+        throw error;
+      }
+      logger.error('Email verification failed:', error);
       throw error;
     }
   }
 
   /**
-   * Generate password reset token
+   * Issue a password reset token and queue the reset email; responds the same whether or not the account exists
    */
-  async generatePasswordResetToken(email) {
+  async generatePasswordResetToken(email, { ip, userAgent } = {}) {
+    const response = { message: 'If an account exists for this email, a password reset link has been sent' };
+
     try {
       const user = await User.findByEmail(email);
 
-      if (!user) {
-        throw new NotFoundError('User not found');
+      if (!user || !user.isActive) {
+        logger.info('Password reset requested for unknown or inactive account', { ip });
+        return response;
       }
 
-      const resetToken = crypto.randomBytes(32).toString('hex');
-      const resetTokenExpiry = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+      // Only the most recent link stays valid
+      await PasswordReset.updateMany(
+        { userId: user._id, used: false },
+        { expiresAt: new Date() }
+      );
 
-      user.passwordResetToken = resetToken;
-      user.passwordResetExpires = resetTokenExpiry;
-      await user.save();
+      const resetToken = generateToken();
 
-      // Send password reset notification
-      await notificationWorker.addNotificationJob('password-reset-requested', {
-        user,
-        resetToken,
+      await PasswordReset.create({
+        userId: user._id,
+        tokenHash: hashToken(resetToken),
+        email: user.email,
+        expiresAt: new Date(Date.now() + config.PASSWORD_RESET_TTL * 60 * 1000),
+        ip,
+        userAgent,
       });
 
+      // A queue failure must not change the response, or it would reveal that the account exists
+      await emailQueue.sendPasswordResetEmail(user, resetToken)
+        .catch(error => logger.error('Password reset email could not be queued', {
+          userId: user._id,
+          error: error.message,
+        }));
+
+      await notificationWorker.addNotificationJob('password-reset-requested', { user })
+        .catch(error => logger.warn('Password reset notification could not be queued', {
+          userId: user._id,
+          error: error.message,
+        }));
+
       logger.info('Password reset token generated', { userId: user._id });
-      return { message: 'Password reset token sent to email' };
+      return response;
     } catch (error) {
       logger.error('Password reset token generation failed:', error);
       throw error;
@@ -147,29 +322,39 @@ export default class AuthService {
   /**
    * Reset password with token
    */
-  async resetPassword(token, newPassword) {
+  async resetPassword(token, newPassword, { ip, userAgent } = {}) {
     try {
-      const user = await User.findOne({
-        passwordResetToken: token,
-        passwordResetExpires: { $gt: new Date() },
-      });
+      const reset = await PasswordReset.consumeToken(token, { ip, userAgent });
 
-      if (!user) {
+      if (!reset) {
         throw new AuthenticationError('Invalid or expired reset token');
       }
 
-      user.password = newPassword;
-      user.passwordResetToken = undefined;
-      user.passwordResetExpires = undefined;
+      const user = await User.findById(reset.userId);
+
+      if (!user || !user.isActive) {
+        throw new AuthenticationError('Invalid or expired reset token');
+      }
 
-      // Clear all refresh tokens for security
-      await user.clearRefreshTokens();
+      user.password = newPassword;
 
       await user.save();
 
-      logger.info('Password reset successful', { userId: user._id });
+      // Sign out every device for security
+      await AuthSession.revokeAllForUser(user._id, { reason: 'password_reset' });
+
+      // Retire any other outstanding links for this account
+      await PasswordReset.updateMany(
+        { userId: user._id, used: false },
+        { expiresAt: new Date() }
+      );
+
+      logger.info('Password reset successful', { userId: user._id, ip });
       return { message: 'Password reset successful' };
     } catch (error) {
+      if (error instanceof AuthenticationError) {
+        throw error;
+      }
       logger.error('Password reset failed:', error);
       throw error;
     }
@@ -0,0 +1,224 @@
+import crypto from 'crypto';
+import User from '../users/user.model.js';
+import { AuthSession, RefreshToken, TwoFactorPolicy } from './auth.model.js';
+import { generateTokens, verifyToken } from '../../middlewares/auth.js';
+import { AuthenticationError, NotFoundError, ValidationError } from '../../core/error.js';
+import { config } from '../../config/env.js';
+import { hashToken, durationToMs } from '../../utils/tokens.js';
+import { parseUserAgent } from '../../utils/userAgent.js';
+import logger from '../../core/logger.js';
+import { notificationWorker } from '../../jobs/notificationWorker.js';
+
+// Sessions live as long as the refresh token issued with them
+const SESSION_TTL = durationToMs(config.JWT_REFRESH_EXPIRES_IN);
+
+export default class SessionService {
+  /**
+   * Start a device session and issue its tokens
+   */
+  async createSession(user, { ip, userAgent } = {}) {
+    try {
+      const session = await AuthSession.create({
+        userId: user._id,
+        sessionId: crypto.randomUUID(),
+        deviceInfo: {
+          ip,
+          ...parseUserAgent(userAgent),
+        },
+        expiresAt: new Date(Date.now() + SESSION_TTL),
+      });
+
+      const { tokens } = await this.issueSessionTokens(user, session);
+
+      logger.info('Session created', {
+        userId: user._id,
+        sessionId: session.sessionId,
+        device: session.deviceInfo.device,
+      });
+
+      return { session, tokens };
+    } catch (error) {
+      logger.error('Failed to create session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rotate a refresh token: retire it and issue a new pair in the same family.
+   * A retired token presented again means it was stolen, so its whole family is revoked.
+   */
+  async rotateRefreshToken(refreshToken) {
+    try {
+      const decoded = verifyToken(refreshToken, config.JWT_REFRESH_SECRET);
+      const token = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+      if (token?.status === 'rotated') {
+        await this.handleRefreshTokenReuse(token);
+        throw new AuthenticationError('Invalid refresh token');
+      }
+
+      if (!token || token.status !== 'active' || token.expiresAt <= new Date()) {
+        throw new AuthenticationError('Invalid refresh token');
+      }
+
+      const session = await AuthSession.findActiveSession(token.familyId);
+
+      if (!session || !session.userId.equals(decoded.userId)) {
+        throw new AuthenticationError('Session has been revoked or has expired');
+      }
+
+      const user = await User.findById(session.userId);
+
+      if (!user || !user.isActive) {
+        throw new AuthenticationError('Invalid refresh token');
+      }
+
+      // The role has required 2FA since this session started: sign in again to enroll
+      if (!user.twoFactorEnabled && await TwoFactorPolicy.isRequiredForRole(user.role)) {
+        await session.revoke('two_factor_required');
+        throw new AuthenticationError('Two-factor authentication must be set up, please sign in again');
+      }
+
+      // Claim the token atomically; losing the race means it was presented twice
+      const current = await RefreshToken.findOneAndUpdate(
+        { _id: token._id, status: 'active' },
+        { status: 'rotated', rotatedAt: new Date() },
+        { new: true }
+      );
+
+      if (!current) {
+        await this.handleRefreshTokenReuse(token);
+        throw new AuthenticationError('Invalid refresh token');
+      }
+
+      const { tokens, record } = await this.issueSessionTokens(user, session);
+
+      current.replacedBy = record._id;
+      await current.save();
+
+      await session.updateActivity();
+
+      logger.info('Refresh token rotated', { userId: user._id, sessionId: session.sessionId });
+      return { user, tokens };
+    } catch (error) {
+      if (error instanceof AuthenticationError) {
+        throw error;
+      }
+      logger.error('Failed to rotate refresh token:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue an access and refresh token pair for a session, storing only the refresh token's hash
+   */
+  async issueSessionTokens(user, session) {
+    const tokens = generateTokens({ userId: user._id, role: user.role, sid: session.sessionId });
+
+    const record = await RefreshToken.create({
+      userId: user._id,
+      familyId: session.sessionId,
+      tokenHash: hashToken(tokens.refreshToken),
+      expiresAt: session.expiresAt,
+    });
+
+    return { tokens, record };
+  }
+
+  /**
+   * Revoke the family of a reused refresh token and warn the account owner
+   */
+  async handleRefreshTokenReuse(token) {
+    await RefreshToken.revokeFamily(token.familyId);
+
+    const session = await AuthSession.findOne({ sessionId: token.familyId });
+
+    if (session?.isActive) {
+      await session.revoke('refresh_token_reuse');
+    }
+
+    logger.warn('Refresh token reuse detected, token family revoked', {
+      userId: token.userId,
+      sessionId: token.familyId,
+    });
+
+    const user = await User.findById(token.userId);
+
+    if (user) {
+      await notificationWorker.addNotificationJob('refresh-token-reused', {
+        user,
+        session: session?.toJSON(),
+      }, { priority: 1 })
+        .catch(error => logger.warn('Security notification could not be queued', {
+          userId: user._id,
+          error: error.message,
+        }));
+    }
+  }
+
+  /**
+   * Get the active sessions of a user, most recently used first
+   */
+  async getSessions(userId, currentSessionId) {
+    try {
+      const sessions = await AuthSession.findActiveSessionsByUser(userId).sort({ lastActivity: -1 });
+
+      return sessions.map(session => ({
+        ...session.toJSON(),
+        current: session.sessionId === currentSessionId,
+      }));
+    } catch (error) {
+      logger.error('Failed to get sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of the user's sessions
+   */
+  async revokeSession(userId, sessionId) {
+    try {
+      const session = await AuthSession.findOne({ userId, sessionId, isActive: true });
+
+      if (!session) {
+        throw new NotFoundError('Session not found');
+      }
+
+      await session.revoke('revoked_by_user');
+
+      logger.info('Session revoked', { userId, sessionId });
+      return { message: 'Session revoked successfully' };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to revoke session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every session of the user except the current one
+   */
+  async revokeOtherSessions(userId, currentSessionId) {
+    try {
+      if (!currentSessionId) {
+        throw new ValidationError('Current session could not be determined');
+      }
+
+      const result = await AuthSession.revokeAllForUser(userId, {
+        except: currentSessionId,
+        reason: 'revoked_by_user',
+      });
+
+      logger.info('Other sessions revoked', { userId, count: result.modifiedCount });
+      return { revoked: result.modifiedCount };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to revoke other sessions:', error);
+      throw error;
+    }
+  }
+}
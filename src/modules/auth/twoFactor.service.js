@@ -0,0 +1,191 @@
+import User from '../users/user.model.js';
+import { TwoFactorPolicy } from './auth.model.js';
+import { ROLES } from '../../middlewares/rbac.js';
+import { AuthenticationError, AuthorizationError, ValidationError } from '../../core/error.js';
+import { config } from '../../config/env.js';
+import { buildOtpauthUri } from '../../utils/totp.js';
+import logger from '../../core/logger.js';
+
+export default class TwoFactorService {
+  /**
+   * Start enrollment: generate a secret and the otpauth URI the client renders as a QR code
+   */
+  async setup(user) {
+    try {
+      if (user.twoFactorEnabled) {
+        throw new ValidationError('Two-factor authentication is already enabled');
+      }
+
+      const secret = user.startTwoFactorEnrollment();
+      await user.save();
+
+      logger.info('Two-factor enrollment started', { userId: user._id });
+
+      return {
+        secret,
+        otpauthUrl: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: config.TWO_FACTOR_ISSUER,
+        }),
+      };
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to start two-factor enrollment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm enrollment with the first code from the authenticator app and issue backup codes
+   */
+  async confirm(user, code) {
+    try {
+      if (user.twoFactorEnabled) {
+        throw new ValidationError('Two-factor authentication is already enabled');
+      }
+
+      if (!user.twoFactorSecret) {
+        throw new ValidationError('Two-factor setup has not been started');
+      }
+
+      if (user.verifyTwoFactorCode(code) !== 'totp') {
+        throw new AuthenticationError('Invalid two-factor code');
+      }
+
+      const backupCodes = user.enableTwoFactor();
+      await user.save();
+
+      logger.info('Two-factor authentication enabled', { userId: user._id });
+      return { backupCodes };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof AuthenticationError) {
+        throw error;
+      }
+      logger.error('Failed to confirm two-factor enrollment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn off two-factor authentication after re-checking the password
+   */
+  async disable(userId, password) {
+    try {
+      const user = await this.reauthenticate(userId, password);
+
+      if (!user.twoFactorEnabled) {
+        throw new ValidationError('Two-factor authentication is not enabled');
+      }
+
+      if (await TwoFactorPolicy.isRequiredForRole(user.role)) {
+        throw new AuthorizationError('Two-factor authentication is required for your role');
+      }
+
+      user.disableTwoFactor();
+      await user.save();
+
+      logger.info('Two-factor authentication disabled', { userId });
+      return { message: 'Two-factor authentication disabled' };
+    } catch (error) {
+      if (
+        error instanceof ValidationError ||
+        error instanceof AuthenticationError ||
+        error instanceof AuthorizationError
+      ) {
+        throw error;
+      }
+      logger.error('Failed to disable two-factor authentication:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the backup codes after re-checking the password
+   */
+  async regenerateBackupCodes(userId, password) {
+    try {
+      const user = await this.reauthenticate(userId, password);
+
+      if (!user.twoFactorEnabled) {
+        throw new ValidationError('Two-factor authentication is not enabled');
+      }
+
+      const backupCodes = user.generateTwoFactorBackupCodes();
+      await user.save();
+
+      logger.info('Two-factor backup codes regenerated', { userId });
+      return { backupCodes };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof AuthenticationError) {
+        throw error;
+      }
+      logger.error('Failed to regenerate backup codes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a user and check their password before a sensitive two-factor change
+   */
+  async reauthenticate(userId, password) {
+    const user = await User.findById(userId).select('+password');
+
+    if (!user || !(await user.comparePassword(password))) {
+      throw new AuthenticationError('Password is incorrect');
+    }
+
+    return user;
+  }
+
+  /**
+   * Get the two-factor requirement of every role
+   */
+  async getPolicies() {
+    try {
+      const policies = await TwoFactorPolicy.find().lean();
+
+      return Object.values(ROLES).map(role => {
+        const policy = policies.find(entry => entry.role === role);
+
+        return {
+          role,
+          required: Boolean(policy?.required),
+          updatedBy: policy?.updatedBy || null,
+          updatedAt: policy?.updatedAt || null,
+        };
+      });
+    } catch (error) {
+      logger.error('Failed to get two-factor policies:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Require (or stop requiring) two-factor authentication for a role
+   */
+  async updatePolicy(role, required, adminId) {
+    try {
+      if (!Object.values(ROLES).includes(role)) {
+        throw new ValidationError(`Unknown role: ${role}`);
+      }
+
+      const policy = await TwoFactorPolicy.findOneAndUpdate(
+        { role },
+        { required, updatedBy: adminId },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      logger.info('Two-factor policy updated', { role, required, adminId });
+      return policy;
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to update two-factor policy:', error);
+      throw error;
+    }
+  }
+}
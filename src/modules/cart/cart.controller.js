@@ -0,0 +1,79 @@
+import CartService from './cart.service.js';
+import { sendSuccess, sendCreated } from '../../core/response.js';
+
+export default class CartController {
+  constructor() {
+    this.cartService = new CartService();
+  }
+
+  /**
+   * Resolve the cart owner and echo the guest cart ID back to the client
+   */
+  getCartOwner(req, res) {
+    const owner = this.cartService.resolveOwner(req.user, req.get('X-Cart-Id'));
+
+    if (owner.guestId) {
+      res.set('X-Cart-Id', owner.guestId);
+    }
+
+    return owner;
+  }
+
+  /**
+   * Get current cart
+   */
+  async getCart(req, res) {
+    const owner = this.getCartOwner(req, res);
+    const cart = await this.cartService.getCart(owner);
+    sendSuccess(res, 'Cart retrieved successfully', cart);
+  }
+
+  /**
+   * Add item to cart
+   */
+  async addItem(req, res) {
+    const owner = this.getCartOwner(req, res);
+    const { productId, quantity, variantId } = req.body;
+    const cart = await this.cartService.addItem(owner, productId, quantity, variantId);
+    sendSuccess(res, 'Item added to cart', cart);
+  }
+
+  /**
+   * Update cart item quantity
+   */
+  async updateItem(req, res) {
+    const owner = this.getCartOwner(req, res);
+    const { productId } = req.params;
+    const { quantity } = req.body;
+    const cart = await this.cartService.updateItem(owner, productId, quantity, req.query.variantId);
+    sendSuccess(res, 'Cart item updated', cart);
+  }
+
+  /**
+   * Remove item from cart
+   */
+  async removeItem(req, res) {
+    const owner = this.getCartOwner(req, res);
+    const { productId } = req.params;
+    const cart = await this.cartService.removeItem(owner, productId, req.query.variantId);
+    sendSuccess(res, 'Item removed from cart', cart);
+  }
+
+  /**
+   * Clear cart
+   */
+  async clearCart(req, res) {
+    const owner = this.getCartOwner(req, res);
+    const cart = await this.cartService.clearCart(owner);
+    sendSuccess(res, 'Cart cleared', cart);
+  }
+
+  /**
+   * Checkout cart into an order
+   */
+  async checkout(req, res) {
+    const userId = req.user._id;
+    const order = await this.cartService.checkout(userId, req.body);
+    sendCreated(res, 'Order created successfully', order);
+  }
+}
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+const cartItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variantId: mongoose.Schema.Types.ObjectId,
+  name: {
+    type: String,
+    required: true,
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const cartSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  guestId: {
+    type: String,
+    trim: true,
+  },
+  items: [cartItemSchema],
+  expiresAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+cartSchema.index({ userId: 1 }, { unique: true, sparse: true });
+cartSchema.index({ guestId: 1 }, { unique: true, sparse: true });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for subtotal
+cartSchema.virtual('subtotal').get(function() {
+  return this.items.reduce((total, item) => total + (item.price * item.quantity), 0);
+});
+
+// Virtual for total items count
+cartSchema.virtual('totalItems').get(function() {
+  return this.items.reduce((total, item) => total + item.quantity, 0);
+});
+
+export default mongoose.model('Cart', cartSchema);
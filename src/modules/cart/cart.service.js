@@ -0,0 +1,430 @@
+import crypto from 'crypto';
+import Cart from './cart.model.js';
+import Product from '../products/product.model.js';
+import OrderService from '../orders/order.service.js';
+import redisClient from '../../config/redis.js';
+import { config } from '../../config/env.js';
+import { NotFoundError, ValidationError } from '../../core/error.js';
+import logger from '../../core/logger.js';
+
+const GUEST_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+// Cart lines are keyed by product and, for products with variants, variant
+const isSameLine = (item, productId, variantId = null) => item.productId === productId
+  && (item.variantId || null) === (variantId || null);
+
+export default class CartService {
+  constructor() {
+    this.orderService = new OrderService();
+  }
+
+  /**
+   * Resolve the cart owner from the authenticated user or guest cart ID
+   */
+  resolveOwner(user, guestId = null) {
+    if (user) {
+      return { userId: user._id.toString() };
+    }
+
+    if (!guestId) {
+      return { guestId: crypto.randomUUID() };
+    }
+
+    if (!GUEST_ID_PATTERN.test(guestId)) {
+      throw new ValidationError('Invalid cart ID');
+    }
+
+    return { guestId };
+  }
+
+  /**
+   * Get Redis key for a cart owner
+   */
+  getCacheKey(owner) {
+    return owner.userId ? `cart:user:${owner.userId}` : `cart:guest:${owner.guestId}`;
+  }
+
+  /**
+   * Get Mongo filter for a cart owner
+   */
+  getOwnerFilter(owner) {
+    return owner.userId ? { userId: owner.userId } : { guestId: owner.guestId };
+  }
+
+  /**
+   * Get cart TTL (seconds) for a cart owner
+   */
+  getTtl(owner) {
+    return owner.userId ? config.CART_TTL : config.GUEST_CART_TTL;
+  }
+
+  /**
+   * Load cart items from Redis, falling back to the Mongo snapshot
+   */
+  async loadItems(owner) {
+    const cached = await redisClient.get(this.getCacheKey(owner));
+    if (cached) {
+      return cached.items;
+    }
+
+    const snapshot = await Cart.findOne(this.getOwnerFilter(owner)).lean();
+    if (!snapshot) {
+      return [];
+    }
+
+    const items = snapshot.items.map(item => ({
+      productId: item.productId.toString(),
+      ...(item.variantId && { variantId: item.variantId.toString() }),
+      name: item.name,
+      price: item.price,
+      quantity: item.quantity,
+      addedAt: item.addedAt,
+    }));
+
+    // Warm Redis from the snapshot
+    await redisClient.set(this.getCacheKey(owner), { items }, this.getTtl(owner));
+
+    return items;
+  }
+
+  /**
+   * Save cart items to Redis and snapshot them to Mongo
+   */
+  async saveItems(owner, items) {
+    const ttl = this.getTtl(owner);
+
+    await redisClient.set(this.getCacheKey(owner), { items }, ttl);
+
+    await Cart.findOneAndUpdate(
+      this.getOwnerFilter(owner),
+      {
+        $set: {
+          items,
+          // Guest carts expire, user carts are kept
+          expiresAt: owner.guestId ? new Date(Date.now() + ttl * 1000) : null,
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Delete a cart from Redis and Mongo
+   */
+  async deleteCart(owner) {
+    await redisClient.del(this.getCacheKey(owner));
+    await Cart.deleteOne(this.getOwnerFilter(owner));
+  }
+
+  /**
+   * Re-price cart items against the current product price, status and stock
+   */
+  async repriceItems(items) {
+    const products = await Product.find({
+      _id: { $in: items.map(item => item.productId) },
+    });
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    const repricedItems = [];
+    const issues = [];
+
+    for (const item of items) {
+      const product = productMap.get(item.productId);
+      const variant = item.variantId ? product?.variants.id(item.variantId) : null;
+      const lineRef = { productId: item.productId, variantId: item.variantId };
+
+      if (!product || (item.variantId && !variant)) {
+        issues.push({ ...lineRef, name: item.name, reason: 'removed' });
+        continue;
+      }
+
+      const line = product.getLineDetails(variant);
+
+      if (line.price !== item.price) {
+        issues.push({
+          ...lineRef,
+          name: line.name,
+          reason: 'price_changed',
+          previousPrice: item.price,
+          price: line.price,
+        });
+      }
+
+      if (product.status !== 'active' || (variant && !variant.isActive)) {
+        issues.push({ ...lineRef, name: line.name, reason: 'unavailable' });
+      } else if (line.stock < item.quantity) {
+        issues.push({
+          ...lineRef,
+          name: line.name,
+          reason: 'insufficient_stock',
+          requested: item.quantity,
+          available: line.stock,
+        });
+      }
+
+      repricedItems.push({ ...item, name: line.name, price: line.price });
+    }
+
+    return { items: repricedItems, issues };
+  }
+
+  /**
+   * Build the cart response
+   */
+  buildCart(owner, items, issues = []) {
+    const cartItems = items.map(item => ({
+      ...item,
+      total: item.price * item.quantity,
+    }));
+
+    return {
+      cartId: owner.guestId || null,
+      items: cartItems,
+      subtotal: cartItems.reduce((sum, item) => sum + item.total, 0),
+      totalItems: cartItems.reduce((sum, item) => sum + item.quantity, 0),
+      issues,
+    };
+  }
+
+  /**
+   * Get cart (re-priced against current products)
+   */
+  async getCart(owner) {
+    try {
+      const items = await this.loadItems(owner);
+      const { items: repricedItems, issues } = await this.repriceItems(items);
+
+      // Persist the re-priced cart so changes are only reported once
+      if (issues.some(issue => ['removed', 'price_changed'].includes(issue.reason))) {
+        await this.saveItems(owner, repricedItems);
+      }
+
+      return this.buildCart(owner, repricedItems, issues);
+    } catch (error) {
+      logger.error('Failed to get cart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the line details of an active product (or variant) that can be added to the cart
+   */
+  async getPurchasableLine(productId, quantity, variantId = null) {
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    if (product.status !== 'active') {
+      throw new ValidationError(`Product is not available: ${product.name}`);
+    }
+
+    const line = product.getLineDetails(product.getVariant(variantId));
+
+    if (line.stock < quantity) {
+      throw new ValidationError(`Insufficient stock for product: ${line.name}`);
+    }
+
+    return line;
+  }
+
+  /**
+   * Add item to cart
+   */
+  async addItem(owner, productId, quantity = 1, variantId = null) {
+    try {
+      const items = await this.loadItems(owner);
+      const existingItem = items.find(item => isSameLine(item, productId, variantId));
+      const newQuantity = (existingItem ? existingItem.quantity : 0) + quantity;
+
+      const line = await this.getPurchasableLine(productId, newQuantity, variantId);
+
+      if (existingItem) {
+        Object.assign(existingItem, {
+          name: line.name,
+          price: line.price,
+          quantity: newQuantity,
+        });
+      } else {
+        items.push({
+          productId,
+          ...(variantId && { variantId }),
+          name: line.name,
+          price: line.price,
+          quantity,
+          addedAt: new Date(),
+        });
+      }
+
+      await this.saveItems(owner, items);
+
+      logger.info('Cart item added', { ...owner, productId, variantId, quantity: newQuantity });
+      return this.buildCart(owner, items);
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to add cart item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update cart item quantity (0 removes the item)
+   */
+  async updateItem(owner, productId, quantity, variantId = null) {
+    try {
+      if (quantity === 0) {
+        return await this.removeItem(owner, productId, variantId);
+      }
+
+      const items = await this.loadItems(owner);
+      const existingItem = items.find(item => isSameLine(item, productId, variantId));
+
+      if (!existingItem) {
+        throw new NotFoundError('Item not found in cart');
+      }
+
+      const line = await this.getPurchasableLine(productId, quantity, variantId);
+
+      Object.assign(existingItem, {
+        name: line.name,
+        price: line.price,
+        quantity,
+      });
+
+      await this.saveItems(owner, items);
+
+      logger.info('Cart item updated', { ...owner, productId, variantId, quantity });
+      return this.buildCart(owner, items);
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to update cart item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove item from cart
+   */
+  async removeItem(owner, productId, variantId = null) {
+    try {
+      const items = await this.loadItems(owner);
+      const remainingItems = items.filter(item => !isSameLine(item, productId, variantId));
+
+      if (remainingItems.length === items.length) {
+        throw new NotFoundError('Item not found in cart');
+      }
+
+      await this.saveItems(owner, remainingItems);
+
+      logger.info('Cart item removed', { ...owner, productId, variantId });
+      return this.buildCart(owner, remainingItems);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to remove cart item:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear cart
+   */
+  async clearCart(owner) {
+    try {
+      await this.saveItems(owner, []);
+
+      logger.info('Cart cleared', owner);
+      return this.buildCart(owner, []);
+    } catch (error) {
+      logger.error('Failed to clear cart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Merge a guest cart into the user's cart (called at login)
+   */
+  async mergeGuestCart(guestId, userId) {
+    try {
+      const guestOwner = this.resolveOwner(null, guestId);
+      const userOwner = { userId: userId.toString() };
+
+      const guestItems = await this.loadItems(guestOwner);
+      if (guestItems.length === 0) {
+        return null;
+      }
+
+      const userItems = await this.loadItems(userOwner);
+
+      for (const guestItem of guestItems) {
+        const existingItem = userItems.find(item => isSameLine(item, guestItem.productId, guestItem.variantId));
+        if (existingItem) {
+          existingItem.quantity += guestItem.quantity;
+        } else {
+          userItems.push(guestItem);
+        }
+      }
+
+      await this.saveItems(userOwner, userItems);
+      await this.deleteCart(guestOwner);
+
+      logger.info('Guest cart merged', {
+        guestId,
+        userId,
+        mergedItems: guestItems.length,
+      });
+
+      return this.buildCart(userOwner, userItems);
+    } catch (error) {
+      logger.error('Failed to merge guest cart:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Checkout cart into an order
+   */
+  async checkout(userId, { shippingAddress, couponCode, paymentMethod } = {}) {
+    try {
+      const owner = { userId: userId.toString() };
+      const items = await this.loadItems(owner);
+
+      if (items.length === 0) {
+        throw new ValidationError('Cart is empty');
+      }
+
+      const { items: repricedItems, issues } = await this.repriceItems(items);
+
+      // Any change since the customer last saw the cart must be reviewed first
+      if (issues.length > 0) {
+        await this.saveItems(owner, repricedItems);
+        throw new ValidationError('Cart has changed, please review it before checkout', issues);
+      }
+
+      const order = await this.orderService.createOrder({
+        userId,
+        items: repricedItems.map(({ productId, variantId, quantity }) => ({ productId, variantId, quantity })),
+        shippingAddress,
+        couponCode,
+        paymentMethod,
+      });
+
+      await this.saveItems(owner, []);
+
+      logger.info('Cart checked out', { userId, orderId: order._id });
+      return order;
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to checkout cart:', error);
+      throw error;
+    }
+  }
+}
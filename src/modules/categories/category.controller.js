@@ -0,0 +1,72 @@
+import CategoryService from './category.service.js';
+import { sendSuccess, sendCreated } from '../../core/response.js';
+
+export default class CategoryController {
+  constructor() {
+    this.categoryService = new CategoryService();
+  }
+
+  /**
+   * Get categories with pagination and filtering
+   */
+  async getCategories(req, res) {
+    const result = await this.categoryService.getCategories(req.query);
+    sendSuccess(res, 'Categories retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Get the category tree with product counts
+   */
+  async getCategoryTree(req, res) {
+    const includeInactive = req.user?.role === 'admin' && req.query.includeInactive === 'true';
+    const tree = await this.categoryService.getCategoryTree({ includeInactive });
+    sendSuccess(res, 'Category tree retrieved successfully', tree);
+  }
+
+  /**
+   * Get category by ID
+   */
+  async getCategoryById(req, res) {
+    const { id } = req.params;
+    const category = await this.categoryService.getCategoryById(id);
+    sendSuccess(res, 'Category retrieved successfully', category);
+  }
+
+  /**
+   * Create new category
+   */
+  async createCategory(req, res) {
+    const userId = req.user._id;
+    const category = await this.categoryService.createCategory(req.body, userId);
+    sendCreated(res, 'Category created successfully', category);
+  }
+
+  /**
+   * Update category
+   */
+  async updateCategory(req, res) {
+    const { id } = req.params;
+    const userId = req.user._id;
+    const category = await this.categoryService.updateCategory(id, req.body, userId);
+    sendSuccess(res, 'Category updated successfully', category);
+  }
+
+  /**
+   * Delete category
+   */
+  async deleteCategory(req, res) {
+    const { id } = req.params;
+    const result = await this.categoryService.deleteCategory(id);
+    sendSuccess(res, result.message);
+  }
+
+  /**
+   * Migrate free-text product categories into the category tree
+   */
+  async migrateLegacyCategories(req, res) {
+    const summary = await this.categoryService.migrateLegacyCategories(req.user._id);
+    sendSuccess(res, 'Legacy categories migrated successfully', summary);
+  }
+}
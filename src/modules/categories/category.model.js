@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+import { sanitizers } from '../../utils/validators.js';
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [100, 'Category name cannot exceed 100 characters'],
+  },
+  slug: {
+    type: String,
+    required: [true, 'Category slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and hyphens'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  // Root-first chain of parent IDs, kept in sync when a category moves
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+  }],
+  // Position among siblings, lowest first
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+  image: {
+    url: String,
+    alt: String,
+  },
+  seo: {
+    title: String,
+    description: String,
+    keywords: [String],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+categorySchema.index({ isActive: 1 });
+
+// Virtual for nesting level (0 for root categories)
+categorySchema.virtual('depth').get(function() {
+  return this.ancestors.length;
+});
+
+// Virtual for the category and its ancestors, as stored on products
+categorySchema.virtual('path').get(function() {
+  return [...this.ancestors, this._id];
+});
+
+// Static method to find a category by ID or slug
+categorySchema.statics.findByIdOrSlug = function(value) {
+  return mongoose.isValidObjectId(value)
+    ? this.findOne({ $or: [{ _id: value }, { slug: value }] })
+    : this.findOne({ slug: String(value).toLowerCase() });
+};
+
+// Static method to find a free slug, adding a numeric suffix on collision
+categorySchema.statics.generateSlug = async function(value, excludeId = null) {
+  const base = sanitizers.createSlug(value).replace(/^-+|-+$/g, '') || 'category';
+  let slug = base;
+
+  for (let suffix = 2; await this.exists({ slug, _id: { $ne: excludeId } }); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+
+  return slug;
+};
+
+export default mongoose.model('Category', categorySchema);
@@ -0,0 +1,363 @@
+import Category from './category.model.js';
+import Product from '../products/product.model.js';
+import { NotFoundError, ValidationError, ConflictError } from '../../core/error.js';
+import { createQueryParser } from '../../utils/queryParser.js';
+import { invalidateCacheByTags } from '../../middlewares/cache.js';
+import { sanitizers } from '../../utils/validators.js';
+import logger from '../../core/logger.js';
+
+// Nest a flat, sorted category list under its parents
+const buildTree = (categories, productCounts) => {
+  const nodes = new Map(categories.map(category => [category._id.toString(), {
+    ...category.toJSON(),
+    productCount: productCounts.get(category._id.toString()) || 0,
+    children: [],
+  }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else if (!node.parent) {
+      roots.push(node);
+    }
+  }
+
+  return roots;
+};
+
+export default class CategoryService {
+  /**
+   * Get categories with pagination and filtering (admin only)
+   */
+  async getCategories(query) {
+    try {
+      const queryParser = createQueryParser(query);
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(Category);
+
+      logger.info('Categories retrieved', {
+        count: result.data.length,
+        total: result.pagination.total,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to get categories:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get category by ID
+   */
+  async getCategoryById(categoryId) {
+    try {
+      const category = await Category.findById(categoryId);
+
+      if (!category) {
+        throw new NotFoundError('Category not found');
+      }
+
+      logger.info('Category retrieved by ID', { categoryId });
+      return category;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to get category by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the category tree with active product counts, descendants included
+   */
+  async getCategoryTree({ includeInactive = false } = {}) {
+    try {
+      const filter = includeInactive ? {} : { isActive: true };
+
+      const [categories, counts] = await Promise.all([
+        Category.find(filter).sort({ sortOrder: 1, name: 1 }),
+        Product.aggregate([
+          { $match: { status: 'active', categoryPath: { $ne: [] } } },
+          { $unwind: '$categoryPath' },
+          { $group: { _id: '$categoryPath', count: { $sum: 1 } } },
+        ]),
+      ]);
+
+      const productCounts = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+      const tree = buildTree(categories, productCounts);
+
+      logger.info('Category tree retrieved', { count: categories.length });
+      return tree;
+    } catch (error) {
+      logger.error('Failed to get category tree:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the ancestor chain a child of the given parent would have
+   */
+  async getChildAncestors(parentId, categoryId = null) {
+    if (!parentId) {
+      return [];
+    }
+
+    const parent = await Category.findById(parentId);
+
+    if (!parent) {
+      throw new NotFoundError('Parent category not found');
+    }
+
+    if (categoryId && parent.path.some(id => id.equals(categoryId))) {
+      throw new ValidationError('A category cannot be moved under itself or one of its descendants');
+    }
+
+    return parent.path;
+  }
+
+  /**
+   * Create new category
+   */
+  async createCategory(categoryData, userId) {
+    try {
+      const { parent = null, slug, ...fields } = categoryData;
+
+      if (slug && await Category.exists({ slug })) {
+        throw new ConflictError('Category slug already exists');
+      }
+
+      const category = new Category({
+        ...fields,
+        slug: slug || await Category.generateSlug(fields.name),
+        parent,
+        ancestors: await this.getChildAncestors(parent),
+        createdBy: userId,
+      });
+
+      await category.save();
+
+      // Invalidate cache
+      await invalidateCacheByTags(['categories']);
+
+      logger.info('Category created successfully', {
+        categoryId: category._id,
+        slug: category.slug,
+        createdBy: userId,
+      });
+
+      return category;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ConflictError) {
+        throw error;
+      }
+      logger.error('Failed to create category:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update category; moving it re-parents its subtree and the products in it
+   */
+  async updateCategory(categoryId, updateData, userId) {
+    try {
+      const category = await Category.findById(categoryId);
+
+      if (!category) {
+        throw new NotFoundError('Category not found');
+      }
+
+      const { parent, ...fields } = updateData;
+
+      if (fields.slug && fields.slug !== category.slug
+        && await Category.exists({ slug: fields.slug })) {
+        throw new ConflictError('Category slug already exists');
+      }
+
+      const previousPath = category.path;
+      const moved = parent !== undefined && String(parent) !== String(category.parent);
+      const renamed = fields.name !== undefined && fields.name !== category.name;
+
+      if (moved) {
+        category.ancestors = await this.getChildAncestors(parent, category._id);
+        category.parent = parent || null;
+      }
+
+      Object.assign(category, fields);
+      category.updatedBy = userId;
+
+      await category.save();
+
+      if (moved) {
+        const descendants = await Category.find({ ancestors: category._id });
+
+        for (const descendant of descendants) {
+          const below = descendant.ancestors.slice(previousPath.length);
+          descendant.ancestors = [...category.path, ...below];
+        }
+
+        if (descendants.length > 0) {
+          await Category.bulkWrite(descendants.map(descendant => ({
+            updateOne: {
+              filter: { _id: descendant._id },
+              update: { $set: { ancestors: descendant.ancestors } },
+            },
+          })));
+        }
+
+        await Product.bulkWrite([category, ...descendants].map(node => ({
+          updateMany: {
+            filter: { categoryId: node._id },
+            update: { $set: { categoryPath: node.path } },
+          },
+        })));
+      }
+
+      // Products keep the category name for display and search
+      if (renamed) {
+        await Product.updateMany({ categoryId: category._id }, { $set: { category: category.name } });
+      }
+
+      // Invalidate cache
+      await invalidateCacheByTags(['categories', ...(moved || renamed ? ['products'] : [])]);
+
+      logger.info('Category updated successfully', {
+        categoryId,
+        updatedFields: Object.keys(updateData),
+        updatedBy: userId,
+      });
+
+      return category;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof ConflictError) {
+        throw error;
+      }
+      logger.error('Failed to update category:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a category that has no subcategories or products
+   */
+  async deleteCategory(categoryId) {
+    try {
+      const category = await Category.findById(categoryId);
+
+      if (!category) {
+        throw new NotFoundError('Category not found');
+      }
+
+      const [hasChildren, hasProducts] = await Promise.all([
+        Category.exists({ parent: category._id }),
+        Product.exists({ categoryId: category._id }),
+      ]);
+
+      if (hasChildren) {
+        throw new ConflictError('Cannot delete a category that has subcategories');
+      }
+
+      if (hasProducts) {
+        throw new ConflictError('Cannot delete a category that has products');
+      }
+
+      await category.deleteOne();
+
+      // Invalidate cache
+      await invalidateCacheByTags(['categories']);
+
+      logger.info('Category deleted successfully', { categoryId });
+      return { message: 'Category deleted successfully' };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ConflictError) {
+        throw error;
+      }
+      logger.error('Failed to delete category:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the category fields stored on a product from a category ID or name
+   */
+  async resolveProductCategory({ categoryId, category: name }) {
+    if (categoryId) {
+      const category = await Category.findById(categoryId);
+
+      if (!category) {
+        throw new NotFoundError('Category not found');
+      }
+
+      return { categoryId: category._id, categoryPath: category.path, category: category.name };
+    }
+
+    // Free-text names are linked when they match a category slug and kept as-is otherwise
+    const category = await Category.findOne({ slug: sanitizers.createSlug(name) });
+
+    return category
+      ? { categoryId: category._id, categoryPath: category.path, category: category.name }
+      : { categoryId: null, categoryPath: [], category: name };
+  }
+
+  /**
+   * Move free-text product categories into the tree; "Parent > Child" names are nested
+   */
+  async migrateLegacyCategories(userId) {
+    try {
+      const names = await Product.distinct('category', { categoryId: null });
+      let categoriesCreated = 0;
+      let productsMigrated = 0;
+
+      for (const name of names) {
+        const segments = name.split('>').map(segment => segment.trim()).filter(Boolean);
+        let category = null;
+
+        for (const segment of segments) {
+          const parent = category;
+
+          category = await Category.findOne({ name: segment, parent: parent?._id ?? null })
+            .collation({ locale: 'en', strength: 2 });
+
+          if (!category) {
+            category = await Category.create({
+              name: segment,
+              slug: await Category.generateSlug(segment),
+              parent: parent?._id ?? null,
+              ancestors: parent ? parent.path : [],
+              createdBy: userId,
+            });
+            categoriesCreated++;
+          }
+        }
+
+        if (!category) {
+          continue;
+        }
+
+        const result = await Product.updateMany(
+          { category: name, categoryId: null },
+          { $set: { categoryId: category._id, categoryPath: category.path, category: category.name } }
+        );
+        productsMigrated += result.modifiedCount;
+      }
+
+      // Invalidate cache
+      await invalidateCacheByTags(['categories', 'products']);
+
+      const summary = { legacyCategories: names.length, categoriesCreated, productsMigrated };
+
+      logger.info('Legacy categories migrated', { ...summary, migratedBy: userId });
+      return summary;
+    } catch (error) {
+      logger.error('Failed to migrate legacy categories:', error);
+      throw error;
+    }
+  }
+}
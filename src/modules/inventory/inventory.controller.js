@@ -0,0 +1,110 @@
+import InventoryService from './inventory.service.js';
+import { sendSuccess, sendCreated } from '../../core/response.js';
+
+export default class InventoryController {
+  constructor() {
+    this.inventoryService = new InventoryService();
+  }
+
+  /**
+   * Get warehouses
+   */
+  async getWarehouses(req, res) {
+    const result = await this.inventoryService.getWarehouses(req.query);
+    sendSuccess(res, 'Warehouses retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Get warehouse by ID
+   */
+  async getWarehouseById(req, res) {
+    const { id } = req.params;
+    const warehouse = await this.inventoryService.getWarehouseById(id);
+    sendSuccess(res, 'Warehouse retrieved successfully', warehouse);
+  }
+
+  /**
+   * Create warehouse
+   */
+  async createWarehouse(req, res) {
+    const warehouse = await this.inventoryService.createWarehouse(req.body, req.user._id);
+    sendCreated(res, 'Warehouse created successfully', warehouse);
+  }
+
+  /**
+   * Update warehouse
+   */
+  async updateWarehouse(req, res) {
+    const { id } = req.params;
+    const warehouse = await this.inventoryService.updateWarehouse(id, req.body, req.user._id);
+    sendSuccess(res, 'Warehouse updated successfully', warehouse);
+  }
+
+  /**
+   * Delete warehouse
+   */
+  async deleteWarehouse(req, res) {
+    const { id } = req.params;
+    const result = await this.inventoryService.deleteWarehouse(id);
+    sendSuccess(res, result.message);
+  }
+
+  /**
+   * Get stock levels at a warehouse
+   */
+  async getWarehouseStock(req, res) {
+    const { id } = req.params;
+    const result = await this.inventoryService.getStockLevels({ ...req.query, warehouseId: id });
+    sendSuccess(res, 'Stock levels retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Get a product's stock per warehouse
+   */
+  async getProductStock(req, res) {
+    const { productId } = req.params;
+    const stock = await this.inventoryService.getProductStock(productId);
+    sendSuccess(res, 'Product stock retrieved successfully', stock);
+  }
+
+  /**
+   * Recompute a product's stock from the ledger
+   */
+  async reconcileProductStock(req, res) {
+    const { productId } = req.params;
+    const result = await this.inventoryService.reconcileProductStock(productId);
+    sendSuccess(res, 'Product stock reconciled successfully', result);
+  }
+
+  /**
+   * Get stock movements
+   */
+  async getMovements(req, res) {
+    const result = await this.inventoryService.getMovements(req.query);
+    sendSuccess(res, 'Stock movements retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Transfer stock between warehouses
+   */
+  async transferStock(req, res) {
+    const actor = { userId: req.user._id, role: req.user.role };
+    const transfer = await this.inventoryService.transferStock(req.body, actor);
+    sendCreated(res, 'Stock transferred successfully', transfer);
+  }
+
+  /**
+   * Adjust stock or record a cycle count
+   */
+  async adjustStock(req, res) {
+    const actor = { userId: req.user._id, role: req.user.role };
+    const movement = await this.inventoryService.adjustStock(req.body, actor);
+    sendCreated(res, 'Stock adjusted successfully', movement);
+  }
+}
@@ -0,0 +1,752 @@
+import mongoose from 'mongoose';
+import Warehouse from './warehouse.model.js';
+import StockLevel from './stockLevel.model.js';
+import StockMovement from './stockMovement.model.js';
+import Product from '../products/product.model.js';
+import { NotFoundError, ValidationError, ConflictError, StockConflictError } from '../../core/error.js';
+import { createQueryParser } from '../../utils/queryParser.js';
+import { invalidateCacheByTags } from '../../middlewares/cache.js';
+import logger from '../../core/logger.js';
+
+const systemActor = { role: 'system' };
+
+/**
+ * Run work in the caller's transaction, or in a new one when there is none
+ */
+const withTransaction = async (session, work) => {
+  if (session) {
+    return work(session);
+  }
+
+  const ownSession = await mongoose.startSession();
+  try {
+    let result;
+    await ownSession.withTransaction(async () => {
+      result = await work(ownSession);
+    });
+    return result;
+  } finally {
+    await ownSession.endSession();
+  }
+};
+
+export default class InventoryService {
+  /**
+   * Seed a product's (or variant's) stock levels from its current stock (opening balance)
+   *
+   * Products created before the ledger existed only have `Product.stock`.
+   * The first time one is touched, that number is booked into the default
+   * warehouse so every later change goes through the ledger.
+   */
+  async ensureStockLevels(productId, variantId = null, actor = systemActor, session = null) {
+    const seeded = await StockLevel.exists({ productId, variantId }).session(session);
+    if (seeded) {
+      return;
+    }
+
+    const product = await Product.findById(productId).select('stock variants').session(session);
+    if (!product) {
+      throw new NotFoundError(`Product not found: ${productId}`);
+    }
+
+    if (product.variants.length > 0 && !variantId) {
+      throw new ValidationError('Variant ID is required for products with variants');
+    }
+
+    const variant = variantId ? product.variants.id(variantId) : null;
+    if (variantId && !variant) {
+      throw new NotFoundError(`Variant not found: ${variantId}`);
+    }
+
+    const openingStock = variant ? variant.stock : product.stock;
+    const warehouse = await Warehouse.getDefault(session);
+    const [level] = await StockLevel.create([{
+      productId,
+      variantId,
+      warehouseId: warehouse._id,
+      onHand: openingStock,
+    }], { session });
+
+    if (openingStock > 0) {
+      await StockMovement.create([{
+        type: 'adjustment',
+        productId,
+        variantId,
+        warehouseId: warehouse._id,
+        quantity: openingStock,
+        balance: { onHand: level.onHand, reserved: level.reserved },
+        reason: 'Opening balance',
+        actor,
+      }], { session });
+    }
+  }
+
+  /**
+   * Check whether a product (or variant) has stock on hand or reserved anywhere
+   */
+  async hasStock(productId, variantId = null) {
+    const level = await StockLevel.exists({
+      productId,
+      variantId,
+      $or: [{ onHand: { $gt: 0 } }, { reserved: { $gt: 0 } }],
+    });
+
+    return Boolean(level);
+  }
+
+  /**
+   * Append one movement to the ledger and apply it to the stock level
+   *
+   * Decreases are guarded so neither on-hand, reserved nor available stock
+   * can go negative; `Product.stock` (and the variant's stock) moves by the
+   * change in available stock.
+   */
+  async applyMovement(movement, actor = systemActor, session = null) {
+    const { productId, variantId = null, warehouseId, quantity = 0, reservedChange = 0 } = movement;
+    const onlyIncreases = quantity >= 0 && reservedChange === 0;
+
+    const level = onlyIncreases
+      ? await StockLevel.findOneAndUpdate(
+        { productId, variantId, warehouseId },
+        { $inc: { onHand: quantity } },
+        { new: true, upsert: true, setDefaultsOnInsert: true, session }
+      )
+      : await StockLevel.findOneAndUpdate(
+        {
+          productId,
+          variantId,
+          warehouseId,
+          $expr: {
+            $and: [
+              { $gte: [{ $add: ['$onHand', quantity] }, 0] },
+              { $gte: [{ $add: ['$reserved', reservedChange] }, 0] },
+              {
+                $gte: [
+                  { $subtract: [{ $add: ['$onHand', quantity] }, { $add: ['$reserved', reservedChange] }] },
+                  0,
+                ],
+              },
+            ],
+          },
+        },
+        { $inc: { onHand: quantity, reserved: reservedChange } },
+        { new: true, session }
+      );
+
+    if (!level) {
+      const current = await StockLevel.findOne({ productId, variantId, warehouseId }).session(session);
+      throw new StockConflictError('Insufficient stock at warehouse', [{
+        productId,
+        variantId,
+        warehouseId,
+        requested: Math.max(Math.abs(quantity), Math.abs(reservedChange)),
+        available: current ? current.available : 0,
+      }]);
+    }
+
+    const [entry] = await StockMovement.create([{
+      ...movement,
+      variantId,
+      balance: { onHand: level.onHand, reserved: level.reserved },
+      actor,
+    }], { session });
+
+    const availableChange = quantity - reservedChange;
+    if (availableChange !== 0) {
+      await Product.updateOne(
+        variantId ? { _id: productId, 'variants._id': variantId } : { _id: productId },
+        { $inc: variantId ? { stock: availableChange, 'variants.$.stock': availableChange } : { stock: availableChange } },
+        { session }
+      );
+    }
+
+    return entry;
+  }
+
+  /**
+   * Reserve stock for order items across active warehouses
+   *
+   * Warehouses are drawn down in priority order and an item may be split
+   * across several. Returns the items with their `allocations`; throws a
+   * StockConflictError listing every item that could not be covered.
+   */
+  async reserveOrderItems(items, { orderId, actor = systemActor } = {}, session = null) {
+    return withTransaction(session, async (txn) => {
+      const warehouses = await Warehouse.find({ isActive: true })
+        .sort({ priority: 1, createdAt: 1 })
+        .session(txn);
+
+      const reservedItems = [];
+      const conflicts = [];
+
+      for (const item of items) {
+        const variantId = item.variantId || null;
+        await this.ensureStockLevels(item.productId, variantId, actor, txn);
+
+        const levels = await StockLevel.find({ productId: item.productId, variantId }).session(txn);
+        const levelByWarehouse = new Map(levels.map(level => [level.warehouseId.toString(), level]));
+
+        const allocations = [];
+        let remaining = item.quantity;
+
+        for (const warehouse of warehouses) {
+          const level = levelByWarehouse.get(warehouse._id.toString());
+          const take = Math.min(remaining, level ? level.available : 0);
+          if (take <= 0) {
+            continue;
+          }
+
+          await this.applyMovement({
+            type: 'reservation',
+            productId: item.productId,
+            variantId,
+            warehouseId: warehouse._id,
+            reservedChange: take,
+            orderId,
+            reason: 'Reserved for order',
+          }, actor, txn);
+
+          allocations.push({ warehouseId: warehouse._id, quantity: take });
+          remaining -= take;
+          if (remaining === 0) {
+            break;
+          }
+        }
+
+        if (remaining > 0) {
+          conflicts.push({
+            productId: item.productId,
+            variantId,
+            name: item.name,
+            requested: item.quantity,
+            available: item.quantity - remaining,
+          });
+          continue;
+        }
+
+        reservedItems.push({ ...item, allocations });
+      }
+
+      if (conflicts.length > 0) {
+        throw new StockConflictError('Some items sold out during checkout', conflicts);
+      }
+
+      return reservedItems;
+    });
+  }
+
+  /**
+   * Release the reservations of an unshipped order
+   */
+  async releaseOrderItems(order, actor = systemActor, reason = 'Reservation released', session = null) {
+    await withTransaction(session, async (txn) => {
+      for (const item of order.items) {
+        if (item.allocations?.length) {
+          for (const allocation of item.allocations) {
+            await this.applyMovement({
+              type: 'reservation',
+              productId: item.productId,
+              variantId: item.variantId || null,
+              warehouseId: allocation.warehouseId,
+              reservedChange: -allocation.quantity,
+              orderId: order._id,
+              reason,
+            }, actor, txn);
+          }
+          continue;
+        }
+
+        // Orders placed before the ledger took stock straight off the product
+        await this.ensureStockLevels(item.productId, item.variantId || null, actor, txn);
+        const warehouse = await Warehouse.getDefault(txn);
+        await this.applyMovement({
+          type: 'reservation',
+          productId: item.productId,
+          variantId: item.variantId || null,
+          warehouseId: warehouse._id,
+          quantity: item.quantity,
+          orderId: order._id,
+          reason,
+        }, actor, txn);
+      }
+    });
+  }
+
+  /**
+   * Turn an order's reservations into sales when it ships
+   */
+  async fulfilOrderItems(order, actor = systemActor, session = null) {
+    await withTransaction(session, async (txn) => {
+      for (const item of order.items) {
+        // Pre-ledger orders already left the product's stock when placed
+        for (const allocation of item.allocations || []) {
+          await this.applyMovement({
+            type: 'sale',
+            productId: item.productId,
+            variantId: item.variantId || null,
+            warehouseId: allocation.warehouseId,
+            quantity: -allocation.quantity,
+            reservedChange: -allocation.quantity,
+            orderId: order._id,
+            reason: 'Order shipped',
+          }, actor, txn);
+        }
+      }
+    });
+  }
+
+  /**
+   * Put returned items back on hand at the default warehouse
+   */
+  async restockReturnedItems(items, { orderId, returnId, actor = systemActor } = {}, session = null) {
+    await withTransaction(session, async (txn) => {
+      const warehouse = await Warehouse.getDefault(txn);
+
+      for (const item of items) {
+        await this.ensureStockLevels(item.productId, item.variantId || null, actor, txn);
+        await this.applyMovement({
+          type: 'return',
+          productId: item.productId,
+          variantId: item.variantId || null,
+          warehouseId: warehouse._id,
+          quantity: item.quantity,
+          orderId,
+          returnId,
+          reason: 'Returned by customer',
+        }, actor, txn);
+      }
+    });
+  }
+
+  /**
+   * Move stock between two warehouses (admin only)
+   */
+  async transferStock(transferData, actor = systemActor) {
+    try {
+      const { productId, variantId = null, fromWarehouseId, toWarehouseId, quantity, reason } = transferData;
+
+      if (fromWarehouseId === toWarehouseId) {
+        throw new ValidationError('Source and destination warehouses must differ');
+      }
+
+      const transferId = new mongoose.Types.ObjectId();
+
+      const movements = await withTransaction(null, async (session) => {
+        const warehouses = await Warehouse.find({
+          _id: { $in: [fromWarehouseId, toWarehouseId] },
+          isActive: true,
+        }).session(session);
+
+        if (warehouses.length !== 2) {
+          throw new NotFoundError('Warehouse not found or inactive');
+        }
+
+        await this.ensureStockLevels(productId, variantId, actor, session);
+
+        const outgoing = await this.applyMovement({
+          type: 'transfer',
+          productId,
+          variantId,
+          warehouseId: fromWarehouseId,
+          quantity: -quantity,
+          transferId,
+          reason,
+        }, actor, session);
+
+        const incoming = await this.applyMovement({
+          type: 'transfer',
+          productId,
+          variantId,
+          warehouseId: toWarehouseId,
+          quantity,
+          transferId,
+          reason,
+        }, actor, session);
+
+        return [outgoing, incoming];
+      });
+
+      logger.info('Stock transferred', {
+        transferId,
+        productId,
+        fromWarehouseId,
+        toWarehouseId,
+        quantity,
+        transferredBy: actor.userId,
+      });
+
+      return { transferId, movements };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof ConflictError) {
+        throw error;
+      }
+      logger.error('Failed to transfer stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Adjust stock at a warehouse by a delta or to a cycle-counted quantity (admin only)
+   */
+  async adjustStock(adjustmentData, actor = systemActor) {
+    try {
+      const { productId, variantId = null, quantity, countedQuantity, reason } = adjustmentData;
+
+      const movement = await withTransaction(null, async (session) => {
+        const warehouse = adjustmentData.warehouseId
+          ? await Warehouse.findById(adjustmentData.warehouseId).session(session)
+          : await Warehouse.getDefault(session);
+
+        if (!warehouse) {
+          throw new NotFoundError('Warehouse not found');
+        }
+
+        await this.ensureStockLevels(productId, variantId, actor, session);
+
+        let delta = quantity;
+        if (countedQuantity !== undefined) {
+          const level = await StockLevel.findOne({ productId, variantId, warehouseId: warehouse._id }).session(session);
+          const reserved = level ? level.reserved : 0;
+
+          if (countedQuantity < reserved) {
+            throw new ValidationError(`Counted quantity is below the ${reserved} units reserved for open orders`);
+          }
+
+          delta = countedQuantity - (level ? level.onHand : 0);
+        }
+
+        return this.applyMovement({
+          type: 'adjustment',
+          productId,
+          variantId,
+          warehouseId: warehouse._id,
+          quantity: delta,
+          countedQuantity,
+          reason,
+        }, actor, session);
+      });
+
+      await invalidateCacheByTags(['products', `product:${productId}`]);
+
+      logger.info('Stock adjusted', {
+        productId,
+        warehouseId: movement.warehouseId,
+        quantity: movement.quantity,
+        countedQuantity,
+        adjustedBy: actor.userId,
+      });
+
+      return movement;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof ConflictError) {
+        throw error;
+      }
+      logger.error('Failed to adjust stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a product's available stock, booking the difference as an adjustment at the default warehouse
+   *
+   * The difference is taken from the product inside the transaction, so a
+   * reservation landing at the same time cannot make it work from a stale count.
+   */
+  async setProductStock(productId, stock, actor = systemActor, reason = 'Stock edited on product') {
+    try {
+      const movement = await withTransaction(null, async (session) => {
+        await this.ensureStockLevels(productId, null, actor, session);
+
+        const product = await Product.findById(productId).select('stock').session(session);
+        if (!product) {
+          throw new NotFoundError('Product not found');
+        }
+
+        if (stock === product.stock) {
+          return null;
+        }
+
+        const warehouse = await Warehouse.getDefault(session);
+        return this.applyMovement({
+          type: 'adjustment',
+          productId,
+          warehouseId: warehouse._id,
+          quantity: stock - product.stock,
+          reason,
+        }, actor, session);
+      });
+
+      if (movement) {
+        await invalidateCacheByTags(['products', `product:${productId}`]);
+
+        logger.info('Product stock set', {
+          productId,
+          stock,
+          quantity: movement.quantity,
+          adjustedBy: actor.userId,
+        });
+      }
+
+      return movement;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof ConflictError) {
+        throw error;
+      }
+      logger.error('Failed to set product stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute a product's (and its variants') stock from its ledger entries (admin only)
+   */
+  async reconcileProductStock(productId) {
+    try {
+      const product = await Product.findById(productId).select('stock variants');
+
+      if (!product) {
+        throw new NotFoundError('Product not found');
+      }
+
+      const variantIds = product.variants.length > 0
+        ? product.variants.map(variant => variant._id)
+        : [null];
+      for (const variantId of variantIds) {
+        await this.ensureStockLevels(productId, variantId);
+      }
+
+      const totals = await StockMovement.aggregate([
+        { $match: { productId: product._id } },
+        {
+          $group: {
+            _id: '$variantId',
+            stock: { $sum: { $subtract: ['$quantity', '$reservedChange'] } },
+          },
+        },
+      ]);
+      const stockByVariant = new Map(totals.map(total => [String(total._id), total.stock]));
+
+      const previousStock = product.stock;
+      const stock = totals.reduce((sum, total) => sum + total.stock, 0);
+      const update = { stock };
+      product.variants.forEach((variant, index) => {
+        update[`variants.${index}.stock`] = stockByVariant.get(variant._id.toString()) || 0;
+      });
+
+      const drifted = stock !== previousStock
+        || product.variants.some((variant, index) => variant.stock !== update[`variants.${index}.stock`]);
+
+      if (drifted) {
+        await Product.updateOne({ _id: productId }, { $set: update });
+        await invalidateCacheByTags(['products', `product:${productId}`]);
+
+        logger.warn('Product stock drifted from ledger', { productId, previousStock, stock });
+      }
+
+      return { productId, previousStock, stock };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to reconcile product stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a product's stock at every warehouse (admin only)
+   */
+  async getProductStock(productId) {
+    try {
+      const product = await Product.findById(productId).select('name stock');
+
+      if (!product) {
+        throw new NotFoundError('Product not found');
+      }
+
+      const levels = await StockLevel.find({ productId })
+        .populate('warehouseId', 'code name isActive');
+
+      logger.info('Product stock retrieved', { productId });
+      return {
+        productId: product._id,
+        name: product.name,
+        stock: product.stock,
+        levels,
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to get product stock:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get stock levels with pagination and filtering (admin only)
+   */
+  async getStockLevels(query) {
+    try {
+      const queryParser = createQueryParser(query);
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(StockLevel);
+
+      await StockLevel.populate(result.data, { path: 'productId', select: 'name' });
+
+      logger.info('Stock levels retrieved', { count: result.data.length });
+      return result;
+    } catch (error) {
+      logger.error('Failed to get stock levels:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get ledger entries with pagination and filtering (admin only)
+   */
+  async getMovements(query) {
+    try {
+      const queryParser = createQueryParser(query);
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(StockMovement);
+
+      logger.info('Stock movements retrieved', { count: result.data.length });
+      return result;
+    } catch (error) {
+      logger.error('Failed to get stock movements:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get warehouses (admin only)
+   */
+  async getWarehouses(query) {
+    try {
+      const queryParser = createQueryParser(query);
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(Warehouse);
+
+      logger.info('Warehouses retrieved', { count: result.data.length });
+      return result;
+    } catch (error) {
+      logger.error('Failed to get warehouses:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get warehouse by ID (admin only)
+   */
+  async getWarehouseById(warehouseId) {
+    const warehouse = await Warehouse.findById(warehouseId);
+
+    if (!warehouse) {
+      throw new NotFoundError('Warehouse not found');
+    }
+
+    return warehouse;
+  }
+
+  /**
+   * Create warehouse (admin only)
+   */
+  async createWarehouse(warehouseData, userId) {
+    try {
+      const warehouse = await Warehouse.create({ ...warehouseData, updatedBy: userId });
+
+      if (warehouse.isDefault) {
+        await Warehouse.updateMany({ _id: { $ne: warehouse._id } }, { isDefault: false });
+      }
+
+      logger.info('Warehouse created', { warehouseId: warehouse._id, code: warehouse.code });
+      return warehouse;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('A warehouse with this code already exists');
+      }
+      logger.error('Failed to create warehouse:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update warehouse (admin only)
+   */
+  async updateWarehouse(warehouseId, updateData, userId) {
+    try {
+      const warehouse = await this.getWarehouseById(warehouseId);
+
+      if (warehouse.isDefault && (updateData.isDefault === false || updateData.isActive === false)) {
+        throw new ValidationError('Make another warehouse the default first');
+      }
+
+      Object.assign(warehouse, updateData);
+      warehouse.updatedBy = userId;
+      await warehouse.save();
+
+      if (updateData.isDefault) {
+        await Warehouse.updateMany({ _id: { $ne: warehouse._id } }, { isDefault: false });
+      }
+
+      logger.info('Warehouse updated', { warehouseId, updatedFields: Object.keys(updateData) });
+      return warehouse;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      if (error.code === 11000) {
+        throw new ConflictError('A warehouse with this code already exists');
+      }
+      logger.error('Failed to update warehouse:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an empty, non-default warehouse (admin only)
+   */
+  async deleteWarehouse(warehouseId) {
+    try {
+      const warehouse = await this.getWarehouseById(warehouseId);
+
+      if (warehouse.isDefault) {
+        throw new ValidationError('Cannot delete the default warehouse');
+      }
+
+      const holdsStock = await StockLevel.exists({
+        warehouseId,
+        $or: [{ onHand: { $gt: 0 } }, { reserved: { $gt: 0 } }],
+      });
+
+      if (holdsStock) {
+        throw new ValidationError('Transfer the stock out of this warehouse before deleting it');
+      }
+
+      await StockLevel.deleteMany({ warehouseId });
+      await Warehouse.findByIdAndDelete(warehouseId);
+
+      logger.info('Warehouse deleted', { warehouseId });
+      return { message: 'Warehouse deleted successfully' };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to delete warehouse:', error);
+      throw error;
+    }
+  }
+}
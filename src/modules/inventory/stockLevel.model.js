@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// Current balance of one product (or variant) at one warehouse, maintained from the ledger
+const stockLevelSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required'],
+  },
+  // Null for products without variants
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'Warehouse ID is required'],
+  },
+  // Physically in the warehouse
+  onHand: {
+    type: Number,
+    min: [0, 'On-hand quantity cannot be negative'],
+    default: 0,
+  },
+  // Held for orders that have not shipped yet
+  reserved: {
+    type: Number,
+    min: [0, 'Reserved quantity cannot be negative'],
+    default: 0,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+stockLevelSchema.index({ productId: 1, variantId: 1, warehouseId: 1 }, { unique: true });
+stockLevelSchema.index({ warehouseId: 1 });
+
+// Virtual for quantity that can still be sold
+stockLevelSchema.virtual('available').get(function() {
+  return this.onHand - this.reserved;
+});
+
+export default mongoose.model('StockLevel', stockLevelSchema);
@@ -0,0 +1,116 @@
+import mongoose from 'mongoose';
+
+export const STOCK_MOVEMENT_TYPES = ['sale', 'return', 'adjustment', 'transfer', 'reservation'];
+
+// Append-only stock ledger: every change to a stock level is one entry here
+const stockMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: STOCK_MOVEMENT_TYPES,
+    required: [true, 'Movement type is required'],
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required'],
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'Warehouse ID is required'],
+  },
+  // Signed change to the on-hand quantity
+  quantity: {
+    type: Number,
+    default: 0,
+  },
+  // Signed change to the reserved quantity
+  reservedChange: {
+    type: Number,
+    default: 0,
+  },
+  // Stock level right after this movement
+  balance: {
+    onHand: Number,
+    reserved: Number,
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  returnId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest',
+  },
+  // Shared by the outgoing and incoming legs of a transfer
+  transferId: mongoose.Schema.Types.ObjectId,
+  // Physical count that produced a cycle-count adjustment
+  countedQuantity: Number,
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+  },
+  actor: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    role: {
+      type: String,
+      enum: ['admin', 'user', 'system'],
+      default: 'system',
+    },
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+stockMovementSchema.index({ warehouseId: 1, createdAt: -1 });
+stockMovementSchema.index({ orderId: 1 });
+stockMovementSchema.index({ transferId: 1 });
+stockMovementSchema.index({ type: 1 });
+
+// Virtual for the change to sellable stock
+stockMovementSchema.virtual('availableChange').get(function() {
+  return this.quantity - this.reservedChange;
+});
+
+// Pre-save middleware to keep existing entries immutable
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Stock movements are append-only'));
+  }
+  next();
+});
+
+// Query middleware to reject updates and deletes
+stockMovementSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+], function(next) {
+  next(new Error('Stock movements are append-only'));
+});
+
+export default mongoose.model('StockMovement', stockMovementSchema);
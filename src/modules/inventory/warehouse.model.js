@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+const warehouseSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Warehouse code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Code cannot exceed 20 characters'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Warehouse name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String,
+  },
+  // Lower priorities are allocated to orders first
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  // Receives opening balances, returns and unallocated restocks
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+warehouseSchema.index({ isActive: 1, priority: 1 });
+warehouseSchema.index({ isDefault: 1 });
+
+// Static method to get the default warehouse, creating one on first use
+warehouseSchema.statics.getDefault = async function(session = null) {
+  const warehouse = await this.findOne({ isDefault: true }).session(session);
+  if (warehouse) {
+    return warehouse;
+  }
+
+  const [created] = await this.create([{
+    code: 'MAIN',
+    name: 'Main warehouse',
+    isDefault: true,
+  }], { session });
+
+  return created;
+};
+
+export default mongoose.model('Warehouse', warehouseSchema);
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  versionKey: false,
+});
+
+// Static method to take the next value of a named sequence
+// Run it inside the transaction that uses the value so an abort gives it back.
+counterSchema.statics.next = async function(name, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+
+  return counter.seq;
+};
+
+export default mongoose.model('Counter', counterSchema);
@@ -0,0 +1,34 @@
+import InvoiceService from './invoice.service.js';
+
+export default class InvoiceController {
+  constructor() {
+    this.invoiceService = new InvoiceService();
+  }
+
+  /**
+   * Send a rendered document inline
+   */
+  sendDocument(res, document) {
+    res.set('Content-Type', document.contentType);
+    res.set('Content-Disposition', `inline; filename="${document.filename}"`);
+    res.send(document.body);
+  }
+
+  /**
+   * Get order invoice as HTML or PDF
+   */
+  async getInvoice(req, res) {
+    const { id } = req.params;
+    const document = await this.invoiceService.getInvoiceDocument(id, req.query.format);
+    this.sendDocument(res, document);
+  }
+
+  /**
+   * Get order packing slip as HTML or PDF (admin only)
+   */
+  async getPackingSlip(req, res) {
+    const { id } = req.params;
+    const document = await this.invoiceService.getPackingSlipDocument(id, req.query.format);
+    this.sendDocument(res, document);
+  }
+}
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+const addressSchema = new mongoose.Schema({
+  street: String,
+  city: String,
+  state: String,
+  zipCode: String,
+  country: String,
+}, { _id: false });
+
+const invoiceLineSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+  },
+  name: String,
+  price: Number,
+  quantity: Number,
+  total: Number,
+}, { _id: false });
+
+// Invoices snapshot the order at issue time so later order edits cannot change them
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order ID is required'],
+    unique: true,
+  },
+  orderNumber: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  customer: {
+    username: String,
+    email: String,
+  },
+  billingAddress: addressSchema,
+  shippingAddress: addressSchema,
+  items: [invoiceLineSchema],
+  subtotal: Number,
+  discountCode: String,
+  discountTotal: {
+    type: Number,
+    default: 0,
+  },
+  shippingTotal: {
+    type: Number,
+    default: 0,
+  },
+  taxName: String,
+  taxRate: Number,
+  taxTotal: {
+    type: Number,
+    default: 0,
+  },
+  total: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+invoiceSchema.index({ userId: 1, issuedAt: -1 });
+
+// Static method to format an invoice number from its sequence
+invoiceSchema.statics.formatNumber = function(sequence) {
+  return `INV-${String(sequence).padStart(6, '0')}`;
+};
+
+export default mongoose.model('Invoice', invoiceSchema);
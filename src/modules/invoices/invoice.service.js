@@ -0,0 +1,155 @@
+import mongoose from 'mongoose';
+import Invoice from './invoice.model.js';
+import Counter from './counter.model.js';
+import Order from '../orders/order.model.js';
+import {
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  renderPackingSlipHtml,
+  renderPackingSlipPdf,
+} from './invoice.templates.js';
+import { NotFoundError, ValidationError } from '../../core/error.js';
+import logger from '../../core/logger.js';
+
+const hasAddress = (address) => Boolean(address && Object.values(address.toObject?.() || address).some(Boolean));
+
+export default class InvoiceService {
+  /**
+   * Get the invoice of an order, if one was issued
+   */
+  async getInvoiceByOrder(orderId) {
+    return Invoice.findOne({ orderId });
+  }
+
+  /**
+   * Issue the invoice for a paid order (idempotent)
+   *
+   * The sequence number is taken inside the same transaction that stores the
+   * invoice, so an aborted or duplicate attempt hands the number back and the
+   * numbering stays gap-free.
+   */
+  async generateInvoice(orderId) {
+    const existing = await this.getInvoiceByOrder(orderId);
+    if (existing) {
+      return existing;
+    }
+
+    const order = await Order.findById(orderId).populate('userId', 'username email');
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    if (order.status === 'cancelled') {
+      throw new ValidationError('Cannot issue an invoice for a cancelled order');
+    }
+
+    if (!['paid', 'partially_refunded', 'refunded'].includes(order.paymentStatus)) {
+      throw new ValidationError('An invoice is issued once the payment is captured');
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let invoice;
+
+      await session.withTransaction(async () => {
+        const sequence = await Counter.next('invoice', session);
+
+        [invoice] = await Invoice.create([{
+          invoiceNumber: Invoice.formatNumber(sequence),
+          sequence,
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          userId: order.userId._id,
+          customer: {
+            username: order.userId.username,
+            email: order.userId.email,
+          },
+          billingAddress: hasAddress(order.billingAddress) ? order.billingAddress : order.shippingAddress,
+          shippingAddress: order.shippingAddress,
+          items: order.items.map(({ productId, name, price, quantity, total }) => ({
+            productId, name, price, quantity, total,
+          })),
+          subtotal: order.subtotal,
+          discountCode: order.discount?.code,
+          discountTotal: order.discount?.amount || 0,
+          shippingTotal: order.shippingTotal || 0,
+          taxName: order.tax?.name,
+          taxRate: order.tax?.rate,
+          taxTotal: order.taxTotal || 0,
+          total: order.total,
+          currency: order.paymentDetails?.currency || 'USD',
+        }], { session });
+      });
+
+      logger.info('Invoice issued', {
+        invoiceNumber: invoice.invoiceNumber,
+        orderId,
+      });
+
+      return invoice;
+    } catch (error) {
+      // Another worker issued it first
+      if (error.code === 11000) {
+        const invoice = await this.getInvoiceByOrder(orderId);
+        if (invoice) {
+          return invoice;
+        }
+      }
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to issue invoice:', error);
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Render an order's invoice as HTML or PDF
+   */
+  async getInvoiceDocument(orderId, format = 'html') {
+    try {
+      const invoice = await this.generateInvoice(orderId);
+
+      return {
+        filename: `${invoice.invoiceNumber}.${format}`,
+        contentType: format === 'pdf' ? 'application/pdf' : 'text/html',
+        body: format === 'pdf' ? await renderInvoicePdf(invoice) : renderInvoiceHtml(invoice),
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to render invoice:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render an order's packing slip as HTML or PDF (admin only)
+   */
+  async getPackingSlipDocument(orderId, format = 'html') {
+    try {
+      const order = await Order.findById(orderId);
+
+      if (!order) {
+        throw new NotFoundError('Order not found');
+      }
+
+      return {
+        filename: `packing-slip-${order.orderNumber}.${format}`,
+        contentType: format === 'pdf' ? 'application/pdf' : 'text/html',
+        body: format === 'pdf' ? await renderPackingSlipPdf(order) : renderPackingSlipHtml(order),
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to render packing slip:', error);
+      throw error;
+    }
+  }
+}
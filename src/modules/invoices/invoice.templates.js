@@ -0,0 +1,214 @@
+import PDFDocument from 'pdfkit';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (amount, currency = 'USD') => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const addressLines = (address = {}) => [
+  address.street,
+  [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+  address.country,
+].filter(Boolean);
+
+const addressHtml = (title, address) => `
+  <div style="width: 48%; display: inline-block; vertical-align: top;">
+    <h3 style="margin-bottom: 4px;">${title}</h3>
+    ${addressLines(address).map(line => `<div>${escapeHtml(line)}</div>`).join('') || '<div>-</div>'}
+  </div>
+`;
+
+/**
+ * Collect a PDFKit document into a Buffer
+ */
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  draw(doc);
+  doc.end();
+});
+
+const pdfAddresses = (doc, billingAddress, shippingAddress) => {
+  const top = doc.y;
+  doc.fontSize(11).font('Helvetica-Bold').text('Bill to', 50, top);
+  doc.font('Helvetica').text(addressLines(billingAddress).join('\n') || '-', 50, top + 15, { width: 230 });
+  doc.font('Helvetica-Bold').text('Ship to', 310, top);
+  doc.font('Helvetica').text(addressLines(shippingAddress).join('\n') || '-', 310, top + 15, { width: 230 });
+  doc.moveDown(4);
+};
+
+const pdfRow = (doc, columns, widths, options = {}) => {
+  const y = doc.y;
+  let x = 50;
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+  columns.forEach((column, index) => {
+    doc.text(String(column), x, y, { width: widths[index], align: index === 0 ? 'left' : 'right' });
+    x += widths[index];
+  });
+  doc.moveDown(0.5);
+};
+
+/**
+ * Render an invoice as HTML
+ */
+export const renderInvoiceHtml = (invoice) => {
+  const rows = invoice.items.map(item => `
+    <tr>
+      <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(item.name)}</td>
+      <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${item.quantity}</td>
+      <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${formatMoney(item.price, invoice.currency)}</td>
+      <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${formatMoney(item.total, invoice.currency)}</td>
+    </tr>
+  `).join('');
+
+  const totals = [['Subtotal', invoice.subtotal]];
+  if (invoice.discountTotal > 0) {
+    totals.push([`Discount (${escapeHtml(invoice.discountCode)})`, -invoice.discountTotal]);
+  }
+  totals.push(['Shipping', invoice.shippingTotal]);
+  if (invoice.taxTotal > 0) {
+    totals.push([`Tax (${escapeHtml(invoice.taxName)} ${invoice.taxRate}%)`, invoice.taxTotal]);
+  }
+
+  return `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>Invoice ${invoice.invoiceNumber}</title></head>
+  <body style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
+    <h1 style="color: #333;">Invoice ${invoice.invoiceNumber}</h1>
+    <p>
+      <strong>Order:</strong> ${invoice.orderNumber}<br>
+      <strong>Issued:</strong> ${formatDate(invoice.issuedAt)}<br>
+      <strong>Customer:</strong> ${escapeHtml(invoice.customer?.username)} (${escapeHtml(invoice.customer?.email)})
+    </p>
+    <div style="margin: 20px 0;">
+      ${addressHtml('Bill to', invoice.billingAddress)}
+      ${addressHtml('Ship to', invoice.shippingAddress)}
+    </div>
+    <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+      <thead>
+        <tr style="background-color: #f8f9fa;">
+          <th style="padding: 12px; text-align: left;">Item</th>
+          <th style="padding: 12px; text-align: right;">Quantity</th>
+          <th style="padding: 12px; text-align: right;">Unit price</th>
+          <th style="padding: 12px; text-align: right;">Amount</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+      <tfoot>
+        ${totals.map(([label, amount]) => `
+        <tr>
+          <td colspan="3" style="padding: 8px; text-align: right;">${label}</td>
+          <td style="padding: 8px; text-align: right;">${formatMoney(amount, invoice.currency)}</td>
+        </tr>`).join('')}
+        <tr>
+          <td colspan="3" style="padding: 8px; text-align: right;"><strong>Total</strong></td>
+          <td style="padding: 8px; text-align: right;"><strong>${formatMoney(invoice.total, invoice.currency)}</strong></td>
+        </tr>
+      </tfoot>
+    </table>
+  </body>
+</html>`;
+};
+
+/**
+ * Render an invoice as a PDF buffer
+ */
+export const renderInvoicePdf = (invoice) => renderPdf((doc) => {
+  const widths = [250, 60, 90, 95];
+
+  doc.fontSize(20).font('Helvetica-Bold').text(`Invoice ${invoice.invoiceNumber}`);
+  doc.moveDown(0.5);
+  doc.fontSize(10).font('Helvetica')
+    .text(`Order: ${invoice.orderNumber}`)
+    .text(`Issued: ${formatDate(invoice.issuedAt)}`)
+    .text(`Customer: ${invoice.customer?.username || ''} (${invoice.customer?.email || ''})`);
+  doc.moveDown();
+
+  pdfAddresses(doc, invoice.billingAddress, invoice.shippingAddress);
+
+  pdfRow(doc, ['Item', 'Quantity', 'Unit price', 'Amount'], widths, { bold: true });
+  invoice.items.forEach(item => pdfRow(doc, [
+    item.name,
+    item.quantity,
+    formatMoney(item.price, invoice.currency),
+    formatMoney(item.total, invoice.currency),
+  ], widths));
+  doc.moveDown();
+
+  pdfRow(doc, ['Subtotal', '', '', formatMoney(invoice.subtotal, invoice.currency)], widths);
+  if (invoice.discountTotal > 0) {
+    pdfRow(doc, [`Discount (${invoice.discountCode})`, '', '', formatMoney(-invoice.discountTotal, invoice.currency)], widths);
+  }
+  pdfRow(doc, ['Shipping', '', '', formatMoney(invoice.shippingTotal, invoice.currency)], widths);
+  if (invoice.taxTotal > 0) {
+    pdfRow(doc, [`Tax (${invoice.taxName} ${invoice.taxRate}%)`, '', '', formatMoney(invoice.taxTotal, invoice.currency)], widths);
+  }
+  pdfRow(doc, ['Total', '', '', formatMoney(invoice.total, invoice.currency)], widths, { bold: true });
+});
+
+/**
+ * Render a packing slip (no prices) as HTML
+ */
+export const renderPackingSlipHtml = (order) => {
+  const rows = order.items.map(item => `
+    <tr>
+      <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(item.name)}</td>
+      <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(item.sku || item.productId)}</td>
+      <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${item.quantity}</td>
+    </tr>
+  `).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>Packing slip ${order.orderNumber}</title></head>
+  <body style="font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto;">
+    <h1 style="color: #333;">Packing slip ${order.orderNumber}</h1>
+    <p><strong>Order date:</strong> ${formatDate(order.createdAt)}</p>
+    <div style="margin: 20px 0;">
+      ${addressHtml('Bill to', order.billingAddress)}
+      ${addressHtml('Ship to', order.shippingAddress)}
+    </div>
+    <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+      <thead>
+        <tr style="background-color: #f8f9fa;">
+          <th style="padding: 12px; text-align: left;">Item</th>
+          <th style="padding: 12px; text-align: left;">SKU / Product ID</th>
+          <th style="padding: 12px; text-align: right;">Quantity</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p><strong>Total items:</strong> ${order.totalItems}</p>
+  </body>
+</html>`;
+};
+
+/**
+ * Render a packing slip (no prices) as a PDF buffer
+ */
+export const renderPackingSlipPdf = (order) => renderPdf((doc) => {
+  const widths = [250, 175, 70];
+
+  doc.fontSize(20).font('Helvetica-Bold').text(`Packing slip ${order.orderNumber}`);
+  doc.moveDown(0.5);
+  doc.fontSize(10).font('Helvetica').text(`Order date: ${formatDate(order.createdAt)}`);
+  doc.moveDown();
+
+  pdfAddresses(doc, order.billingAddress, order.shippingAddress);
+
+  pdfRow(doc, ['Item', 'SKU / Product ID', 'Quantity'], widths, { bold: true });
+  order.items.forEach(item => pdfRow(doc, [item.name, item.sku || item.productId, item.quantity], widths));
+  doc.moveDown();
+  pdfRow(doc, ['Total items', '', order.totalItems], widths, { bold: true });
+});
@@ -38,6 +38,15 @@ export default class OrderController {
     sendSuccess(res, 'Order retrieved successfully', order);
   }
 
+  /**
+   * Resolve the owner of the order in :id so ownership checks can run
+   */
+  async loadOrderOwner(req, res, next) {
+    const { id } = req.params;
+    req.params.userId = await this.orderService.getOrderOwnerId(id);
+    next();
+  }
+
   /**
    * Create new order
    */
@@ -54,10 +63,20 @@ export default class OrderController {
   async updateOrderStatus(req, res) {
     const { id } = req.params;
     const { status, reason } = req.body;
-    const order = await this.orderService.updateOrderStatus(id, status, reason);
+    const actor = { userId: req.user._id, role: req.user.role };
+    const order = await this.orderService.updateOrderStatus(id, status, reason, actor);
     sendSuccess(res, 'Order status updated successfully', order);
   }
 
+  /**
+   * Get order status timeline (admin only)
+   */
+  async getOrderTimeline(req, res) {
+    const { id } = req.params;
+    const timeline = await this.orderService.getOrderTimeline(id);
+    sendSuccess(res, 'Order timeline retrieved successfully', timeline);
+  }
+
   /**
    * Cancel order
    */
@@ -65,16 +84,38 @@ export default class OrderController {
     const { id } = req.params;
     const { reason } = req.body;
     const userId = req.user.role === 'admin' ? null : req.user._id;
-    const order = await this.orderService.cancelOrder(id, userId, reason);
+    const actor = { userId: req.user._id, role: req.user.role };
+    const order = await this.orderService.cancelOrder(id, userId, reason, actor);
     sendSuccess(res, 'Order cancelled successfully', order);
   }
 
+  /**
+   * Get active stock reservations (admin only)
+   */
+  async getActiveReservations(req, res) {
+    const result = await this.orderService.getActiveReservations(req.query);
+    sendSuccess(res, 'Active reservations retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Extend an order's stock reservation (admin only)
+   */
+  async extendReservation(req, res) {
+    const { id } = req.params;
+    const actor = { userId: req.user._id, role: req.user.role };
+    const order = await this.orderService.extendReservation(id, req.body.minutes, actor);
+    sendSuccess(res, 'Reservation extended successfully', order);
+  }
+
   /**
    * Delete order (admin only)
    */
   async deleteOrder(req, res) {
     const { id } = req.params;
-    const result = await this.orderService.deleteOrder(id);
+    const actor = { userId: req.user._id, role: req.user.role };
+    const result = await this.orderService.deleteOrder(id, actor);
     sendSuccess(res, result.message);
   }
 
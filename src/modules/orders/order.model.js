@@ -1,4 +1,24 @@
 import mongoose from 'mongoose';
+import { ValidationError, AuthorizationError } from '../../core/error.js';
+
+/**
+ * Allowed order status transitions and the actor roles permitted to make them
+ */
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: {
+    processing: ['admin', 'system'],
+    cancelled: ['admin', 'user', 'system'],
+  },
+  processing: {
+    shipped: ['admin'],
+    cancelled: ['admin', 'system'],
+  },
+  shipped: {
+    completed: ['admin', 'system'],
+  },
+  completed: {},
+  cancelled: {},
+};
 
 const orderItemSchema = new mongoose.Schema({
   productId: {
@@ -6,6 +26,9 @@ const orderItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true,
   },
+  // Set for products with variants
+  variantId: mongoose.Schema.Types.ObjectId,
+  sku: String,
   name: {
     type: String,
     required: true,
@@ -25,8 +48,124 @@ const orderItemSchema = new mongoose.Schema({
     required: true,
     min: 0,
   },
+  // Warehouses the item's stock is reserved at
+  allocations: [{
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Warehouse',
+    },
+    quantity: Number,
+    _id: false,
+  }],
 });
 
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null,
+  },
+  to: {
+    type: String,
+    required: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  actorRole: {
+    type: String,
+    enum: ['admin', 'user', 'system'],
+    default: 'system',
+  },
+  reason: String,
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  returnId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest',
+  },
+  // Provider reference, used to ignore webhook echoes of our own refunds
+  refundId: String,
+  reason: String,
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  refundedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const discountSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+  },
+  code: String,
+  type: String,
+  amount: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  freeShipping: {
+    type: Boolean,
+    default: false,
+  },
+  items: [{
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    amount: Number,
+    _id: false,
+  }],
+}, { _id: false });
+
+const shippingChargeSchema = new mongoose.Schema({
+  rateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingRate',
+  },
+  name: String,
+  method: String,
+  weight: Number,
+  amount: {
+    type: Number,
+    default: 0,
+  },
+  // Waived by a free-shipping coupon
+  discount: {
+    type: Number,
+    default: 0,
+  },
+}, { _id: false });
+
+const taxChargeSchema = new mongoose.Schema({
+  rateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate',
+  },
+  name: String,
+  rate: Number,
+  taxableAmount: Number,
+  amount: {
+    type: Number,
+    default: 0,
+  },
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -34,6 +173,23 @@ const orderSchema = new mongoose.Schema({
     required: [true, 'User ID is required'],
   },
   items: [orderItemSchema],
+  subtotal: {
+    type: Number,
+    min: [0, 'Subtotal cannot be negative'],
+  },
+  discount: discountSchema,
+  shipping: shippingChargeSchema,
+  shippingTotal: {
+    type: Number,
+    min: [0, 'Shipping total cannot be negative'],
+    default: 0,
+  },
+  tax: taxChargeSchema,
+  taxTotal: {
+    type: Number,
+    min: [0, 'Tax total cannot be negative'],
+    default: 0,
+  },
   total: {
     type: Number,
     required: [true, 'Total amount is required'],
@@ -41,9 +197,10 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'completed', 'cancelled'],
+    enum: Object.keys(ORDER_STATUS_TRANSITIONS),
     default: 'pending',
   },
+  statusHistory: [statusHistorySchema],
   shippingAddress: {
     street: String,
     city: String,
@@ -65,17 +222,27 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'authorized', 'paid', 'failed', 'voided', 'partially_refunded', 'refunded'],
     default: 'pending',
   },
+  // Unpaid pending orders are cancelled and their stock released after this
+  reservationExpiresAt: Date,
   paymentDetails: {
+    provider: String,
     transactionId: String,
+    authorizedAt: Date,
     paymentDate: Date,
+    voidedAt: Date,
+    failureReason: String,
+    // Set when the payment needs an admin's attention, e.g. captured after cancellation
+    flaggedAt: Date,
+    flagReason: String,
     amount: Number,
     currency: {
       type: String,
       default: 'USD',
     },
+    refunds: [refundSchema],
   },
   notes: String,
   trackingNumber: String,
@@ -84,6 +251,8 @@ const orderSchema = new mongoose.Schema({
   cancellationReason: String,
   refundAmount: Number,
   refundDate: Date,
+  // Set by each return request, so concurrent requests for the order conflict
+  returnRequestedAt: Date,
 }, {
   timestamps: true,
   toJSON: {
@@ -102,7 +271,9 @@ orderSchema.index({ userId: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ status: 1, reservationExpiresAt: 1 });
 orderSchema.index({ trackingNumber: 1 });
+orderSchema.index({ 'paymentDetails.provider': 1, 'paymentDetails.transactionId': 1 });
 
 // Virtual for order number
 orderSchema.virtual('orderNumber').get(function() {
@@ -114,13 +285,28 @@ orderSchema.virtual('totalItems').get(function() {
   return this.items.reduce((total, item) => total + item.quantity, 0);
 });
 
-// Pre-save middleware to calculate total
+// Pre-save middleware to calculate subtotal and total from the price breakdown
 orderSchema.pre('save', function(next) {
   if (this.items && this.items.length > 0) {
-    this.total = this.items.reduce((total, item) => {
+    this.subtotal = this.items.reduce((subtotal, item) => {
       item.total = item.price * item.quantity;
-      return total + item.total;
+      return subtotal + item.total;
     }, 0);
+    const merchandiseTotal = Math.max(0, this.subtotal - (this.discount?.amount || 0));
+    this.total = Math.round((merchandiseTotal + (this.shippingTotal || 0) + (this.taxTotal || 0)) * 100) / 100;
+  }
+  next();
+});
+
+// Pre-save middleware to record the initial status
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      to: this.status,
+      changedBy: this.userId,
+      actorRole: 'user',
+      reason: 'Order placed',
+    });
   }
   next();
 });
@@ -135,15 +321,70 @@ orderSchema.statics.findByStatus = function(status) {
   return this.find({ status }).populate('userId', 'username email');
 };
 
+// Virtual for whether the order still holds a stock reservation that has not been paid for
+// (authorized payments count until captured; the authorization expires too)
+orderSchema.virtual('hasActiveReservation').get(function() {
+  return this.status === 'pending'
+    && ['pending', 'failed', 'authorized'].includes(this.paymentStatus)
+    && Boolean(this.reservationExpiresAt);
+});
+
 // Instance method to calculate subtotal
 orderSchema.methods.calculateSubtotal = function() {
   return this.items.reduce((subtotal, item) => subtotal + (item.price * item.quantity), 0);
 };
 
+// Instance method to record a (partial) refund against the payment
+orderSchema.methods.recordRefund = function(amount, details = {}) {
+  this.paymentDetails.refunds.push({ amount, ...details });
+  this.refundAmount = (this.refundAmount || 0) + amount;
+  this.refundDate = new Date();
+  this.paymentStatus = this.refundAmount >= this.total ? 'refunded' : 'partially_refunded';
+  return this;
+};
+
+// Instance method to assert a status transition is allowed
+orderSchema.methods.assertTransition = function(newStatus, role = 'system') {
+  const allowedRoles = ORDER_STATUS_TRANSITIONS[this.status]?.[newStatus];
+
+  if (!allowedRoles) {
+    throw new ValidationError(`Cannot change order status from ${this.status} to ${newStatus}`);
+  }
+
+  if (!allowedRoles.includes(role)) {
+    throw new AuthorizationError(`Not allowed to change order status from ${this.status} to ${newStatus}`);
+  }
+};
+
+// Static method to atomically move an order into a status from any status the actor may leave.
+// Resolves to the order as it was before the change, or null when no order matched.
+orderSchema.statics.claimTransition = function(filter, newStatus, actor = {}, session = null) {
+  const { role = 'system' } = actor;
+  const allowedFrom = Object.keys(ORDER_STATUS_TRANSITIONS)
+    .filter(status => ORDER_STATUS_TRANSITIONS[status][newStatus]?.includes(role));
+
+  return this.findOneAndUpdate(
+    { ...filter, status: { $in: allowedFrom } },
+    { $set: { status: newStatus } },
+    { session }
+  );
+};
+
 // Instance method to update status
-orderSchema.methods.updateStatus = async function(newStatus, reason = null) {
+orderSchema.methods.updateStatus = async function(newStatus, reason = null, actor = {}, session = null) {
+  const { userId = null, role = 'system' } = actor;
   const previousStatus = this.status;
+
+  this.assertTransition(newStatus, role);
+
   this.status = newStatus;
+  this.statusHistory.push({
+    from: previousStatus,
+    to: newStatus,
+    changedBy: userId,
+    actorRole: role,
+    reason,
+  });
   
   if (newStatus === 'cancelled' && reason) {
     this.cancellationReason = reason;
@@ -153,7 +394,7 @@ orderSchema.methods.updateStatus = async function(newStatus, reason = null) {
     this.actualDelivery = new Date();
   }
   
-  await this.save();
+  await this.save({ session });
   
   return { previousStatus, newStatus };
 };
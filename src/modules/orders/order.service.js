@@ -1,13 +1,25 @@
+import mongoose from 'mongoose';
 import Order from './order.model.js';
 import Product from '../products/product.model.js';
 import User from '../users/user.model.js';
-import { NotFoundError, ValidationError, AuthorizationError } from '../../core/error.js';
+import PromotionService from '../promotions/promotion.service.js';
+import PricingService from '../pricing/pricing.service.js';
+import InventoryService from '../inventory/inventory.service.js';
+import { NotFoundError, ValidationError, AuthorizationError, StockConflictError } from '../../core/error.js';
 import { createQueryParser } from '../../utils/queryParser.js';
 import { invalidateCacheByTags } from '../../middlewares/cache.js';
 import logger from '../../core/logger.js';
+import { config } from '../../config/env.js';
 import { notificationWorker } from '../../jobs/notificationWorker.js';
+import { reservationQueue } from '../../jobs/reservationQueue.js';
 
 export default class OrderService {
+  constructor() {
+    this.promotionService = new PromotionService();
+    this.pricingService = new PricingService();
+    this.inventoryService = new InventoryService();
+  }
+
   /**
    * Get all orders with pagination and filtering (admin only)
    */
@@ -92,12 +104,30 @@ export default class OrderService {
     }
   }
 
+  /**
+   * Get the owning user ID of an order
+   */
+  async getOrderOwnerId(orderId) {
+    const order = await Order.findById(orderId).select('userId').lean();
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    return order.userId;
+  }
+
   /**
    * Create new order
+   *
+   * Order creation and stock reservation run in a single transaction so two
+   * concurrent checkouts cannot oversell and a failure leaves nothing behind.
    */
   async createOrder(orderData) {
+    const session = await mongoose.startSession();
+
     try {
-      const { userId, items, shippingAddress } = orderData;
+      const { userId, items, shippingAddress, couponCode, paymentMethod } = orderData;
 
       // Validate user exists
       const user = await User.findById(userId);
@@ -105,27 +135,62 @@ export default class OrderService {
         throw new NotFoundError('User not found');
       }
 
-      // Validate and process items
-      const processedItems = await this.validateAndProcessItems(items);
-      
-      // Calculate total
-      const total = processedItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-
-      // Create order
-      const order = new Order({
-        userId,
-        items: processedItems,
-        total,
-        shippingAddress,
+      let order;
+      let processedItems;
+
+      await session.withTransaction(async () => {
+        // Validate and process items
+        processedItems = await this.validateAndProcessItems(items, session);
+
+        // Validate and redeem coupon (rolled back with the transaction)
+        const discount = couponCode
+          ? await this.promotionService.redeemCoupon(couponCode, userId, processedItems, session)
+          : undefined;
+
+        // Price the order: subtotal, discounts, shipping and tax
+        const pricing = await this.pricingService.calculateOrderPricing(
+          processedItems,
+          shippingAddress,
+          discount,
+          session
+        );
+
+        // Reserve stock at the warehouses (aborts the transaction on conflict)
+        const orderId = new mongoose.Types.ObjectId();
+        const reservedItems = await this.inventoryService.reserveOrderItems(
+          processedItems,
+          { orderId, actor: { userId, role: 'user' } },
+          session
+        );
+
+        // Create order
+        order = new Order({
+          _id: orderId,
+          userId,
+          items: reservedItems,
+          subtotal: pricing.subtotal,
+          discount,
+          shipping: pricing.shipping,
+          shippingTotal: pricing.shippingTotal,
+          tax: pricing.tax,
+          taxTotal: pricing.taxTotal,
+          total: pricing.total,
+          shippingAddress,
+          paymentMethod,
+        });
+        order.reservationExpiresAt = this.getReservationExpiry(order.paymentMethod);
+
+        await order.save({ session });
       });
 
-      await order.save();
+      // Alert on low stock once the reservation is committed
+      await this.notifyLowStock(processedItems);
 
-      // Update product stock
-      await this.updateProductStock(processedItems);
+      // Release the stock if the order is still unpaid when the reservation expires
+      await reservationQueue.scheduleExpiry(order._id, order.reservationExpiresAt);
 
       // Invalidate cache
-      await invalidateCacheByTags(['orders', `user:${userId}:orders`]);
+      await invalidateCacheByTags(['orders', `user:${userId}:orders`, 'products']);
 
       // Send order confirmation notification
       await notificationWorker.addNotificationJob('order-created', { user, order });
@@ -133,7 +198,8 @@ export default class OrderService {
       logger.info('Order created successfully', {
         orderId: order._id,
         userId,
-        total,
+        total: order.total,
+        couponCode: order.discount?.code,
         itemCount: processedItems.length,
       });
 
@@ -141,21 +207,24 @@ export default class OrderService {
     } catch (error) {
       logger.error('Failed to create order:', error);
       throw error;
+    } finally {
+      await session.endSession();
     }
   }
 
   /**
    * Validate and process order items
    */
-  async validateAndProcessItems(items) {
+  async validateAndProcessItems(items, session = null) {
     if (!Array.isArray(items) || items.length === 0) {
       throw new ValidationError('Order must contain at least one item');
     }
 
     const processedItems = [];
+    const conflicts = [];
 
     for (const item of items) {
-      const product = await Product.findById(item.productId);
+      const product = await Product.findById(item.productId).session(session);
       
       if (!product) {
         throw new NotFoundError(`Product not found: ${item.productId}`);
@@ -165,35 +234,131 @@ export default class OrderService {
         throw new ValidationError(`Product is not available: ${product.name}`);
       }
 
-      if (product.stock < item.quantity) {
-        throw new ValidationError(`Insufficient stock for product: ${product.name}`);
+      // Products with variants are priced and stocked per variant
+      const variant = product.getVariant(item.variantId);
+      const line = product.getLineDetails(variant);
+
+      if (line.stock < item.quantity) {
+        conflicts.push({
+          productId: product._id,
+          variantId: variant?._id,
+          name: line.name,
+          requested: item.quantity,
+          available: line.stock,
+        });
+        continue;
       }
 
       processedItems.push({
         productId: product._id,
-        name: product.name,
-        price: product.price,
+        variantId: variant?._id,
+        sku: line.sku,
+        name: line.name,
+        price: line.price,
         quantity: item.quantity,
-        total: product.price * item.quantity,
+        total: line.price * item.quantity,
       });
     }
 
+    if (conflicts.length > 0) {
+      throw new StockConflictError('Insufficient stock for one or more items', conflicts);
+    }
+
     return processedItems;
   }
 
   /**
-   * Update product stock after order creation
+   * Get when a new reservation expires for a payment method
    */
-  async updateProductStock(items) {
-    for (const item of items) {
-      await Product.findByIdAndUpdate(
-        item.productId,
-        { $inc: { stock: -item.quantity } }
-      );
+  getReservationExpiry(paymentMethod, from = new Date()) {
+    const minutes = config.RESERVATION_TTL[paymentMethod] ?? config.RESERVATION_TTL.default;
+    return new Date(from.getTime() + minutes * 60 * 1000);
+  }
+
+  /**
+   * Get unpaid (or authorized but uncaptured) pending orders holding stock, soonest expiry first (admin only)
+   */
+  async getActiveReservations(query) {
+    try {
+      const queryParser = createQueryParser({
+        sort: 'reservationExpiresAt:1',
+        ...query,
+        status: 'pending',
+        paymentStatus: 'pending,failed,authorized',
+      });
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(Order);
+
+      await Order.populate(result.data, {
+        path: 'userId',
+        select: 'username email',
+      });
+
+      logger.info('Active reservations retrieved', {
+        count: result.data.length,
+        total: result.pagination.total,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to get active reservations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extend the stock reservation of an unpaid or authorized order (admin only)
+   */
+  async extendReservation(orderId, minutes, actor = {}) {
+    try {
+      const order = await Order.findById(orderId);
+
+      if (!order) {
+        throw new NotFoundError('Order not found');
+      }
+
+      if (order.status !== 'pending' || !['pending', 'failed', 'authorized'].includes(order.paymentStatus)) {
+        throw new ValidationError('Order has no active reservation');
+      }
+
+      // Extend from the current expiry, or from now if it has already passed
+      const base = new Date(Math.max(Date.now(), order.reservationExpiresAt?.getTime() || 0));
+      order.reservationExpiresAt = new Date(base.getTime() + minutes * 60 * 1000);
+      await order.save();
+
+      await reservationQueue.scheduleExpiry(order._id, order.reservationExpiresAt);
 
-      // Check for low stock
+      // Invalidate cache
+      await invalidateCacheByTags(['orders', `user:${order.userId}:orders`]);
+
+      logger.info('Reservation extended', {
+        orderId,
+        minutes,
+        expiresAt: order.reservationExpiresAt,
+        extendedBy: actor.userId,
+      });
+
+      return order;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to extend reservation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue low stock alerts for ordered products
+   */
+  async notifyLowStock(items) {
+    for (const item of items) {
       const product = await Product.findById(item.productId);
-      if (product.stock <= 10) {
+      if (product && product.stock <= 10) {
         await notificationWorker.addNotificationJob('product-low-stock', { product });
       }
     }
@@ -201,16 +366,67 @@ export default class OrderService {
 
   /**
    * Update order status
+   *
+   * The status change only matches an order that can still make the transition,
+   * and shipping fulfils the reserved stock in the same transaction, so
+   * concurrent updates fulfil an order once.
    */
-  async updateOrderStatus(orderId, newStatus, reason = null) {
+  async updateOrderStatus(orderId, newStatus, reason = null, actor = {}) {
+    // Cancellation also releases reserved stock
+    if (newStatus === 'cancelled') {
+      return this.cancelOrder(orderId, null, reason, actor);
+    }
+
+    const session = await mongoose.startSession();
+
     try {
-      const order = await Order.findById(orderId).populate('userId', 'username email');
-      
-      if (!order) {
-        throw new NotFoundError('Order not found');
+      let order;
+      let statusChange;
+      let cashCollected;
+
+      await session.withTransaction(async () => {
+        // Claim the change; the returned order still has its previous status
+        order = await Order.claimTransition({ _id: orderId }, newStatus, actor, session);
+
+        if (!order) {
+          const current = await Order.findById(orderId).session(session);
+
+          if (!current) {
+            throw new NotFoundError('Order not found');
+          }
+
+          // Throws the reason this actor cannot make the change
+          current.assertTransition(newStatus, actor.role || 'system');
+          throw new ValidationError(`Cannot change order status from ${current.status} to ${newStatus}`);
+        }
+
+        // Cash is collected on delivery, so completing the order takes the payment
+        cashCollected = newStatus === 'completed' && order.paymentMethod === 'cash'
+          && order.paymentStatus === 'pending';
+        if (cashCollected) {
+          order.paymentStatus = 'paid';
+          order.set('paymentDetails.paymentDate', new Date());
+        }
+
+        // Record the change in the status history
+        statusChange = await order.updateStatus(newStatus, reason, actor, session);
+
+        // Shipping turns the reservation into a sale
+        if (newStatus === 'shipped') {
+          await this.inventoryService.fulfilOrderItems(order, actor, session);
+        }
+      });
+
+      // Paid orders get their invoice (never blocks the status change)
+      if (cashCollected) {
+        await notificationWorker.addNotificationJob('payment-captured', { order })
+          .catch(error => logger.warn('Payment notification could not be queued', {
+            orderId,
+            error: error.message,
+          }));
       }
 
-      const statusChange = await order.updateStatus(newStatus, reason);
+      await order.populate('userId', 'username email');
 
       // Invalidate cache
       await invalidateCacheByTags(['orders', `user:${order.userId._id}:orders`]);
@@ -226,85 +442,127 @@ export default class OrderService {
         orderId,
         previousStatus: statusChange.previousStatus,
         newStatus,
+        changedBy: actor.userId,
       });
 
       return order;
     } catch (error) {
-      if (error instanceof NotFoundError) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof AuthorizationError) {
         throw error;
       }
       logger.error('Failed to update order status:', error);
       throw error;
+    } finally {
+      await session.endSession();
     }
   }
 
   /**
    * Cancel order
+   *
+   * The status change, stock release and coupon release commit together, and
+   * the status change only matches an order that can still be cancelled, so
+   * concurrent cancellations (customer, reservation expiry, voided payment)
+   * release the stock and coupon once.
    */
-  async cancelOrder(orderId, userId = null, reason = null) {
+  async cancelOrder(orderId, userId = null, reason = null, actor = {}) {
+    const session = await mongoose.startSession();
+
     try {
       const query = { _id: orderId };
       if (userId) {
         query.userId = userId;
       }
 
-      const order = await Order.findOne(query).populate('userId', 'username email');
-      
-      if (!order) {
-        throw new NotFoundError('Order not found');
-      }
+      let order;
+      let statusChange;
 
-      if (order.status === 'completed') {
-        throw new ValidationError('Cannot cancel completed order');
-      }
+      await session.withTransaction(async () => {
+        // Claim the cancellation; the returned order still has its previous status
+        order = await Order.claimTransition(query, 'cancelled', actor, session);
 
-      if (order.status === 'cancelled') {
-        throw new ValidationError('Order is already cancelled');
-      }
+        if (!order) {
+          const current = await Order.findOne(query).session(session);
+
+          if (!current) {
+            throw new NotFoundError('Order not found');
+          }
+
+          // Throws the reason this actor cannot cancel the order
+          current.assertTransition('cancelled', actor.role || 'system');
+          throw new ValidationError(`Cannot change order status from ${current.status} to cancelled`);
+        }
 
-      // Restore product stock
-      await this.restoreProductStock(order.items);
+        // Record the change in the status history
+        statusChange = await order.updateStatus('cancelled', reason, actor, session);
 
-      // Update order status
-      await order.updateStatus('cancelled', reason);
+        // Release reserved stock
+        await this.inventoryService.releaseOrderItems(order, actor, 'Order cancelled', session);
+
+        // Give back the coupon use
+        if (order.discount?.promotionId) {
+          await this.promotionService.releaseCoupon(order.discount.promotionId, order.userId, session);
+        }
+      });
+
+      await order.populate('userId', 'username email');
 
       // Invalidate cache
-      await invalidateCacheByTags(['orders', `user:${order.userId._id}:orders`]);
+      await invalidateCacheByTags(['orders', `user:${order.userId._id}:orders`, 'products']);
 
       // Send cancellation notification
       await notificationWorker.addNotificationJob('order-status-changed', {
         user: order.userId,
         order,
-        previousStatus: order.status,
+        previousStatus: statusChange.previousStatus,
       });
 
       logger.info('Order cancelled', { orderId, userId, reason });
       return order;
     } catch (error) {
-      if (error instanceof NotFoundError || error instanceof ValidationError) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof AuthorizationError) {
         throw error;
       }
       logger.error('Failed to cancel order:', error);
       throw error;
+    } finally {
+      await session.endSession();
     }
   }
 
   /**
-   * Restore product stock after order cancellation
+   * Get order status timeline
    */
-  async restoreProductStock(items) {
-    for (const item of items) {
-      await Product.findByIdAndUpdate(
-        item.productId,
-        { $inc: { stock: item.quantity } }
-      );
+  async getOrderTimeline(orderId) {
+    try {
+      const order = await Order.findById(orderId)
+        .select('status statusHistory')
+        .populate('statusHistory.changedBy', 'username email role');
+
+      if (!order) {
+        throw new NotFoundError('Order not found');
+      }
+
+      logger.info('Order timeline retrieved', { orderId });
+      return {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        status: order.status,
+        timeline: order.statusHistory,
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to get order timeline:', error);
+      throw error;
     }
   }
 
   /**
    * Delete order (admin only)
    */
-  async deleteOrder(orderId) {
+  async deleteOrder(orderId, actor = {}) {
     try {
       const order = await Order.findById(orderId);
       
@@ -312,15 +570,15 @@ export default class OrderService {
         throw new NotFoundError('Order not found');
       }
 
-      // Restore product stock if order was not cancelled
-      if (order.status !== 'cancelled') {
-        await this.restoreProductStock(order.items);
+      // Release stock still reserved for it; shipped stock has already left
+      if (['pending', 'processing'].includes(order.status)) {
+        await this.inventoryService.releaseOrderItems(order, actor, 'Order deleted');
       }
 
       await Order.findByIdAndDelete(orderId);
 
       // Invalidate cache
-      await invalidateCacheByTags(['orders', `user:${order.userId}:orders`]);
+      await invalidateCacheByTags(['orders', `user:${order.userId}:orders`, 'products']);
 
       logger.info('Order deleted', { orderId });
       return { message: 'Order deleted successfully' };
@@ -0,0 +1,58 @@
+import PaymentService from './payment.service.js';
+import { sendSuccess } from '../../core/response.js';
+
+export default class PaymentController {
+  constructor() {
+    this.paymentService = new PaymentService();
+  }
+
+  /**
+   * Authorize payment for own order
+   */
+  async authorizePayment(req, res) {
+    const { id } = req.params;
+    const userId = req.user._id;
+    const order = await this.paymentService.authorizePayment(id, userId, req.body);
+    sendSuccess(res, 'Payment authorized successfully', order);
+  }
+
+  /**
+   * Capture authorized payment (admin only)
+   */
+  async capturePayment(req, res) {
+    const { id } = req.params;
+    const actor = { userId: req.user._id, role: req.user.role };
+    const order = await this.paymentService.capturePayment(id, actor);
+    sendSuccess(res, 'Payment captured successfully', order);
+  }
+
+  /**
+   * Refund payment (admin only)
+   */
+  async refundPayment(req, res) {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+    const actor = { userId: req.user._id, role: req.user.role };
+    const order = await this.paymentService.refundPayment(id, amount, actor, reason);
+    sendSuccess(res, 'Payment refunded successfully', order);
+  }
+
+  /**
+   * Void authorized payment (admin only)
+   */
+  async voidPayment(req, res) {
+    const { id } = req.params;
+    const actor = { userId: req.user._id, role: req.user.role };
+    const order = await this.paymentService.voidPayment(id, actor);
+    sendSuccess(res, 'Payment voided successfully', order);
+  }
+
+  /**
+   * Handle payment provider webhook
+   */
+  async handleWebhook(req, res) {
+    const { provider } = req.params;
+    const result = await this.paymentService.handleWebhook(provider, req.rawBody, req.headers);
+    sendSuccess(res, 'Webhook processed', result);
+  }
+}
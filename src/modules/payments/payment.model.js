@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+const paymentEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provider is required'],
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+  },
+  type: {
+    type: String,
+    required: [true, 'Event type is required'],
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+  },
+  transactionId: String,
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored'],
+    default: 'received',
+  },
+  payload: mongoose.Schema.Types.Mixed,
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+// A provider event is applied at most once
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+paymentEventSchema.index({ orderId: 1, createdAt: -1 });
+
+export default mongoose.model('PaymentEvent', paymentEventSchema);
@@ -0,0 +1,432 @@
+import Order from '../orders/order.model.js';
+import OrderService from '../orders/order.service.js';
+import PaymentEvent from './payment.model.js';
+import MockPaymentProvider from './providers/mock.provider.js';
+import { NotFoundError, ValidationError, PaymentError, AuthenticationError } from '../../core/error.js';
+import { invalidateCacheByTags } from '../../middlewares/cache.js';
+import { reservationQueue } from '../../jobs/reservationQueue.js';
+import { notificationWorker } from '../../jobs/notificationWorker.js';
+import { config } from '../../config/env.js';
+import logger from '../../core/logger.js';
+
+const providers = new Map();
+
+// What is left to refund of an order's payment
+const getRefundable = (order) => Math.round((order.total - (order.refundAmount || 0)) * 100) / 100;
+
+/**
+ * Register a payment provider under its name
+ */
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+registerPaymentProvider(new MockPaymentProvider());
+
+export default class PaymentService {
+  constructor() {
+    this.orderService = new OrderService();
+  }
+
+  /**
+   * Get a registered payment provider
+   */
+  getProvider(name = config.PAYMENT_PROVIDER) {
+    const provider = providers.get(name);
+
+    if (!provider) {
+      throw new NotFoundError(`Payment provider not found: ${name}`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Load an order for a payment operation
+   */
+  async getOrder(orderId, userId = null) {
+    const query = { _id: orderId };
+    if (userId) {
+      query.userId = userId;
+    }
+
+    const order = await Order.findOne(query);
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    return order;
+  }
+
+  /**
+   * Authorize payment for a pending order
+   */
+  async authorizePayment(orderId, userId, { provider: providerName, paymentMethod, paymentToken } = {}) {
+    try {
+      const order = await this.getOrder(orderId, userId);
+      const provider = this.getProvider(providerName);
+
+      if (order.status !== 'pending' || !['pending', 'failed'].includes(order.paymentStatus)) {
+        throw new ValidationError(`Cannot pay for an order that is ${order.status} with payment ${order.paymentStatus}`);
+      }
+
+      let result;
+      try {
+        result = await provider.authorize({
+          orderId: order._id.toString(),
+          amount: order.total,
+          currency: order.paymentDetails?.currency || 'USD',
+          paymentToken,
+        });
+      } catch (error) {
+        if (error instanceof PaymentError) {
+          await Order.updateOne(
+            { _id: order._id, paymentStatus: { $in: ['pending', 'failed'] } },
+            { $set: { paymentStatus: 'failed', 'paymentDetails.failureReason': error.message } }
+          );
+          await invalidateCacheByTags(['orders', `user:${order.userId}:orders`]);
+        }
+        throw error;
+      }
+
+      if (paymentMethod) {
+        order.paymentMethod = paymentMethod;
+      }
+      order.set('paymentDetails.provider', provider.name);
+      order.set('paymentDetails.transactionId', result.transactionId);
+      order.set('paymentDetails.amount', order.total);
+      const authorized = await this.applyPaymentEvent(order, { type: 'authorized' });
+
+      logger.info('Payment authorized', {
+        orderId,
+        provider: provider.name,
+        transactionId: result.transactionId,
+        amount: order.total,
+      });
+
+      return authorized || await this.getOrder(orderId);
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof PaymentError) {
+        throw error;
+      }
+      logger.error('Failed to authorize payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Capture an authorized payment (admin only)
+   */
+  async capturePayment(orderId, actor = {}) {
+    try {
+      const order = await this.getOrder(orderId);
+
+      if (order.paymentStatus !== 'authorized') {
+        throw new ValidationError(`Cannot capture a payment that is ${order.paymentStatus}`);
+      }
+
+      // Its stock is gone; void the authorization instead
+      if (order.status === 'cancelled') {
+        throw new ValidationError('Cannot capture payment for a cancelled order');
+      }
+
+      const provider = this.getProvider(order.paymentDetails.provider);
+      await provider.capture({
+        transactionId: order.paymentDetails.transactionId,
+        amount: order.paymentDetails.amount,
+      });
+
+      const captured = await this.applyPaymentEvent(order, { type: 'captured' }, actor);
+
+      logger.info('Payment captured', { orderId, capturedBy: actor.userId });
+      return captured || await this.getOrder(orderId);
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof PaymentError) {
+        throw error;
+      }
+      logger.error('Failed to capture payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refund a captured payment, fully or partially (admin only)
+   *
+   * Payments taken without a provider (cash) are paid back by hand, so their
+   * refund is only recorded.
+   */
+  async refundPayment(orderId, amount = null, actor = {}, reason = null, returnId = null) {
+    try {
+      const order = await this.getOrder(orderId);
+
+      if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+        throw new ValidationError(`Cannot refund a payment that is ${order.paymentStatus}`);
+      }
+
+      const refundable = getRefundable(order);
+      const refundAmount = amount ?? refundable;
+
+      if (refundAmount <= 0 || refundAmount > refundable) {
+        throw new ValidationError(`Refund amount must be between 0 and ${refundable}`);
+      }
+
+      let refundId;
+      if (order.paymentDetails.transactionId) {
+        const provider = this.getProvider(order.paymentDetails.provider);
+        // A return is refunded under its own reference, so retrying it refunds it once
+        const result = await provider.refund({
+          transactionId: order.paymentDetails.transactionId,
+          amount: refundAmount,
+          reference: returnId ? `return:${returnId}` : order.paymentDetails.refunds.length,
+        });
+        refundId = result.refundId;
+      }
+
+      const refunded = await this.applyPaymentEvent(order, {
+        type: 'refunded',
+        amount: refundAmount,
+        refundId,
+        returnId,
+        reason,
+      }, actor);
+
+      logger.info('Payment refunded', {
+        orderId,
+        amount: refundAmount,
+        refundId,
+        returnId,
+        refundedBy: actor.userId,
+      });
+
+      return refunded || await this.getOrder(orderId);
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof PaymentError) {
+        throw error;
+      }
+      logger.error('Failed to refund payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Void an authorized payment and cancel its order (admin only)
+   */
+  async voidPayment(orderId, actor = {}) {
+    try {
+      const order = await this.getOrder(orderId);
+
+      if (order.paymentStatus !== 'authorized') {
+        throw new ValidationError(`Cannot void a payment that is ${order.paymentStatus}`);
+      }
+
+      const provider = this.getProvider(order.paymentDetails.provider);
+      await provider.void({ transactionId: order.paymentDetails.transactionId });
+
+      await this.applyPaymentEvent(order, { type: 'voided' }, actor);
+
+      logger.info('Payment voided', { orderId, voidedBy: actor.userId });
+      return await this.getOrder(orderId);
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof PaymentError) {
+        throw error;
+      }
+      logger.error('Failed to void payment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Handle a signed webhook from a payment provider
+   *
+   * Each provider event is claimed once through a unique PaymentEvent record;
+   * redeliveries are acknowledged without being applied again. If applying
+   * fails the claim is released so the provider's retry can succeed.
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = this.getProvider(providerName);
+
+    try {
+      const event = provider.verifyWebhook(rawBody, headers);
+
+      let paymentEvent;
+      try {
+        paymentEvent = await PaymentEvent.create({
+          provider: provider.name,
+          eventId: event.id,
+          type: event.type,
+          transactionId: event.transactionId,
+          payload: event,
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          logger.info('Duplicate payment webhook ignored', { provider: provider.name, eventId: event.id });
+          return { eventId: event.id, duplicate: true };
+        }
+        throw error;
+      }
+
+      try {
+        const order = await Order.findOne({
+          'paymentDetails.provider': provider.name,
+          'paymentDetails.transactionId': event.transactionId,
+        });
+
+        if (!order) {
+          throw new NotFoundError(`No order for transaction ${event.transactionId}`);
+        }
+
+        const applied = Boolean(await this.applyPaymentEvent(order, event));
+
+        paymentEvent.orderId = order._id;
+        paymentEvent.status = applied ? 'processed' : 'ignored';
+        await paymentEvent.save();
+
+        logger.info('Payment webhook processed', {
+          provider: provider.name,
+          eventId: event.id,
+          type: event.type,
+          orderId: order._id,
+          applied,
+        });
+
+        return { eventId: event.id, duplicate: false, applied };
+      } catch (error) {
+        await PaymentEvent.deleteOne({ _id: paymentEvent._id });
+        throw error;
+      }
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof AuthenticationError) {
+        throw error;
+      }
+      logger.error('Failed to handle payment webhook:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move an order's payment (and order status) forward for a payment event
+   *
+   * Transitions that already happened are skipped, so replaying an event or
+   * receiving the webhook for an operation we initiated is harmless. The change
+   * is written with an update guarded on the payment state it was worked out
+   * from; if another event got there first it is worked out again from the
+   * current order. Returns the updated order, or null when nothing changed.
+   */
+  async applyPaymentEvent(order, event, actor = {}) {
+    const systemActor = { userId: actor.userId || null, role: actor.role || 'system' };
+    const expected = { paymentStatus: order.paymentStatus, refundAmount: order.refundAmount ?? null };
+    let cancel = false;
+
+    switch (event.type) {
+      case 'authorized':
+        if (!['pending', 'failed'].includes(order.paymentStatus)) {
+          return null;
+        }
+        order.paymentStatus = 'authorized';
+        order.set('paymentDetails.authorizedAt', new Date());
+        order.set('paymentDetails.failureReason', undefined);
+        // Hold the stock while the authorization is valid; it is voided if never captured
+        order.reservationExpiresAt = new Date(Date.now() + config.PAYMENT_AUTHORIZATION_TTL * 60 * 1000);
+        break;
+      case 'captured':
+        if (!['pending', 'authorized', 'failed'].includes(order.paymentStatus)) {
+          return null;
+        }
+        order.paymentStatus = 'paid';
+        order.set('paymentDetails.paymentDate', new Date());
+        // The provider took the money after its stock was released: flag it to be refunded
+        if (order.status === 'cancelled') {
+          order.set('paymentDetails.flaggedAt', new Date());
+          order.set('paymentDetails.flagReason', 'Payment captured after the order was cancelled');
+          logger.warn('Payment captured for a cancelled order', { orderId: order._id });
+        }
+        break;
+      case 'failed':
+        if (!['pending', 'authorized'].includes(order.paymentStatus)) {
+          return null;
+        }
+        order.paymentStatus = 'failed';
+        break;
+      case 'voided':
+        if (order.paymentStatus !== 'authorized') {
+          return null;
+        }
+        order.paymentStatus = 'voided';
+        order.set('paymentDetails.voidedAt', new Date());
+        cancel = order.status === 'pending';
+        break;
+      case 'refunded': {
+        if (!['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+          return null;
+        }
+        if (order.paymentDetails.refunds.some(refund => (event.refundId && refund.refundId === event.refundId)
+          || (event.returnId && refund.returnId?.equals(event.returnId)))) {
+          return null;
+        }
+        const refundable = getRefundable(order);
+        if (!(event.amount > 0) || event.amount > refundable) {
+          throw new ValidationError(`Refund amount must be between 0 and ${refundable}`);
+        }
+        order.recordRefund(event.amount, {
+          refundId: event.refundId,
+          returnId: event.returnId,
+          reason: event.reason || 'Refunded by payment provider',
+          refundedBy: actor.userId,
+        });
+        break;
+      }
+      default:
+        return null;
+    }
+
+    let updated = await Order.findOneAndUpdate(
+      { _id: order._id, ...expected },
+      order.getChanges(),
+      { new: true }
+    );
+
+    if (!updated) {
+      return this.applyPaymentEvent(await this.getOrder(order._id), event, actor);
+    }
+
+    // A captured payment releases the order for fulfilment
+    if (event.type === 'captured' && updated.status === 'pending') {
+      const claimed = await Order.claimTransition({ _id: updated._id, status: 'pending' }, 'processing', systemActor);
+      if (claimed) {
+        await claimed.updateStatus('processing', 'Payment captured', systemActor);
+        updated = claimed;
+      }
+    }
+
+    order = updated;
+
+    if (event.type === 'authorized' && order.status === 'pending') {
+      await reservationQueue.scheduleExpiry(order._id, order.reservationExpiresAt);
+    }
+
+    // Paid orders get their invoice (never blocks applying the payment)
+    if (event.type === 'captured' && order.status !== 'cancelled') {
+      await notificationWorker.addNotificationJob('payment-captured', { order })
+        .catch(error => logger.warn('Payment notification could not be queued', {
+          orderId: order._id,
+          error: error.message,
+        }));
+    }
+
+    // Voided authorizations cancel the order and restore its stock
+    if (cancel) {
+      await this.orderService.cancelOrder(order._id, null, 'Payment voided', systemActor)
+        .catch((error) => {
+          // Already cancelled elsewhere, which released the stock
+          if (!(error instanceof ValidationError)) {
+            throw error;
+          }
+        });
+    }
+
+    await invalidateCacheByTags(['orders', `user:${order.userId}:orders`]);
+
+    return order;
+  }
+}
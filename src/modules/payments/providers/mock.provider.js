@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import PaymentProvider from './payment.provider.js';
+import { AuthenticationError, PaymentError, ValidationError } from '../../../core/error.js';
+import { config } from '../../../config/env.js';
+
+const EVENT_TYPES = {
+  'payment.authorized': 'authorized',
+  'payment.captured': 'captured',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded',
+  'payment.voided': 'voided',
+};
+
+/**
+ * Deterministic local payment provider for development and tests
+ *
+ * Transaction IDs are derived from the order ID, and the payment token
+ * decides the outcome: `tok_decline` is declined, anything else succeeds.
+ * Webhooks are signed with an HMAC-SHA256 of the raw body in the
+ * `X-Mock-Signature` header.
+ */
+export default class MockPaymentProvider extends PaymentProvider {
+  constructor(secret = config.MOCK_PAYMENT_WEBHOOK_SECRET) {
+    super('mock');
+    this.secret = secret;
+  }
+
+  /**
+   * Build a stable identifier from the given parts
+   */
+  hash(...parts) {
+    return crypto.createHash('sha256').update(parts.join(':')).digest('hex').slice(0, 24);
+  }
+
+  async authorize({ orderId, amount, paymentToken }) {
+    if (paymentToken === 'tok_decline') {
+      throw new PaymentError('Card was declined');
+    }
+
+    return {
+      transactionId: `mock_txn_${this.hash(orderId, amount)}`,
+      status: 'authorized',
+    };
+  }
+
+  async capture({ transactionId }) {
+    return { transactionId, status: 'captured' };
+  }
+
+  async refund({ transactionId, amount, reference }) {
+    return {
+      transactionId,
+      refundId: `mock_rf_${this.hash(transactionId, amount, reference)}`,
+      status: 'refunded',
+    };
+  }
+
+  async void({ transactionId }) {
+    return { transactionId, status: 'voided' };
+  }
+
+  /**
+   * Sign a raw webhook body (for local tooling and tests)
+   */
+  sign(rawBody) {
+    return crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex');
+  }
+
+  verifyWebhook(rawBody, headers) {
+    const signature = headers['x-mock-signature'];
+
+    if (!rawBody || !signature) {
+      throw new AuthenticationError('Missing webhook signature');
+    }
+
+    const expected = Buffer.from(this.sign(rawBody));
+    const received = Buffer.from(String(signature));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new AuthenticationError('Invalid webhook signature');
+    }
+
+    const event = JSON.parse(rawBody.toString());
+    const type = EVENT_TYPES[event.type];
+
+    if (!event.id || !type) {
+      throw new ValidationError('Unsupported webhook event');
+    }
+
+    return {
+      id: event.id,
+      type,
+      transactionId: event.data?.transactionId,
+      orderId: event.data?.orderId,
+      amount: event.data?.amount,
+      refundId: event.data?.refundId,
+    };
+  }
+}
@@ -0,0 +1,52 @@
+import { AppError } from '../../../core/error.js';
+
+/**
+ * Base payment provider
+ *
+ * Providers translate between the payment service and a gateway. Every
+ * operation resolves to `{ transactionId, status }` (plus `refundId` for
+ * refunds) and throws a PaymentError when the gateway declines it.
+ * `verifyWebhook` must reject unsigned payloads and return a normalized
+ * event `{ id, type, transactionId, orderId, amount, refundId }` where type
+ * is one of authorized, captured, failed, refunded or voided.
+ */
+export default class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Reserve funds for an order
+   */
+  async authorize({ orderId, amount, currency, paymentToken }) {
+    throw new AppError(`${this.name} provider does not implement authorize`, 501);
+  }
+
+  /**
+   * Capture previously authorized funds
+   */
+  async capture({ transactionId, amount }) {
+    throw new AppError(`${this.name} provider does not implement capture`, 501);
+  }
+
+  /**
+   * Refund captured funds (fully or partially)
+   */
+  async refund({ transactionId, amount }) {
+    throw new AppError(`${this.name} provider does not implement refund`, 501);
+  }
+
+  /**
+   * Release an authorization without capturing it
+   */
+  async void({ transactionId }) {
+    throw new AppError(`${this.name} provider does not implement void`, 501);
+  }
+
+  /**
+   * Verify a webhook signature and normalize its event
+   */
+  verifyWebhook(rawBody, headers) {
+    throw new AppError(`${this.name} provider does not implement webhooks`, 501);
+  }
+}
@@ -0,0 +1,80 @@
+import PricingService from './pricing.service.js';
+import { sendSuccess, sendCreated } from '../../core/response.js';
+
+export default class PricingController {
+  constructor() {
+    this.pricingService = new PricingService();
+  }
+
+  /**
+   * Get tax rates
+   */
+  async getTaxRates(req, res) {
+    const result = await this.pricingService.getTaxRates(req.query);
+    sendSuccess(res, 'Tax rates retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Create tax rate
+   */
+  async createTaxRate(req, res) {
+    const taxRate = await this.pricingService.createTaxRate(req.body, req.user._id);
+    sendCreated(res, 'Tax rate created successfully', taxRate);
+  }
+
+  /**
+   * Update tax rate
+   */
+  async updateTaxRate(req, res) {
+    const { id } = req.params;
+    const taxRate = await this.pricingService.updateTaxRate(id, req.body, req.user._id);
+    sendSuccess(res, 'Tax rate updated successfully', taxRate);
+  }
+
+  /**
+   * Delete tax rate
+   */
+  async deleteTaxRate(req, res) {
+    const { id } = req.params;
+    const result = await this.pricingService.deleteTaxRate(id);
+    sendSuccess(res, result.message);
+  }
+
+  /**
+   * Get shipping rates
+   */
+  async getShippingRates(req, res) {
+    const result = await this.pricingService.getShippingRates(req.query);
+    sendSuccess(res, 'Shipping rates retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Create shipping rate
+   */
+  async createShippingRate(req, res) {
+    const shippingRate = await this.pricingService.createShippingRate(req.body, req.user._id);
+    sendCreated(res, 'Shipping rate created successfully', shippingRate);
+  }
+
+  /**
+   * Update shipping rate
+   */
+  async updateShippingRate(req, res) {
+    const { id } = req.params;
+    const shippingRate = await this.pricingService.updateShippingRate(id, req.body, req.user._id);
+    sendSuccess(res, 'Shipping rate updated successfully', shippingRate);
+  }
+
+  /**
+   * Delete shipping rate
+   */
+  async deleteShippingRate(req, res) {
+    const { id } = req.params;
+    const result = await this.pricingService.deleteShippingRate(id);
+    sendSuccess(res, result.message);
+  }
+}
@@ -0,0 +1,252 @@
+import TaxRate from './taxRate.model.js';
+import ShippingRate from './shippingRate.model.js';
+import Product from '../products/product.model.js';
+import { NotFoundError, ConflictError } from '../../core/error.js';
+import { createQueryParser } from '../../utils/queryParser.js';
+import logger from '../../core/logger.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+export default class PricingService {
+  /**
+   * Calculate the full price breakdown of an order
+   *
+   * Pipeline: subtotal -> discounts -> shipping (waived by free-shipping
+   * coupons or the rate's threshold) -> tax on the discounted merchandise
+   * (plus shipping where the region taxes it) -> total.
+   */
+  async calculateOrderPricing(items, shippingAddress = {}, discount = null, session = null) {
+    const subtotal = roundCurrency(items.reduce((sum, item) => sum + (item.price * item.quantity), 0));
+    const discountTotal = roundCurrency(discount?.amount || 0);
+    const merchandiseTotal = Math.max(0, roundCurrency(subtotal - discountTotal));
+
+    // Shipping
+    const shippingRate = await ShippingRate.findForAddress(shippingAddress || {}, session);
+    const weight = await this.calculateWeight(items, session);
+    const shippingAmount = shippingRate ? roundCurrency(shippingRate.quote(merchandiseTotal, weight)) : 0;
+    const shippingDiscount = discount?.freeShipping ? shippingAmount : 0;
+    const shippingTotal = roundCurrency(shippingAmount - shippingDiscount);
+
+    // Tax
+    const taxRate = await TaxRate.findForAddress(shippingAddress || {}, session);
+    const taxableAmount = taxRate
+      ? roundCurrency(merchandiseTotal + (taxRate.taxShipping ? shippingTotal : 0))
+      : 0;
+    const taxTotal = taxRate ? roundCurrency(taxableAmount * (taxRate.rate / 100)) : 0;
+
+    return {
+      subtotal,
+      discountTotal,
+      shippingTotal,
+      taxTotal,
+      total: roundCurrency(merchandiseTotal + shippingTotal + taxTotal),
+      shipping: {
+        rateId: shippingRate?._id,
+        name: shippingRate?.name,
+        method: shippingRate?.method,
+        weight,
+        amount: shippingAmount,
+        discount: shippingDiscount,
+      },
+      tax: {
+        rateId: taxRate?._id,
+        name: taxRate?.name,
+        rate: taxRate?.rate || 0,
+        taxableAmount,
+        amount: taxTotal,
+      },
+    };
+  }
+
+  /**
+   * Sum item weights from Product.dimensions.weight (kg)
+   */
+  async calculateWeight(items, session = null) {
+    const products = await Product.find({ _id: { $in: items.map(item => item.productId) } })
+      .select('dimensions.weight')
+      .session(session);
+    const weights = new Map(products.map(product => [product._id.toString(), product.dimensions?.weight || 0]));
+
+    return items.reduce((total, item) => total + ((weights.get(item.productId.toString()) || 0) * item.quantity), 0);
+  }
+
+  /**
+   * Get tax rates (admin only)
+   */
+  async getTaxRates(query) {
+    try {
+      const queryParser = createQueryParser(query);
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(TaxRate);
+
+      logger.info('Tax rates retrieved', { count: result.data.length });
+      return result;
+    } catch (error) {
+      logger.error('Failed to get tax rates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create tax rate (admin only)
+   */
+  async createTaxRate(rateData, userId) {
+    try {
+      const taxRate = await TaxRate.create({ ...rateData, updatedBy: userId });
+
+      logger.info('Tax rate created', { taxRateId: taxRate._id, country: taxRate.country, state: taxRate.state });
+      return taxRate;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('A tax rate already exists for this region');
+      }
+      logger.error('Failed to create tax rate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update tax rate (admin only)
+   */
+  async updateTaxRate(taxRateId, updateData, userId) {
+    try {
+      const taxRate = await TaxRate.findById(taxRateId);
+
+      if (!taxRate) {
+        throw new NotFoundError('Tax rate not found');
+      }
+
+      Object.assign(taxRate, updateData);
+      taxRate.updatedBy = userId;
+      await taxRate.save();
+
+      logger.info('Tax rate updated', { taxRateId, updatedFields: Object.keys(updateData) });
+      return taxRate;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      if (error.code === 11000) {
+        throw new ConflictError('A tax rate already exists for this region');
+      }
+      logger.error('Failed to update tax rate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete tax rate (admin only)
+   */
+  async deleteTaxRate(taxRateId) {
+    try {
+      const taxRate = await TaxRate.findByIdAndDelete(taxRateId);
+
+      if (!taxRate) {
+        throw new NotFoundError('Tax rate not found');
+      }
+
+      logger.info('Tax rate deleted', { taxRateId });
+      return { message: 'Tax rate deleted successfully' };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to delete tax rate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get shipping rates (admin only)
+   */
+  async getShippingRates(query) {
+    try {
+      const queryParser = createQueryParser(query);
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(ShippingRate);
+
+      logger.info('Shipping rates retrieved', { count: result.data.length });
+      return result;
+    } catch (error) {
+      logger.error('Failed to get shipping rates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create shipping rate (admin only)
+   */
+  async createShippingRate(rateData, userId) {
+    try {
+      const shippingRate = await ShippingRate.create({ ...rateData, updatedBy: userId });
+
+      logger.info('Shipping rate created', { shippingRateId: shippingRate._id, country: shippingRate.country });
+      return shippingRate;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('A shipping rate already exists for this region');
+      }
+      logger.error('Failed to create shipping rate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update shipping rate (admin only)
+   */
+  async updateShippingRate(shippingRateId, updateData, userId) {
+    try {
+      const shippingRate = await ShippingRate.findById(shippingRateId);
+
+      if (!shippingRate) {
+        throw new NotFoundError('Shipping rate not found');
+      }
+
+      Object.assign(shippingRate, updateData);
+      shippingRate.updatedBy = userId;
+      await shippingRate.save();
+
+      logger.info('Shipping rate updated', { shippingRateId, updatedFields: Object.keys(updateData) });
+      return shippingRate;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      if (error.code === 11000) {
+        throw new ConflictError('A shipping rate already exists for this region');
+      }
+      logger.error('Failed to update shipping rate:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete shipping rate (admin only)
+   */
+  async deleteShippingRate(shippingRateId) {
+    try {
+      const shippingRate = await ShippingRate.findByIdAndDelete(shippingRateId);
+
+      if (!shippingRate) {
+        throw new NotFoundError('Shipping rate not found');
+      }
+
+      logger.info('Shipping rate deleted', { shippingRateId });
+      return { message: 'Shipping rate deleted successfully' };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to delete shipping rate:', error);
+      throw error;
+    }
+  }
+}
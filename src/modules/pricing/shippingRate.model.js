@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+const shippingRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Shipping rate name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+  },
+  // Empty country is the default rate for any destination
+  country: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null,
+  },
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null,
+  },
+  method: {
+    type: String,
+    enum: ['flat', 'weight_based'],
+    required: [true, 'Shipping method is required'],
+  },
+  flatRate: {
+    type: Number,
+    min: [0, 'Flat rate cannot be negative'],
+    default: 0,
+  },
+  // Weight-based: baseRate + perKg * total weight (Product.dimensions.weight, in kg)
+  baseRate: {
+    type: Number,
+    min: [0, 'Base rate cannot be negative'],
+    default: 0,
+  },
+  perKg: {
+    type: Number,
+    min: [0, 'Per kg rate cannot be negative'],
+    default: 0,
+  },
+  // Orders at or above this amount (after discounts) ship free
+  freeShippingThreshold: {
+    type: Number,
+    min: [0, 'Free shipping threshold cannot be negative'],
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+shippingRateSchema.index({ country: 1, state: 1 }, { unique: true });
+
+// Static method to find the most specific active rate for an address
+shippingRateSchema.statics.findForAddress = async function(address = {}, session = null) {
+  const country = address.country ? address.country.toUpperCase() : null;
+  const state = address.state ? address.state.toUpperCase() : null;
+
+  const rates = await this.find({
+    country: { $in: [country, null] },
+    state: { $in: [state, null] },
+    isActive: true,
+  }).session(session);
+
+  const specificity = rate => (rate.country ? 2 : 0) + (rate.state ? 1 : 0);
+  return rates
+    .filter(rate => !rate.state || rate.country)
+    .sort((a, b) => specificity(b) - specificity(a))[0] || null;
+};
+
+// Instance method to quote shipping for an order
+shippingRateSchema.methods.quote = function(merchandiseTotal, weight) {
+  if (this.freeShippingThreshold != null && merchandiseTotal >= this.freeShippingThreshold) {
+    return 0;
+  }
+
+  if (this.method === 'weight_based') {
+    return this.baseRate + (this.perKg * weight);
+  }
+
+  return this.flatRate;
+};
+
+export default mongoose.model('ShippingRate', shippingRateSchema);
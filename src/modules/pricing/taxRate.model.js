@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax rate name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters'],
+  },
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true,
+  },
+  // Empty state applies to the whole country
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null,
+  },
+  // Percentage, e.g. 8.25 for 8.25%
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot exceed 100'],
+  },
+  taxShipping: {
+    type: Boolean,
+    default: false,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+taxRateSchema.index({ country: 1, state: 1 }, { unique: true });
+
+// Static method to find the most specific active rate for an address
+taxRateSchema.statics.findForAddress = async function(address = {}, session = null) {
+  if (!address.country) {
+    return null;
+  }
+
+  const rates = await this.find({
+    country: address.country.toUpperCase(),
+    state: { $in: [address.state ? address.state.toUpperCase() : null, null] },
+    isActive: true,
+  }).session(session);
+
+  return rates.find(rate => rate.state) || rates[0] || null;
+};
+
+export default mongoose.model('TaxRate', taxRateSchema);
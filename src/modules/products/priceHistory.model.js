@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// One pricing state of a product or variant, written whenever any of its prices change
+const priceHistorySchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required'],
+  },
+  // Null for the product's own price
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  sku: String,
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+  },
+  compareAtPrice: {
+    type: Number,
+    default: null,
+  },
+  salePrice: {
+    type: Number,
+    default: null,
+  },
+  // The price charged from this point on
+  effectivePrice: {
+    type: Number,
+    required: [true, 'Effective price is required'],
+  },
+  reason: {
+    type: String,
+    enum: ['created', 'updated', 'sale_started', 'sale_ended'],
+    required: [true, 'Reason is required'],
+  },
+  // Null when the price schedule job made the change
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+priceHistorySchema.index({ productId: 1, createdAt: -1 });
+priceHistorySchema.index({ variantId: 1, createdAt: -1 });
+
+export default mongoose.model('PriceHistory', priceHistorySchema);
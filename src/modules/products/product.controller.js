@@ -1,10 +1,12 @@
 import ProductService from './product.service.js';
-import { sendSuccess, sendCreated, sendBadRequest } from '../../core/response.js';
+import ProductPricingService from './productPricing.service.js';
+import { sendSuccess, sendCreated } from '../../core/response.js';
 import logger from '../../core/logger.js';
 
 export default class ProductController {
   constructor() {
     this.productService = new ProductService();
+    this.productPricingService = new ProductPricingService();
   }
 
   /**
@@ -26,6 +28,19 @@ export default class ProductController {
     sendSuccess(res, 'Product retrieved successfully', product);
   }
 
+  /**
+   * Get product by SEO slug, redirecting permanently from earlier slugs
+   */
+  async getProductBySlug(req, res) {
+    const result = await this.productService.getProductBySlug(req.params.slug);
+
+    if (result.redirectTo) {
+      return res.redirect(301, `${req.baseUrl}/slug/${encodeURIComponent(result.redirectTo)}`);
+    }
+
+    sendSuccess(res, 'Product retrieved successfully', result.product);
+  }
+
   /**
    * Create new product
    */
@@ -57,21 +72,52 @@ export default class ProductController {
   }
 
   /**
-   * Search products
+   * Add a variant to a product
    */
-  async searchProducts(req, res) {
-    const { q: searchTerm } = req.query;
-    
-    if (!searchTerm) {
-      return sendBadRequest(res, 'Search term is required');
-    }
+  async addVariant(req, res) {
+    const { id } = req.params;
+    const product = await this.productService.addVariant(id, req.body, req.user._id);
+    sendCreated(res, 'Variant added successfully', product);
+  }
 
-    const result = await this.productService.searchProducts(searchTerm, req.query);
+  /**
+   * Update a product variant
+   */
+  async updateVariant(req, res) {
+    const { id, variantId } = req.params;
+    const product = await this.productService.updateVariant(id, variantId, req.body, req.user._id);
+    sendSuccess(res, 'Variant updated successfully', product);
+  }
+
+  /**
+   * Remove a product variant
+   */
+  async removeVariant(req, res) {
+    const { id, variantId } = req.params;
+    const product = await this.productService.removeVariant(id, variantId, req.user._id);
+    sendSuccess(res, 'Variant removed successfully', product);
+  }
+
+  /**
+   * Search products with facet counts
+   */
+  async searchProducts(req, res) {
+    const result = await this.productService.searchProducts(req.query);
     sendSuccess(res, 'Product search completed', result.data, {
       pagination: result.pagination,
+      facets: result.facets,
     });
   }
 
+  /**
+   * Autocomplete suggestions for the search box
+   */
+  async autocompleteProducts(req, res) {
+    const { q, limit } = req.query;
+    const result = await this.productService.autocompleteProducts(q, limit);
+    sendSuccess(res, 'Search suggestions retrieved', result);
+  }
+
   /**
    * Get products by category
    */
@@ -100,4 +146,36 @@ export default class ProductController {
     const stats = await this.productService.getProductStats();
     sendSuccess(res, 'Product statistics retrieved successfully', stats);
   }
+
+  /**
+   * Get the price history of a product (admin only)
+   */
+  async getPriceHistory(req, res) {
+    const { id } = req.params;
+    const result = await this.productPricingService.getPriceHistory(id, req.query);
+    sendSuccess(res, 'Price history retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Change product stock by a delta (admin only)
+   */
+  async updateProductStock(req, res) {
+    const { id } = req.params;
+    const { quantity, reason } = req.body;
+    const actor = { userId: req.user._id, role: req.user.role };
+    const product = await this.productService.updateProductStock(id, quantity, actor, reason);
+    sendSuccess(res, 'Product stock updated successfully', product);
+  }
+
+  /**
+   * Feature or unfeature a product (admin only)
+   */
+  async setFeatured(req, res) {
+    const { id } = req.params;
+    const { featured } = req.body;
+    const product = await this.productService.setFeatured(id, featured, req.user._id);
+    sendSuccess(res, featured ? 'Product featured' : 'Product unfeatured', product);
+  }
 }
@@ -1,4 +1,106 @@
 import mongoose from 'mongoose';
+import { NotFoundError, ValidationError } from '../../core/error.js';
+import { sanitizers } from '../../utils/validators.js';
+import PriceHistory from './priceHistory.model.js';
+import logger from '../../core/logger.js';
+
+// An option axis such as Size or Colour and the values it offers
+const productOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Option name is required'],
+    trim: true,
+    maxlength: [50, 'Option name cannot exceed 50 characters'],
+  },
+  values: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Option value cannot exceed 50 characters'],
+  }],
+}, { _id: false });
+
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters'],
+  },
+  // One value per product option, e.g. { Size: 'M', Colour: 'Red' }
+  options: {
+    type: Map,
+    of: String,
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+  },
+  // Charged instead of the variant price while the product's sale is active
+  salePrice: {
+    type: Number,
+    min: [0, 'Sale price cannot be negative'],
+    default: null,
+  },
+  // Available stock across warehouses, derived from the inventory ledger
+  stock: {
+    type: Number,
+    min: [0, 'Stock cannot be negative'],
+    default: 0,
+  },
+  images: [{
+    url: String,
+    alt: String,
+  }],
+  barcode: {
+    type: String,
+    trim: true,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+});
+
+// Virtual for the options as a readable label, e.g. "M / Red"
+variantSchema.virtual('label').get(function() {
+  return Array.from(this.options?.values() || []).join(' / ');
+});
+
+// Virtual for the price charged for this variant right now
+variantSchema.virtual('effectivePrice').get(function() {
+  return this.parent()?.getLinePricing(this).effectivePrice;
+});
+
+variantSchema.set('toJSON', { virtuals: true });
+
+// Pricing fields compared when deciding whether to record price history
+const PRICE_FIELDS = ['price', 'compareAtPrice', 'salePrice', 'effectivePrice'];
+
+// A sale window; lines are priced by the window itself, and the price schedule job
+// moves `status` along as it opens and closes to record the change
+const saleSchema = new mongoose.Schema({
+  // Charged instead of the product price while the sale is active (variants may set their own)
+  price: {
+    type: Number,
+    min: [0, 'Sale price cannot be negative'],
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Sale start is required'],
+  },
+  // Open-ended when not set
+  endsAt: {
+    type: Date,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'active', 'ended'],
+    default: 'scheduled',
+  },
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -12,22 +114,51 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters'],
   },
+  // Stock keeping unit of a product without variants (variants carry their own)
+  sku: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    maxlength: [64, 'SKU cannot exceed 64 characters'],
+  },
   price: {
     type: Number,
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative'],
   },
+  // Reference price shown struck through next to the selling price
+  compareAtPrice: {
+    type: Number,
+    min: [0, 'Compare-at price cannot be negative'],
+    default: null,
+  },
+  sale: {
+    type: saleSchema,
+    default: null,
+  },
+  // Category name, kept in sync with the linked category for display and search
   category: {
     type: String,
     required: [true, 'Category is required'],
     trim: true,
     maxlength: [100, 'Category cannot exceed 100 characters'],
   },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+  },
+  // The category and its ancestors, so a category's listing includes its subcategories
+  categoryPath: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+  }],
   status: {
     type: String,
     enum: ['active', 'inactive', 'discontinued'],
     default: 'active',
   },
+  // Available stock across warehouses (and variants), derived from the inventory ledger
   stock: {
     type: Number,
     required: [true, 'Stock is required'],
@@ -47,6 +178,8 @@ const productSchema = new mongoose.Schema({
       default: false,
     },
   }],
+  options: [productOptionSchema],
+  variants: [variantSchema],
   specifications: {
     type: Map,
     of: String,
@@ -71,7 +204,10 @@ const productSchema = new mongoose.Schema({
       unique: true,
       sparse: true,
     },
+    // Earlier slugs, kept so old links can be redirected to the current one
+    previousSlugs: [String],
   },
+  // Recomputed from approved reviews by the review service
   rating: {
     average: {
       type: Number,
@@ -122,6 +258,8 @@ const productSchema = new mongoose.Schema({
 // Indexes
 productSchema.index({ name: 1 });
 productSchema.index({ category: 1 });
+productSchema.index({ categoryId: 1 });
+productSchema.index({ categoryPath: 1, status: 1 });
 productSchema.index({ status: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ stock: 1 });
@@ -129,6 +267,12 @@ productSchema.index({ tags: 1 });
 productSchema.index({ featured: 1 });
 productSchema.index({ createdAt: -1 });
 productSchema.index({ 'seo.slug': 1 });
+productSchema.index({ 'seo.previousSlugs': 1 });
+productSchema.index({ 'sale.status': 1, 'sale.startsAt': 1 });
+productSchema.index({ 'sale.status': 1, 'sale.endsAt': 1 });
+productSchema.index({ sku: 1 }, { unique: true, sparse: true });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index({ 'variants.barcode': 1 });
 
 // Text index for search
 productSchema.index({
@@ -155,19 +299,163 @@ productSchema.virtual('stockStatus').get(function() {
   return 'in_stock';
 });
 
-// Pre-save middleware to generate slug
+// Virtual for the price charged right now
+productSchema.virtual('effectivePrice').get(function() {
+  return this.getLinePricing().effectivePrice;
+});
+
+// Virtual for whether a sale price currently applies
+productSchema.virtual('onSale').get(function() {
+  return this.getSaleStatus() === 'active';
+});
+
+// Virtual for the lowest and highest price charged across active variants
+productSchema.virtual('priceRange').get(function() {
+  const prices = (this.variants || [])
+    .filter(variant => variant.isActive)
+    .map(variant => this.getLinePricing(variant).effectivePrice);
+
+  if (prices.length === 0) {
+    const { effectivePrice } = this.getLinePricing();
+    return { min: effectivePrice, max: effectivePrice };
+  }
+
+  return { min: Math.min(...prices), max: Math.max(...prices) };
+});
+
+// Virtual for the option values that have an active variant in stock
+productSchema.virtual('availableOptions').get(function() {
+  const inStock = (this.variants || []).filter(variant => variant.isActive && variant.stock > 0);
+
+  return (this.options || []).map(option => ({
+    name: option.name,
+    values: option.values.filter(value => inStock.some(variant => variant.options?.get(option.name) === value)),
+  }));
+});
+
+// Pre-validate middleware to check variants against the option axes
+productSchema.pre('validate', function(next) {
+  const axes = new Map((this.options || []).map(option => [option.name, option.values]));
+  const skus = new Set();
+  const combinations = new Set();
+
+  (this.variants || []).forEach((variant, index) => {
+    const options = variant.options || new Map();
+
+    if (skus.has(variant.sku)) {
+      this.invalidate(`variants.${index}.sku`, `Duplicate SKU: ${variant.sku}`);
+    }
+    skus.add(variant.sku);
+
+    if (options.size !== axes.size
+      || Array.from(options.entries()).some(([name, value]) => !axes.get(name)?.includes(value))) {
+      this.invalidate(`variants.${index}.options`, 'Variant must pick one listed value for every product option');
+      return;
+    }
+
+    const combination = Array.from(axes.keys()).map(name => options.get(name)).join('\u0000');
+    if (combinations.has(combination)) {
+      this.invalidate(`variants.${index}.options`, `Duplicate variant: ${variant.label}`);
+    }
+    combinations.add(combination);
+  });
+  next();
+});
+
+// Pre-save middleware to total variant stock on new products
+productSchema.pre('save', function(next) {
+  if (this.isNew && this.variants.length > 0) {
+    this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+  }
+  next();
+});
+
+// Post-init middleware to remember the stored slug and prices for their history
+productSchema.post('init', function() {
+  this.$locals.storedSlug = this.seo?.slug;
+  this.$locals.storedPrices = this.getPriceSnapshot();
+});
+
+// Pre-save middleware to generate a unique slug and record replaced slugs
+productSchema.pre('save', async function() {
+  if (!this.seo.slug) {
+    this.seo.slug = await this.constructor.generateSlug(this.name, this._id);
+  }
+
+  const storedSlug = this.$locals.storedSlug;
+
+  if (this.isModified('seo.slug') && storedSlug && storedSlug !== this.seo.slug) {
+    this.seo.previousSlugs = [
+      ...this.seo.previousSlugs.filter(slug => slug !== storedSlug && slug !== this.seo.slug),
+      storedSlug,
+    ];
+  }
+});
+
+// Pre-validate middleware to check the sale window
+productSchema.pre('validate', function(next) {
+  if (this.sale?.endsAt && this.sale.startsAt && this.sale.endsAt <= this.sale.startsAt) {
+    this.invalidate('sale.endsAt', 'Sale must end after it starts');
+  }
+  next();
+});
+
+// Pre-save middleware to put an edited sale in the state its window implies
 productSchema.pre('save', function(next) {
-  if (this.isModified('name') && !this.seo.slug) {
-    this.seo.slug = this.name
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-')
-      .trim('-');
+  if (this.sale && ['sale.price', 'sale.startsAt', 'sale.endsAt'].some(path => this.isModified(path))) {
+    this.sale.status = this.getSaleStatus();
   }
   next();
 });
 
+// Post-save middleware to track the slug now stored and record price changes
+productSchema.post('save', async function() {
+  this.$locals.storedSlug = this.seo.slug;
+
+  const previous = new Map((this.$locals.storedPrices || []).map(line => [String(line.variantId), line]));
+  const current = this.getPriceSnapshot();
+  const { reason, changedBy } = this.$locals.priceChange || {
+    reason: this.$locals.storedPrices ? 'updated' : 'created',
+    changedBy: this.updatedBy || this.createdBy,
+  };
+
+  this.$locals.storedPrices = current;
+  this.$locals.priceChange = null;
+
+  const changed = current.filter(line => {
+    const before = previous.get(String(line.variantId));
+    return !before || PRICE_FIELDS.some(field => before[field] !== line[field]);
+  });
+
+  if (changed.length === 0) {
+    return;
+  }
+
+  try {
+    await PriceHistory.insertMany(changed.map(line => ({
+      ...line,
+      productId: this._id,
+      reason,
+      changedBy,
+    })));
+  } catch (error) {
+    // The product is saved either way; a missing history line is logged rather than failing the write
+    logger.error('Failed to record price history:', error);
+  }
+});
+
+// Static method to generate a unique slug, adding a numeric suffix on collisions
+productSchema.statics.generateSlug = async function(value, excludeId = null) {
+  const base = sanitizers.createSlug(value).replace(/^-+|-+$/g, '') || 'product';
+  let slug = base;
+
+  for (let suffix = 2; await this.exists({ 'seo.slug': slug, _id: { $ne: excludeId } }); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+
+  return slug;
+};
+
 // Static method to find active products
 productSchema.statics.findActive = function() {
   return this.find({ status: 'active' });
@@ -188,27 +476,80 @@ productSchema.statics.findLowStock = function(threshold = 10) {
   return this.find({ stock: { $lte: threshold }, status: 'active' });
 };
 
-// Instance method to update stock
-productSchema.methods.updateStock = async function(quantity) {
-  this.stock += quantity;
-  if (this.stock < 0) this.stock = 0;
-  return this.save();
+// Instance method to resolve the variant an order or cart line refers to
+productSchema.methods.getVariant = function(variantId = null) {
+  if (this.variants.length === 0 && !variantId) {
+    return null;
+  }
+
+  if (!variantId) {
+    throw new ValidationError(`Choose a variant of ${this.name}`);
+  }
+
+  const variant = this.variants.id(variantId);
+  if (!variant || !variant.isActive) {
+    throw new NotFoundError(`Variant not found for product: ${this.name}`);
+  }
+
+  return variant;
 };
 
-// Instance method to update rating
-productSchema.methods.updateRating = async function(newRating) {
-  const totalRating = (this.rating.average * this.rating.count) + newRating;
-  this.rating.count += 1;
-  this.rating.average = totalRating / this.rating.count;
-  return this.save();
+// Instance method to get the state a sale window implies at a given time
+productSchema.methods.getSaleStatus = function(at = new Date()) {
+  if (!this.sale) return null;
+  if (at < this.sale.startsAt) return 'scheduled';
+  if (this.sale.endsAt && at >= this.sale.endsAt) return 'ended';
+  return 'active';
+};
+
+// Instance method to get the regular, compare-at, sale and charged price of a line.
+// The sale applies while its window is open, whether or not the job has caught up.
+productSchema.methods.getLinePricing = function(variant = null, saleStatus = this.getSaleStatus(new Date())) {
+  const price = variant?.price ?? this.price;
+  // Variants without their own price follow the product's sale price
+  const salePrice = variant
+    ? (variant.salePrice ?? (variant.price == null ? this.sale?.price : null) ?? null)
+    : (this.sale?.price ?? null);
+  const onSale = saleStatus === 'active' && salePrice != null;
+
+  return {
+    price,
+    compareAtPrice: this.compareAtPrice ?? null,
+    salePrice,
+    effectivePrice: onSale ? salePrice : price,
+  };
+};
+
+// Instance method to get the pricing of the product and each variant, for the price history.
+// Priced by the stored sale status, so the change is recorded when the job moves it.
+productSchema.methods.getPriceSnapshot = function() {
+  return [null, ...(this.variants || [])].map(variant => ({
+    variantId: variant?._id ?? null,
+    sku: variant ? variant.sku : this.sku,
+    ...this.getLinePricing(variant, this.sale?.status),
+  }));
+};
+
+// Instance method to get the name, price and stock of an order or cart line
+productSchema.methods.getLineDetails = function(variant = null) {
+  const { effectivePrice } = this.getLinePricing(variant);
+
+  if (!variant) {
+    return { name: this.name, price: effectivePrice, stock: this.stock, sku: this.sku };
+  }
+
+  return {
+    name: `${this.name} (${variant.label})`,
+    price: effectivePrice,
+    stock: variant.stock,
+    sku: variant.sku,
+  };
 };
 
 // Instance method to record sale
 productSchema.methods.recordSale = async function(quantity, price) {
   this.sales.totalSold += quantity;
   this.sales.revenue += (price * quantity);
-  this.stock -= quantity;
-  if (this.stock < 0) this.stock = 0;
   return this.save();
 };
 
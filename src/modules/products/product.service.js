@@ -1,10 +1,38 @@
 import Product from './product.model.js';
-import { NotFoundError, ValidationError } from '../../core/error.js';
+import Category from '../categories/category.model.js';
+import InventoryService from '../inventory/inventory.service.js';
+import CategoryService from '../categories/category.service.js';
+import { NotFoundError, ValidationError, ConflictError } from '../../core/error.js';
 import { createQueryParser } from '../../utils/queryParser.js';
 import { invalidateCacheByTags } from '../../middlewares/cache.js';
+import { escapeHtml, escapeRegex, getSearchTerms, highlightMatches, buildFuzzyPattern } from '../../utils/search.js';
 import logger from '../../core/logger.js';
 
+// Lower bounds of the search price facet buckets; anything above the last one shares an open-ended bucket
+const PRICE_BUCKET_BOUNDARIES = [0, 25, 50, 100, 250, 500, 1000];
+
+const SEARCH_SORTS = {
+  relevance: { score: -1 },
+  price_asc: { price: 1 },
+  price_desc: { price: -1 },
+  popularity: { 'sales.totalSold': -1 },
+  rating: { 'rating.average': -1 },
+  newest: { createdAt: -1 },
+};
+
+const SEARCH_FACET_LIMIT = 20;
+const AUTOCOMPLETE_CANDIDATES = 50;
+const AUTOCOMPLETE_CATEGORY_LIMIT = 5;
+// Fuzzy patterns get noisy on very short terms and expensive on long ones
+const FUZZY_MIN_LENGTH = 3;
+const FUZZY_MAX_LENGTH = 30;
+
 export default class ProductService {
+  constructor() {
+    this.inventoryService = new InventoryService();
+    this.categoryService = new CategoryService();
+  }
+
   /**
    * Get products with pagination and filtering
    */
@@ -52,18 +80,60 @@ export default class ProductService {
     }
   }
 
+  /**
+   * Get product by SEO slug; an earlier slug resolves to the slug to redirect to
+   */
+  async getProductBySlug(slug) {
+    try {
+      const product = await Product.findOne({ 'seo.slug': slug });
+
+      if (product) {
+        logger.info('Product retrieved by slug', { slug });
+        return { product };
+      }
+
+      // Current slugs win over history, so a reused slug never redirects away
+      const renamed = await Product.findOne({ 'seo.previousSlugs': slug }).select('seo.slug');
+
+      if (!renamed) {
+        throw new NotFoundError('Product not found');
+      }
+
+      logger.info('Product slug redirected', { slug, redirectTo: renamed.seo.slug });
+      return { redirectTo: renamed.seo.slug };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to get product by slug:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create new product
    */
   async createProduct(productData, userId) {
     try {
+      const { categoryId, category, ...fields } = productData;
+
       const product = new Product({
-        ...productData,
+        ...fields,
+        ...await this.categoryService.resolveProductCategory({ categoryId, category }),
         createdBy: userId,
       });
 
       await product.save();
 
+      // Book the initial stock (per variant, if any) into the ledger
+      const actor = { userId, role: 'admin' };
+      const variantIds = product.variants.length > 0
+        ? product.variants.map(variant => variant._id)
+        : [null];
+      for (const variantId of variantIds) {
+        await this.inventoryService.ensureStockLevels(product._id, variantId, actor);
+      }
+
       // Invalidate cache
       await invalidateCacheByTags(['products']);
 
@@ -75,6 +145,12 @@ export default class ProductService {
 
       return product;
     } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      if (error.code === 11000) {
+        throw new ConflictError('A product with this SKU or slug already exists');
+      }
       logger.error('Failed to create product:', error);
       throw error;
     }
@@ -91,11 +167,28 @@ export default class ProductService {
         throw new NotFoundError('Product not found');
       }
 
-      Object.assign(product, updateData);
+      const { stock, categoryId, category, seo, ...productFields } = updateData;
+
+      if (stock !== undefined && product.variants.length > 0) {
+        throw new ValidationError('Stock of a product with variants is managed per variant');
+      }
+
+      if (categoryId !== undefined || category !== undefined) {
+        Object.assign(productFields, await this.categoryService.resolveProductCategory({ categoryId, category }));
+      }
+
+      Object.assign(product, productFields);
+      // SEO fields are merged so a partial update keeps the rest of the block
+      Object.entries(seo || {}).forEach(([field, value]) => product.set(`seo.${field}`, value));
       product.updatedBy = userId;
       
       await product.save();
 
+      // Stock edits are booked through the ledger, which owns the stock figure
+      if (stock !== undefined) {
+        await this.inventoryService.setProductStock(productId, stock, { userId, role: 'admin' });
+      }
+
       // Invalidate cache
       await invalidateCacheByTags(['products', `product:${productId}`]);
 
@@ -105,12 +198,153 @@ export default class ProductService {
         updatedBy: userId,
       });
 
+      // Reload to return the stock as booked
+      return stock !== undefined ? await Product.findById(productId) : product;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof ConflictError) {
+        throw error;
+      }
+      if (error.code === 11000) {
+        throw new ConflictError('A product with this SKU or slug already exists');
+      }
+      logger.error('Failed to update product:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a variant to a product; its stock is booked as an opening balance
+   */
+  async addVariant(productId, variantData, userId) {
+    try {
+      const product = await Product.findById(productId);
+
+      if (!product) {
+        throw new NotFoundError('Product not found');
+      }
+
+      // Product-level stock cannot be split across variants automatically
+      if (product.variants.length === 0
+        && (product.stock > 0 || await this.inventoryService.hasStock(productId))) {
+        throw new ValidationError('Adjust the product stock to zero before adding variants');
+      }
+
+      // The variant starts empty; its stock is booked through the ledger, which also moves the product total
+      const { stock = 0, ...fields } = variantData;
+      product.variants.push({ ...fields, stock: 0 });
+      product.updatedBy = userId;
+
+      await product.save();
+
+      const variant = product.variants[product.variants.length - 1];
+      const actor = { userId, role: 'admin' };
+      await this.inventoryService.ensureStockLevels(product._id, variant._id, actor);
+
+      if (stock > 0) {
+        await this.inventoryService.adjustStock({
+          productId,
+          variantId: variant._id,
+          quantity: stock,
+          reason: 'Opening balance',
+        }, actor);
+      }
+
+      // Invalidate cache
+      await invalidateCacheByTags(['products', `product:${productId}`]);
+
+      logger.info('Product variant added', {
+        productId,
+        variantId: variant._id,
+        sku: variant.sku,
+        addedBy: userId,
+      });
+
+      // Reload to return the stock as booked
+      return await Product.findById(productId);
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      if (error.code === 11000) {
+        throw new ConflictError('A variant with this SKU already exists');
+      }
+      logger.error('Failed to add product variant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a product variant (stock changes go through inventory adjustments)
+   */
+  async updateVariant(productId, variantId, updateData, userId) {
+    try {
+      const product = await Product.findById(productId);
+      const variant = product?.variants.id(variantId);
+
+      if (!variant) {
+        throw new NotFoundError('Product variant not found');
+      }
+
+      variant.set(updateData);
+      product.updatedBy = userId;
+
+      await product.save();
+
+      // Invalidate cache
+      await invalidateCacheByTags(['products', `product:${productId}`]);
+
+      logger.info('Product variant updated', {
+        productId,
+        variantId,
+        updatedFields: Object.keys(updateData),
+        updatedBy: userId,
+      });
+
       return product;
     } catch (error) {
       if (error instanceof NotFoundError) {
         throw error;
       }
-      logger.error('Failed to update product:', error);
+      if (error.code === 11000) {
+        throw new ConflictError('A variant with this SKU already exists');
+      }
+      logger.error('Failed to update product variant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a product variant that holds no stock
+   */
+  async removeVariant(productId, variantId, userId) {
+    try {
+      const product = await Product.findById(productId);
+      const variant = product?.variants.id(variantId);
+
+      if (!variant) {
+        throw new NotFoundError('Product variant not found');
+      }
+
+      const holdsStock = variant.stock > 0 || await this.inventoryService.hasStock(productId, variantId);
+      if (holdsStock) {
+        throw new ValidationError('Adjust the variant stock to zero before removing it');
+      }
+
+      variant.deleteOne();
+      product.updatedBy = userId;
+
+      await product.save();
+
+      // Invalidate cache
+      await invalidateCacheByTags(['products', `product:${productId}`]);
+
+      logger.info('Product variant removed', { productId, variantId, removedBy: userId });
+      return product;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to remove product variant:', error);
       throw error;
     }
   }
@@ -143,38 +377,137 @@ export default class ProductService {
   }
 
   /**
-   * Search products
+   * Search active products, returning one page of results plus facet counts from a single aggregation
    */
-  async searchProducts(searchTerm, options = {}) {
+  async searchProducts(query = {}) {
     try {
-      const { limit = 10, page = 1, category, minPrice, maxPrice } = options;
-      const skip = (page - 1) * limit;
+      const { category, tags, minPrice, maxPrice, inStock, minRating, page = 1, limit = 20 } = query;
+      const searchTerm = query.q?.trim();
+      // Relevance only means something when there is a search term
+      const sort = query.sort && (query.sort !== 'relevance' || searchTerm)
+        ? query.sort
+        : (searchTerm ? 'relevance' : 'popularity');
 
-      const searchQuery = {
-        $text: { $search: searchTerm },
-        status: 'active',
-      };
+      const match = { status: 'active' };
+
+      if (searchTerm) {
+        match.$text = { $search: searchTerm };
+      }
 
       if (category) {
-        searchQuery.category = category;
+        const categoryMatch = await Category.findByIdOrSlug(category);
+        // Aggregations skip casting, so match the stored ObjectId directly
+        Object.assign(match, categoryMatch ? { categoryPath: categoryMatch._id } : { category });
+      }
+
+      if (tags) {
+        match.tags = { $in: tags.split(',').map(tag => tag.trim()).filter(Boolean) };
       }
 
       if (minPrice !== undefined || maxPrice !== undefined) {
-        searchQuery.price = {};
-        if (minPrice !== undefined) searchQuery.price.$gte = Number(minPrice);
-        if (maxPrice !== undefined) searchQuery.price.$lte = Number(maxPrice);
+        match.price = {};
+        if (minPrice !== undefined) match.price.$gte = Number(minPrice);
+        if (maxPrice !== undefined) match.price.$lte = Number(maxPrice);
       }
 
-      const [products, total] = await Promise.all([
-        Product.find(searchQuery, { score: { $meta: 'textScore' } })
-          .sort({ score: { $meta: 'textScore' } })
-          .skip(skip)
-          .limit(limit),
-        Product.countDocuments(searchQuery)
+      if (inStock !== undefined) {
+        match.stock = inStock ? { $gt: 0 } : 0;
+      }
+
+      if (minRating !== undefined) {
+        match['rating.average'] = { $gte: Number(minRating) };
+      }
+
+      const [result] = await Product.aggregate([
+        { $match: match },
+        ...(searchTerm ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+        {
+          $facet: {
+            results: [
+              { $sort: { ...SEARCH_SORTS[sort], _id: 1 } },
+              { $skip: (page - 1) * limit },
+              { $limit: limit },
+            ],
+            total: [{ $count: 'count' }],
+            categories: [
+              { $group: { _id: { id: '$categoryId', name: '$category' }, count: { $sum: 1 } } },
+              { $sort: { count: -1, '_id.name': 1 } },
+              { $limit: SEARCH_FACET_LIMIT },
+            ],
+            tags: [
+              { $unwind: '$tags' },
+              { $group: { _id: '$tags', count: { $sum: 1 } } },
+              { $sort: { count: -1, _id: 1 } },
+              { $limit: SEARCH_FACET_LIMIT },
+            ],
+            price: [
+              {
+                $bucket: {
+                  groupBy: '$price',
+                  boundaries: PRICE_BUCKET_BOUNDARIES,
+                  default: 'above',
+                  output: { count: { $sum: 1 } },
+                },
+              },
+            ],
+            availability: [
+              { $group: { _id: { $gt: ['$stock', 0] }, count: { $sum: 1 } } },
+            ],
+            rating: [
+              { $group: { _id: { $floor: '$rating.average' }, count: { $sum: 1 } } },
+            ],
+          },
+        },
       ]);
 
-      const result = {
-        data: products,
+      const terms = searchTerm ? getSearchTerms(searchTerm) : [];
+      const data = result.results.map(({ score, ...doc }) => {
+        const product = Product.hydrate(doc).toJSON();
+
+        if (!searchTerm) {
+          return product;
+        }
+
+        const highlights = {
+          name: highlightMatches(doc.name, terms),
+          description: highlightMatches(doc.description, terms, { snippetLength: 200 }),
+        };
+
+        return { ...product, score, highlights };
+      });
+
+      const countWhere = (facet, predicate) => facet
+        .filter(({ _id }) => predicate(_id))
+        .reduce((sum, { count }) => sum + count, 0);
+      const lastBoundary = PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1];
+
+      const facets = {
+        categories: result.categories.map(({ _id, count }) => ({ id: _id.id ?? null, name: _id.name, count })),
+        tags: result.tags.map(({ _id, count }) => ({ value: _id, count })),
+        // Buckets include their lower bound and exclude their upper bound
+        price: result.price.map(({ _id, count }) => (_id === 'above'
+          ? { min: lastBoundary, max: null, count }
+          : { min: _id, max: PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.indexOf(_id) + 1], count })),
+        availability: {
+          inStock: countWhere(result.availability, inStockGroup => inStockGroup === true),
+          outOfStock: countWhere(result.availability, inStockGroup => inStockGroup === false),
+        },
+        // Cumulative "N stars & up" counts
+        rating: [4, 3, 2, 1].map(min => ({ min, count: countWhere(result.rating, stars => stars >= min) })),
+      };
+
+      const total = result.total[0]?.count || 0;
+
+      logger.info('Product search completed', {
+        searchTerm,
+        sort,
+        resultsCount: data.length,
+        total,
+      });
+
+      return {
+        data,
+        facets,
         pagination: {
           page,
           limit,
@@ -182,26 +515,115 @@ export default class ProductService {
           pages: Math.ceil(total / limit),
         },
       };
+    } catch (error) {
+      logger.error('Failed to search products:', error);
+      throw error;
+    }
+  }
 
-      logger.info('Product search completed', {
-        searchTerm,
-        resultsCount: products.length,
-        total,
+  /**
+   * Suggest products and categories for a partially typed search term (prefix first, fuzzy as fallback)
+   */
+  async autocompleteProducts(searchTerm, limit = 8) {
+    try {
+      const term = searchTerm.trim();
+      const wordPrefix = new RegExp(`\\b${escapeRegex(term)}`, 'i');
+      const namePrefix = new RegExp(`^${escapeRegex(term)}`, 'i');
+      const fields = 'name seo.slug price images category tags sales.totalSold';
+
+      const candidates = await Product.find({
+        status: 'active',
+        $or: [{ name: wordPrefix }, { tags: wordPrefix }],
+      })
+        .select(fields)
+        .sort({ 'sales.totalSold': -1 })
+        .limit(AUTOCOMPLETE_CANDIDATES)
+        .lean();
+
+      // Names starting with the term beat word matches inside the name, which beat tag-only matches
+      const rank = (product) => {
+        if (namePrefix.test(product.name)) return 2;
+        if (wordPrefix.test(product.name)) return 1;
+        return 0;
+      };
+
+      let products = candidates
+        .map(product => ({ product, rank: rank(product) }))
+        .sort((a, b) => b.rank - a.rank)
+        .slice(0, limit)
+        .map(({ product }) => product);
+
+      let fuzzy = false;
+
+      if (products.length < limit && term.length >= FUZZY_MIN_LENGTH && term.length <= FUZZY_MAX_LENGTH) {
+        const matches = await Product.find({
+          status: 'active',
+          _id: { $nin: products.map(product => product._id) },
+          name: buildFuzzyPattern(term),
+        })
+          .select(fields)
+          .sort({ 'sales.totalSold': -1 })
+          .limit(limit - products.length)
+          .lean();
+
+        fuzzy = matches.length > 0;
+        products = [...products, ...matches];
+      }
+
+      const categories = await Category.find({ isActive: true, name: wordPrefix })
+        .select('name slug')
+        .sort({ sortOrder: 1, name: 1 })
+        .limit(AUTOCOMPLETE_CATEGORY_LIMIT)
+        .lean();
+
+      const result = {
+        products: products.map(product => ({
+          id: product._id,
+          name: product.name,
+          slug: product.seo?.slug,
+          price: product.price,
+          image: (product.images?.find(image => image.isPrimary) || product.images?.[0])?.url || null,
+          category: product.category,
+          highlight: highlightMatches(product.name, [term], { prefixOnly: true }) ?? escapeHtml(product.name),
+        })),
+        categories: categories.map(category => ({
+          id: category._id,
+          name: category.name,
+          slug: category.slug,
+          highlight: highlightMatches(category.name, [term], { prefixOnly: true }),
+        })),
+        fuzzy,
+      };
+
+      logger.info('Product autocomplete completed', {
+        searchTerm: term,
+        productsCount: result.products.length,
+        categoriesCount: result.categories.length,
+        fuzzy,
       });
 
       return result;
     } catch (error) {
-      logger.error('Failed to search products:', error);
+      logger.error('Failed to autocomplete products:', error);
       throw error;
     }
   }
 
   /**
-   * Get products by category
+   * Get products by category ID or slug, including subcategories
    */
   async getProductsByCategory(category, query) {
     try {
-      const queryParser = createQueryParser({ ...query, category, status: 'active' });
+      const match = await Category.findByIdOrSlug(category);
+
+      if (match && !match.isActive) {
+        throw new NotFoundError('Category not found');
+      }
+
+      // Names that were never migrated into the tree still match the free-text field
+      const categoryFilter = match ? { categoryPath: match._id.toString() } : { category };
+
+      const queryParser = createQueryParser({ ...query, ...categoryFilter, status: 'active' });
       const result = await queryParser
         .filter()
         .sort()
@@ -217,6 +639,9 @@ export default class ProductService {
 
       return result;
     } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
       logger.error('Failed to get products by category:', error);
       throw error;
     }
@@ -259,7 +684,8 @@ export default class ProductService {
         lowStockProducts,
         outOfStockProducts,
         featuredProducts,
-        categories
+        categories,
+        uncategorizedProducts
       ] = await Promise.all([
         Product.countDocuments(),
         Product.countDocuments({ status: 'active' }),
@@ -267,7 +693,8 @@ export default class ProductService {
         Product.countDocuments({ stock: { $lte: 10 }, status: 'active' }),
         Product.countDocuments({ stock: 0, status: 'active' }),
         Product.countDocuments({ featured: true, status: 'active' }),
-        Product.distinct('category')
+        Category.find({ isActive: true }).select('name slug parent').sort({ sortOrder: 1, name: 1 }),
+        Product.countDocuments({ categoryId: null })
       ]);
 
       const stats = {
@@ -278,7 +705,8 @@ export default class ProductService {
         outOfStock: outOfStockProducts,
         featured: featuredProducts,
         categories: categories.length,
-        categoryList: categories,
+        categoryList: categories.map(({ _id, name, slug, parent }) => ({ id: _id, name, slug, parent })),
+        uncategorized: uncategorizedProducts,
       };
 
       logger.info('Product statistics retrieved', stats);
@@ -290,21 +718,53 @@ export default class ProductService {
   }
 
   /**
-   * Update product stock
+   * Feature or unfeature a product
    */
-  async updateProductStock(productId, quantity) {
+  async setFeatured(productId, featured, userId) {
     try {
-      const product = await Product.findById(productId);
-      
+      const product = await Product.findByIdAndUpdate(
+        productId,
+        { $set: { featured, updatedBy: userId } },
+        { new: true }
+      );
+
       if (!product) {
         throw new NotFoundError('Product not found');
       }
 
-      await product.updateStock(quantity);
-
       // Invalidate cache
       await invalidateCacheByTags(['products', `product:${productId}`]);
 
+      logger.info('Product featured flag updated', { productId, featured, updatedBy: userId });
+      return product;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to update product featured flag:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update product stock by a delta, booked as an adjustment at the default warehouse
+   */
+  async updateProductStock(productId, quantity, actor = {}, reason = 'Manual stock update') {
+    try {
+      const exists = await Product.exists({ _id: productId });
+      
+      if (!exists) {
+        throw new NotFoundError('Product not found');
+      }
+
+      await this.inventoryService.adjustStock({
+        productId,
+        quantity,
+        reason,
+      }, actor);
+
+      const product = await Product.findById(productId);
+
       logger.info('Product stock updated', {
         productId,
         quantity,
@@ -313,7 +773,7 @@ export default class ProductService {
 
       return product;
     } catch (error) {
-      if (error instanceof NotFoundError) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof ConflictError) {
         throw error;
       }
       logger.error('Failed to update product stock:', error);
@@ -0,0 +1,73 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import ProductImportService from './productImport.service.js';
+import { sendSuccess, sendCreated } from '../../core/response.js';
+import logger from '../../core/logger.js';
+
+export default class ProductImportController {
+  constructor() {
+    this.productImportService = new ProductImportService();
+  }
+
+  /**
+   * Upload a CSV or JSON file and queue its import
+   */
+  async importProducts(req, res) {
+    const format = req.query.format || (req.is('text/csv') ? 'csv' : 'json');
+    const productImport = await this.productImportService.createImport(req.body, {
+      format,
+      fileName: req.query.fileName,
+    }, req.user._id);
+    sendCreated(res, 'Product import queued', productImport);
+  }
+
+  /**
+   * Get product imports with pagination and filtering
+   */
+  async getImports(req, res) {
+    const result = await this.productImportService.getImports(req.query);
+    sendSuccess(res, 'Product imports retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Get product import progress by ID
+   */
+  async getImportById(req, res) {
+    const { id } = req.params;
+    const productImport = await this.productImportService.getImportById(id);
+    sendSuccess(res, 'Product import retrieved successfully', productImport);
+  }
+
+  /**
+   * Download the error report of an import
+   */
+  async getImportErrors(req, res) {
+    const { id } = req.params;
+    const report = await this.productImportService.getErrorReport(id, req.query.format);
+    res.set('Content-Type', report.contentType);
+    res.set('Content-Disposition', `attachment; filename="${report.filename}"`);
+    res.send(report.body);
+  }
+
+  /**
+   * Stream the filtered catalog as a CSV or JSON download
+   */
+  async exportProducts(req, res) {
+    const format = req.query.format || 'csv';
+    res.set('Content-Type', format === 'json' ? 'application/json' : 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="products.${format}"`);
+
+    try {
+      await pipeline(Readable.from(this.productImportService.exportProducts(req.query, format)), res);
+    } catch (error) {
+      if (!res.headersSent) {
+        throw error;
+      }
+      // The download has started, so it is cut short rather than answered with an error
+      logger.error('Product export failed:', error);
+      res.destroy(error);
+    }
+  }
+}
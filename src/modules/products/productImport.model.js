@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+const importErrorSchema = new mongoose.Schema({
+  // 1-based data row (CSV rows exclude the header)
+  row: {
+    type: Number,
+    required: true,
+  },
+  sku: String,
+  slug: String,
+  messages: [String],
+}, { _id: false });
+
+// One bulk product import and its progress
+const productImportSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: [true, 'Import format is required'],
+  },
+  fileName: {
+    type: String,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+  },
+  totalRows: {
+    type: Number,
+    default: 0,
+  },
+  processedRows: {
+    type: Number,
+    default: 0,
+  },
+  created: {
+    type: Number,
+    default: 0,
+  },
+  updated: {
+    type: Number,
+    default: 0,
+  },
+  failed: {
+    type: Number,
+    default: 0,
+  },
+  rowErrors: [importErrorSchema],
+  // Set when the job itself fails rather than individual rows
+  failureReason: String,
+  jobId: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  startedAt: Date,
+  completedAt: Date,
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.rowErrors;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+productImportSchema.index({ createdAt: -1 });
+productImportSchema.index({ status: 1 });
+
+// Virtual for completion percentage
+productImportSchema.virtual('progress').get(function() {
+  return this.totalRows > 0 ? Math.round((this.processedRows / this.totalRows) * 100) : 0;
+});
+
+export default mongoose.model('ProductImport', productImportSchema);
@@ -0,0 +1,406 @@
+import Product from './product.model.js';
+import ProductImport from './productImport.model.js';
+import ProductService from './product.service.js';
+import { commonSchemas } from '../../middlewares/validation.js';
+import { NotFoundError, ValidationError, ConflictError } from '../../core/error.js';
+import { createQueryParser } from '../../utils/queryParser.js';
+import { invalidateCacheByTags } from '../../middlewares/cache.js';
+import { parseCsv, toCsvLine } from '../../utils/csv.js';
+import logger from '../../core/logger.js';
+import { productImportQueue } from '../../jobs/productImportQueue.js';
+
+// Flat columns shared by CSV import and export; list columns are joined with '|'
+export const PRODUCT_CSV_COLUMNS = [
+  'sku',
+  'seo.slug',
+  'name',
+  'description',
+  'price',
+  'category',
+  'categoryId',
+  'stock',
+  'tags',
+  'seo.title',
+  'seo.description',
+  'seo.keywords',
+];
+
+const LIST_COLUMNS = new Set(['tags', 'seo.keywords']);
+const LIST_SEPARATOR = '|';
+const MAX_IMPORT_ROWS = 10000;
+const PROGRESS_INTERVAL = 50;
+
+// Convert a CSV record into product data; empty cells are left out
+const fromCsvRecord = (record) => {
+  const data = {};
+
+  for (const [column, rawValue] of Object.entries(record)) {
+    const value = rawValue.trim();
+    if (value === '') {
+      continue;
+    }
+
+    const parsed = LIST_COLUMNS.has(column)
+      ? value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean)
+      : value;
+    const [field, subField] = column.split('.');
+
+    if (subField) {
+      data[field] = { ...data[field], [subField]: parsed };
+    } else {
+      data[field] = parsed;
+    }
+  }
+
+  return data;
+};
+
+// Product data in the import format; stock of products with variants lives on the variants
+const toImportRecord = (product) => {
+  const hasVariants = product.variants.length > 0;
+  const seo = product.seo || {};
+
+  const record = {
+    sku: product.sku,
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    category: product.category,
+    categoryId: product.categoryId?.toString(),
+    stock: hasVariants ? undefined : product.stock,
+    tags: product.tags,
+    seo: {
+      slug: seo.slug,
+      title: seo.title,
+      description: seo.description,
+      keywords: seo.keywords,
+    },
+    options: hasVariants
+      ? product.options.map(({ name, values }) => ({ name, values }))
+      : undefined,
+    variants: hasVariants
+      ? product.variants.map(variant => ({
+        sku: variant.sku,
+        options: Object.fromEntries(variant.options || []),
+        price: variant.price,
+        stock: variant.stock,
+        images: variant.images.map(({ url, alt }) => ({ url, alt })),
+        barcode: variant.barcode,
+        isActive: variant.isActive,
+      }))
+      : undefined,
+  };
+
+  // Drop empty values so the record re-imports cleanly
+  return JSON.parse(JSON.stringify(record, (key, value) => (
+    value === null || (Array.isArray(value) && value.length === 0) ? undefined : value
+  )));
+};
+
+// One CSV line of a product in PRODUCT_CSV_COLUMNS order
+const toCsvRecord = (product) => {
+  const record = toImportRecord(product);
+
+  return toCsvLine(PRODUCT_CSV_COLUMNS.map(column => {
+    const value = column.split('.').reduce((data, field) => data?.[field], record);
+    return Array.isArray(value) ? value.join(LIST_SEPARATOR) : value;
+  }));
+};
+
+export default class ProductImportService {
+  constructor() {
+    this.productService = new ProductService();
+  }
+
+  /**
+   * Parse an uploaded CSV or JSON file into product rows
+   */
+  parseImportFile(content, format) {
+    let rows;
+
+    if (format === 'json') {
+      try {
+        rows = typeof content === 'string' ? JSON.parse(content) : content;
+      } catch (error) {
+        throw new ValidationError(`Invalid JSON: ${error.message}`);
+      }
+
+      if (!Array.isArray(rows)) {
+        throw new ValidationError('JSON imports must be an array of products');
+      }
+    } else {
+      if (typeof content !== 'string') {
+        throw new ValidationError('CSV imports must be sent as text/csv');
+      }
+
+      try {
+        rows = parseCsv(content).map(fromCsvRecord);
+      } catch (error) {
+        throw new ValidationError(`Invalid CSV: ${error.message}`);
+      }
+    }
+
+    if (rows.length === 0) {
+      throw new ValidationError('Import file contains no products');
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new ValidationError(`Imports are limited to ${MAX_IMPORT_ROWS} products per file`);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Queue a product import from an uploaded file
+   */
+  async createImport(content, { format, fileName }, userId) {
+    try {
+      const rows = this.parseImportFile(content, format);
+
+      const productImport = await ProductImport.create({
+        format,
+        fileName,
+        totalRows: rows.length,
+        createdBy: userId,
+      });
+
+      const job = await productImportQueue.addImportJob(productImport._id, rows, userId);
+      productImport.jobId = job.id;
+      await productImport.save();
+
+      logger.info('Product import queued', {
+        importId: productImport._id,
+        format,
+        totalRows: rows.length,
+        createdBy: userId,
+      });
+
+      return productImport;
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to queue product import:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the product a row refers to by SKU (product or variant) or slug
+   */
+  async findExistingProduct({ sku, seo }) {
+    const conditions = [];
+
+    if (seo?.slug) {
+      conditions.push({ 'seo.slug': seo.slug });
+    }
+
+    if (sku) {
+      conditions.push({ sku: sku.toUpperCase() }, { 'variants.sku': sku.toUpperCase() });
+    }
+
+    if (conditions.length === 0) {
+      return null;
+    }
+
+    const matches = await Product.find({ $or: conditions }).select('_id').limit(2);
+
+    if (matches.length > 1) {
+      throw new ConflictError('SKU and slug match different products');
+    }
+
+    return matches[0] || null;
+  }
+
+  /**
+   * Validate one row and create or update its product
+   */
+  async importRow(row, userId) {
+    const { error, value } = commonSchemas.createProduct.validate(row, {
+      abortEarly: false,
+      noDefaults: true,
+    });
+
+    if (error) {
+      throw new ValidationError('Invalid product row', error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+      })));
+    }
+
+    const existing = await this.findExistingProduct(value);
+
+    if (!existing) {
+      await this.productService.createProduct(value, userId);
+      return 'created';
+    }
+
+    // Variants of existing products are managed through the variant endpoints
+    const { variants, ...updateData } = value;
+    await this.productService.updateProduct(existing._id, updateData, userId);
+    return 'updated';
+  }
+
+  /**
+   * Process queued import rows, recording progress and per-row errors
+   */
+  async processImport(importId, rows, userId, onProgress = async () => {}) {
+    const productImport = await ProductImport.findById(importId);
+
+    if (!productImport) {
+      throw new NotFoundError('Product import not found');
+    }
+
+    try {
+      productImport.status = 'processing';
+      productImport.startedAt = new Date();
+      await productImport.save();
+
+      for (let index = 0; index < rows.length; index++) {
+        const row = rows[index] || {};
+
+        try {
+          const result = await this.importRow(row, userId);
+          productImport[result] += 1;
+        } catch (error) {
+          productImport.failed += 1;
+          productImport.rowErrors.push({
+            row: index + 1,
+            sku: typeof row.sku === 'string' ? row.sku : undefined,
+            slug: typeof row.seo?.slug === 'string' ? row.seo.slug : undefined,
+            messages: error.errors?.map?.(detail => detail.message) || [error.message],
+          });
+        }
+
+        const processedRows = index + 1;
+        if (processedRows % PROGRESS_INTERVAL === 0 || processedRows === rows.length) {
+          productImport.processedRows = processedRows;
+          await productImport.save();
+          await onProgress(productImport.progress);
+        }
+      }
+
+      productImport.status = 'completed';
+      productImport.completedAt = new Date();
+      await productImport.save();
+
+      // Invalidate cache
+      await invalidateCacheByTags(['products']);
+
+      logger.info('Product import completed', {
+        importId,
+        created: productImport.created,
+        updated: productImport.updated,
+        failed: productImport.failed,
+      });
+
+      return productImport;
+    } catch (error) {
+      productImport.status = 'failed';
+      productImport.failureReason = error.message;
+      productImport.completedAt = new Date();
+      await productImport.save();
+
+      logger.error('Product import failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get product imports with pagination and filtering
+   */
+  async getImports(query) {
+    try {
+      const queryParser = createQueryParser({ fields: '-rowErrors', ...query });
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(ProductImport);
+
+      logger.info('Product imports retrieved', {
+        count: result.data.length,
+        total: result.pagination.total,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to get product imports:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get product import by ID
+   */
+  async getImportById(importId) {
+    try {
+      const productImport = await ProductImport.findById(importId);
+
+      if (!productImport) {
+        throw new NotFoundError('Product import not found');
+      }
+
+      logger.info('Product import retrieved by ID', { importId });
+      return productImport;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to get product import by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the error report of an import as a CSV or JSON document
+   */
+  async getErrorReport(importId, format = 'csv') {
+    const productImport = await this.getImportById(importId);
+    const rowErrors = productImport.rowErrors.map(({ row, sku, slug, messages }) => ({ row, sku, slug, messages }));
+
+    const body = format === 'json'
+      ? JSON.stringify(rowErrors, null, 2)
+      : toCsvLine(['row', 'sku', 'slug', 'error']) + rowErrors
+        .flatMap(({ row, sku, slug, messages }) => messages.map(message => toCsvLine([row, sku, slug, message])))
+        .join('');
+
+    return {
+      filename: `product-import-${importId}-errors.${format}`,
+      contentType: format === 'json' ? 'application/json' : 'text/csv',
+      body,
+    };
+  }
+
+  /**
+   * Stream the filtered catalog in the import format
+   */
+  async *exportProducts(query, format = 'csv') {
+    const { filter, sort } = createQueryParser(query, ['page', 'limit', 'sort', 'fields', 'format'])
+      .filter()
+      .sort()
+      .getQueryOptions();
+
+    const cursor = Product.find(filter).sort(sort).cursor();
+    let count = 0;
+
+    yield format === 'json' ? '[' : toCsvLine(PRODUCT_CSV_COLUMNS);
+
+    for await (const product of cursor) {
+      if (format === 'json') {
+        yield `${count > 0 ? ',' : ''}\n${JSON.stringify(toImportRecord(product))}`;
+      } else {
+        yield toCsvRecord(product);
+      }
+      count++;
+    }
+
+    if (format === 'json') {
+      yield '\n]\n';
+    }
+
+    logger.info('Products exported', { format, count });
+  }
+}
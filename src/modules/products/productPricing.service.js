@@ -0,0 +1,99 @@
+import Product from './product.model.js';
+import PriceHistory from './priceHistory.model.js';
+import { NotFoundError } from '../../core/error.js';
+import { createQueryParser } from '../../utils/queryParser.js';
+import { invalidateCacheByTags } from '../../middlewares/cache.js';
+import logger from '../../core/logger.js';
+
+export default class ProductPricingService {
+  /**
+   * Start sales whose window has opened and end those whose window has closed
+   */
+  async applyScheduledPrices(now = new Date()) {
+    try {
+      const due = await Product.find({
+        $or: [
+          { 'sale.status': 'scheduled', 'sale.startsAt': { $lte: now } },
+          { 'sale.status': { $in: ['scheduled', 'active'] }, 'sale.endsAt': { $lte: now } },
+        ],
+      });
+
+      const result = { started: 0, ended: 0, failed: 0 };
+      const changedIds = [];
+
+      for (const product of due) {
+        const status = product.getSaleStatus(now);
+
+        if (status === product.sale.status) {
+          continue;
+        }
+
+        try {
+          product.sale.status = status;
+          product.$locals.priceChange = {
+            reason: status === 'active' ? 'sale_started' : 'sale_ended',
+            changedBy: null,
+          };
+          await product.save();
+
+          changedIds.push(product._id);
+          result[status === 'active' ? 'started' : 'ended'] += 1;
+        } catch (error) {
+          // One broken product must not hold back the rest of the schedule
+          result.failed += 1;
+          logger.error('Failed to apply scheduled price', {
+            productId: product._id,
+            error: error.message,
+          });
+        }
+      }
+
+      if (changedIds.length > 0) {
+        await invalidateCacheByTags(['products', ...changedIds.map(id => `product:${id}`)]);
+      }
+
+      if (due.length > 0) {
+        logger.info('Scheduled prices applied', result);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to apply scheduled prices:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the price history of a product, newest first
+   */
+  async getPriceHistory(productId, query) {
+    try {
+      const exists = await Product.exists({ _id: productId });
+
+      if (!exists) {
+        throw new NotFoundError('Product not found');
+      }
+
+      const queryParser = createQueryParser({ ...query, productId });
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(PriceHistory);
+
+      logger.info('Price history retrieved', {
+        productId,
+        count: result.data.length,
+      });
+
+      return result;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to get price history:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,55 @@
+import PromotionService from './promotion.service.js';
+import { sendSuccess, sendCreated } from '../../core/response.js';
+
+export default class PromotionController {
+  constructor() {
+    this.promotionService = new PromotionService();
+  }
+
+  /**
+   * Get promotions with pagination and filtering
+   */
+  async getPromotions(req, res) {
+    const result = await this.promotionService.getPromotions(req.query);
+    sendSuccess(res, 'Promotions retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Get promotion by ID
+   */
+  async getPromotionById(req, res) {
+    const { id } = req.params;
+    const promotion = await this.promotionService.getPromotionById(id);
+    sendSuccess(res, 'Promotion retrieved successfully', promotion);
+  }
+
+  /**
+   * Create new promotion
+   */
+  async createPromotion(req, res) {
+    const userId = req.user._id;
+    const promotion = await this.promotionService.createPromotion(req.body, userId);
+    sendCreated(res, 'Promotion created successfully', promotion);
+  }
+
+  /**
+   * Update promotion
+   */
+  async updatePromotion(req, res) {
+    const { id } = req.params;
+    const userId = req.user._id;
+    const promotion = await this.promotionService.updatePromotion(id, req.body, userId);
+    sendSuccess(res, 'Promotion updated successfully', promotion);
+  }
+
+  /**
+   * Delete promotion
+   */
+  async deletePromotion(req, res) {
+    const { id } = req.params;
+    const result = await this.promotionService.deletePromotion(id);
+    sendSuccess(res, 'Promotion deleted successfully', result);
+  }
+}
@@ -0,0 +1,163 @@
+import mongoose from 'mongoose';
+
+export const PROMOTION_TYPES = ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'];
+
+const promotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [50, 'Coupon code cannot exceed 50 characters'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [255, 'Promotion name cannot exceed 255 characters'],
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+  },
+  type: {
+    type: String,
+    enum: PROMOTION_TYPES,
+    required: [true, 'Promotion type is required'],
+  },
+  // Percentage (0-100) or fixed amount depending on type
+  value: {
+    type: Number,
+    min: [0, 'Value cannot be negative'],
+    default: 0,
+  },
+  // Upper bound for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative'],
+  },
+  buyQuantity: {
+    type: Number,
+    min: [1, 'Buy quantity must be at least 1'],
+  },
+  getQuantity: {
+    type: Number,
+    min: [1, 'Get quantity must be at least 1'],
+  },
+  // Restricts the discount to items in these categories or their subcategories,
+  // given by category ID, slug or name (empty = whole order)
+  categories: [{
+    type: String,
+    trim: true,
+  }],
+  minOrderTotal: {
+    type: Number,
+    min: [0, 'Minimum order total cannot be negative'],
+    default: 0,
+  },
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per-user limit must be at least 1'],
+    default: 1,
+  },
+  usageCount: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now,
+  },
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+// Pre-validate middleware to check type-specific fields
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Percentage must be between 0 and 100');
+  }
+  if (this.type === 'fixed_amount' && this.value <= 0) {
+    this.invalidate('value', 'Fixed amount must be greater than 0');
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'Buy and get quantities are required for buy X get Y promotions');
+  }
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after start date');
+  }
+  next();
+});
+
+// Virtual for whether the promotion can currently be redeemed
+promotionSchema.virtual('isRedeemable').get(function() {
+  const now = new Date();
+  return this.isActive
+    && (!this.startsAt || this.startsAt <= now)
+    && (!this.endsAt || this.endsAt > now)
+    && (!this.usageLimit || this.usageCount < this.usageLimit);
+});
+
+// Static method to find by coupon code
+promotionSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: code.trim().toUpperCase() });
+};
+
+// Uses of a promotion by one account; the unique index lets a redemption claim a use atomically
+const couponRedemptionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  count: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+couponRedemptionSchema.index({ promotionId: 1, userId: 1 }, { unique: true });
+
+export const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+export default mongoose.model('Promotion', promotionSchema);
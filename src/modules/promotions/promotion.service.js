@@ -0,0 +1,339 @@
+import mongoose from 'mongoose';
+import Promotion, { CouponRedemption } from './promotion.model.js';
+import Product from '../products/product.model.js';
+import Category from '../categories/category.model.js';
+import { NotFoundError, ValidationError, ConflictError } from '../../core/error.js';
+import { createQueryParser } from '../../utils/queryParser.js';
+import { invalidateCacheByTags } from '../../middlewares/cache.js';
+import logger from '../../core/logger.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+export default class PromotionService {
+  /**
+   * Get promotions with pagination and filtering (admin only)
+   */
+  async getPromotions(query) {
+    try {
+      const queryParser = createQueryParser(query);
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(Promotion);
+
+      logger.info('Promotions retrieved', {
+        count: result.data.length,
+        total: result.pagination.total,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to get promotions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get promotion by ID
+   */
+  async getPromotionById(promotionId) {
+    try {
+      const promotion = await Promotion.findById(promotionId);
+
+      if (!promotion) {
+        throw new NotFoundError('Promotion not found');
+      }
+
+      logger.info('Promotion retrieved by ID', { promotionId });
+      return promotion;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to get promotion by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new promotion
+   */
+  async createPromotion(promotionData, userId) {
+    try {
+      const existing = await Promotion.findByCode(promotionData.code);
+      if (existing) {
+        throw new ConflictError('Coupon code already exists');
+      }
+
+      const promotion = new Promotion({
+        ...promotionData,
+        createdBy: userId,
+      });
+
+      await promotion.save();
+
+      // Invalidate cache
+      await invalidateCacheByTags(['promotions']);
+
+      logger.info('Promotion created successfully', {
+        promotionId: promotion._id,
+        code: promotion.code,
+        createdBy: userId,
+      });
+
+      return promotion;
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        throw error;
+      }
+      logger.error('Failed to create promotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update promotion
+   */
+  async updatePromotion(promotionId, updateData, userId) {
+    try {
+      const promotion = await Promotion.findById(promotionId);
+
+      if (!promotion) {
+        throw new NotFoundError('Promotion not found');
+      }
+
+      if (updateData.code && updateData.code.toUpperCase() !== promotion.code) {
+        const existing = await Promotion.findByCode(updateData.code);
+        if (existing) {
+          throw new ConflictError('Coupon code already exists');
+        }
+      }
+
+      Object.assign(promotion, updateData);
+      promotion.updatedBy = userId;
+
+      await promotion.save();
+
+      // Invalidate cache
+      await invalidateCacheByTags(['promotions']);
+
+      logger.info('Promotion updated successfully', {
+        promotionId,
+        updatedFields: Object.keys(updateData),
+        updatedBy: userId,
+      });
+
+      return promotion;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ConflictError) {
+        throw error;
+      }
+      logger.error('Failed to update promotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete promotion
+   */
+  async deletePromotion(promotionId) {
+    try {
+      const promotion = await Promotion.findById(promotionId);
+
+      if (!promotion) {
+        throw new NotFoundError('Promotion not found');
+      }
+
+      await Promotion.findByIdAndDelete(promotionId);
+
+      // Invalidate cache
+      await invalidateCacheByTags(['promotions']);
+
+      logger.info('Promotion deleted successfully', { promotionId });
+      return { message: 'Promotion deleted successfully' };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to delete promotion:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a coupon for an order and redeem one use of it
+   *
+   * Must run inside the order transaction: the account's and the overall usage
+   * counters are incremented with guarded updates, so concurrent orders cannot
+   * exceed either limit and the redemption rolls back if the order fails.
+   */
+  async redeemCoupon(code, userId, items, session = null) {
+    const promotion = await Promotion.findByCode(code).session(session);
+
+    if (!promotion || !promotion.isActive) {
+      throw new ValidationError('Invalid coupon code');
+    }
+
+    const now = new Date();
+    if ((promotion.startsAt && promotion.startsAt > now) || (promotion.endsAt && promotion.endsAt <= now)) {
+      throw new ValidationError('Coupon is not valid at this time');
+    }
+
+    const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    if (subtotal < promotion.minOrderTotal) {
+      throw new ValidationError(`Coupon requires a minimum order total of ${promotion.minOrderTotal}`);
+    }
+
+    const discount = await this.calculateDiscount(promotion, items, session);
+
+    if (discount.amount === 0 && !discount.freeShipping) {
+      throw new ValidationError('Coupon does not apply to any items in this order');
+    }
+
+    const redemption = { promotionId: promotion._id, userId };
+
+    await CouponRedemption.updateOne(redemption, { $setOnInsert: { count: 0 } }, { upsert: true, session });
+
+    // Claim one of the account's uses
+    const claimed = await CouponRedemption.findOneAndUpdate(
+      { ...redemption, count: { $lt: promotion.perUserLimit } },
+      { $inc: { count: 1 } },
+      { new: true, session }
+    );
+
+    if (!claimed) {
+      throw new ValidationError('Coupon usage limit reached for this account');
+    }
+
+    const redeemed = await Promotion.findOneAndUpdate(
+      {
+        _id: promotion._id,
+        $expr: {
+          $or: [
+            { $not: ['$usageLimit'] },
+            { $lt: ['$usageCount', '$usageLimit'] },
+          ],
+        },
+      },
+      { $inc: { usageCount: 1 } },
+      { new: true, session }
+    );
+
+    if (!redeemed) {
+      throw new ValidationError('Coupon usage limit reached');
+    }
+
+    return discount;
+  }
+
+  /**
+   * Give back one use of a coupon (e.g. when its order is cancelled)
+   */
+  async releaseCoupon(promotionId, userId, session = null) {
+    await Promotion.updateOne(
+      { _id: promotionId, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } },
+      { session }
+    );
+
+    await CouponRedemption.updateOne(
+      { promotionId, userId, count: { $gt: 0 } },
+      { $inc: { count: -1 } },
+      { session }
+    );
+  }
+
+  /**
+   * Resolve the categories a promotion is scoped to (IDs, slugs or names) to category IDs
+   */
+  async getCategoryIds(values, session = null) {
+    const ids = values.filter(value => mongoose.isValidObjectId(value));
+    const categories = await Category.find({
+      $or: [
+        { _id: { $in: ids } },
+        { slug: { $in: values.map(value => value.toLowerCase()) } },
+        { name: { $in: values } },
+      ],
+    }).select('_id').session(session);
+
+    return new Set(categories.map(category => category._id.toString()));
+  }
+
+  /**
+   * Calculate the discount breakdown of a promotion for order items
+   */
+  async calculateDiscount(promotion, items, session = null) {
+    let eligibleItems = items;
+
+    // Category-scoped promotions only discount items in those categories or below them
+    if (promotion.categories && promotion.categories.length > 0) {
+      const categoryIds = await this.getCategoryIds(promotion.categories, session);
+      const products = await Product.find({ _id: { $in: items.map(item => item.productId) } })
+        .select('category categoryPath')
+        .session(session);
+      const eligible = new Set(products
+        .filter(product => promotion.categories.includes(product.category)
+          || product.categoryPath.some(id => categoryIds.has(id.toString())))
+        .map(product => product._id.toString()));
+
+      eligibleItems = items.filter(item => eligible.has(item.productId.toString()));
+    }
+
+    const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+    const itemDiscounts = [];
+
+    switch (promotion.type) {
+      case 'percentage': {
+        let amount = eligibleSubtotal * (promotion.value / 100);
+        if (promotion.maxDiscount) {
+          amount = Math.min(amount, promotion.maxDiscount);
+        }
+        itemDiscounts.push(...this.allocateDiscount(eligibleItems, eligibleSubtotal, amount));
+        break;
+      }
+      case 'fixed_amount': {
+        const amount = Math.min(promotion.value, eligibleSubtotal);
+        itemDiscounts.push(...this.allocateDiscount(eligibleItems, eligibleSubtotal, amount));
+        break;
+      }
+      case 'buy_x_get_y': {
+        const groupSize = promotion.buyQuantity + promotion.getQuantity;
+        for (const item of eligibleItems) {
+          const freeUnits = Math.floor(item.quantity / groupSize) * promotion.getQuantity;
+          if (freeUnits > 0) {
+            itemDiscounts.push({ productId: item.productId, amount: roundCurrency(freeUnits * item.price) });
+          }
+        }
+        break;
+      }
+      case 'free_shipping':
+      default:
+        break;
+    }
+
+    return {
+      promotionId: promotion._id,
+      code: promotion.code,
+      type: promotion.type,
+      amount: roundCurrency(itemDiscounts.reduce((sum, item) => sum + item.amount, 0)),
+      freeShipping: promotion.type === 'free_shipping',
+      items: itemDiscounts,
+    };
+  }
+
+  /**
+   * Spread an order-level discount across items proportionally to their totals
+   */
+  allocateDiscount(items, subtotal, amount) {
+    if (amount <= 0 || subtotal <= 0) {
+      return [];
+    }
+
+    return items.map(item => ({
+      productId: item.productId,
+      amount: roundCurrency(amount * (item.price * item.quantity) / subtotal),
+    }));
+  }
+}
@@ -0,0 +1,78 @@
+import ReturnService from './return.service.js';
+import { sendSuccess, sendCreated } from '../../core/response.js';
+
+export default class ReturnController {
+  constructor() {
+    this.returnService = new ReturnService();
+  }
+
+  /**
+   * Get all return requests (admin only)
+   */
+  async getAllReturns(req, res) {
+    const result = await this.returnService.getAllReturns(req.query);
+    sendSuccess(res, 'Return requests retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Get user's return requests
+   */
+  async getUserReturns(req, res) {
+    const userId = req.user._id;
+    const result = await this.returnService.getUserReturns(userId, req.query);
+    sendSuccess(res, 'Return requests retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Get return request by ID
+   */
+  async getReturnById(req, res) {
+    const { id } = req.params;
+    const userId = req.user.role === 'admin' ? null : req.user._id;
+    const returnRequest = await this.returnService.getReturnById(id, userId);
+    sendSuccess(res, 'Return request retrieved successfully', returnRequest);
+  }
+
+  /**
+   * Request a return
+   */
+  async createReturn(req, res) {
+    const userId = req.user._id;
+    const returnRequest = await this.returnService.createReturn(userId, req.body);
+    sendCreated(res, 'Return requested successfully', returnRequest);
+  }
+
+  /**
+   * Approve return request (admin only)
+   */
+  async approveReturn(req, res) {
+    const { id } = req.params;
+    const actor = { userId: req.user._id, role: req.user.role };
+    const returnRequest = await this.returnService.reviewReturn(id, true, actor, req.body.note);
+    sendSuccess(res, 'Return request approved', returnRequest);
+  }
+
+  /**
+   * Reject return request (admin only)
+   */
+  async rejectReturn(req, res) {
+    const { id } = req.params;
+    const actor = { userId: req.user._id, role: req.user.role };
+    const returnRequest = await this.returnService.reviewReturn(id, false, actor, req.body.note);
+    sendSuccess(res, 'Return request rejected', returnRequest);
+  }
+
+  /**
+   * Receive returned items and refund (admin only)
+   */
+  async receiveReturn(req, res) {
+    const { id } = req.params;
+    const actor = { userId: req.user._id, role: req.user.role };
+    const returnRequest = await this.returnService.receiveReturn(id, actor, req.body);
+    sendSuccess(res, 'Return received and refunded', returnRequest);
+  }
+}
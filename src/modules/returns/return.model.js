@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+const returnItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  variantId: mongoose.Schema.Types.ObjectId,
+  name: {
+    type: String,
+    required: true,
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Item reason cannot exceed 500 characters'],
+  },
+}, { _id: false });
+
+const returnSchema = new mongoose.Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order ID is required'],
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'Return must contain at least one item'],
+  },
+  reason: {
+    type: String,
+    required: [true, 'Return reason is required'],
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters'],
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'refunded'],
+    default: 'requested',
+  },
+  refundAmount: {
+    type: Number,
+    min: [0, 'Refund amount cannot be negative'],
+  },
+  resolutionNote: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Resolution note cannot exceed 1000 characters'],
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reviewedAt: Date,
+  receivedAt: Date,
+  refundedAt: Date,
+  // Set when the refund of a received return failed, until it is retried
+  refundFailedAt: Date,
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+returnSchema.index({ orderId: 1 });
+returnSchema.index({ userId: 1, createdAt: -1 });
+returnSchema.index({ status: 1 });
+
+// Virtual for RMA number
+returnSchema.virtual('rmaNumber').get(function() {
+  return `RMA-${this._id.toString().slice(-8).toUpperCase()}`;
+});
+
+// Virtual for the value of the returned items
+returnSchema.virtual('itemsTotal').get(function() {
+  return this.items.reduce((total, item) => total + (item.price * item.quantity), 0);
+});
+
+// Static method to build the key of an order line (product and optional variant)
+returnSchema.statics.getLineKey = function(productId, variantId = null) {
+  return `${productId}:${variantId || ''}`;
+};
+
+// Static method to sum quantities already under return for an order, keyed by line
+returnSchema.statics.getReturnedQuantities = async function(orderId, session = null) {
+  const returns = await this.find({ orderId, status: { $ne: 'rejected' } }).select('items').session(session);
+  const quantities = new Map();
+
+  for (const returnRequest of returns) {
+    for (const item of returnRequest.items) {
+      const key = this.getLineKey(item.productId, item.variantId);
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }
+  }
+
+  return quantities;
+};
+
+export default mongoose.model('ReturnRequest', returnSchema);
@@ -0,0 +1,411 @@
+import mongoose from 'mongoose';
+import ReturnRequest from './return.model.js';
+import Order from '../orders/order.model.js';
+import InventoryService from '../inventory/inventory.service.js';
+import PaymentService from '../payments/payment.service.js';
+import { NotFoundError, ValidationError, PaymentError } from '../../core/error.js';
+import { createQueryParser } from '../../utils/queryParser.js';
+import { invalidateCacheByTags } from '../../middlewares/cache.js';
+import { config } from '../../config/env.js';
+import logger from '../../core/logger.js';
+import { notificationWorker } from '../../jobs/notificationWorker.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+export default class ReturnService {
+  constructor() {
+    this.inventoryService = new InventoryService();
+    this.paymentService = new PaymentService();
+  }
+
+  /**
+   * Get all return requests (admin only)
+   */
+  async getAllReturns(query) {
+    try {
+      const queryParser = createQueryParser(query);
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(ReturnRequest);
+
+      await ReturnRequest.populate(result.data, {
+        path: 'userId',
+        select: 'username email',
+      });
+
+      logger.info('All return requests retrieved', {
+        count: result.data.length,
+        total: result.pagination.total,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to get all return requests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get user's return requests
+   */
+  async getUserReturns(userId, query) {
+    try {
+      const queryParser = createQueryParser({ ...query, userId });
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(ReturnRequest);
+
+      logger.info('User return requests retrieved', {
+        userId,
+        count: result.data.length,
+        total: result.pagination.total,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to get user return requests:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get return request by ID
+   */
+  async getReturnById(returnId, userId = null) {
+    try {
+      const query = { _id: returnId };
+      if (userId) {
+        query.userId = userId;
+      }
+
+      const returnRequest = await ReturnRequest.findOne(query).populate('userId', 'username email');
+
+      if (!returnRequest) {
+        throw new NotFoundError('Return request not found');
+      }
+
+      logger.info('Return request retrieved by ID', { returnId, userId });
+      return returnRequest;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to get return request by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Request a return for specific line items of a completed order
+   *
+   * Returnable quantities are checked and the request saved in one transaction
+   * that also writes the order, so concurrent requests cannot over-return a line.
+   */
+  async createReturn(userId, { orderId, items, reason }) {
+    const session = await mongoose.startSession();
+
+    try {
+      let order;
+      let returnRequest;
+
+      await session.withTransaction(async () => {
+        order = await Order.findOneAndUpdate(
+          { _id: orderId, userId },
+          { $set: { returnRequestedAt: new Date() } },
+          { new: true, session, timestamps: false }
+        ).populate('userId', 'username email');
+
+        if (!order) {
+          throw new NotFoundError('Order not found');
+        }
+
+        if (order.status !== 'completed') {
+          throw new ValidationError('Only completed orders can be returned');
+        }
+
+        const deliveredAt = order.actualDelivery || order.updatedAt;
+        const windowEnd = new Date(deliveredAt.getTime() + config.RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        if (new Date() > windowEnd) {
+          throw new ValidationError(`Return window of ${config.RETURN_WINDOW_DAYS} days has expired`);
+        }
+
+        const returnedQuantities = await ReturnRequest.getReturnedQuantities(order._id, session);
+        const requestedQuantities = new Map();
+        const returnItems = [];
+        const errors = [];
+
+        for (const item of items) {
+          const lineKey = ReturnRequest.getLineKey(item.productId, item.variantId);
+          const orderItem = order.items.find(i => ReturnRequest.getLineKey(i.productId, i.variantId) === lineKey);
+
+          if (!orderItem) {
+            errors.push({ productId: item.productId, message: 'Product is not part of this order' });
+            continue;
+          }
+
+          const alreadyRequested = (returnedQuantities.get(lineKey) || 0)
+            + (requestedQuantities.get(lineKey) || 0);
+          const returnable = orderItem.quantity - alreadyRequested;
+
+          if (item.quantity > returnable) {
+            errors.push({
+              productId: item.productId,
+              message: `Only ${returnable} of ${orderItem.name} can be returned`,
+            });
+            continue;
+          }
+
+          requestedQuantities.set(lineKey, (requestedQuantities.get(lineKey) || 0) + item.quantity);
+          returnItems.push({
+            productId: orderItem.productId,
+            variantId: orderItem.variantId,
+            name: orderItem.name,
+            price: orderItem.price,
+            quantity: item.quantity,
+            reason: item.reason,
+          });
+        }
+
+        if (errors.length > 0) {
+          throw new ValidationError('Invalid return items', errors);
+        }
+
+        returnRequest = new ReturnRequest({
+          orderId: order._id,
+          userId,
+          items: returnItems,
+          reason,
+        });
+
+        await returnRequest.save({ session });
+      });
+
+      await notificationWorker.addNotificationJob('return-requested', {
+        user: order.userId,
+        returnRequest,
+      });
+
+      logger.info('Return requested', {
+        returnId: returnRequest._id,
+        orderId,
+        userId,
+        itemCount: returnRequest.items.length,
+      });
+
+      return returnRequest;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to request return:', error);
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Load a return request and check it is in the expected status
+   */
+  async getReturnForTransition(returnId, expectedStatus, session = null) {
+    const returnRequest = await ReturnRequest.findById(returnId)
+      .populate('userId', 'username email')
+      .session(session);
+
+    if (!returnRequest) {
+      throw new NotFoundError('Return request not found');
+    }
+
+    if (returnRequest.status !== expectedStatus) {
+      throw new ValidationError(`Return request is ${returnRequest.status}, expected ${expectedStatus}`);
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * Approve or reject a requested return (admin only)
+   */
+  async reviewReturn(returnId, approved, actor = {}, note = null) {
+    try {
+      const returnRequest = await this.getReturnForTransition(returnId, 'requested');
+
+      returnRequest.status = approved ? 'approved' : 'rejected';
+      returnRequest.resolutionNote = note;
+      returnRequest.reviewedBy = actor.userId;
+      returnRequest.reviewedAt = new Date();
+
+      await returnRequest.save();
+
+      await notificationWorker.addNotificationJob('return-status-changed', {
+        user: returnRequest.userId,
+        returnRequest,
+      });
+
+      logger.info('Return request reviewed', {
+        returnId,
+        status: returnRequest.status,
+        reviewedBy: actor.userId,
+      });
+
+      return returnRequest;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to review return request:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most that can be refunded for returned items: what the customer paid
+   * for them after the order's item discounts, capped at what is not yet refunded
+   */
+  getMaxRefund(order, items) {
+    const lineValues = new Map();
+    for (const item of order.items) {
+      const key = item.productId.toString();
+      lineValues.set(key, (lineValues.get(key) || 0) + item.price * item.quantity);
+    }
+
+    // Item discounts are recorded per product, so spread them over its lines by value
+    const discounts = new Map();
+    for (const discount of order.discount?.items || []) {
+      const key = discount.productId.toString();
+      discounts.set(key, (discounts.get(key) || 0) + discount.amount);
+    }
+
+    const paid = items.reduce((total, item) => {
+      const key = item.productId.toString();
+      const value = item.price * item.quantity;
+      const discount = lineValues.get(key) ? (discounts.get(key) || 0) * value / lineValues.get(key) : 0;
+      return total + value - discount;
+    }, 0);
+
+    const unrefunded = order.total - (order.refundAmount || 0);
+    return roundCurrency(Math.max(0, Math.min(paid, unrefunded)));
+  }
+
+  /**
+   * Receive returned items: restock them and refund them through the payment (admin only)
+   *
+   * The return is claimed inside the transaction by moving it from approved to
+   * received, so concurrent receives restock it once. The refund then goes back
+   * through the payment provider; if that fails the return is left received with
+   * refundFailedAt set, and receiving it again retries only the refund.
+   */
+  async receiveReturn(returnId, actor = {}, { refundAmount, note } = {}) {
+    const session = await mongoose.startSession();
+
+    try {
+      let returnRequest;
+
+      await session.withTransaction(async () => {
+        returnRequest = await ReturnRequest.findOneAndUpdate(
+          { _id: returnId, status: 'approved' },
+          { $set: { status: 'received', receivedAt: new Date() } },
+          { new: true, session }
+        );
+
+        if (!returnRequest) {
+          // A return whose refund failed is claimed back to retry only the refund
+          returnRequest = await ReturnRequest.findOneAndUpdate(
+            { _id: returnId, status: 'received', refundFailedAt: { $ne: null } },
+            { $unset: { refundFailedAt: 1 } },
+            { new: true, session }
+          );
+
+          if (returnRequest) {
+            return;
+          }
+
+          // Throws why the return cannot be received
+          await this.getReturnForTransition(returnId, 'approved', session);
+          throw new ValidationError('Return request is no longer approved');
+        }
+
+        const order = await Order.findById(returnRequest.orderId).session(session);
+
+        if (!order) {
+          throw new NotFoundError('Order not found');
+        }
+
+        const maxRefund = this.getMaxRefund(order, returnRequest.items);
+        const amount = refundAmount ?? maxRefund;
+
+        if (amount > maxRefund) {
+          throw new ValidationError(`Refund cannot exceed the amount paid for returned items (${maxRefund})`);
+        }
+
+        // Restock received items
+        await this.inventoryService.restockReturnedItems(returnRequest.items, {
+          orderId: order._id,
+          returnId: returnRequest._id,
+          actor,
+        }, session);
+
+        returnRequest.refundAmount = amount;
+        if (note) {
+          returnRequest.resolutionNote = note;
+        }
+        await returnRequest.save({ session });
+      });
+
+      const order = await Order.findById(returnRequest.orderId);
+      const refunded = order.paymentDetails.refunds.some(refund => refund.returnId?.equals(returnRequest._id));
+
+      if (returnRequest.refundAmount > 0 && !refunded) {
+        try {
+          await this.paymentService.refundPayment(
+            order._id,
+            returnRequest.refundAmount,
+            actor,
+            returnRequest.reason,
+            returnRequest._id
+          );
+        } catch (error) {
+          await ReturnRequest.updateOne({ _id: returnId }, { $set: { refundFailedAt: new Date() } });
+          throw error;
+        }
+      }
+
+      const refundedReturn = await ReturnRequest.findOneAndUpdate(
+        { _id: returnId },
+        { $set: { status: 'refunded', refundedAt: new Date() } },
+        { new: true }
+      ).populate('userId', 'username email');
+
+      // Invalidate cache
+      await invalidateCacheByTags(['orders', `user:${order.userId}:orders`, 'products']);
+
+      await notificationWorker.addNotificationJob('return-status-changed', {
+        user: refundedReturn.userId,
+        returnRequest: refundedReturn,
+      });
+
+      logger.info('Return received and refunded', {
+        returnId,
+        orderId: order._id,
+        refundAmount: refundedReturn.refundAmount,
+        receivedBy: actor.userId,
+      });
+
+      return refundedReturn;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError || error instanceof PaymentError) {
+        throw error;
+      }
+      logger.error('Failed to receive return:', error);
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+  }
+}
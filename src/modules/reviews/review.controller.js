@@ -0,0 +1,127 @@
+import ReviewService from './review.service.js';
+import { sendSuccess, sendCreated } from '../../core/response.js';
+
+export default class ReviewController {
+  constructor() {
+    this.reviewService = new ReviewService();
+  }
+
+  /**
+   * Get approved reviews of a product
+   */
+  async getProductReviews(req, res) {
+    const { productId } = req.params;
+    const result = await this.reviewService.getProductReviews(productId, req.query);
+    sendSuccess(res, 'Reviews retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Get user's reviews
+   */
+  async getUserReviews(req, res) {
+    const userId = req.user._id;
+    const result = await this.reviewService.getUserReviews(userId, req.query);
+    sendSuccess(res, 'Reviews retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Get all reviews (admin only)
+   */
+  async getAllReviews(req, res) {
+    const result = await this.reviewService.getAllReviews(req.query);
+    sendSuccess(res, 'Reviews retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Get pending reviews, oldest first (admin only)
+   */
+  async getModerationQueue(req, res) {
+    const result = await this.reviewService.getAllReviews({ sort: 'createdAt:1', ...req.query, status: 'pending' });
+    sendSuccess(res, 'Moderation queue retrieved successfully', result.data, {
+      pagination: result.pagination,
+    });
+  }
+
+  /**
+   * Get review by ID
+   */
+  async getReviewById(req, res) {
+    const { id } = req.params;
+    const userId = req.user.role === 'admin' ? null : req.user._id;
+    const review = await this.reviewService.getReviewById(id, userId);
+    sendSuccess(res, 'Review retrieved successfully', review);
+  }
+
+  /**
+   * Review a purchased product
+   */
+  async createReview(req, res) {
+    const userId = req.user._id;
+    const review = await this.reviewService.createReview(userId, req.body);
+    sendCreated(res, 'Review submitted for moderation', review);
+  }
+
+  /**
+   * Edit own review
+   */
+  async updateReview(req, res) {
+    const { id } = req.params;
+    const userId = req.user._id;
+    const review = await this.reviewService.updateReview(id, userId, req.body);
+    sendSuccess(res, 'Review updated and resubmitted for moderation', review);
+  }
+
+  /**
+   * Delete review (own review, or any review for admins)
+   */
+  async deleteReview(req, res) {
+    const { id } = req.params;
+    const userId = req.user.role === 'admin' ? null : req.user._id;
+    const result = await this.reviewService.deleteReview(id, userId);
+    sendSuccess(res, result.message);
+  }
+
+  /**
+   * Approve review (admin only)
+   */
+  async approveReview(req, res) {
+    const { id } = req.params;
+    const actor = { userId: req.user._id, role: req.user.role };
+    const review = await this.reviewService.moderateReview(id, true, actor, req.body.note);
+    sendSuccess(res, 'Review approved', review);
+  }
+
+  /**
+   * Reject review (admin only)
+   */
+  async rejectReview(req, res) {
+    const { id } = req.params;
+    const actor = { userId: req.user._id, role: req.user.role };
+    const review = await this.reviewService.moderateReview(id, false, actor, req.body.note);
+    sendSuccess(res, 'Review rejected', review);
+  }
+
+  /**
+   * Vote a review helpful
+   */
+  async voteHelpful(req, res) {
+    const { id } = req.params;
+    const review = await this.reviewService.voteHelpful(id, req.user._id);
+    sendSuccess(res, 'Helpful vote recorded', review);
+  }
+
+  /**
+   * Withdraw a helpful vote
+   */
+  async removeHelpfulVote(req, res) {
+    const { id } = req.params;
+    const review = await this.reviewService.removeHelpfulVote(id, req.user._id);
+    sendSuccess(res, 'Helpful vote removed', review);
+  }
+}
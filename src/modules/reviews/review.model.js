@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+
+const reviewSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required'],
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  // Completed order that proves the purchase
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order ID is required'],
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot exceed 5'],
+    validate: [Number.isInteger, 'Rating must be a whole number of stars'],
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [150, 'Title cannot exceed 150 characters'],
+  },
+  body: {
+    type: String,
+    required: [true, 'Review text is required'],
+    trim: true,
+    maxlength: [5000, 'Review cannot exceed 5000 characters'],
+  },
+  images: [{
+    url: String,
+    alt: String,
+  }],
+  // Only approved reviews are public and count towards the product rating
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending',
+  },
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Moderation note cannot exceed 1000 characters'],
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  moderatedAt: Date,
+  helpfulVotes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  helpfulCount: {
+    type: Number,
+    default: 0,
+  },
+  editedAt: Date,
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.helpfulVotes;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: 1 });
+reviewSchema.index({ userId: 1, createdAt: -1 });
+
+// Static method to compute a product's rating from its approved reviews
+reviewSchema.statics.getRatingSummary = async function(productId) {
+  const [summary] = await this.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(productId), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  return {
+    average: summary ? Math.round(summary.average * 10) / 10 : 0,
+    count: summary ? summary.count : 0,
+  };
+};
+
+export default mongoose.model('Review', reviewSchema);
@@ -0,0 +1,359 @@
+import Review from './review.model.js';
+import Product from '../products/product.model.js';
+import Order from '../orders/order.model.js';
+import { NotFoundError, ValidationError, AuthorizationError, ConflictError } from '../../core/error.js';
+import { createQueryParser } from '../../utils/queryParser.js';
+import { invalidateCacheByTags } from '../../middlewares/cache.js';
+import logger from '../../core/logger.js';
+import { notificationWorker } from '../../jobs/notificationWorker.js';
+
+export default class ReviewService {
+  /**
+   * Get approved reviews of a product
+   */
+  async getProductReviews(productId, query) {
+    try {
+      const queryParser = createQueryParser({ sort: 'helpfulCount:-1,createdAt:-1', ...query, productId, status: 'approved' });
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(Review);
+
+      await Review.populate(result.data, {
+        path: 'userId',
+        select: 'username',
+      });
+
+      logger.info('Product reviews retrieved', {
+        productId,
+        count: result.data.length,
+        total: result.pagination.total,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to get product reviews:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get user's reviews, whatever their moderation status
+   */
+  async getUserReviews(userId, query) {
+    try {
+      const queryParser = createQueryParser({ ...query, userId });
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(Review);
+
+      logger.info('User reviews retrieved', {
+        userId,
+        count: result.data.length,
+        total: result.pagination.total,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to get user reviews:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all reviews (admin only); the moderation queue is the oldest pending first
+   */
+  async getAllReviews(query) {
+    try {
+      const queryParser = createQueryParser(query);
+      const result = await queryParser
+        .filter()
+        .sort()
+        .select()
+        .paginate()
+        .execute(Review);
+
+      await Review.populate(result.data, [
+        { path: 'userId', select: 'username email' },
+        { path: 'productId', select: 'name' },
+      ]);
+
+      logger.info('All reviews retrieved', {
+        count: result.data.length,
+        total: result.pagination.total,
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to get all reviews:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get review by ID
+   */
+  async getReviewById(reviewId, userId = null) {
+    try {
+      const query = { _id: reviewId };
+      if (userId) {
+        query.userId = userId;
+      }
+
+      const review = await Review.findOne(query);
+
+      if (!review) {
+        throw new NotFoundError('Review not found');
+      }
+
+      logger.info('Review retrieved by ID', { reviewId, userId });
+      return review;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to get review by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Review a product received in a completed order; held for moderation
+   */
+  async createReview(userId, { productId, ...reviewData }) {
+    try {
+      const product = await Product.exists({ _id: productId });
+
+      if (!product) {
+        throw new NotFoundError('Product not found');
+      }
+
+      const order = await Order.findOne({
+        userId,
+        status: 'completed',
+        'items.productId': productId,
+      }).sort({ createdAt: -1 }).select('_id');
+
+      if (!order) {
+        throw new AuthorizationError('Only customers who received this product can review it');
+      }
+
+      if (await Review.exists({ productId, userId })) {
+        throw new ConflictError('You have already reviewed this product');
+      }
+
+      const review = new Review({
+        ...reviewData,
+        productId,
+        userId,
+        orderId: order._id,
+      });
+
+      await review.save();
+
+      logger.info('Review created successfully', {
+        reviewId: review._id,
+        productId,
+        userId,
+      });
+
+      return review;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof AuthorizationError || error instanceof ConflictError) {
+        throw error;
+      }
+      if (error.code === 11000) {
+        throw new ConflictError('You have already reviewed this product');
+      }
+      logger.error('Failed to create review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit own review; it goes back to the moderation queue
+   */
+  async updateReview(reviewId, userId, updateData) {
+    try {
+      const review = await this.getReviewById(reviewId, userId);
+      const wasApproved = review.status === 'approved';
+
+      Object.assign(review, updateData);
+      review.status = 'pending';
+      review.moderationNote = undefined;
+      review.moderatedBy = undefined;
+      review.moderatedAt = undefined;
+      review.editedAt = new Date();
+
+      await review.save();
+
+      if (wasApproved) {
+        await this.refreshProductRating(review.productId);
+      }
+
+      logger.info('Review updated successfully', {
+        reviewId,
+        updatedFields: Object.keys(updateData),
+        userId,
+      });
+
+      return review;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to update review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a review (own review, or any review for admins)
+   */
+  async deleteReview(reviewId, userId = null) {
+    try {
+      const review = await this.getReviewById(reviewId, userId);
+
+      await review.deleteOne();
+
+      if (review.status === 'approved') {
+        await this.refreshProductRating(review.productId);
+      }
+
+      logger.info('Review deleted successfully', { reviewId, deletedBy: userId });
+      return { message: 'Review deleted successfully' };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to delete review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a review (admin only)
+   */
+  async moderateReview(reviewId, approved, actor = {}, note = null) {
+    try {
+      const review = await this.getReviewById(reviewId);
+      const status = approved ? 'approved' : 'rejected';
+
+      if (review.status === status) {
+        throw new ValidationError(`Review is already ${status}`);
+      }
+
+      const affectsRating = approved || review.status === 'approved';
+
+      review.status = status;
+      review.moderationNote = note;
+      review.moderatedBy = actor.userId;
+      review.moderatedAt = new Date();
+
+      await review.save();
+
+      if (affectsRating) {
+        await this.refreshProductRating(review.productId);
+      }
+
+      await notificationWorker.addNotificationJob('review-moderated', {
+        user: { _id: review.userId },
+        review,
+      });
+
+      logger.info('Review moderated', {
+        reviewId,
+        status,
+        moderatedBy: actor.userId,
+      });
+
+      return review;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to moderate review:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an approved review as helpful; each user votes once
+   */
+  async voteHelpful(reviewId, userId) {
+    try {
+      const review = await Review.findOne({ _id: reviewId, status: 'approved' });
+
+      if (!review) {
+        throw new NotFoundError('Review not found');
+      }
+
+      if (review.userId.equals(userId)) {
+        throw new ValidationError('You cannot vote on your own review');
+      }
+
+      const updated = await Review.findOneAndUpdate(
+        { _id: reviewId, helpfulVotes: { $ne: userId } },
+        { $push: { helpfulVotes: userId }, $inc: { helpfulCount: 1 } },
+        { new: true }
+      );
+
+      logger.info('Review helpful vote recorded', { reviewId, userId, counted: Boolean(updated) });
+      return updated || review;
+    } catch (error) {
+      if (error instanceof NotFoundError || error instanceof ValidationError) {
+        throw error;
+      }
+      logger.error('Failed to vote review helpful:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Withdraw a helpful vote
+   */
+  async removeHelpfulVote(reviewId, userId) {
+    try {
+      const review = await Review.findOne({ _id: reviewId, status: 'approved' });
+
+      if (!review) {
+        throw new NotFoundError('Review not found');
+      }
+
+      const updated = await Review.findOneAndUpdate(
+        { _id: reviewId, helpfulVotes: userId },
+        { $pull: { helpfulVotes: userId }, $inc: { helpfulCount: -1 } },
+        { new: true }
+      );
+
+      logger.info('Review helpful vote removed', { reviewId, userId, counted: Boolean(updated) });
+      return updated || review;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+      logger.error('Failed to remove review helpful vote:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute a product's rating from its approved reviews
+   */
+  async refreshProductRating(productId) {
+    const rating = await Review.getRatingSummary(productId);
+
+    await Product.updateOne({ _id: productId }, { $set: { rating } });
+
+    // Invalidate cache
+    await invalidateCacheByTags(['products', `product:${productId}`]);
+
+    logger.info('Product rating refreshed', { productId, ...rating });
+    return rating;
+  }
+}
@@ -0,0 +1,17 @@
+import SitemapService from './sitemap.service.js';
+
+export default class SitemapController {
+  constructor() {
+    this.sitemapService = new SitemapService();
+  }
+
+  /**
+   * Serve the XML sitemap
+   */
+  async getSitemap(req, res) {
+    const sitemap = await this.sitemapService.getSitemap();
+    res.set('Content-Type', 'application/xml');
+    res.set('Last-Modified', new Date(sitemap.generatedAt).toUTCString());
+    res.send(sitemap.xml);
+  }
+}
@@ -0,0 +1,115 @@
+import Product from '../products/product.model.js';
+import Category from '../categories/category.model.js';
+import redisClient from '../../config/redis.js';
+import { config } from '../../config/env.js';
+import { escapeHtml } from '../../utils/search.js';
+import logger from '../../core/logger.js';
+
+const SITEMAP_CACHE_KEY = 'sitemap:xml';
+// Search engines ignore anything past 50,000 URLs in a single sitemap file
+const MAX_SITEMAP_URLS = 50000;
+
+const toUrlEntry = ({ loc, lastmod, changefreq, priority }) => [
+  '  <url>',
+  `    <loc>${escapeHtml(loc)}</loc>`,
+  ...(lastmod ? [`    <lastmod>${lastmod.toISOString()}</lastmod>`] : []),
+  `    <changefreq>${changefreq}</changefreq>`,
+  `    <priority>${priority.toFixed(1)}</priority>`,
+  '  </url>',
+].join('\n');
+
+export default class SitemapService {
+  /**
+   * Build the sitemap of active categories and products and store it for serving
+   */
+  async generateSitemap() {
+    try {
+      const baseUrl = config.SITEMAP_BASE_URL.replace(/\/+$/, '');
+      const entries = [{ loc: `${baseUrl}/`, changefreq: 'daily', priority: 1 }];
+
+      const categories = await Category.find({ isActive: true })
+        .select('slug updatedAt')
+        .sort({ sortOrder: 1, name: 1 })
+        .lean();
+
+      categories.forEach(category => entries.push({
+        loc: `${baseUrl}/categories/${category.slug}`,
+        lastmod: category.updatedAt,
+        changefreq: 'weekly',
+        priority: 0.6,
+      }));
+
+      const cursor = Product.find({ status: 'active', 'seo.slug': { $exists: true } })
+        .select('seo.slug featured updatedAt')
+        .sort({ _id: 1 })
+        .lean()
+        .cursor();
+
+      let truncated = false;
+
+      for await (const product of cursor) {
+        if (entries.length >= MAX_SITEMAP_URLS) {
+          truncated = true;
+          break;
+        }
+
+        entries.push({
+          loc: `${baseUrl}/products/${product.seo.slug}`,
+          lastmod: product.updatedAt,
+          changefreq: 'weekly',
+          priority: product.featured ? 0.9 : 0.8,
+        });
+      }
+
+      await cursor.close();
+
+      if (truncated) {
+        logger.warn('Sitemap truncated at the URL limit', { limit: MAX_SITEMAP_URLS });
+      }
+
+      const sitemap = {
+        xml: [
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+          ...entries.map(toUrlEntry),
+          '</urlset>',
+          '',
+        ].join('\n'),
+        urlCount: entries.length,
+        generatedAt: new Date().toISOString(),
+      };
+
+      // Kept for two refresh intervals so a missed run still leaves a sitemap to serve
+      await redisClient.set(SITEMAP_CACHE_KEY, sitemap, config.SITEMAP_REFRESH_INTERVAL * 60 * 2);
+
+      logger.info('Sitemap generated', {
+        urlCount: sitemap.urlCount,
+        categories: categories.length,
+        truncated,
+      });
+
+      return sitemap;
+    } catch (error) {
+      logger.error('Failed to generate sitemap:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the stored sitemap, generating it when the job has not produced one yet
+   */
+  async getSitemap() {
+    try {
+      const cached = await redisClient.get(SITEMAP_CACHE_KEY);
+
+      if (cached?.xml) {
+        return cached;
+      }
+
+      return await this.generateSitemap();
+    } catch (error) {
+      logger.error('Failed to get sitemap:', error);
+      throw error;
+    }
+  }
+}
@@ -1,6 +1,11 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import { config } from '../../config/env.js';
+import { generateToken, hashToken } from '../../utils/tokens.js';
+import { generateSecret, verifyCode } from '../../utils/totp.js';
+
+// Backup codes are matched without regard to case, spaces or dashes
+const normalizeBackupCode = (code) => String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -82,37 +87,47 @@ const userSchema = new mongoose.Schema({
       default: 'auto',
     },
   },
-  refreshTokens: [{
-    token: String,
-    createdAt: {
-      type: Date,
-      default: Date.now,
-    },
-    expiresAt: Date,
-  }],
-  passwordResetToken: String,
-  passwordResetExpires: Date,
+  // SHA-256 hash of the token in the verification link
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
   emailVerified: {
     type: Boolean,
     default: false,
   },
   emailVerifiedAt: Date,
+  // Base32 TOTP secret, set at enrollment and in effect once twoFactorEnabled is true
   twoFactorSecret: String,
   twoFactorEnabled: {
     type: Boolean,
     default: false,
   },
+  twoFactorEnabledAt: Date,
+  // Last accepted time step, so a code cannot be replayed while it is still valid
+  twoFactorLastStep: Number,
+  // SHA-256 hashes of single-use backup codes
+  twoFactorBackupCodes: [{
+    _id: false,
+    codeHash: String,
+    usedAt: Date,
+  }],
+  // The outstanding login challenge and how many codes were tried against it
+  twoFactorChallenge: {
+    challengeId: String,
+    attempts: Number,
+  },
 }, {
   timestamps: true,
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
-      delete ret.refreshTokens;
-      delete ret.passwordResetToken;
-      delete ret.passwordResetExpires;
+      delete ret.refreshTokens; // Raw tokens kept by accounts created before refresh token rotation
       delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
       delete ret.twoFactorSecret;
+      delete ret.twoFactorLastStep;
+      delete ret.twoFactorBackupCodes;
+      delete ret.twoFactorChallenge;
       return ret;
     },
   },
@@ -124,6 +139,7 @@ userSchema.index({ username: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -156,31 +172,106 @@ userSchema.methods.updateLastLogin = async function() {
   return this.save();
 };
 
-// Instance method to add refresh token
-userSchema.methods.addRefreshToken = async function(token, expiresAt) {
-  this.refreshTokens.push({
-    token,
-    expiresAt,
+// Instance method to issue an email verification token, returning the raw token for the link
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateToken();
+
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + config.EMAIL_VERIFICATION_TTL * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return token;
+};
+
+// Instance method to mark the email as verified
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  return this.save();
+};
+
+// Instance method to start two-factor enrollment, returning the new secret
+userSchema.methods.startTwoFactorEnrollment = function() {
+  this.twoFactorSecret = generateSecret();
+  this.twoFactorEnabled = false;
+  this.twoFactorLastStep = undefined;
+  return this.twoFactorSecret;
+};
+
+// Instance method to replace the backup codes, returning the raw codes to show once
+userSchema.methods.generateTwoFactorBackupCodes = function() {
+  const codes = Array.from({ length: config.TWO_FACTOR_BACKUP_CODES }, () => {
+    const raw = generateToken(8);
+    return `${raw.slice(0, 8)}-${raw.slice(8)}`;
   });
-  
-  // Keep only the last 5 refresh tokens
-  if (this.refreshTokens.length > 5) {
-    this.refreshTokens = this.refreshTokens.slice(-5);
+
+  this.twoFactorBackupCodes = codes.map(code => ({
+    codeHash: hashToken(normalizeBackupCode(code)),
+  }));
+
+  return codes;
+};
+
+// Instance method to turn on two-factor authentication once the first code is confirmed
+userSchema.methods.enableTwoFactor = function() {
+  this.twoFactorEnabled = true;
+  this.twoFactorEnabledAt = new Date();
+  return this.generateTwoFactorBackupCodes();
+};
+
+// Instance method to turn off two-factor authentication and drop its secrets
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorEnabledAt = undefined;
+  this.twoFactorLastStep = undefined;
+  this.twoFactorBackupCodes = [];
+};
+
+// Instance method to match a TOTP or unused backup code without using it up; returns
+// { method: 'totp', step }, { method: 'backup_code', codeHash } or null
+userSchema.methods.matchTwoFactorCode = function(code) {
+  if (!this.twoFactorSecret) {
+    return null;
   }
-  
-  return this.save();
+
+  const step = verifyCode(this.twoFactorSecret, code);
+
+  if (step !== null) {
+    if (this.twoFactorLastStep !== undefined && step <= this.twoFactorLastStep) {
+      return null;
+    }
+
+    return { method: 'totp', step };
+  }
+
+  const codeHash = hashToken(normalizeBackupCode(code));
+
+  if (this.twoFactorBackupCodes.some(entry => entry.codeHash === codeHash && !entry.usedAt)) {
+    return { method: 'backup_code', codeHash };
+  }
+
+  return null;
 };
 
-// Instance method to remove refresh token
-userSchema.methods.removeRefreshToken = async function(token) {
-  this.refreshTokens = this.refreshTokens.filter(rt => rt.token !== token);
-  return this.save();
+// Instance method to check a TOTP or backup code and mark it used; returns the method that matched ('totp' or 'backup_code') or null
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  const match = this.matchTwoFactorCode(code);
+
+  if (match?.method === 'totp') {
+    this.twoFactorLastStep = match.step;
+  } else if (match) {
+    this.twoFactorBackupCodes.find(entry => entry.codeHash === match.codeHash && !entry.usedAt).usedAt = new Date();
+  }
+
+  return match?.method ?? null;
 };
 
-// Instance method to clear all refresh tokens
-userSchema.methods.clearRefreshTokens = async function() {
-  this.refreshTokens = [];
-  return this.save();
+// Instance method to count the backup codes that are still unused
+userSchema.methods.getRemainingBackupCodes = function() {
+  return this.twoFactorBackupCodes.filter(entry => !entry.usedAt).length;
 };
 
 // Instance method to check if user is admin
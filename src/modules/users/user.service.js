@@ -1,4 +1,5 @@
 import User from './user.model.js';
+import { AuthSession } from '../auth/auth.model.js';
 import { NotFoundError, ConflictError, ValidationError } from '../../core/error.js';
 import { createQueryParser, QueryConfig, UniversalPipelineBuilder, UniversalQueryBuilder } from '../../utils/queryParser.js';
 import logger from '../../core/logger.js';
@@ -291,6 +292,15 @@ export default class UserService {
       // Don't allow password updates through this method
       delete updateData.password;
 
+      // A new address has to be verified again; links sent to the old one stop working
+      if (updateData.email && updateData.email !== user.email) {
+        user.emailVerified = false;
+        user.emailVerifiedAt = undefined;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+        user.emailVerificationSentAt = undefined;
+      }
+
       Object.assign(user, updateData);
       await user.save();
 
@@ -389,8 +399,8 @@ export default class UserService {
       user.password = newPassword;
       await user.save();
 
-      // Clear all refresh tokens for security
-      await user.clearRefreshTokens();
+      // Sign out every device for security
+      await AuthSession.revokeAllForUser(userId, { reason: 'password_changed' });
 
       logger.info('User password changed successfully', { userId });
       return { message: 'Password changed successfully' };
@@ -417,8 +427,8 @@ export default class UserService {
       user.isActive = false;
       await user.save();
 
-      // Clear refresh tokens
-      await user.clearRefreshTokens();
+      // Sign out every device
+      await AuthSession.revokeAllForUser(userId, { reason: 'account_deactivated' });
 
       // Invalidate cache
       await invalidateCacheByTags(['users', `user:${userId}`]);
@@ -0,0 +1,13 @@
+import express from 'express';
+import SitemapController from '../modules/sitemap/sitemap.controller.js';
+import { asyncHandler } from '../middlewares/error.js';
+
+const router = express.Router();
+const sitemapController = new SitemapController();
+
+// XML sitemap of active categories and products, regenerated by the sitemap job
+router.get('/sitemap.xml',
+  asyncHandler(sitemapController.getSitemap.bind(sitemapController))
+);
+
+export default router;
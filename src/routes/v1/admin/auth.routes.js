@@ -1,7 +1,9 @@
 import express from 'express';
 import AuthController from '../../../modules/auth/auth.controller.js';
-import { authenticate, refreshAuth } from '../../../middlewares/auth.js';
+import { authenticate, authenticateTwoFactorSetup } from '../../../middlewares/auth.js';
+import { requireAdmin } from '../../../middlewares/rbac.js';
 import { validate, commonSchemas } from '../../../middlewares/validation.js';
+import { twoFactorRateLimit } from '../../../middlewares/security.js';
 import { asyncHandler } from '../../../middlewares/error.js';
 
 const router = express.Router();
@@ -19,10 +21,59 @@ router.post('/login',
   asyncHandler(authController.login.bind(authController))
 );
 
-// Refresh access token
+// Complete a two-factor login with a TOTP or backup code
+router.post('/login/2fa',
+  twoFactorRateLimit,
+  validate(commonSchemas.verifyTwoFactorLogin),
+  asyncHandler(authController.verifyTwoFactorLogin.bind(authController))
+);
+
+// Start two-factor enrollment (access token, or the setup challenge from login)
+router.post('/2fa/setup',
+  authenticateTwoFactorSetup,
+  validate(commonSchemas.setupTwoFactor),
+  asyncHandler(authController.setupTwoFactor.bind(authController))
+);
+
+// Confirm two-factor enrollment with the first code
+router.post('/2fa/confirm',
+  authenticateTwoFactorSetup,
+  validate(commonSchemas.confirmTwoFactor),
+  asyncHandler(authController.confirmTwoFactor.bind(authController))
+);
+
+// Disable two-factor authentication
+router.post('/2fa/disable',
+  authenticate,
+  validate(commonSchemas.twoFactorPassword),
+  asyncHandler(authController.disableTwoFactor.bind(authController))
+);
+
+// Replace the two-factor backup codes
+router.post('/2fa/backup-codes',
+  authenticate,
+  validate(commonSchemas.twoFactorPassword),
+  asyncHandler(authController.regenerateBackupCodes.bind(authController))
+);
+
+// Get the two-factor requirement of every role
+router.get('/2fa/policies',
+  authenticate,
+  requireAdmin,
+  asyncHandler(authController.getTwoFactorPolicies.bind(authController))
+);
+
+// Require (or stop requiring) two-factor authentication for a role
+router.put('/2fa/policies/:role',
+  authenticate,
+  requireAdmin,
+  validate(commonSchemas.updateTwoFactorPolicy),
+  asyncHandler(authController.updateTwoFactorPolicy.bind(authController))
+);
+
+// Refresh access token (rotates the refresh token)
 router.post('/refresh',
   validate(commonSchemas.refreshToken),
-  refreshAuth,
   asyncHandler(authController.refreshToken.bind(authController))
 );
 
@@ -0,0 +1,55 @@
+import express from 'express';
+import CategoryController from '../../../modules/categories/category.controller.js';
+import { authenticate } from '../../../middlewares/auth.js';
+import { requireAdmin } from '../../../middlewares/rbac.js';
+import { validate, validateObjectId, commonSchemas } from '../../../middlewares/validation.js';
+import { asyncHandler } from '../../../middlewares/error.js';
+
+const router = express.Router();
+const categoryController = new CategoryController();
+
+// All admin category routes require an authenticated admin
+router.use(authenticate);
+router.use(requireAdmin);
+
+// Get all categories with pagination and filtering
+router.get('/',
+  asyncHandler(categoryController.getCategories.bind(categoryController))
+);
+
+// Get the category tree (?includeInactive=true for hidden categories)
+router.get('/tree',
+  asyncHandler(categoryController.getCategoryTree.bind(categoryController))
+);
+
+// Migrate free-text product categories into the tree
+router.post('/migrate',
+  asyncHandler(categoryController.migrateLegacyCategories.bind(categoryController))
+);
+
+// Get category by ID
+router.get('/:id',
+  validateObjectId('id'),
+  asyncHandler(categoryController.getCategoryById.bind(categoryController))
+);
+
+// Create new category
+router.post('/',
+  validate(commonSchemas.createCategory),
+  asyncHandler(categoryController.createCategory.bind(categoryController))
+);
+
+// Update category (moving it re-parents its subcategories)
+router.patch('/:id',
+  validateObjectId('id'),
+  validate(commonSchemas.updateCategory),
+  asyncHandler(categoryController.updateCategory.bind(categoryController))
+);
+
+// Delete category
+router.delete('/:id',
+  validateObjectId('id'),
+  asyncHandler(categoryController.deleteCategory.bind(categoryController))
+);
+
+export default router;
@@ -5,6 +5,13 @@ import { authenticate,
  import authRoutes from './auth.routes.js';
 import usersRoutes from './users.routes.js';
 import ordersRoutes from './orders.routes.js';
+import returnsRoutes from './returns.routes.js';
+import promotionsRoutes from './promotions.routes.js';
+import pricingRoutes from './pricing.routes.js';
+import inventoryRoutes from './inventory.routes.js';
+import categoriesRoutes from './categories.routes.js';
+import reviewsRoutes from './reviews.routes.js';
+import productsRoutes from './products.routes.js';
 
 const router = express.Router();
 
@@ -16,5 +23,12 @@ const router = express.Router();
 router.use('/auth', authRoutes);
 router.use('/users', usersRoutes);
 router.use('/orders', ordersRoutes);
+router.use('/returns', returnsRoutes);
+router.use('/promotions', promotionsRoutes);
+router.use('/pricing', pricingRoutes);
+router.use('/inventory', inventoryRoutes);
+router.use('/categories', categoriesRoutes);
+router.use('/reviews', reviewsRoutes);
+router.use('/products', productsRoutes);
 
 export default router;
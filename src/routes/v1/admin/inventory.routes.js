@@ -0,0 +1,80 @@
+import express from 'express';
+import InventoryController from '../../../modules/inventory/inventory.controller.js';
+import { authenticate } from '../../../middlewares/auth.js';
+import { requireAdmin } from '../../../middlewares/rbac.js';
+import { validate, validateObjectId, commonSchemas } from '../../../middlewares/validation.js';
+import { asyncHandler } from '../../../middlewares/error.js';
+
+const router = express.Router();
+const inventoryController = new InventoryController();
+
+// All admin inventory routes require an authenticated admin
+router.use(authenticate);
+router.use(requireAdmin);
+
+// Get warehouses
+router.get('/warehouses',
+  asyncHandler(inventoryController.getWarehouses.bind(inventoryController))
+);
+
+// Create warehouse
+router.post('/warehouses',
+  validate(commonSchemas.createWarehouse),
+  asyncHandler(inventoryController.createWarehouse.bind(inventoryController))
+);
+
+// Get warehouse by ID
+router.get('/warehouses/:id',
+  validateObjectId('id'),
+  asyncHandler(inventoryController.getWarehouseById.bind(inventoryController))
+);
+
+// Update warehouse
+router.patch('/warehouses/:id',
+  validateObjectId('id'),
+  validate(commonSchemas.updateWarehouse),
+  asyncHandler(inventoryController.updateWarehouse.bind(inventoryController))
+);
+
+// Delete warehouse
+router.delete('/warehouses/:id',
+  validateObjectId('id'),
+  asyncHandler(inventoryController.deleteWarehouse.bind(inventoryController))
+);
+
+// Get stock levels at a warehouse
+router.get('/warehouses/:id/stock',
+  validateObjectId('id'),
+  asyncHandler(inventoryController.getWarehouseStock.bind(inventoryController))
+);
+
+// Get a product's stock per warehouse
+router.get('/products/:productId/stock',
+  validateObjectId('productId'),
+  asyncHandler(inventoryController.getProductStock.bind(inventoryController))
+);
+
+// Recompute a product's stock from the ledger
+router.post('/products/:productId/reconcile',
+  validateObjectId('productId'),
+  asyncHandler(inventoryController.reconcileProductStock.bind(inventoryController))
+);
+
+// Get stock movements (ledger)
+router.get('/movements',
+  asyncHandler(inventoryController.getMovements.bind(inventoryController))
+);
+
+// Transfer stock between warehouses
+router.post('/transfers',
+  validate(commonSchemas.transferStock),
+  asyncHandler(inventoryController.transferStock.bind(inventoryController))
+);
+
+// Adjust stock or record a cycle count
+router.post('/adjustments',
+  validate(commonSchemas.adjustStock),
+  asyncHandler(inventoryController.adjustStock.bind(inventoryController))
+);
+
+export default router;
@@ -1,11 +1,22 @@
 import express from 'express';
 import OrderController from '../../../modules/orders/order.controller.js';
+import PaymentController from '../../../modules/payments/payment.controller.js';
+import InvoiceController from '../../../modules/invoices/invoice.controller.js';
+import { authenticate } from '../../../middlewares/auth.js';
+import { requireAdmin } from '../../../middlewares/rbac.js';
 import { validate, validateObjectId, validatePagination, commonSchemas } from '../../../middlewares/validation.js';
 import { adminCache } from '../../../middlewares/cache.js';
+import { idempotency } from '../../../middlewares/idempotency.js';
 import { asyncHandler } from '../../../middlewares/error.js';
 
 const router = express.Router();
 const orderController = new OrderController();
+const paymentController = new PaymentController();
+const invoiceController = new InvoiceController();
+
+// All admin order routes require an authenticated admin
+router.use(authenticate);
+router.use(requireAdmin);
 
 // Get all orders with pagination and filtering
 router.get('/',
@@ -20,12 +31,30 @@ router.get('/stats',
   asyncHandler(orderController.getOrderStats.bind(orderController))
 );
 
+// Get unpaid orders holding reserved stock
+router.get('/reservations',
+  asyncHandler(orderController.getActiveReservations.bind(orderController))
+);
+
 // Get order by ID
 router.get('/:id',
   validateObjectId('id'),
   asyncHandler(orderController.getOrderById.bind(orderController))
 );
 
+// Get order status timeline
+router.get('/:id/timeline',
+  validateObjectId('id'),
+  asyncHandler(orderController.getOrderTimeline.bind(orderController))
+);
+
+// Get order packing slip as HTML or PDF
+router.get('/:id/packing-slip',
+  validateObjectId('id'),
+  validate(commonSchemas.documentFormat, 'query'),
+  asyncHandler(invoiceController.getPackingSlip.bind(invoiceController))
+);
+
 // Update order status
 router.patch('/:id/status',
   validateObjectId('id'),
@@ -33,6 +62,35 @@ router.patch('/:id/status',
   asyncHandler(orderController.updateOrderStatus.bind(orderController))
 );
 
+// Extend an unpaid order's stock reservation
+router.patch('/:id/reservation',
+  validateObjectId('id'),
+  validate(commonSchemas.extendReservation),
+  asyncHandler(orderController.extendReservation.bind(orderController))
+);
+
+// Capture authorized payment
+router.post('/:id/payment/capture',
+  idempotency(),
+  validateObjectId('id'),
+  asyncHandler(paymentController.capturePayment.bind(paymentController))
+);
+
+// Refund captured payment (full or partial)
+router.post('/:id/payment/refund',
+  idempotency(),
+  validateObjectId('id'),
+  validate(commonSchemas.refundPayment),
+  asyncHandler(paymentController.refundPayment.bind(paymentController))
+);
+
+// Void authorized payment and cancel the order
+router.post('/:id/payment/void',
+  idempotency(),
+  validateObjectId('id'),
+  asyncHandler(paymentController.voidPayment.bind(paymentController))
+);
+
 // Delete order
 router.delete('/:id',
   validateObjectId('id'),
@@ -0,0 +1,63 @@
+import express from 'express';
+import PricingController from '../../../modules/pricing/pricing.controller.js';
+import { authenticate } from '../../../middlewares/auth.js';
+import { requireAdmin } from '../../../middlewares/rbac.js';
+import { validate, validateObjectId, commonSchemas } from '../../../middlewares/validation.js';
+import { asyncHandler } from '../../../middlewares/error.js';
+
+const router = express.Router();
+const pricingController = new PricingController();
+
+// All admin pricing routes require an authenticated admin
+router.use(authenticate);
+router.use(requireAdmin);
+
+// Get tax rates
+router.get('/tax-rates',
+  asyncHandler(pricingController.getTaxRates.bind(pricingController))
+);
+
+// Create tax rate
+router.post('/tax-rates',
+  validate(commonSchemas.createTaxRate),
+  asyncHandler(pricingController.createTaxRate.bind(pricingController))
+);
+
+// Update tax rate
+router.patch('/tax-rates/:id',
+  validateObjectId('id'),
+  validate(commonSchemas.updateTaxRate),
+  asyncHandler(pricingController.updateTaxRate.bind(pricingController))
+);
+
+// Delete tax rate
+router.delete('/tax-rates/:id',
+  validateObjectId('id'),
+  asyncHandler(pricingController.deleteTaxRate.bind(pricingController))
+);
+
+// Get shipping rates
+router.get('/shipping-rates',
+  asyncHandler(pricingController.getShippingRates.bind(pricingController))
+);
+
+// Create shipping rate
+router.post('/shipping-rates',
+  validate(commonSchemas.createShippingRate),
+  asyncHandler(pricingController.createShippingRate.bind(pricingController))
+);
+
+// Update shipping rate
+router.patch('/shipping-rates/:id',
+  validateObjectId('id'),
+  validate(commonSchemas.updateShippingRate),
+  asyncHandler(pricingController.updateShippingRate.bind(pricingController))
+);
+
+// Delete shipping rate
+router.delete('/shipping-rates/:id',
+  validateObjectId('id'),
+  asyncHandler(pricingController.deleteShippingRate.bind(pricingController))
+);
+
+export default router;
@@ -0,0 +1,142 @@
+import express from 'express';
+import ProductController from '../../../modules/products/product.controller.js';
+import ProductImportController from '../../../modules/products/productImport.controller.js';
+import { authenticate } from '../../../middlewares/auth.js';
+import { requirePermission, PERMISSIONS } from '../../../middlewares/rbac.js';
+import { validate, validateObjectId, commonSchemas } from '../../../middlewares/validation.js';
+import { asyncHandler } from '../../../middlewares/error.js';
+
+const router = express.Router();
+const productController = new ProductController();
+const productImportController = new ProductImportController();
+
+// All admin product routes require authentication; each route checks its own permission
+router.use(authenticate);
+
+// Get all products, inactive ones included
+router.get('/',
+  requirePermission(PERMISSIONS.READ_ALL_PRODUCTS),
+  asyncHandler(productController.getProducts.bind(productController))
+);
+
+// Get product statistics
+router.get('/stats',
+  requirePermission(PERMISSIONS.READ_ALL_PRODUCTS),
+  asyncHandler(productController.getProductStats.bind(productController))
+);
+
+// Upload a CSV (text/csv) or JSON (application/json) file of products to import
+router.post('/import',
+  requirePermission(PERMISSIONS.CREATE_PRODUCTS),
+  requirePermission(PERMISSIONS.UPDATE_PRODUCTS),
+  express.text({ type: 'text/csv', limit: '10mb' }),
+  validate(commonSchemas.importProducts, 'query'),
+  asyncHandler(productImportController.importProducts.bind(productImportController))
+);
+
+// Get product imports with pagination and filtering
+router.get('/imports',
+  requirePermission(PERMISSIONS.READ_ALL_PRODUCTS),
+  asyncHandler(productImportController.getImports.bind(productImportController))
+);
+
+// Get product import progress
+router.get('/imports/:id',
+  requirePermission(PERMISSIONS.READ_ALL_PRODUCTS),
+  validateObjectId('id'),
+  asyncHandler(productImportController.getImportById.bind(productImportController))
+);
+
+// Download the error report of a product import
+router.get('/imports/:id/errors',
+  requirePermission(PERMISSIONS.READ_ALL_PRODUCTS),
+  validateObjectId('id'),
+  validate(commonSchemas.importReportFormat, 'query'),
+  asyncHandler(productImportController.getImportErrors.bind(productImportController))
+);
+
+// Stream the filtered catalog in the import format
+router.get('/export',
+  requirePermission(PERMISSIONS.READ_ALL_PRODUCTS),
+  validate(commonSchemas.exportProducts, 'query'),
+  asyncHandler(productImportController.exportProducts.bind(productImportController))
+);
+
+// Get product by ID
+router.get('/:id',
+  requirePermission(PERMISSIONS.READ_ALL_PRODUCTS),
+  validateObjectId('id'),
+  asyncHandler(productController.getProductById.bind(productController))
+);
+
+// Get price history of a product, newest first
+router.get('/:id/price-history',
+  requirePermission(PERMISSIONS.READ_ALL_PRODUCTS),
+  validateObjectId('id'),
+  asyncHandler(productController.getPriceHistory.bind(productController))
+);
+
+// Create new product
+router.post('/',
+  requirePermission(PERMISSIONS.CREATE_PRODUCTS),
+  validate(commonSchemas.createProduct),
+  asyncHandler(productController.createProduct.bind(productController))
+);
+
+// Update product
+router.put('/:id',
+  requirePermission(PERMISSIONS.UPDATE_PRODUCTS),
+  validateObjectId('id'),
+  validate(commonSchemas.updateProduct),
+  asyncHandler(productController.updateProduct.bind(productController))
+);
+
+// Change product stock by a delta (booked as an inventory adjustment)
+router.patch('/:id/stock',
+  requirePermission(PERMISSIONS.UPDATE_PRODUCTS),
+  validateObjectId('id'),
+  validate(commonSchemas.updateProductStock),
+  asyncHandler(productController.updateProductStock.bind(productController))
+);
+
+// Feature or unfeature product
+router.patch('/:id/featured',
+  requirePermission(PERMISSIONS.UPDATE_PRODUCTS),
+  validateObjectId('id'),
+  validate(commonSchemas.setFeatured),
+  asyncHandler(productController.setFeatured.bind(productController))
+);
+
+// Delete product
+router.delete('/:id',
+  requirePermission(PERMISSIONS.DELETE_PRODUCTS),
+  validateObjectId('id'),
+  asyncHandler(productController.deleteProduct.bind(productController))
+);
+
+// Add product variant
+router.post('/:id/variants',
+  requirePermission(PERMISSIONS.UPDATE_PRODUCTS),
+  validateObjectId('id'),
+  validate(commonSchemas.createVariant),
+  asyncHandler(productController.addVariant.bind(productController))
+);
+
+// Update product variant
+router.patch('/:id/variants/:variantId',
+  requirePermission(PERMISSIONS.UPDATE_PRODUCTS),
+  validateObjectId('id'),
+  validateObjectId('variantId'),
+  validate(commonSchemas.updateVariant),
+  asyncHandler(productController.updateVariant.bind(productController))
+);
+
+// Remove product variant
+router.delete('/:id/variants/:variantId',
+  requirePermission(PERMISSIONS.UPDATE_PRODUCTS),
+  validateObjectId('id'),
+  validateObjectId('variantId'),
+  asyncHandler(productController.removeVariant.bind(productController))
+);
+
+export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import PromotionController from '../../../modules/promotions/promotion.controller.js';
+import { authenticate } from '../../../middlewares/auth.js';
+import { requireAdmin } from '../../../middlewares/rbac.js';
+import { validate, validateObjectId, commonSchemas } from '../../../middlewares/validation.js';
+import { asyncHandler } from '../../../middlewares/error.js';
+
+const router = express.Router();
+const promotionController = new PromotionController();
+
+// All admin promotion routes require an authenticated admin
+router.use(authenticate);
+router.use(requireAdmin);
+
+// Get all promotions with pagination and filtering
+router.get('/',
+  asyncHandler(promotionController.getPromotions.bind(promotionController))
+);
+
+// Get promotion by ID
+router.get('/:id',
+  validateObjectId('id'),
+  asyncHandler(promotionController.getPromotionById.bind(promotionController))
+);
+
+// Create new promotion
+router.post('/',
+  validate(commonSchemas.createPromotion),
+  asyncHandler(promotionController.createPromotion.bind(promotionController))
+);
+
+// Update promotion
+router.patch('/:id',
+  validateObjectId('id'),
+  validate(commonSchemas.updatePromotion),
+  asyncHandler(promotionController.updatePromotion.bind(promotionController))
+);
+
+// Delete promotion
+router.delete('/:id',
+  validateObjectId('id'),
+  asyncHandler(promotionController.deletePromotion.bind(promotionController))
+);
+
+export default router;
@@ -0,0 +1,47 @@
+import express from 'express';
+import ReturnController from '../../../modules/returns/return.controller.js';
+import { authenticate } from '../../../middlewares/auth.js';
+import { requireAdmin } from '../../../middlewares/rbac.js';
+import { validate, validateObjectId, commonSchemas } from '../../../middlewares/validation.js';
+import { asyncHandler } from '../../../middlewares/error.js';
+
+const router = express.Router();
+const returnController = new ReturnController();
+
+// All admin return routes require an authenticated admin
+router.use(authenticate);
+router.use(requireAdmin);
+
+// Get all return requests with pagination and filtering
+router.get('/',
+  asyncHandler(returnController.getAllReturns.bind(returnController))
+);
+
+// Get return request by ID
+router.get('/:id',
+  validateObjectId('id'),
+  asyncHandler(returnController.getReturnById.bind(returnController))
+);
+
+// Approve return request
+router.patch('/:id/approve',
+  validateObjectId('id'),
+  validate(commonSchemas.reviewReturn),
+  asyncHandler(returnController.approveReturn.bind(returnController))
+);
+
+// Reject return request
+router.patch('/:id/reject',
+  validateObjectId('id'),
+  validate(commonSchemas.reviewReturn),
+  asyncHandler(returnController.rejectReturn.bind(returnController))
+);
+
+// Receive returned items, restock and refund
+router.patch('/:id/receive',
+  validateObjectId('id'),
+  validate(commonSchemas.receiveReturn),
+  asyncHandler(returnController.receiveReturn.bind(returnController))
+);
+
+export default router;
@@ -0,0 +1,51 @@
+import express from 'express';
+import ReviewController from '../../../modules/reviews/review.controller.js';
+import { authenticate } from '../../../middlewares/auth.js';
+import { requireAdmin } from '../../../middlewares/rbac.js';
+import { validate, validateObjectId, commonSchemas } from '../../../middlewares/validation.js';
+import { asyncHandler } from '../../../middlewares/error.js';
+
+const router = express.Router();
+const reviewController = new ReviewController();
+
+// All admin review routes require an authenticated admin
+router.use(authenticate);
+router.use(requireAdmin);
+
+// Get all reviews with pagination and filtering
+router.get('/',
+  asyncHandler(reviewController.getAllReviews.bind(reviewController))
+);
+
+// Get the moderation queue (pending reviews, oldest first)
+router.get('/queue',
+  asyncHandler(reviewController.getModerationQueue.bind(reviewController))
+);
+
+// Get review by ID
+router.get('/:id',
+  validateObjectId('id'),
+  asyncHandler(reviewController.getReviewById.bind(reviewController))
+);
+
+// Approve review
+router.patch('/:id/approve',
+  validateObjectId('id'),
+  validate(commonSchemas.moderateReview),
+  asyncHandler(reviewController.approveReview.bind(reviewController))
+);
+
+// Reject review
+router.patch('/:id/reject',
+  validateObjectId('id'),
+  validate(commonSchemas.moderateReview),
+  asyncHandler(reviewController.rejectReview.bind(reviewController))
+);
+
+// Delete review
+router.delete('/:id',
+  validateObjectId('id'),
+  asyncHandler(reviewController.deleteReview.bind(reviewController))
+);
+
+export default router;
@@ -1,14 +1,17 @@
 import express from 'express';
 import AuthController from '../../../modules/auth/auth.controller.js';
-import { authenticate, refreshAuth } from '../../../middlewares/auth.js';
+import { authenticate, authenticateTwoFactorSetup } from '../../../middlewares/auth.js';
 import { validate, commonSchemas } from '../../../middlewares/validation.js';
+import { idempotency } from '../../../middlewares/idempotency.js';
+import { emailVerificationRateLimit, passwordResetRateLimit, twoFactorRateLimit } from '../../../middlewares/security.js';
 import { asyncHandler } from '../../../middlewares/error.js';
 
 const router = express.Router();
 const authController = new AuthController();
 
-// Register new user
+// Register new user (a retry replays the created user without its tokens)
 router.post('/register',
+  idempotency({ omit: ['tokens', 'challengeToken'] }),
   validate(commonSchemas.register),
   asyncHandler(authController.register.bind(authController))
 );
@@ -19,10 +22,44 @@ router.post('/login',
   asyncHandler(authController.login.bind(authController))
 );
 
-// Refresh access token
+// Complete a two-factor login with a TOTP or backup code
+router.post('/login/2fa',
+  twoFactorRateLimit,
+  validate(commonSchemas.verifyTwoFactorLogin),
+  asyncHandler(authController.verifyTwoFactorLogin.bind(authController))
+);
+
+// Start two-factor enrollment (access token, or the setup challenge from login)
+router.post('/2fa/setup',
+  authenticateTwoFactorSetup,
+  validate(commonSchemas.setupTwoFactor),
+  asyncHandler(authController.setupTwoFactor.bind(authController))
+);
+
+// Confirm two-factor enrollment with the first code
+router.post('/2fa/confirm',
+  authenticateTwoFactorSetup,
+  validate(commonSchemas.confirmTwoFactor),
+  asyncHandler(authController.confirmTwoFactor.bind(authController))
+);
+
+// Disable two-factor authentication
+router.post('/2fa/disable',
+  authenticate,
+  validate(commonSchemas.twoFactorPassword),
+  asyncHandler(authController.disableTwoFactor.bind(authController))
+);
+
+// Replace the two-factor backup codes
+router.post('/2fa/backup-codes',
+  authenticate,
+  validate(commonSchemas.twoFactorPassword),
+  asyncHandler(authController.regenerateBackupCodes.bind(authController))
+);
+
+// Refresh access token (rotates the refresh token)
 router.post('/refresh',
   validate(commonSchemas.refreshToken),
-  refreshAuth,
   asyncHandler(authController.refreshToken.bind(authController))
 );
 
@@ -32,6 +69,50 @@ router.post('/logout',
   asyncHandler(authController.logout.bind(authController))
 );
 
+// Verify email address with the token from the verification email
+router.post('/verify-email',
+  validate(commonSchemas.verifyEmail),
+  asyncHandler(authController.verifyEmail.bind(authController))
+);
+
+// Resend the verification email
+router.post('/verify-email/resend',
+  authenticate,
+  emailVerificationRateLimit,
+  asyncHandler(authController.resendVerificationEmail.bind(authController))
+);
+
+// Request a password reset link
+router.post('/forgot-password',
+  passwordResetRateLimit,
+  validate(commonSchemas.forgotPassword),
+  asyncHandler(authController.forgotPassword.bind(authController))
+);
+
+// Reset password with the token from the reset email
+router.post('/reset-password',
+  validate(commonSchemas.resetPassword),
+  asyncHandler(authController.resetPassword.bind(authController))
+);
+
+// List my active sessions
+router.get('/sessions',
+  authenticate,
+  asyncHandler(authController.getSessions.bind(authController))
+);
+
+// Revoke all of my sessions except this one
+router.delete('/sessions',
+  authenticate,
+  asyncHandler(authController.revokeOtherSessions.bind(authController))
+);
+
+// Revoke one of my sessions
+router.delete('/sessions/:sessionId',
+  authenticate,
+  asyncHandler(authController.revokeSession.bind(authController))
+);
+
 // Get current user profile
 router.get('/profile',
   authenticate,
@@ -0,0 +1,59 @@
+import express from 'express';
+import CartController from '../../../modules/cart/cart.controller.js';
+import { authenticate, optionalAuth } from '../../../middlewares/auth.js';
+import { requireVerifiedEmail, VERIFIED_EMAIL_ACTIONS } from '../../../middlewares/rbac.js';
+import { validate, validateObjectId, commonSchemas } from '../../../middlewares/validation.js';
+import { idempotency } from '../../../middlewares/idempotency.js';
+import { asyncHandler } from '../../../middlewares/error.js';
+
+const router = express.Router();
+const cartController = new CartController();
+
+// Guests are identified by the X-Cart-Id header, users by their access token
+
+// Get current cart
+router.get('/',
+  optionalAuth,
+  asyncHandler(cartController.getCart.bind(cartController))
+);
+
+// Add item to cart
+router.post('/items',
+  optionalAuth,
+  validate(commonSchemas.addCartItem),
+  asyncHandler(cartController.addItem.bind(cartController))
+);
+
+// Update cart item quantity (?variantId= for a product variant)
+router.patch('/items/:productId',
+  optionalAuth,
+  validateObjectId('productId'),
+  validate(commonSchemas.cartItemQuery, 'query'),
+  validate(commonSchemas.updateCartItem),
+  asyncHandler(cartController.updateItem.bind(cartController))
+);
+
+// Remove item from cart (?variantId= for a product variant)
+router.delete('/items/:productId',
+  optionalAuth,
+  validateObjectId('productId'),
+  validate(commonSchemas.cartItemQuery, 'query'),
+  asyncHandler(cartController.removeItem.bind(cartController))
+);
+
+// Clear cart
+router.delete('/',
+  optionalAuth,
+  asyncHandler(cartController.clearCart.bind(cartController))
+);
+
+// Checkout cart into an order (authenticated users only)
+router.post('/checkout',
+  authenticate,
+  requireVerifiedEmail(VERIFIED_EMAIL_ACTIONS.PLACE_ORDER),
+  idempotency(),
+  validate(commonSchemas.checkoutCart),
+  asyncHandler(cartController.checkout.bind(cartController))
+);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import CategoryController from '../../../modules/categories/category.controller.js';
+import { publicCache } from '../../../middlewares/cache.js';
+import { asyncHandler } from '../../../middlewares/error.js';
+
+const router = express.Router();
+const categoryController = new CategoryController();
+
+// Get the active category tree with product counts (public endpoint)
+router.get('/',
+  publicCache(1800), // 30 minutes cache
+  asyncHandler(categoryController.getCategoryTree.bind(categoryController))
+);
+
+export default router;
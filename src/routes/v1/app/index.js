@@ -1,11 +1,21 @@
 import express from 'express';
 import authRoutes from './auth.routes.js';
 import productsRoutes from './products.routes.js';
+import ordersRoutes from './orders.routes.js';
+import cartRoutes from './cart.routes.js';
+import returnsRoutes from './returns.routes.js';
+import categoriesRoutes from './categories.routes.js';
+import reviewsRoutes from './reviews.routes.js';
 
 const router = express.Router();
 
 // Mount app routes
 router.use('/auth', authRoutes);
 router.use('/products', productsRoutes);
+router.use('/orders', ordersRoutes);
+router.use('/cart', cartRoutes);
+router.use('/returns', returnsRoutes);
+router.use('/categories', categoriesRoutes);
+router.use('/reviews', reviewsRoutes);
 
 export default router;
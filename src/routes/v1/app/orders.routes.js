@@ -0,0 +1,72 @@
+import express from 'express';
+import OrderController from '../../../modules/orders/order.controller.js';
+import PaymentController from '../../../modules/payments/payment.controller.js';
+import InvoiceController from '../../../modules/invoices/invoice.controller.js';
+import { authenticate } from '../../../middlewares/auth.js';
+import { requireOwnershipOrAdmin, requireVerifiedEmail, VERIFIED_EMAIL_ACTIONS } from '../../../middlewares/rbac.js';
+import { validate, validateObjectId, commonSchemas } from '../../../middlewares/validation.js';
+import { userTagCache } from '../../../middlewares/cache.js';
+import { idempotency } from '../../../middlewares/idempotency.js';
+import { asyncHandler } from '../../../middlewares/error.js';
+
+const router = express.Router();
+const orderController = new OrderController();
+const paymentController = new PaymentController();
+const invoiceController = new InvoiceController();
+
+// Get current user's orders
+router.get('/',
+  authenticate,
+  userTagCache('orders', 300), // 5 minutes cache
+  asyncHandler(orderController.getUserOrders.bind(orderController))
+);
+
+// Place a new order
+router.post('/',
+  authenticate,
+  requireVerifiedEmail(VERIFIED_EMAIL_ACTIONS.PLACE_ORDER),
+  idempotency(),
+  validate(commonSchemas.createOrder),
+  asyncHandler(orderController.createOrder.bind(orderController))
+);
+
+// Get order by ID (owner or admin only)
+router.get('/:id',
+  authenticate,
+  validateObjectId('id'),
+  asyncHandler(orderController.loadOrderOwner.bind(orderController)),
+  requireOwnershipOrAdmin('userId'),
+  userTagCache('orders', 300), // 5 minutes cache
+  asyncHandler(orderController.getOrderById.bind(orderController))
+);
+
+// Cancel order (owner or admin only)
+router.patch('/:id/cancel',
+  authenticate,
+  validateObjectId('id'),
+  validate(commonSchemas.cancelOrder),
+  asyncHandler(orderController.loadOrderOwner.bind(orderController)),
+  requireOwnershipOrAdmin('userId'),
+  asyncHandler(orderController.cancelOrder.bind(orderController))
+);
+
+// Get order invoice as HTML or PDF (owner or admin only)
+router.get('/:id/invoice',
+  authenticate,
+  validateObjectId('id'),
+  validate(commonSchemas.documentFormat, 'query'),
+  asyncHandler(orderController.loadOrderOwner.bind(orderController)),
+  requireOwnershipOrAdmin('userId'),
+  asyncHandler(invoiceController.getInvoice.bind(invoiceController))
+);
+
+// Pay for own pending order
+router.post('/:id/payments',
+  authenticate,
+  idempotency(),
+  validateObjectId('id'),
+  validate(commonSchemas.authorizePayment),
+  asyncHandler(paymentController.authorizePayment.bind(paymentController))
+);
+
+export default router;
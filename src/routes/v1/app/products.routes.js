@@ -1,6 +1,6 @@
 import express from 'express';
 import ProductController from '../../../modules/products/product.controller.js';
-import { authenticate, optionalAuth } from '../../../middlewares/auth.js';
+import { optionalAuth } from '../../../middlewares/auth.js';
 import { validate, validateObjectId, validatePagination, commonSchemas } from '../../../middlewares/validation.js';
 import { publicCache, userCache } from '../../../middlewares/cache.js';
 import { asyncHandler } from '../../../middlewares/error.js';
@@ -16,33 +16,39 @@ router.get('/',
   asyncHandler(productController.getProducts.bind(productController))
 );
 
-// Get product by ID (public endpoint)
-router.get('/:id',
-  validateObjectId('id'),
-  publicCache(3600), // 1 hour cache
-  asyncHandler(productController.getProductById.bind(productController))
+// Search products with facet counts for filtering (public endpoint)
+router.get('/search',
+  validate(commonSchemas.searchProducts, 'query'),
+  publicCache(300), // 5 minutes cache
+  asyncHandler(productController.searchProducts.bind(productController))
 );
 
-// Create new product (authenticated users only)
-router.post('/',
-  authenticate,
-  validate(commonSchemas.createProduct),
-  asyncHandler(productController.createProduct.bind(productController))
+// Prefix/fuzzy suggestions for the search box (public endpoint)
+router.get('/search/autocomplete',
+  validate(commonSchemas.autocompleteProducts, 'query'),
+  publicCache(300), // 5 minutes cache
+  asyncHandler(productController.autocompleteProducts.bind(productController))
 );
 
-// Update product (authenticated users only)
-router.put('/:id',
-  authenticate,
-  validateObjectId('id'),
-  validate(commonSchemas.updateProduct),
-  asyncHandler(productController.updateProduct.bind(productController))
+// Get products in a category and its subcategories, by ID or slug (public endpoint)
+router.get('/category/:category',
+  publicCache(1800), // 30 minutes cache
+  asyncHandler(productController.getProductsByCategory.bind(productController))
 );
 
-// Delete product (authenticated users only)
-router.delete('/:id',
-  authenticate,
+// Get product by SEO slug; earlier slugs answer with a 301 to the current one (public endpoint)
+router.get('/slug/:slug',
+  publicCache(3600), // 1 hour cache
+  asyncHandler(productController.getProductBySlug.bind(productController))
+);
+
+// Get product by ID (public endpoint)
+router.get('/:id',
   validateObjectId('id'),
-  asyncHandler(productController.deleteProduct.bind(productController))
+  publicCache(3600), // 1 hour cache
+  asyncHandler(productController.getProductById.bind(productController))
 );
 
+// Catalog writes live under /api/v1/admin/products
+
 export default router;
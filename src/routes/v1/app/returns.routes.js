@@ -0,0 +1,32 @@
+import express from 'express';
+import ReturnController from '../../../modules/returns/return.controller.js';
+import { authenticate } from '../../../middlewares/auth.js';
+import { requireVerifiedEmail, VERIFIED_EMAIL_ACTIONS } from '../../../middlewares/rbac.js';
+import { validate, validateObjectId, commonSchemas } from '../../../middlewares/validation.js';
+import { asyncHandler } from '../../../middlewares/error.js';
+
+const router = express.Router();
+const returnController = new ReturnController();
+
+// Get current user's return requests
+router.get('/',
+  authenticate,
+  asyncHandler(returnController.getUserReturns.bind(returnController))
+);
+
+// Request a return for items of a completed order
+router.post('/',
+  authenticate,
+  requireVerifiedEmail(VERIFIED_EMAIL_ACTIONS.REQUEST_RETURN),
+  validate(commonSchemas.createReturn),
+  asyncHandler(returnController.createReturn.bind(returnController))
+);
+
+// Get return request by ID (own requests only)
+router.get('/:id',
+  authenticate,
+  validateObjectId('id'),
+  asyncHandler(returnController.getReturnById.bind(returnController))
+);
+
+export default router;
@@ -0,0 +1,69 @@
+import express from 'express';
+import ReviewController from '../../../modules/reviews/review.controller.js';
+import { authenticate } from '../../../middlewares/auth.js';
+import { requireVerifiedEmail, VERIFIED_EMAIL_ACTIONS } from '../../../middlewares/rbac.js';
+import { validate, validateObjectId, commonSchemas } from '../../../middlewares/validation.js';
+import { publicCache } from '../../../middlewares/cache.js';
+import { asyncHandler } from '../../../middlewares/error.js';
+
+const router = express.Router();
+const reviewController = new ReviewController();
+
+// Get approved reviews of a product (public endpoint)
+router.get('/product/:productId',
+  validateObjectId('productId'),
+  publicCache(600), // 10 minutes cache
+  asyncHandler(reviewController.getProductReviews.bind(reviewController))
+);
+
+// Get current user's reviews
+router.get('/',
+  authenticate,
+  asyncHandler(reviewController.getUserReviews.bind(reviewController))
+);
+
+// Review a product from a completed order
+router.post('/',
+  authenticate,
+  requireVerifiedEmail(VERIFIED_EMAIL_ACTIONS.WRITE_REVIEW),
+  validate(commonSchemas.createReview),
+  asyncHandler(reviewController.createReview.bind(reviewController))
+);
+
+// Get review by ID (own reviews only)
+router.get('/:id',
+  authenticate,
+  validateObjectId('id'),
+  asyncHandler(reviewController.getReviewById.bind(reviewController))
+);
+
+// Edit own review (resubmits it for moderation)
+router.patch('/:id',
+  authenticate,
+  validateObjectId('id'),
+  validate(commonSchemas.updateReview),
+  asyncHandler(reviewController.updateReview.bind(reviewController))
+);
+
+// Delete own review
+router.delete('/:id',
+  authenticate,
+  validateObjectId('id'),
+  asyncHandler(reviewController.deleteReview.bind(reviewController))
+);
+
+// Vote a review helpful
+router.post('/:id/helpful',
+  authenticate,
+  validateObjectId('id'),
+  asyncHandler(reviewController.voteHelpful.bind(reviewController))
+);
+
+// Withdraw a helpful vote
+router.delete('/:id/helpful',
+  authenticate,
+  validateObjectId('id'),
+  asyncHandler(reviewController.removeHelpfulVote.bind(reviewController))
+);
+
+export default router;
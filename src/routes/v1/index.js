@@ -1,6 +1,7 @@
 import express from 'express';
 import adminRoutes from './admin/index.js';
 import appRoutes from './app/index.js';
+import webhookRoutes from './webhooks/index.js';
 
 const router = express.Router();
 
@@ -8,4 +9,7 @@ const router = express.Router();
 router.use('/admin', adminRoutes);
 router.use('/app', appRoutes);
 
+// Mount inbound webhooks (authenticated by signature, not token)
+router.use('/webhooks', webhookRoutes);
+
 export default router;
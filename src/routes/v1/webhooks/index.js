@@ -0,0 +1,9 @@
+import express from 'express';
+import paymentsRoutes from './payments.routes.js';
+
+const router = express.Router();
+
+// Mount webhook routes
+router.use('/payments', paymentsRoutes);
+
+export default router;
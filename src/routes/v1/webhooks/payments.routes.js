@@ -0,0 +1,13 @@
+import express from 'express';
+import PaymentController from '../../../modules/payments/payment.controller.js';
+import { asyncHandler } from '../../../middlewares/error.js';
+
+const router = express.Router();
+const paymentController = new PaymentController();
+
+// Receive payment provider events (verified by provider signature)
+router.post('/:provider',
+  asyncHandler(paymentController.handleWebhook.bind(paymentController))
+);
+
+export default router;
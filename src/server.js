@@ -6,6 +6,11 @@ import logger from './core/logger.js';
 import { setupProcessErrorHandlers } from './middlewares/error.js';
 import { emailQueue } from './jobs/emailQueue.js';
 import { notificationWorker } from './jobs/notificationWorker.js';
+import { invoiceQueue } from './jobs/invoiceQueue.js';
+import { reservationQueue } from './jobs/reservationQueue.js';
+import { productImportQueue } from './jobs/productImportQueue.js';
+import { sitemapQueue } from './jobs/sitemapQueue.js';
+import { priceScheduleQueue } from './jobs/priceScheduleQueue.js';
 
 // Setup process error handlers
 setupProcessErrorHandlers();
@@ -27,6 +32,21 @@ async function startServer() {
     // await notificationWorker.initialize();
     // logger.info('Notification worker initialized');
 
+    // await invoiceQueue.initialize();
+    // logger.info('Invoice queue initialized');
+
+    // await reservationQueue.initialize();
+    // logger.info('Reservation queue initialized');
+
+    // await productImportQueue.initialize();
+    // logger.info('Product import queue initialized');
+
+    // await sitemapQueue.initialize();
+    // logger.info('Sitemap queue initialized');
+
+    // await priceScheduleQueue.initialize();
+    // logger.info('Price schedule queue initialized');
+
     // Start server
     const server = app.listen(config.PORT, config.HOST, () => {
       logger.info(`Server running on ${config.HOST}:${config.PORT}`, {
@@ -53,6 +73,11 @@ async function startServer() {
           // Shutdown job queues
           await emailQueue.shutdown();
           await notificationWorker.shutdown();
+          await invoiceQueue.shutdown();
+          await reservationQueue.shutdown();
+          await productImportQueue.shutdown();
+          await sitemapQueue.shutdown();
+          await priceScheduleQueue.shutdown();
           logger.info('Job queues shut down');
 
           logger.info('Server shut down successfully');
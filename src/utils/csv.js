@@ -0,0 +1,78 @@
+/**
+ * Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, embedded newlines)
+ *
+ * Cells that a spreadsheet would run as a formula (starting with =, +, - or @)
+ * are written with a leading ' and read back without it.
+ */
+
+// Cells starting with a formula character, after any quote prefixes already there
+const FORMULA_PATTERN = /^'*[=+\-@]/;
+
+/**
+ * Parse CSV text into records keyed by the header row
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(values => values.some(value => value.trim() !== ''));
+  const columns = header.map(column => column.trim());
+
+  return records.map(values => Object.fromEntries(columns.map((column, index) => {
+    const value = values[index] ?? '';
+    return [column, FORMULA_PATTERN.test(value) && value.startsWith("'") ? value.slice(1) : value];
+  })));
+};
+
+/**
+ * Format one CSV line, quoting fields that need it and escaping formulas
+ */
+export const toCsvLine = (values) => values
+  .map(value => {
+    const raw = value === null || value === undefined ? '' : String(value);
+    const text = FORMULA_PATTERN.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  })
+  .join(',') + '\r\n';
@@ -0,0 +1,90 @@
+/**
+ * Helpers for catalog search: term parsing, match highlighting and typo-tolerant patterns
+ */
+
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Split a $text search string into the terms to highlight (quoted phrases kept whole, negations dropped)
+ */
+export const getSearchTerms = (searchTerm = '') => {
+  const phrases = [...searchTerm.matchAll(/"([^"]+)"/g)].map(match => match[1]);
+  const words = searchTerm
+    .replace(/"[^"]*"/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'));
+
+  const terms = [...phrases, ...words]
+    .map(term => term.trim().toLowerCase())
+    .filter(Boolean)
+    // $text stems words, so "shoes" should also light up "shoe"
+    .map(term => (term.length > 3 && term.endsWith('s') ? term.slice(0, -1) : term));
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Wrap matched terms in <em> tags; the rest of the text is HTML-escaped.
+ * Returns null when nothing matches. With `snippetLength` the text is cut down around the first match,
+ * with `prefixOnly` only the matched prefix is emphasised instead of the whole word.
+ */
+export const highlightMatches = (text, terms, { snippetLength, prefixOnly = false } = {}) => {
+  if (!text || !terms.length) return null;
+
+  const pattern = new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})${prefixOnly ? '' : '\\w*'}`, 'gi');
+  let source = String(text);
+  let prefix = '';
+  let suffix = '';
+
+  if (snippetLength && source.length > snippetLength) {
+    const first = source.search(pattern);
+    if (first === -1) return null;
+
+    const start = Math.max(0, Math.min(first - Math.floor(snippetLength / 4), source.length - snippetLength));
+    prefix = start > 0 ? '…' : '';
+    suffix = start + snippetLength < source.length ? '…' : '';
+    source = source.slice(start, start + snippetLength);
+  }
+
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(pattern)) {
+    result += `${escapeHtml(source.slice(lastIndex, match.index))}<em>${escapeHtml(match[0])}</em>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex === 0) return null;
+
+  return `${prefix}${result}${escapeHtml(source.slice(lastIndex))}${suffix}`;
+};
+
+/**
+ * Build a word-start pattern matching the term with at most one typo
+ * (substitution, insertion, deletion or swapped neighbours)
+ */
+export const buildFuzzyPattern = (term) => {
+  const chars = [...term.toLowerCase()].map(escapeRegex);
+  const variants = new Set();
+
+  chars.forEach((char, i) => {
+    const before = chars.slice(0, i).join('');
+    const after = chars.slice(i + 1).join('');
+
+    variants.add(`${before}.?${after}`);
+    variants.add(`${before}.${char}${after}`);
+
+    if (i < chars.length - 1) {
+      variants.add(`${before}${chars[i + 1]}${char}${chars.slice(i + 2).join('')}`);
+    }
+  });
+
+  return new RegExp(`\\b(?:${[...variants].join('|')})`, 'i');
+};
@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+
+/**
+ * Single-use tokens sent to users (email links, reset codes); only their hashes are stored
+ */
+
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+export const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Milliseconds per unit of a token lifetime, keyed by the unit's first letter ('ms' for milliseconds)
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  y: 365.25 * 24 * 60 * 60 * 1000,
+};
+
+const DURATION_PATTERN = /^(-?\d*\.?\d+) *(milliseconds?|msecs?|ms|seconds?|secs?|s|minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|w|years?|yrs?|y)?$/i;
+
+/**
+ * Convert a token lifetime as jsonwebtoken reads `expiresIn` (a number of seconds,
+ * or a string like '15m', '7d' or '2 days'; bare numeric strings are milliseconds) to milliseconds
+ */
+export const durationToMs = (value) => {
+  if (typeof value === 'number') {
+    return value * 1000;
+  }
+
+  const match = String(value).trim().match(DURATION_PATTERN);
+
+  if (!match) {
+    throw new Error(`Invalid token lifetime: ${value}`);
+  }
+
+  const unit = (match[2] || 'ms').toLowerCase();
+  const key = unit.startsWith('ms') || unit.startsWith('milli') ? 'ms' : unit[0];
+
+  return Number(match[1]) * DURATION_UNITS[key];
+};
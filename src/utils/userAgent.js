@@ -0,0 +1,66 @@
+/**
+ * Lightweight User-Agent parsing for labelling device sessions ("Chrome on Windows")
+ */
+
+// Order matters: Edge and Opera also announce Chrome, and Chrome also announces Safari
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+  { name: 'Internet Explorer', pattern: /(?:MSIE |Trident\/.*rv:)([\d.]+)/ },
+];
+
+const OPERATING_SYSTEMS = [
+  { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*OS ([\d_]+)/ },
+  { name: 'Android', pattern: /Android ([\d.]+)/ },
+  { name: 'Windows', pattern: /Windows NT ([\d.]+)/ },
+  { name: 'macOS', pattern: /Mac OS X ([\d_.]+)/ },
+  { name: 'Chrome OS', pattern: /CrOS/ },
+  { name: 'Linux', pattern: /Linux/ },
+];
+
+const matchFirst = (userAgent, candidates) => {
+  for (const { name, pattern } of candidates) {
+    const match = userAgent.match(pattern);
+
+    if (match) {
+      const version = match[1]?.replace(/_/g, '.').split('.')[0];
+      return version ? `${name} ${version}` : name;
+    }
+  }
+
+  return 'Unknown';
+};
+
+const getDevice = (userAgent) => {
+  if (/iPad|Tablet|Android(?!.*Mobile)/.test(userAgent)) {
+    return 'tablet';
+  }
+
+  if (/Mobi|iPhone|iPod|Android/.test(userAgent)) {
+    return 'mobile';
+  }
+
+  if (/bot|crawler|spider|curl|wget|postman|axios|node-fetch|okhttp/i.test(userAgent)) {
+    return 'other';
+  }
+
+  return 'desktop';
+};
+
+/**
+ * Parse a User-Agent header into browser, OS and device type
+ */
+export const parseUserAgent = (userAgent = '') => {
+  const value = String(userAgent || '');
+
+  return {
+    userAgent: value,
+    browser: matchFirst(value, BROWSERS),
+    os: matchFirst(value, OPERATING_SYSTEMS),
+    device: value ? getDevice(value) : 'other',
+  };
+};
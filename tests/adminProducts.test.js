@@ -0,0 +1,112 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import StockLevel from '../src/modules/inventory/stockLevel.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin, createProduct, registerUser } from './helpers/fixtures.js';
+
+describe('Admin Product Endpoints', () => {
+  let userToken;
+  let adminToken;
+  let product;
+
+  setupTestApp();
+
+  beforeEach(async () => {
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
+
+    ({ token: adminToken } = await createAdmin());
+
+    product = await createProduct();
+  });
+
+  describe('Permissions', () => {
+    it('should not let regular users modify the catalog', async () => {
+      await request(app)
+        .post('/api/v1/admin/products')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Sneaky Product', price: 1, category: 'Testing' })
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/v1/admin/products/${product._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      await request(app)
+        .put(`/api/v1/app/products/${product._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ price: 1 })
+        .expect(404);
+
+      const unchanged = await Product.findById(product._id);
+      expect(unchanged.price).toBe(25);
+    });
+
+    it('should not expose product statistics to regular users', async () => {
+      await request(app)
+        .get('/api/v1/admin/products/stats')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('PATCH /api/v1/admin/products/:id/featured', () => {
+    it('should toggle the featured flag', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/admin/products/${product._id}/featured`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ featured: true })
+        .expect(200);
+
+      expect(response.body.data.featured).toBe(true);
+    });
+  });
+
+  describe('PATCH /api/v1/admin/products/:id/stock', () => {
+    it('should book the change as an inventory adjustment', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/admin/products/${product._id}/stock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ quantity: -4, reason: 'Damaged in storage' })
+        .expect(200);
+
+      expect(response.body.data.stock).toBe(6);
+    });
+  });
+
+  describe('PUT /api/v1/admin/products/:id', () => {
+    it('should book stock edits against the stock left after reservations', async () => {
+      await request(app)
+        .post('/api/v1/app/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ items: [{ productId: product._id.toString(), quantity: 3, price: product.price }] })
+        .expect(201);
+
+      const response = await request(app)
+        .put(`/api/v1/admin/products/${product._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ stock: 9 })
+        .expect(200);
+
+      expect(response.body.data.stock).toBe(9);
+
+      const level = await StockLevel.findOne({ productId: product._id });
+      expect(level.onHand).toBe(12);
+      expect(level.reserved).toBe(3);
+    });
+  });
+
+  describe('GET /api/v1/admin/products/stats', () => {
+    it('should return catalog statistics', async () => {
+      const response = await request(app)
+        .get('/api/v1/admin/products/stats')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.total).toBe(1);
+      expect(response.body.data.uncategorized).toBe(1);
+    });
+  });
+});
@@ -1,24 +1,10 @@
 import request from 'supertest';
 import app from '../src/app.js';
-import database from '../src/config/database.js';
-import User from '../src/modules/users/user.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createUser, registerUser } from './helpers/fixtures.js';
 
 describe('Authentication Endpoints', () => {
-  let server;
-
-  beforeAll(async () => {
-    await database.connect();
-    server = app.listen(0);
-  });
-
-  afterAll(async () => {
-    await database.disconnect();
-    server.close();
-  });
-
-  beforeEach(async () => {
-    await User.deleteMany({});
-  });
+  setupTestApp();
 
   describe('POST /api/v1/app/auth/register', () => {
     it('should register a new user', async () => {
@@ -96,15 +82,7 @@ describe('Authentication Endpoints', () => {
 
   describe('POST /api/v1/app/auth/login', () => {
     beforeEach(async () => {
-      const userData = {
-        username: 'testuser',
-        email: 'test@example.com',
-        password: 'TestPass123!',
-      };
-
-      await request(app)
-        .post('/api/v1/app/auth/register')
-        .send(userData);
+      await createUser({ email: 'test@example.com', password: 'TestPass123!' });
     });
 
     it('should login with valid credentials', async () => {
@@ -156,17 +134,8 @@ describe('Authentication Endpoints', () => {
     let authToken;
 
     beforeEach(async () => {
-      const userData = {
-        username: 'testuser',
-        email: 'test@example.com',
-        password: 'TestPass123!',
-      };
-
-      const registerResponse = await request(app)
-        .post('/api/v1/app/auth/register')
-        .send(userData);
-
-      authToken = registerResponse.body.data.tokens.accessToken;
+      const { tokens } = await registerUser({ email: 'test@example.com', password: 'TestPass123!' });
+      authToken = tokens.accessToken;
     });
 
     it('should get user profile with valid token', async () => {
@@ -203,18 +172,8 @@ describe('Authentication Endpoints', () => {
     let refreshToken;
 
     beforeEach(async () => {
-      const userData = {
-        username: 'testuser',
-        email: 'test@example.com',
-        password: 'TestPass123!',
-      };
-
-      const registerResponse = await request(app)
-        .post('/api/v1/app/auth/register')
-        .send(userData);
-
-      authToken = registerResponse.body.data.tokens.accessToken;
-      refreshToken = registerResponse.body.data.tokens.refreshToken;
+      const { tokens } = await registerUser({ email: 'test@example.com', password: 'TestPass123!' });
+      ({ accessToken: authToken, refreshToken } = tokens);
     });
 
     it('should logout successfully', async () => {
@@ -0,0 +1,127 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import Cart from '../src/modules/cart/cart.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createProduct, registerUser } from './helpers/fixtures.js';
+
+describe('Cart Endpoints', () => {
+  let userToken;
+  let product;
+
+  setupTestApp();
+
+  beforeEach(async () => {
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
+
+    product = await createProduct({ price: 20, stock: 5 });
+  });
+
+  describe('POST /api/v1/app/cart/items', () => {
+    it('should add an item to a guest cart and return a cart ID', async () => {
+      const response = await request(app)
+        .post('/api/v1/app/cart/items')
+        .send({ productId: product._id.toString(), quantity: 2 })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.headers['x-cart-id']).toBeDefined();
+      expect(response.body.data.cartId).toBe(response.headers['x-cart-id']);
+      expect(response.body.data.subtotal).toBe(40);
+    });
+
+    it('should not add more than the available stock', async () => {
+      const response = await request(app)
+        .post('/api/v1/app/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: product._id.toString(), quantity: 6 })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/v1/app/cart', () => {
+    it('should re-price items against the current product price', async () => {
+      await request(app)
+        .post('/api/v1/app/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: product._id.toString(), quantity: 1 });
+
+      await Product.updateOne({ _id: product._id }, { price: 25 });
+
+      const response = await request(app)
+        .get('/api/v1/app/cart')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.subtotal).toBe(25);
+      expect(response.body.data.issues[0].reason).toBe('price_changed');
+    });
+  });
+
+  describe('POST /api/v1/app/auth/login', () => {
+    it('should merge the guest cart into the user cart', async () => {
+      const guestResponse = await request(app)
+        .post('/api/v1/app/cart/items')
+        .send({ productId: product._id.toString(), quantity: 2 });
+
+      const cartId = guestResponse.headers['x-cart-id'];
+
+      await request(app)
+        .post('/api/v1/app/auth/login')
+        .set('X-Cart-Id', cartId)
+        .send({ email: 'user@example.com', password: 'UserPass123!' })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/v1/app/cart')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.data.totalItems).toBe(2);
+      expect(await Cart.countDocuments({ guestId: cartId })).toBe(0);
+    });
+  });
+
+  describe('POST /api/v1/app/cart/checkout', () => {
+    it('should turn the cart into an order and empty the cart', async () => {
+      await request(app)
+        .post('/api/v1/app/cart/items')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ productId: product._id.toString(), quantity: 2 });
+
+      const response = await request(app)
+        .post('/api/v1/app/cart/checkout')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({})
+        .expect(201);
+
+      expect(response.body.data.total).toBe(40);
+
+      const cartResponse = await request(app)
+        .get('/api/v1/app/cart')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expect(cartResponse.body.data.items.length).toBe(0);
+    });
+
+    it('should not checkout an empty cart', async () => {
+      const response = await request(app)
+        .post('/api/v1/app/cart/checkout')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should not checkout without authentication', async () => {
+      await request(app)
+        .post('/api/v1/app/cart/checkout')
+        .send({})
+        .expect(401);
+    });
+  });
+});
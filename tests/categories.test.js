@@ -0,0 +1,103 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import Category from '../src/modules/categories/category.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin } from './helpers/fixtures.js';
+
+describe('Category Endpoints', () => {
+  let adminToken;
+  let electronics;
+  let phones;
+
+  setupTestApp();
+
+  beforeEach(async () => {
+    ({ token: adminToken } = await createAdmin());
+
+    electronics = await createCategory({ name: 'Electronics' });
+    phones = await createCategory({ name: 'Phones', parent: electronics.id });
+  });
+
+  const createCategory = async (data) => {
+    const response = await request(app)
+      .post('/api/v1/admin/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(data)
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  const createProduct = (name, category) => request(app)
+    .post('/api/v1/admin/products')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ name, price: 100, categoryId: category.id, stock: 5 })
+    .expect(201);
+
+  describe('POST /api/v1/admin/categories', () => {
+    it('should generate slugs and ancestors', async () => {
+      expect(electronics.slug).toBe('electronics');
+      expect(phones.ancestors).toEqual([electronics.id]);
+
+      const duplicate = await createCategory({ name: 'Phones' });
+      expect(duplicate.slug).toBe('phones-2');
+    });
+
+    it('should reject moving a category under its own descendant', async () => {
+      await request(app)
+        .patch(`/api/v1/admin/categories/${electronics.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ parent: phones.id })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/v1/app/categories', () => {
+    it('should return the tree with product counts including subcategories', async () => {
+      await createProduct('Laptop', electronics);
+      await createProduct('Smartphone', phones);
+
+      const response = await request(app)
+        .get('/api/v1/app/categories')
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].productCount).toBe(2);
+      expect(response.body.data[0].children[0].name).toBe('Phones');
+      expect(response.body.data[0].children[0].productCount).toBe(1);
+    });
+  });
+
+  describe('GET /api/v1/app/products/category/:category', () => {
+    it('should include products from subcategories', async () => {
+      await createProduct('Smartphone', phones);
+
+      const response = await request(app)
+        .get('/api/v1/app/products/category/electronics')
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].category).toBe('Phones');
+    });
+  });
+
+  describe('POST /api/v1/admin/categories/migrate', () => {
+    it('should move free-text categories into the tree', async () => {
+      await Product.create({ name: 'Tent', price: 80, category: 'Outdoor > Camping', stock: 1 });
+      await Product.create({ name: 'Kettle', price: 30, category: 'Kitchen', stock: 1 });
+
+      const response = await request(app)
+        .post('/api/v1/admin/categories/migrate')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ legacyCategories: 2, categoriesCreated: 3, productsMigrated: 2 });
+
+      const camping = await Category.findOne({ slug: 'camping' });
+      const tent = await Product.findOne({ name: 'Tent' });
+      expect(tent.category).toBe('Camping');
+      expect(tent.categoryPath.map(String)).toEqual(camping.path.map(String));
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import { config } from '../src/config/env.js';
+import User from '../src/modules/users/user.model.js';
+import Product from '../src/modules/products/product.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { registerUser } from './helpers/fixtures.js';
+
+describe('Email Verification', () => {
+  let userToken;
+
+  const { jobs } = setupTestApp();
+
+  const getSentEmails = () => jobs.emailQueue.map(job => job.data);
+  const getTokenFromEmail = (email) => email.text.match(/token=([a-f0-9]+)/)[1];
+
+  beforeEach(async () => {
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
+  });
+
+  describe('POST /api/v1/app/auth/register', () => {
+    it('should queue a verification email and store only the token hash', async () => {
+      expect(getSentEmails()).toHaveLength(1);
+      expect(getSentEmails()[0].to).toBe('user@example.com');
+
+      const user = await User.findOne({ email: 'user@example.com' });
+      expect(user.emailVerified).toBe(false);
+      expect(user.emailVerificationToken).not.toBe(getTokenFromEmail(getSentEmails()[0]));
+    });
+  });
+
+  describe('POST /api/v1/app/auth/verify-email', () => {
+    it('should verify the email once', async () => {
+      const token = getTokenFromEmail(getSentEmails()[0]);
+
+      await request(app)
+        .post('/api/v1/app/auth/verify-email')
+        .send({ token })
+        .expect(200);
+
+      const user = await User.findOne({ email: 'user@example.com' });
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerifiedAt).toBeDefined();
+
+      await request(app)
+        .post('/api/v1/app/auth/verify-email')
+        .send({ token })
+        .expect(401);
+    });
+
+    it('should reject an expired token', async () => {
+      await User.updateOne({ email: 'user@example.com' }, { emailVerificationExpires: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post('/api/v1/app/auth/verify-email')
+        .send({ token: getTokenFromEmail(getSentEmails()[0]) })
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/v1/app/auth/verify-email/resend', () => {
+    it('should enforce the resend cooldown', async () => {
+      await request(app)
+        .post('/api/v1/app/auth/verify-email/resend')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(429);
+
+      await User.updateOne({ email: 'user@example.com' }, { $unset: { emailVerificationSentAt: 1 } });
+
+      await request(app)
+        .post('/api/v1/app/auth/verify-email/resend')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(getSentEmails()).toHaveLength(2);
+    });
+  });
+
+  describe('Verification policy', () => {
+    const requiredFor = config.EMAIL_VERIFICATION_REQUIRED_FOR;
+
+    afterEach(() => {
+      config.EMAIL_VERIFICATION_REQUIRED_FOR = requiredFor;
+    });
+
+    it('should block listed actions until the email is verified', async () => {
+      config.EMAIL_VERIFICATION_REQUIRED_FOR = ['place_order'];
+
+      const product = await Product.create({
+        name: 'Test Product',
+        price: 10,
+        category: 'Testing',
+        stock: 5,
+      });
+
+      await request(app)
+        .post('/api/v1/app/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ items: [{ productId: product._id.toString(), quantity: 1 }] })
+        .expect(403);
+
+      await request(app)
+        .post('/api/v1/app/auth/verify-email')
+        .send({ token: getTokenFromEmail(getSentEmails()[0]) })
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/app/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ items: [{ productId: product._id.toString(), quantity: 1 }] })
+        .expect(201);
+    });
+  });
+});
@@ -0,0 +1,7 @@
+// Suites sign in far more often than the production limits allow. The limits stay
+// on at these values; rateLimit.test.js covers rejecting requests over a limit.
+process.env.RATE_LIMIT_MAX ??= '10000';
+process.env.AUTH_RATE_LIMIT_MAX ??= '1000';
+process.env.TWO_FACTOR_RATE_LIMIT_MAX ??= '1000';
+process.env.EMAIL_VERIFICATION_RATE_LIMIT_MAX ??= '1000';
+process.env.PASSWORD_RESET_RATE_LIMIT_MAX ??= '1000';
@@ -0,0 +1,69 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+import User from '../../src/modules/users/user.model.js';
+import Product from '../../src/modules/products/product.model.js';
+
+export const TEST_USER = {
+  username: 'testuser',
+  email: 'user@example.com',
+  password: 'UserPass123!',
+};
+
+export const TEST_ADMIN = {
+  username: 'adminuser',
+  email: 'admin@example.com',
+  password: 'AdminPass123!',
+  role: 'admin',
+};
+
+/**
+ * Sign in through the app auth endpoint
+ */
+export const login = (email, password) => request(app)
+  .post('/api/v1/app/auth/login')
+  .send({ email, password });
+
+/**
+ * Sign in and return the access token
+ */
+export const getAccessToken = async (email, password) => {
+  const response = await login(email, password);
+  return response.body.data.tokens.accessToken;
+};
+
+/**
+ * Register a customer through the API and return the created user and tokens
+ */
+export const registerUser = async (data = {}) => {
+  const response = await request(app)
+    .post('/api/v1/app/auth/register')
+    .send({ ...TEST_USER, ...data });
+
+  return response.body.data;
+};
+
+/**
+ * Create a user directly in the database
+ */
+export const createUser = (data = {}) => User.create({ ...TEST_USER, ...data });
+
+/**
+ * Create an admin and return it with an access token
+ */
+export const createAdmin = async (data = {}) => {
+  const admin = await User.create({ ...TEST_ADMIN, ...data });
+  const token = await getAccessToken(admin.email, data.password || TEST_ADMIN.password);
+
+  return { admin, token };
+};
+
+/**
+ * Create a product directly in the database
+ */
+export const createProduct = (data = {}) => Product.create({
+  name: 'Test Product',
+  price: 25,
+  category: 'Testing',
+  stock: 10,
+  ...data,
+});
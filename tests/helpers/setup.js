@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+import app from '../../src/app.js';
+import database from '../../src/config/database.js';
+import redisClient from '../../src/config/redis.js';
+import { emailQueue } from '../../src/jobs/emailQueue.js';
+import { invoiceQueue } from '../../src/jobs/invoiceQueue.js';
+import { notificationWorker } from '../../src/jobs/notificationWorker.js';
+import { priceScheduleQueue } from '../../src/jobs/priceScheduleQueue.js';
+import { productImportQueue } from '../../src/jobs/productImportQueue.js';
+import { reservationQueue } from '../../src/jobs/reservationQueue.js';
+import { sitemapQueue } from '../../src/jobs/sitemapQueue.js';
+
+const queues = {
+  emailQueue,
+  invoiceQueue,
+  notificationWorker,
+  priceScheduleQueue,
+  productImportQueue,
+  reservationQueue,
+  sitemapQueue,
+};
+
+/**
+ * Stand-in for a BullMQ queue that records jobs instead of handing them to Redis
+ */
+const createQueueStub = (jobs, name) => {
+  const add = async (jobName, data, options = {}) => {
+    const job = {
+      id: options.jobId || String(jobs[name].length + 1),
+      name: jobName,
+      data,
+      options,
+      updateProgress: async () => {},
+    };
+
+    jobs[name].push(job);
+    return job;
+  };
+
+  return {
+    add,
+    addBulk: async (entries) => Promise.all(entries.map(entry => add(entry.name, entry.data, entry.opts))),
+    upsertJobScheduler: async () => {},
+    close: async () => {},
+  };
+};
+
+/**
+ * Empty every collection, keeping indexes so unique constraints still hold.
+ * Goes through the driver, so append-only models such as the stock ledger are cleared too.
+ */
+export const clearDatabase = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+/**
+ * Connect the app to Mongo and Redis for a test file, stub every queue and start
+ * each test from empty stores. Jobs queued during a test are recorded per queue,
+ * e.g. `jobs.emailQueue`.
+ */
+export const setupTestApp = () => {
+  const jobs = {};
+  let server;
+
+  const resetJobs = () => {
+    for (const name of Object.keys(queues)) {
+      jobs[name] = [];
+    }
+  };
+
+  beforeAll(async () => {
+    await database.connect();
+    await redisClient.connect();
+    server = app.listen(0);
+
+    resetJobs();
+
+    for (const [name, queue] of Object.entries(queues)) {
+      queue.queue = createQueueStub(jobs, name);
+    }
+  });
+
+  afterAll(async () => {
+    for (const queue of Object.values(queues)) {
+      queue.queue = null;
+    }
+
+    await redisClient.disconnect();
+    await database.disconnect();
+    server.close();
+  });
+
+  beforeEach(async () => {
+    resetJobs();
+    await clearDatabase();
+    await redisClient.getClient().flushdb();
+  });
+
+  return { jobs };
+};
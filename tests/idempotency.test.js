@@ -0,0 +1,77 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Order from '../src/modules/orders/order.model.js';
+import User from '../src/modules/users/user.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createProduct, registerUser } from './helpers/fixtures.js';
+
+describe('Idempotency-Key handling', () => {
+  let userToken;
+  let product;
+
+  setupTestApp();
+
+  beforeEach(async () => {
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
+
+    product = await createProduct();
+  });
+
+  const placeOrder = (key, quantity = 1) => request(app)
+    .post('/api/v1/app/orders')
+    .set('Authorization', `Bearer ${userToken}`)
+    .set('Idempotency-Key', key)
+    .send({ items: [{ productId: product._id.toString(), quantity, price: product.price }] });
+
+  it('should replay the stored response for a retried request', async () => {
+    const key = `order-${Date.now()}`;
+
+    const first = await placeOrder(key).expect(201);
+    const retry = await placeOrder(key).expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.data.id).toBe(first.body.data.id);
+    expect(await Order.countDocuments()).toBe(1);
+  });
+
+  it('should reject a reused key with a different payload', async () => {
+    const key = `order-${Date.now()}`;
+
+    await placeOrder(key, 1).expect(201);
+    await placeOrder(key, 2).expect(422);
+
+    expect(await Order.countDocuments()).toBe(1);
+  });
+
+  it('should create only one order for concurrent duplicates', async () => {
+    const key = `order-${Date.now()}`;
+
+    const responses = await Promise.all([placeOrder(key), placeOrder(key)]);
+    const statuses = responses.map(response => response.status).sort();
+
+    expect(statuses).toEqual([201, 409]);
+    expect(await Order.countDocuments()).toBe(1);
+  });
+
+  it('should replay a retried registration without its tokens', async () => {
+    const key = `register-${Date.now()}`;
+    const register = () => request(app)
+      .post('/api/v1/app/auth/register')
+      .set('Idempotency-Key', key)
+      .send({
+        username: 'seconduser',
+        email: 'second@example.com',
+        password: 'SecondPass123!',
+      });
+
+    const first = await register().expect(201);
+    const retry = await register().expect(201);
+
+    expect(first.body.data.tokens.accessToken).toBeDefined();
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body.data.user._id).toBe(first.body.data.user._id);
+    expect(retry.body.data.tokens).toBeUndefined();
+    expect(await User.countDocuments({ email: 'second@example.com' })).toBe(1);
+  });
+});
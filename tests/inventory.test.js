@@ -0,0 +1,204 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import Order from '../src/modules/orders/order.model.js';
+import Warehouse from '../src/modules/inventory/warehouse.model.js';
+import StockLevel from '../src/modules/inventory/stockLevel.model.js';
+import StockMovement from '../src/modules/inventory/stockMovement.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin, createProduct, registerUser } from './helpers/fixtures.js';
+
+describe('Inventory Endpoints', () => {
+  let userToken;
+  let adminToken;
+  let product;
+  let mainWarehouse;
+  let secondWarehouse;
+
+  setupTestApp();
+
+  beforeEach(async () => {
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
+
+    ({ token: adminToken } = await createAdmin());
+
+    mainWarehouse = await Warehouse.create({ code: 'MAIN', name: 'Main', isDefault: true, priority: 0 });
+    secondWarehouse = await Warehouse.create({ code: 'EAST', name: 'East', priority: 1 });
+
+    product = await createProduct();
+  });
+
+  const placeOrder = (quantity) => request(app)
+    .post('/api/v1/app/orders')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({ items: [{ productId: product._id.toString(), quantity }] });
+
+  describe('Order stock movements', () => {
+    it('should book the opening balance and reserve stock for an order', async () => {
+      const response = await placeOrder(3).expect(201);
+
+      const level = await StockLevel.findOne({ productId: product._id, warehouseId: mainWarehouse._id });
+      expect(level.onHand).toBe(10);
+      expect(level.reserved).toBe(3);
+
+      const movements = await StockMovement.find({ productId: product._id }).sort({ createdAt: 1 });
+      expect(movements.map(movement => movement.type)).toEqual(['adjustment', 'reservation']);
+      expect(movements[1].orderId.toString()).toBe(response.body.data.id);
+
+      const updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.stock).toBe(7);
+    });
+
+    it('should turn the reservation into a sale when the order ships', async () => {
+      const response = await placeOrder(2).expect(201);
+      const orderId = response.body.data.id;
+
+      for (const status of ['processing', 'shipped']) {
+        await request(app)
+          .patch(`/api/v1/admin/orders/${orderId}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status })
+          .expect(200);
+      }
+
+      const level = await StockLevel.findOne({ productId: product._id, warehouseId: mainWarehouse._id });
+      expect(level.onHand).toBe(8);
+      expect(level.reserved).toBe(0);
+
+      const sale = await StockMovement.findOne({ productId: product._id, type: 'sale' });
+      expect(sale.quantity).toBe(-2);
+      expect(sale.actor.role).toBe('admin');
+
+      const updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.stock).toBe(8);
+    });
+
+    it('should fulfil stock once when shipped twice at the same time', async () => {
+      const response = await placeOrder(2).expect(201);
+      const orderId = response.body.data.id;
+
+      const updateStatus = (status) => request(app)
+        .patch(`/api/v1/admin/orders/${orderId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status });
+
+      await updateStatus('processing').expect(200);
+
+      const responses = await Promise.all([updateStatus('shipped'), updateStatus('shipped')]);
+      expect(responses.map(result => result.status).sort()).toEqual([200, 400]);
+
+      const sales = await StockMovement.countDocuments({ orderId, type: 'sale' });
+      expect(sales).toBe(1);
+
+      const level = await StockLevel.findOne({ productId: product._id, warehouseId: mainWarehouse._id });
+      expect(level.onHand).toBe(8);
+      expect(level.reserved).toBe(0);
+    });
+  });
+
+  describe('POST /api/v1/admin/inventory/transfers', () => {
+    it('should move stock between warehouses without changing the total', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/inventory/transfers')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          productId: product._id.toString(),
+          fromWarehouseId: mainWarehouse._id.toString(),
+          toWarehouseId: secondWarehouse._id.toString(),
+          quantity: 4,
+        })
+        .expect(201);
+
+      expect(response.body.data.movements.length).toBe(2);
+
+      const levels = await StockLevel.find({ productId: product._id });
+      const onHand = Object.fromEntries(levels.map(level => [level.warehouseId.toString(), level.onHand]));
+      expect(onHand[mainWarehouse._id.toString()]).toBe(6);
+      expect(onHand[secondWarehouse._id.toString()]).toBe(4);
+
+      const updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.stock).toBe(10);
+    });
+
+    it('should not transfer more than is available', async () => {
+      await request(app)
+        .post('/api/v1/admin/inventory/transfers')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          productId: product._id.toString(),
+          fromWarehouseId: mainWarehouse._id.toString(),
+          toWarehouseId: secondWarehouse._id.toString(),
+          quantity: 11,
+        })
+        .expect(409);
+    });
+
+    it('should require admin role', async () => {
+      await request(app)
+        .post('/api/v1/admin/inventory/transfers')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({})
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/v1/admin/inventory/adjustments', () => {
+    it('should record a cycle count as an adjustment', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/inventory/adjustments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          productId: product._id.toString(),
+          warehouseId: mainWarehouse._id.toString(),
+          countedQuantity: 7,
+          reason: 'Quarterly count',
+        })
+        .expect(201);
+
+      expect(response.body.data.type).toBe('adjustment');
+      expect(response.body.data.quantity).toBe(-3);
+      expect(response.body.data.balance.onHand).toBe(7);
+
+      const updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.stock).toBe(7);
+    });
+
+    it('should reject a count below the reserved quantity', async () => {
+      await placeOrder(5).expect(201);
+
+      await request(app)
+        .post('/api/v1/admin/inventory/adjustments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          productId: product._id.toString(),
+          countedQuantity: 4,
+          reason: 'Recount',
+        })
+        .expect(400);
+    });
+  });
+
+  describe('Stock ledger', () => {
+    it('should reject edits to recorded movements', async () => {
+      await placeOrder(1).expect(201);
+
+      await expect(
+        StockMovement.updateOne({ productId: product._id }, { quantity: 100 })
+      ).rejects.toThrow('append-only');
+    });
+
+    it('should reconcile product stock from the ledger', async () => {
+      await placeOrder(2).expect(201);
+      await Product.updateOne({ _id: product._id }, { stock: 42 });
+
+      const response = await request(app)
+        .post(`/api/v1/admin/inventory/products/${product._id}/reconcile`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.previousStock).toBe(42);
+      expect(response.body.data.stock).toBe(8);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Order from '../src/modules/orders/order.model.js';
+import Invoice from '../src/modules/invoices/invoice.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin, createProduct, registerUser } from './helpers/fixtures.js';
+
+describe('Invoice Endpoints', () => {
+  let userToken;
+  let adminToken;
+  let product;
+
+  const { jobs } = setupTestApp();
+
+  beforeEach(async () => {
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
+
+    ({ token: adminToken } = await createAdmin());
+
+    product = await createProduct({ price: 20 });
+  });
+
+  // Invoices are only issued for paid orders
+  const placeOrder = async ({ paid = true } = {}) => {
+    const response = await request(app)
+      .post('/api/v1/app/orders')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ items: [{ productId: product._id.toString(), quantity: 1, price: 20 }] });
+
+    if (paid) {
+      await Order.updateOne({ _id: response.body.data.id }, { paymentStatus: 'paid' });
+    }
+
+    return response.body.data;
+  };
+
+  describe('GET /api/v1/app/orders/:id/invoice', () => {
+    it('should number invoices sequentially and reuse an issued invoice', async () => {
+      const first = await placeOrder();
+      const second = await placeOrder();
+
+      const firstResponse = await request(app)
+        .get(`/api/v1/app/orders/${first.id}/invoice`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/app/orders/${second.id}/invoice`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/app/orders/${first.id}/invoice`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(firstResponse.headers['content-type']).toMatch(/text\/html/);
+      expect(firstResponse.text).toContain('INV-000001');
+
+      const numbers = (await Invoice.find().sort({ sequence: 1 })).map(invoice => invoice.invoiceNumber);
+      expect(numbers).toEqual(['INV-000001', 'INV-000002']);
+    });
+
+    it('should not issue an invoice before the payment is captured', async () => {
+      const order = await placeOrder({ paid: false });
+
+      await request(app)
+        .get(`/api/v1/app/orders/${order.id}/invoice`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+
+      expect(await Invoice.countDocuments()).toBe(0);
+    });
+
+    it('should take cash and queue the invoice when a cash order is completed', async () => {
+      const response = await request(app)
+        .post('/api/v1/app/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ items: [{ productId: product._id.toString(), quantity: 1, price: 20 }], paymentMethod: 'cash' });
+      const orderId = response.body.data.id;
+
+      for (const status of ['processing', 'shipped', 'completed']) {
+        await request(app)
+          .patch(`/api/v1/admin/orders/${orderId}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status })
+          .expect(200);
+      }
+
+      const order = await Order.findById(orderId);
+      const captured = jobs.notificationWorker.filter(job => job.data.type === 'payment-captured');
+
+      expect(order.paymentStatus).toBe('paid');
+      expect(captured).toHaveLength(1);
+
+      await request(app)
+        .get(`/api/v1/app/orders/${orderId}/invoice`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+    });
+
+    it('should render the invoice as PDF', async () => {
+      const order = await placeOrder();
+
+      const response = await request(app)
+        .get(`/api/v1/app/orders/${order.id}/invoice?format=pdf`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/pdf');
+    });
+  });
+
+  describe('GET /api/v1/admin/orders/:id/packing-slip', () => {
+    it('should render a packing slip for admins only', async () => {
+      const order = await placeOrder();
+
+      await request(app)
+        .get(`/api/v1/admin/orders/${order.id}/packing-slip`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/admin/orders/${order.id}/packing-slip`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,279 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import Order from '../src/modules/orders/order.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin, createProduct, registerUser } from './helpers/fixtures.js';
+
+describe('App Orders Endpoints', () => {
+  let userToken;
+  let otherUserToken;
+  let adminToken;
+  let product;
+
+  setupTestApp();
+
+  beforeEach(async () => {
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
+
+    const other = await registerUser({
+      username: 'otheruser',
+      email: 'other@example.com',
+      password: 'OtherPass123!',
+    });
+    otherUserToken = other.tokens.accessToken;
+
+    ({ token: adminToken } = await createAdmin({ username: 'admin' }));
+
+    product = await createProduct();
+  });
+
+  const placeOrder = (token, quantity = 2) => request(app)
+    .post('/api/v1/app/orders')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      items: [{ productId: product._id.toString(), quantity, price: product.price }],
+    });
+
+  describe('POST /api/v1/app/orders', () => {
+    it('should place an order for the current user', async () => {
+      const response = await placeOrder(userToken).expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.total).toBe(50);
+      expect(response.body.data.items.length).toBe(1);
+    });
+
+    it('should decrement product stock', async () => {
+      await placeOrder(userToken, 3).expect(201);
+
+      const updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.stock).toBe(7);
+    });
+
+    it('should report per-item conflicts when stock is insufficient', async () => {
+      const response = await placeOrder(userToken, 11).expect(409);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.data[0].productId).toBe(product._id.toString());
+      expect(response.body.data[0].requested).toBe(11);
+      expect(response.body.data[0].available).toBe(10);
+      expect(await Order.countDocuments()).toBe(0);
+    });
+
+    it('should not place an order without authentication', async () => {
+      const response = await request(app)
+        .post('/api/v1/app/orders')
+        .send({ items: [] })
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should not place an order with invalid items', async () => {
+      const response = await request(app)
+        .post('/api/v1/app/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ items: [] })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/v1/app/orders', () => {
+    it('should only list the current user\'s orders', async () => {
+      await placeOrder(userToken);
+      await placeOrder(otherUserToken, 1);
+
+      const response = await request(app)
+        .get('/api/v1/app/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.length).toBe(1);
+      expect(response.body.meta.pagination.total).toBe(1);
+    });
+  });
+
+  describe('GET /api/v1/app/orders/:id', () => {
+    it('should get own order by ID', async () => {
+      const orderResponse = await placeOrder(userToken);
+      const orderId = orderResponse.body.data.id;
+
+      const response = await request(app)
+        .get(`/api/v1/app/orders/${orderId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.id).toBe(orderId);
+    });
+
+    it('should not get another user\'s order', async () => {
+      const orderResponse = await placeOrder(userToken);
+      const orderId = orderResponse.body.data.id;
+
+      const response = await request(app)
+        .get(`/api/v1/app/orders/${orderId}`)
+        .set('Authorization', `Bearer ${otherUserToken}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 404 for non-existent order', async () => {
+      const fakeId = '507f1f77bcf86cd799439011';
+      const response = await request(app)
+        .get(`/api/v1/app/orders/${fakeId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('PATCH /api/v1/app/orders/:id/cancel', () => {
+    it('should cancel own order and restore stock', async () => {
+      const orderResponse = await placeOrder(userToken);
+      const orderId = orderResponse.body.data.id;
+
+      const response = await request(app)
+        .patch(`/api/v1/app/orders/${orderId}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Changed my mind' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.status).toBe('cancelled');
+      expect(response.body.data.cancellationReason).toBe('Changed my mind');
+
+      const updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.stock).toBe(10);
+    });
+
+    it('should not cancel another user\'s order', async () => {
+      const orderResponse = await placeOrder(userToken);
+      const orderId = orderResponse.body.data.id;
+
+      const response = await request(app)
+        .patch(`/api/v1/app/orders/${orderId}/cancel`)
+        .set('Authorization', `Bearer ${otherUserToken}`)
+        .send({ reason: 'Not mine' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should release stock once when cancelled twice at the same time', async () => {
+      const orderResponse = await placeOrder(userToken, 4);
+      const orderId = orderResponse.body.data.id;
+
+      const responses = await Promise.all([
+        request(app)
+          .patch(`/api/v1/app/orders/${orderId}/cancel`)
+          .set('Authorization', `Bearer ${userToken}`)
+          .send({ reason: 'Changed my mind' }),
+        request(app)
+          .patch(`/api/v1/admin/orders/${orderId}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status: 'cancelled', reason: 'Duplicate order' }),
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+
+      const updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.stock).toBe(10);
+
+      const order = await Order.findById(orderId);
+      expect(order.statusHistory.filter(entry => entry.to === 'cancelled')).toHaveLength(1);
+    });
+  });
+
+  describe('PATCH /api/v1/admin/orders/:id/status', () => {
+    let orderId;
+
+    beforeEach(async () => {
+      const orderResponse = await placeOrder(userToken);
+      orderId = orderResponse.body.data.id;
+    });
+
+    const updateStatus = (status, reason) => request(app)
+      .patch(`/api/v1/admin/orders/${orderId}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status, reason });
+
+    it('should move an order through allowed transitions', async () => {
+      await updateStatus('processing').expect(200);
+      await updateStatus('shipped').expect(200);
+      const response = await updateStatus('completed').expect(200);
+
+      expect(response.body.data.status).toBe('completed');
+    });
+
+    it('should reject a transition that skips states', async () => {
+      const response = await updateStatus('completed').expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should not allow moving a completed order back to pending', async () => {
+      await updateStatus('processing').expect(200);
+      await updateStatus('shipped').expect(200);
+      await updateStatus('completed').expect(200);
+
+      const response = await updateStatus('pending').expect(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should not let a customer cancel an order that is processing', async () => {
+      await updateStatus('processing').expect(200);
+
+      const response = await request(app)
+        .patch(`/api/v1/app/orders/${orderId}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Too slow' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should not update status as regular user', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/admin/orders/${orderId}/status`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'processing' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('GET /api/v1/admin/orders/:id/timeline', () => {
+    it('should return the status history with actors and reasons', async () => {
+      const orderResponse = await placeOrder(userToken);
+      const orderId = orderResponse.body.data.id;
+
+      await request(app)
+        .patch(`/api/v1/admin/orders/${orderId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'processing', reason: 'Payment verified' });
+
+      const response = await request(app)
+        .get(`/api/v1/admin/orders/${orderId}/timeline`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const { timeline } = response.body.data;
+      expect(timeline.length).toBe(2);
+      expect(timeline[0].to).toBe('pending');
+      expect(timeline[1].from).toBe('pending');
+      expect(timeline[1].to).toBe('processing');
+      expect(timeline[1].actorRole).toBe('admin');
+      expect(timeline[1].reason).toBe('Payment verified');
+      expect(timeline[1].changedBy.username).toBe('admin');
+    });
+  });
+});
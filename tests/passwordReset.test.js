@@ -0,0 +1,98 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/modules/users/user.model.js';
+import { PasswordReset } from '../src/modules/auth/auth.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createUser } from './helpers/fixtures.js';
+
+describe('Password Reset', () => {
+  const { jobs } = setupTestApp();
+
+  const getSentEmails = () => jobs.emailQueue.map(job => job.data);
+  const getResetEmails = () => getSentEmails().filter(email => email.subject === 'Password Reset Request');
+  const getTokenFromEmail = (email) => email.text.match(/token=([a-f0-9]+)/)[1];
+
+  const requestReset = (email) => request(app)
+    .post('/api/v1/app/auth/forgot-password')
+    .send({ email });
+
+  beforeEach(async () => {
+    await createUser();
+  });
+
+  describe('POST /api/v1/app/auth/forgot-password', () => {
+    it('should respond the same for known and unknown emails', async () => {
+      const known = await requestReset('user@example.com').expect(200);
+      const unknown = await requestReset('nobody@example.com').expect(200);
+
+      expect(unknown.body.message).toBe(known.body.message);
+      expect(getResetEmails()).toHaveLength(1);
+    });
+
+    it('should store only the token hash with the requesting client', async () => {
+      await requestReset('user@example.com')
+        .set('User-Agent', 'jest-agent')
+        .expect(200);
+
+      const token = getTokenFromEmail(getResetEmails()[0]);
+      const reset = await PasswordReset.findOne({ email: 'user@example.com' });
+
+      expect(reset.tokenHash).not.toBe(token);
+      expect(reset.userAgent).toBe('jest-agent');
+      expect(reset.ip).toBeDefined();
+    });
+  });
+
+  describe('POST /api/v1/app/auth/reset-password', () => {
+    it('should reset the password once', async () => {
+      await requestReset('user@example.com').expect(200);
+      const token = getTokenFromEmail(getResetEmails()[0]);
+
+      await request(app)
+        .post('/api/v1/app/auth/reset-password')
+        .send({ token, password: 'NewPass123!' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/v1/app/auth/login')
+        .send({ email: 'user@example.com', password: 'NewPass123!' })
+        .expect(200);
+
+      const reset = await PasswordReset.findOne({ email: 'user@example.com' });
+      expect(reset.used).toBe(true);
+      expect(reset.usedAt).toBeDefined();
+
+      await request(app)
+        .post('/api/v1/app/auth/reset-password')
+        .send({ token, password: 'OtherPass123!' })
+        .expect(401);
+    });
+
+    it('should only accept the most recent link', async () => {
+      await requestReset('user@example.com').expect(200);
+      await requestReset('user@example.com').expect(200);
+
+      const [first, second] = getResetEmails().map(getTokenFromEmail);
+
+      await request(app)
+        .post('/api/v1/app/auth/reset-password')
+        .send({ token: first, password: 'NewPass123!' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/v1/app/auth/reset-password')
+        .send({ token: second, password: 'NewPass123!' })
+        .expect(200);
+    });
+
+    it('should reject an expired token', async () => {
+      await requestReset('user@example.com').expect(200);
+      await PasswordReset.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+      await request(app)
+        .post('/api/v1/app/auth/reset-password')
+        .send({ token: getTokenFromEmail(getResetEmails()[0]), password: 'NewPass123!' })
+        .expect(401);
+    });
+  });
+});
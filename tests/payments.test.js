@@ -0,0 +1,163 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Order from '../src/modules/orders/order.model.js';
+import MockPaymentProvider from '../src/modules/payments/providers/mock.provider.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createProduct, registerUser } from './helpers/fixtures.js';
+
+describe('Payment Endpoints', () => {
+  let userToken;
+  let order;
+
+  const { jobs } = setupTestApp();
+
+  const mockProvider = new MockPaymentProvider();
+
+  beforeEach(async () => {
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
+
+    const product = await createProduct();
+
+    const orderResponse = await request(app)
+      .post('/api/v1/app/orders')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ items: [{ productId: product._id.toString(), quantity: 2, price: 25 }] });
+
+    order = orderResponse.body.data;
+  });
+
+  const sendWebhook = (event, signature) => {
+    const body = JSON.stringify(event);
+    return request(app)
+      .post('/api/v1/webhooks/payments/mock')
+      .set('Content-Type', 'application/json')
+      .set('X-Mock-Signature', signature ?? mockProvider.sign(body))
+      .send(body);
+  };
+
+  describe('POST /api/v1/app/orders/:id/payments', () => {
+    it('should authorize payment for a pending order', async () => {
+      const response = await request(app)
+        .post(`/api/v1/app/orders/${order.id}/payments`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ paymentToken: 'tok_visa', paymentMethod: 'credit_card' })
+        .expect(200);
+
+      expect(response.body.data.paymentStatus).toBe('authorized');
+      expect(response.body.data.paymentDetails.transactionId).toMatch(/^mock_txn_/);
+    });
+
+    it('should mark the payment failed when declined', async () => {
+      await request(app)
+        .post(`/api/v1/app/orders/${order.id}/payments`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ paymentToken: 'tok_decline' })
+        .expect(402);
+
+      const updatedOrder = await Order.findById(order.id);
+      expect(updatedOrder.paymentStatus).toBe('failed');
+    });
+  });
+
+  describe('POST /api/v1/webhooks/payments/:provider', () => {
+    let transactionId;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post(`/api/v1/app/orders/${order.id}/payments`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ paymentToken: 'tok_visa' });
+
+      transactionId = response.body.data.paymentDetails.transactionId;
+    });
+
+    it('should capture payment and move the order to processing once', async () => {
+      const event = { id: 'evt_1', type: 'payment.captured', data: { transactionId } };
+
+      const first = await sendWebhook(event).expect(200);
+      const second = await sendWebhook(event).expect(200);
+
+      expect(first.body.data.applied).toBe(true);
+      expect(second.body.data.duplicate).toBe(true);
+
+      const updatedOrder = await Order.findById(order.id);
+      expect(updatedOrder.paymentStatus).toBe('paid');
+      expect(updatedOrder.status).toBe('processing');
+      expect(updatedOrder.statusHistory.length).toBe(2);
+    });
+
+    it('should apply a capture once when two events arrive at the same time', async () => {
+      await Promise.all([
+        sendWebhook({ id: 'evt_6', type: 'payment.captured', data: { transactionId } }).expect(200),
+        sendWebhook({ id: 'evt_7', type: 'payment.captured', data: { transactionId } }).expect(200),
+      ]);
+
+      const updatedOrder = await Order.findById(order.id);
+      const captured = jobs.notificationWorker.filter(job => job.data.type === 'payment-captured');
+
+      expect(updatedOrder.status).toBe('processing');
+      expect(updatedOrder.statusHistory.length).toBe(2);
+      expect(captured).toHaveLength(1);
+    });
+
+    it('should record concurrent refunds without losing either', async () => {
+      await sendWebhook({ id: 'evt_8', type: 'payment.captured', data: { transactionId } }).expect(200);
+
+      await Promise.all([
+        sendWebhook({
+          id: 'evt_9',
+          type: 'payment.refunded',
+          data: { transactionId, amount: 10, refundId: 'ref_2' },
+        }).expect(200),
+        sendWebhook({
+          id: 'evt_10',
+          type: 'payment.refunded',
+          data: { transactionId, amount: 15, refundId: 'ref_3' },
+        }).expect(200),
+      ]);
+
+      const updatedOrder = await Order.findById(order.id);
+      expect(updatedOrder.paymentStatus).toBe('partially_refunded');
+      expect(updatedOrder.refundAmount).toBe(25);
+      expect(updatedOrder.paymentDetails.refunds).toHaveLength(2);
+    });
+
+    it('should reject webhooks with an invalid signature', async () => {
+      await sendWebhook({ id: 'evt_2', type: 'payment.captured', data: { transactionId } }, 'bad-signature')
+        .expect(401);
+
+      const updatedOrder = await Order.findById(order.id);
+      expect(updatedOrder.paymentStatus).toBe('authorized');
+    });
+
+    it('should flag a capture that arrives after the order was cancelled', async () => {
+      await request(app)
+        .patch(`/api/v1/app/orders/${order.id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Changed my mind' })
+        .expect(200);
+
+      await sendWebhook({ id: 'evt_3', type: 'payment.captured', data: { transactionId } }).expect(200);
+
+      const updatedOrder = await Order.findById(order.id);
+      expect(updatedOrder.status).toBe('cancelled');
+      expect(updatedOrder.paymentStatus).toBe('paid');
+      expect(updatedOrder.paymentDetails.flaggedAt).toBeDefined();
+    });
+
+    it('should reject refunds larger than what is left to refund', async () => {
+      await sendWebhook({ id: 'evt_4', type: 'payment.captured', data: { transactionId } }).expect(200);
+
+      await sendWebhook({
+        id: 'evt_5',
+        type: 'payment.refunded',
+        data: { transactionId, amount: 500, refundId: 'ref_1' },
+      }).expect(400);
+
+      const updatedOrder = await Order.findById(order.id);
+      expect(updatedOrder.paymentStatus).toBe('paid');
+      expect(updatedOrder.refundAmount).toBeUndefined();
+    });
+  });
+});
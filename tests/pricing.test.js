@@ -0,0 +1,62 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Order from '../src/modules/orders/order.model.js';
+import TaxRate from '../src/modules/pricing/taxRate.model.js';
+import ShippingRate from '../src/modules/pricing/shippingRate.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createProduct, registerUser } from './helpers/fixtures.js';
+
+describe('Order Pricing', () => {
+  let userToken;
+  let product;
+
+  setupTestApp();
+
+  const shippingAddress = {
+    street: '1 Main St',
+    city: 'Austin',
+    state: 'TX',
+    zipCode: '73301',
+    country: 'US',
+  };
+
+  beforeEach(async () => {
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
+
+    product = await createProduct({ price: 50, dimensions: { weight: 2 } });
+
+    await TaxRate.create({ name: 'US', country: 'US', rate: 5 });
+    await TaxRate.create({ name: 'Texas', country: 'US', state: 'TX', rate: 8 });
+    await ShippingRate.create({ name: 'Ground', country: 'US', method: 'weight_based', baseRate: 5, perKg: 1.5 });
+  });
+
+  const placeOrder = (quantity) => request(app)
+    .post('/api/v1/app/orders')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({
+      items: [{ productId: product._id.toString(), quantity, price: product.price }],
+      shippingAddress,
+    });
+
+  it('should persist shipping and the most specific regional tax', async () => {
+    const response = await placeOrder(2).expect(201);
+    const order = response.body.data;
+
+    expect(order.subtotal).toBe(100);
+    expect(order.shippingTotal).toBe(11);
+    expect(order.shipping.weight).toBe(4);
+    expect(order.tax.name).toBe('Texas');
+    expect(order.taxTotal).toBe(8);
+    expect(order.total).toBe(119);
+  });
+
+  it('should ship free over the rate threshold', async () => {
+    await ShippingRate.updateOne({ name: 'Ground' }, { freeShippingThreshold: 150 });
+
+    const response = await placeOrder(3).expect(201);
+
+    expect(response.body.data.shippingTotal).toBe(0);
+    expect(response.body.data.total).toBe(162);
+  });
+});
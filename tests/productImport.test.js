@@ -0,0 +1,119 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import ProductImportService from '../src/modules/products/productImport.service.js';
+import { productImportQueue } from '../src/jobs/productImportQueue.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin } from './helpers/fixtures.js';
+
+describe('Product Import and Export', () => {
+  let adminToken;
+
+  const { jobs } = setupTestApp();
+
+  beforeAll(() => {
+    // Queued imports are run inline
+    productImportQueue.productImportService = new ProductImportService();
+  });
+
+  beforeEach(async () => {
+    ({ token: adminToken } = await createAdmin());
+
+    await Product.create({
+      name: 'Existing Product',
+      sku: 'EXIST-1',
+      price: 10,
+      category: 'Testing',
+      stock: 0,
+    });
+  });
+
+  describe('POST /api/v1/admin/products/import', () => {
+    it('should upsert valid CSV rows and report invalid ones', async () => {
+      const csv = [
+        'sku,name,price,category,tags,seo.slug',
+        'NEW-1,"New Product, Large",19.99,Testing,a|b,new-product-large',
+        'exist-1,Existing Product,12.50,Testing,,',
+        'BAD-1,Broken Product,-5,Testing,,',
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/v1/admin/products/import?fileName=catalog.csv')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(csv)
+        .expect(201);
+
+      expect(response.body.data.status).toBe('queued');
+      expect(response.body.data.totalRows).toBe(3);
+
+      const result = await productImportQueue.processImportJob(jobs.productImportQueue[0]);
+      expect(result).toEqual({ created: 1, updated: 1, failed: 1 });
+
+      const created = await Product.findOne({ sku: 'NEW-1' });
+      expect(created.name).toBe('New Product, Large');
+      expect(created.tags).toEqual(['a', 'b']);
+      expect(created.seo.slug).toBe('new-product-large');
+
+      const updated = await Product.findOne({ sku: 'EXIST-1' });
+      expect(updated.price).toBe(12.5);
+
+      const report = await request(app)
+        .get(`/api/v1/admin/products/imports/${response.body.data.id}/errors`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(report.headers['content-disposition']).toContain('attachment');
+      expect(report.text.split('\r\n')[1]).toMatch(/^3,BAD-1,,/);
+    });
+
+    it('should reject a file that is not an array of products', async () => {
+      await request(app)
+        .post('/api/v1/admin/products/import')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Not an array' })
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/v1/admin/products/export', () => {
+    it('should stream the filtered catalog in the import format', async () => {
+      await Product.create({ name: 'Other Product', price: 5, category: 'Other', stock: 1 });
+
+      const response = await request(app)
+        .get('/api/v1/admin/products/export?category=Testing')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const lines = response.text.trim().split('\r\n');
+      expect(lines[0]).toBe('sku,seo.slug,name,description,price,category,categoryId,stock,tags,seo.title,seo.description,seo.keywords');
+      expect(lines).toHaveLength(2);
+      expect(lines[1]).toMatch(/^EXIST-1,existing-product,Existing Product,,10,Testing,,0,/);
+    });
+
+    it('should escape formulas on export and read them back on import', async () => {
+      const name = '=HYPERLINK("http://example.com")';
+      await Product.create({ name, sku: 'FORMULA-1', price: 5, category: 'Formulas', stock: 1 });
+
+      const exported = await request(app)
+        .get('/api/v1/admin/products/export?category=Formulas')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(exported.text).toContain('"\'=HYPERLINK(""http://example.com"")"');
+
+      await request(app)
+        .post('/api/v1/admin/products/import?fileName=formulas.csv')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Content-Type', 'text/csv')
+        .send(exported.text)
+        .expect(201);
+
+      const result = await productImportQueue.processImportJob(jobs.productImportQueue[0]);
+      expect(result).toEqual({ created: 0, updated: 1, failed: 0 });
+
+      const product = await Product.findOne({ sku: 'FORMULA-1' });
+      expect(product.name).toBe(name);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import Order from '../src/modules/orders/order.model.js';
+import Promotion from '../src/modules/promotions/promotion.model.js';
+import Category from '../src/modules/categories/category.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin, createProduct, registerUser } from './helpers/fixtures.js';
+
+describe('Promotion Endpoints', () => {
+  let userToken;
+  let adminToken;
+  let product;
+
+  setupTestApp();
+
+  beforeEach(async () => {
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
+
+    ({ token: adminToken } = await createAdmin());
+
+    product = await createProduct({ price: 50 });
+  });
+
+  const placeOrder = (couponCode, quantity = 2) => request(app)
+    .post('/api/v1/app/orders')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({
+      items: [{ productId: product._id.toString(), quantity, price: product.price }],
+      couponCode,
+    });
+
+  describe('POST /api/v1/admin/promotions', () => {
+    it('should create a promotion as admin', async () => {
+      const response = await request(app)
+        .post('/api/v1/admin/promotions')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'save10', name: 'Save 10%', type: 'percentage', value: 10 })
+        .expect(201);
+
+      expect(response.body.data.code).toBe('SAVE10');
+    });
+
+    it('should not create a promotion as a regular user', async () => {
+      await request(app)
+        .post('/api/v1/admin/promotions')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ code: 'save10', name: 'Save 10%', type: 'percentage', value: 10 })
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/v1/app/orders with a coupon', () => {
+    it('should store the discount breakdown on the order', async () => {
+      await Promotion.create({ code: 'SAVE10', name: 'Save 10%', type: 'percentage', value: 10 });
+
+      const response = await placeOrder('save10').expect(201);
+
+      expect(response.body.data.subtotal).toBe(100);
+      expect(response.body.data.discount.amount).toBe(10);
+      expect(response.body.data.total).toBe(90);
+    });
+
+    it('should apply buy X get Y per line item', async () => {
+      await Promotion.create({ code: 'B2G1', name: 'Buy 2 get 1', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 });
+
+      const response = await placeOrder('B2G1', 3).expect(201);
+
+      expect(response.body.data.discount.amount).toBe(50);
+      expect(response.body.data.total).toBe(100);
+    });
+
+    it('should enforce the per-user usage limit', async () => {
+      await Promotion.create({ code: 'ONCE', name: 'Once', type: 'fixed_amount', value: 5, perUserLimit: 1 });
+
+      await placeOrder('ONCE').expect(201);
+      const response = await placeOrder('ONCE').expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should enforce the per-user usage limit for concurrent orders', async () => {
+      await Promotion.create({ code: 'ONCE', name: 'Once', type: 'fixed_amount', value: 5, perUserLimit: 1 });
+
+      const responses = await Promise.all([placeOrder('ONCE'), placeOrder('ONCE')]);
+      expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+
+      expect(await Order.countDocuments({ 'discount.code': 'ONCE' })).toBe(1);
+    });
+
+    it('should give the use back when the order is cancelled', async () => {
+      await Promotion.create({ code: 'ONCE', name: 'Once', type: 'fixed_amount', value: 5, perUserLimit: 1 });
+
+      const first = await placeOrder('ONCE').expect(201);
+
+      await request(app)
+        .patch(`/api/v1/app/orders/${first.body.data.id}/cancel`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ reason: 'Changed my mind' })
+        .expect(200);
+
+      await placeOrder('ONCE').expect(201);
+    });
+
+    it('should reject orders below the minimum order total', async () => {
+      await Promotion.create({ code: 'BIG', name: 'Big spender', type: 'fixed_amount', value: 20, minOrderTotal: 500 });
+
+      await placeOrder('BIG').expect(400);
+
+      const updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.stock).toBe(10);
+    });
+
+    it('should not discount items outside the promotion categories', async () => {
+      await Promotion.create({ code: 'SHOES', name: 'Shoes', type: 'percentage', value: 20, categories: ['Shoes'] });
+
+      await placeOrder('SHOES').expect(400);
+    });
+
+    it('should discount items in subcategories of the promotion categories', async () => {
+      const shoes = await Category.create({ name: 'Shoes', slug: 'shoes' });
+      const running = await Category.create({ name: 'Running', slug: 'running', parent: shoes._id, ancestors: [shoes._id] });
+
+      await Product.updateOne({ _id: product._id }, {
+        category: running.name,
+        categoryId: running._id,
+        categoryPath: [shoes._id, running._id],
+      });
+
+      await Promotion.create({ code: 'SHOES', name: 'Shoes', type: 'percentage', value: 20, categories: [shoes._id.toString()] });
+
+      const response = await placeOrder('SHOES').expect(201);
+      expect(response.body.data.discount.amount).toBe(20);
+    });
+  });
+});
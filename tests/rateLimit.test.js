@@ -0,0 +1,24 @@
+import express from 'express';
+import request from 'supertest';
+import { createRateLimit } from '../src/middlewares/security.js';
+
+describe('Rate Limiting', () => {
+  const createApp = (max) => {
+    const app = express();
+    app.use(createRateLimit(60 * 1000, max, 'Too many requests, please try again later'));
+    app.get('/ping', (req, res) => res.json({ success: true }));
+    return app;
+  };
+
+  it('should reject requests over the limit with 429', async () => {
+    const app = createApp(2);
+
+    await request(app).get('/ping').expect(200);
+    await request(app).get('/ping').expect(200);
+
+    const response = await request(app).get('/ping').expect(429);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.message).toBe('Too many requests, please try again later');
+  });
+});
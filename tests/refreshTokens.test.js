@@ -0,0 +1,80 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import { RefreshToken } from '../src/modules/auth/auth.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { registerUser } from './helpers/fixtures.js';
+
+describe('Refresh Token Rotation', () => {
+  let tokens;
+
+  const { jobs } = setupTestApp();
+
+  const getNotifications = () => jobs.notificationWorker.map(job => job.data);
+
+  const refresh = (refreshToken) => request(app)
+    .post('/api/v1/app/auth/refresh')
+    .send({ refreshToken });
+
+  beforeEach(async () => {
+    ({ tokens } = await registerUser());
+  });
+
+  it('should store only hashes of refresh tokens', async () => {
+    const stored = await RefreshToken.find({});
+
+    expect(stored).toHaveLength(1);
+    expect(stored[0].tokenHash).not.toBe(tokens.refreshToken);
+  });
+
+  it('should issue a new refresh token and retire the old one', async () => {
+    const response = await refresh(tokens.refreshToken).expect(200);
+    const rotated = response.body.data.tokens;
+
+    expect(rotated.refreshToken).not.toBe(tokens.refreshToken);
+
+    await request(app)
+      .get('/api/v1/app/auth/profile')
+      .set('Authorization', `Bearer ${rotated.accessToken}`)
+      .expect(200);
+
+    const family = await RefreshToken.find({}).sort({ createdAt: 1 });
+    expect(family.map(token => token.status)).toEqual(['rotated', 'active']);
+    expect(family[0].familyId).toBe(family[1].familyId);
+    expect(family[0].replacedBy.toString()).toBe(family[1]._id.toString());
+
+    await refresh(rotated.refreshToken).expect(200);
+  });
+
+  it('should revoke the whole family when a retired token is reused', async () => {
+    const response = await refresh(tokens.refreshToken).expect(200);
+    const rotated = response.body.data.tokens;
+
+    // The retired token comes back: treat it as stolen
+    await refresh(tokens.refreshToken).expect(401);
+
+    await refresh(rotated.refreshToken).expect(401);
+
+    await request(app)
+      .get('/api/v1/app/auth/profile')
+      .set('Authorization', `Bearer ${rotated.accessToken}`)
+      .expect(401);
+
+    const active = await RefreshToken.countDocuments({ status: 'active' });
+    expect(active).toBe(0);
+
+    const alert = getNotifications().find(job => job.type === 'refresh-token-reused');
+    expect(alert).toBeDefined();
+  });
+
+  it('should not flag tokens of a session that was logged out', async () => {
+    await request(app)
+      .post('/api/v1/app/auth/logout')
+      .set('Authorization', `Bearer ${tokens.accessToken}`)
+      .expect(200);
+
+    await refresh(tokens.refreshToken).expect(401);
+    await refresh(tokens.refreshToken).expect(401);
+
+    expect(getNotifications().find(job => job.type === 'refresh-token-reused')).toBeUndefined();
+  });
+});
@@ -0,0 +1,147 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import Order from '../src/modules/orders/order.model.js';
+import OrderService from '../src/modules/orders/order.service.js';
+import PaymentService from '../src/modules/payments/payment.service.js';
+import { reservationQueue } from '../src/jobs/reservationQueue.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin, createProduct, createUser } from './helpers/fixtures.js';
+
+describe('Stock Reservations', () => {
+  let adminToken;
+  let user;
+  let product;
+
+  const { jobs } = setupTestApp();
+
+  beforeAll(() => {
+    reservationQueue.orderService = new OrderService();
+    reservationQueue.paymentService = new PaymentService();
+  });
+
+  beforeEach(async () => {
+    user = await createUser();
+
+    ({ token: adminToken } = await createAdmin());
+
+    // Stock already reflects the 2 units held by the order below
+    product = await createProduct({ stock: 8 });
+  });
+
+  const createPendingOrder = (overrides = {}) => Order.create({
+    userId: user._id,
+    items: [{ productId: product._id, name: product.name, price: 25, quantity: 2, total: 50 }],
+    total: 50,
+    reservationExpiresAt: new Date(Date.now() - 1000),
+    ...overrides,
+  });
+
+  const runExpiryJob = (order) => reservationQueue.processReservationJob({
+    id: `reservation-${order._id}`,
+    data: { orderId: order._id.toString() },
+  });
+
+  describe('Expiry job', () => {
+    it('should cancel an expired unpaid order and release its stock', async () => {
+      const order = await createPendingOrder();
+
+      const result = await runExpiryJob(order);
+      expect(result.status).toBe('cancelled');
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.status).toBe('cancelled');
+      expect(updatedOrder.cancellationReason).toBe('Reservation expired');
+
+      const updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.stock).toBe(10);
+    });
+
+    it('should void an authorization that was never captured', async () => {
+      const order = await createPendingOrder({
+        paymentStatus: 'authorized',
+        paymentDetails: { provider: 'mock', transactionId: 'mock_txn_uncaptured' },
+      });
+
+      const result = await runExpiryJob(order);
+      expect(result.status).toBe('voided');
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.paymentStatus).toBe('voided');
+      expect(updatedOrder.status).toBe('cancelled');
+
+      const updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.stock).toBe(10);
+    });
+
+    it('should leave paid orders alone', async () => {
+      const order = await createPendingOrder({ paymentStatus: 'paid' });
+
+      const result = await runExpiryJob(order);
+      expect(result.status).toBe('skipped');
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.status).toBe('pending');
+    });
+
+    it('should not cancel a reservation that was extended', async () => {
+      const order = await createPendingOrder({ reservationExpiresAt: new Date(Date.now() + 60 * 1000) });
+
+      const result = await runExpiryJob(order);
+      expect(result.status).toBe('extended');
+    });
+  });
+
+  describe('GET /api/v1/admin/orders/reservations', () => {
+    it('should list unpaid pending orders by expiry', async () => {
+      const later = await createPendingOrder({ reservationExpiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+      const sooner = await createPendingOrder({ reservationExpiresAt: new Date(Date.now() + 60 * 1000) });
+      await createPendingOrder({ paymentStatus: 'paid' });
+
+      const response = await request(app)
+        .get('/api/v1/admin/orders/reservations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(order => order.id)).toEqual([
+        sooner._id.toString(),
+        later._id.toString(),
+      ]);
+    });
+  });
+
+  describe('PATCH /api/v1/admin/orders/:id/reservation', () => {
+    it('should extend an authorized order and reschedule its expiry', async () => {
+      const expiresAt = new Date(Date.now() + 60 * 1000);
+      const order = await createPendingOrder({
+        paymentStatus: 'authorized',
+        paymentDetails: { provider: 'mock', transactionId: 'mock_txn_extended' },
+        reservationExpiresAt: expiresAt,
+      });
+
+      await request(app)
+        .patch(`/api/v1/admin/orders/${order._id}/reservation`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ minutes: 30 })
+        .expect(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      const extendedTo = updatedOrder.reservationExpiresAt.getTime();
+      expect(extendedTo).toBe(expiresAt.getTime() + 30 * 60 * 1000);
+
+      expect(jobs.reservationQueue).toHaveLength(1);
+      expect(jobs.reservationQueue[0].id).toBe(`reservation-${order._id}-${extendedTo}`);
+      expect(jobs.reservationQueue[0].data.orderId).toBe(order._id.toString());
+    });
+
+    it('should reject extending a paid order', async () => {
+      const order = await createPendingOrder({ paymentStatus: 'paid' });
+
+      await request(app)
+        .patch(`/api/v1/admin/orders/${order._id}/reservation`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ minutes: 30 })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import Order from '../src/modules/orders/order.model.js';
+import ReturnRequest from '../src/modules/returns/return.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin, createProduct, registerUser } from './helpers/fixtures.js';
+
+describe('Return Endpoints', () => {
+  let userToken;
+  let adminToken;
+  let product;
+  let order;
+
+  setupTestApp();
+
+  beforeEach(async () => {
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
+
+    ({ token: adminToken } = await createAdmin());
+
+    product = await createProduct({ price: 20, stock: 5 });
+
+    order = await Order.create({
+      userId: registered.user._id,
+      items: [{ productId: product._id, name: product.name, price: 20, quantity: 3, total: 60 }],
+      total: 60,
+      status: 'completed',
+      paymentStatus: 'paid',
+    });
+  });
+
+  const requestReturn = (quantity) => request(app)
+    .post('/api/v1/app/returns')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({
+      orderId: order._id.toString(),
+      items: [{ productId: product._id.toString(), quantity }],
+      reason: 'Damaged on arrival',
+    });
+
+  describe('POST /api/v1/app/returns', () => {
+    it('should request a return for part of an order', async () => {
+      const response = await requestReturn(2).expect(201);
+
+      expect(response.body.data.status).toBe('requested');
+      expect(response.body.data.rmaNumber).toMatch(/^RMA-/);
+    });
+
+    it('should not return more than was ordered', async () => {
+      await requestReturn(2).expect(201);
+      const response = await requestReturn(2).expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should not over-return a line when requested twice at the same time', async () => {
+      const responses = await Promise.all([requestReturn(2), requestReturn(2)]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+      expect(await ReturnRequest.countDocuments({ orderId: order._id })).toBe(1);
+    });
+  });
+
+  describe('PATCH /api/v1/admin/returns/:id/receive', () => {
+    it('should restock items and record a partial refund', async () => {
+      const created = await requestReturn(1);
+      const returnId = created.body.data.id;
+
+      await request(app)
+        .patch(`/api/v1/admin/returns/${returnId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(200);
+
+      const response = await request(app)
+        .patch(`/api/v1/admin/returns/${returnId}/receive`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(200);
+
+      expect(response.body.data.status).toBe('refunded');
+      expect(response.body.data.refundAmount).toBe(20);
+
+      const updatedProduct = await Product.findById(product._id);
+      const updatedOrder = await Order.findById(order._id);
+
+      expect(updatedProduct.stock).toBe(6);
+      expect(updatedOrder.paymentStatus).toBe('partially_refunded');
+      expect(updatedOrder.refundAmount).toBe(20);
+    });
+
+    it('should refund through the payment provider', async () => {
+      await Order.updateOne({ _id: order._id }, {
+        'paymentDetails.provider': 'mock',
+        'paymentDetails.transactionId': 'mock_txn_returns',
+      });
+
+      const created = await requestReturn(1);
+      const returnId = created.body.data.id;
+
+      await request(app)
+        .patch(`/api/v1/admin/returns/${returnId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(200);
+
+      await request(app)
+        .patch(`/api/v1/admin/returns/${returnId}/receive`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      const [refund] = updatedOrder.paymentDetails.refunds;
+
+      expect(updatedOrder.paymentDetails.refunds).toHaveLength(1);
+      expect(refund.refundId).toMatch(/^mock_rf_/);
+      expect(refund.returnId.toString()).toBe(returnId);
+      expect(refund.amount).toBe(20);
+    });
+
+    it('should restock and refund once when received twice at the same time', async () => {
+      const created = await requestReturn(1);
+      const returnId = created.body.data.id;
+
+      await request(app)
+        .patch(`/api/v1/admin/returns/${returnId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(200);
+
+      const receive = () => request(app)
+        .patch(`/api/v1/admin/returns/${returnId}/receive`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({});
+
+      const responses = await Promise.all([receive(), receive()]);
+      expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+
+      const updatedProduct = await Product.findById(product._id);
+      const updatedOrder = await Order.findById(order._id);
+
+      expect(updatedProduct.stock).toBe(6);
+      expect(updatedOrder.refundAmount).toBe(20);
+    });
+
+    it('should cap the refund at what was paid after discounts', async () => {
+      await Order.updateOne({ _id: order._id }, {
+        total: 45,
+        discount: { amount: 15, items: [{ productId: product._id, amount: 15 }] },
+      });
+
+      const created = await requestReturn(1);
+      const returnId = created.body.data.id;
+
+      await request(app)
+        .patch(`/api/v1/admin/returns/${returnId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(200);
+
+      await request(app)
+        .patch(`/api/v1/admin/returns/${returnId}/receive`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ refundAmount: 20 })
+        .expect(400);
+
+      const response = await request(app)
+        .patch(`/api/v1/admin/returns/${returnId}/receive`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(200);
+
+      expect(response.body.data.refundAmount).toBe(15);
+    });
+
+    it('should not receive a return that is not approved', async () => {
+      const created = await requestReturn(1);
+
+      await request(app)
+        .patch(`/api/v1/admin/returns/${created.body.data.id}/receive`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+    });
+  });
+});
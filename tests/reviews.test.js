@@ -0,0 +1,118 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import Order from '../src/modules/orders/order.model.js';
+import Review from '../src/modules/reviews/review.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin, createProduct, createUser, getAccessToken } from './helpers/fixtures.js';
+
+describe('Review Endpoints', () => {
+  let userToken;
+  let otherToken;
+  let adminToken;
+  let user;
+  let product;
+
+  setupTestApp();
+
+  beforeEach(async () => {
+    user = await createUser({ username: 'buyer', email: 'buyer@example.com' });
+    await createUser({ username: 'browser', email: 'browser@example.com' });
+
+    userToken = await getAccessToken('buyer@example.com', 'UserPass123!');
+    otherToken = await getAccessToken('browser@example.com', 'UserPass123!');
+    ({ token: adminToken } = await createAdmin());
+
+    product = await createProduct();
+
+    await Order.create({
+      userId: user._id,
+      items: [{ productId: product._id, name: product.name, price: 25, quantity: 1, total: 25 }],
+      total: 25,
+      status: 'completed',
+    });
+  });
+
+  const submitReview = (token, data = {}) => request(app)
+    .post('/api/v1/app/reviews')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ productId: product._id.toString(), rating: 4, body: 'Does the job', ...data });
+
+  const approve = (reviewId) => request(app)
+    .patch(`/api/v1/admin/reviews/${reviewId}/approve`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({})
+    .expect(200);
+
+  describe('POST /api/v1/app/reviews', () => {
+    it('should accept one pending review from a verified buyer', async () => {
+      const response = await submitReview(userToken).expect(201);
+      expect(response.body.data.status).toBe('pending');
+
+      await submitReview(userToken).expect(409);
+    });
+
+    it('should reject reviews from users who have not received the product', async () => {
+      await submitReview(otherToken).expect(403);
+    });
+  });
+
+  describe('Rating recomputation', () => {
+    it('should count approved reviews and recompute on edit and delete', async () => {
+      const created = await submitReview(userToken, { rating: 5 }).expect(201);
+      const reviewId = created.body.data.id;
+
+      let updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.rating.count).toBe(0);
+
+      await approve(reviewId);
+      updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.rating).toMatchObject({ average: 5, count: 1 });
+
+      // Editing sends the review back to moderation
+      await request(app)
+        .patch(`/api/v1/app/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ rating: 2 })
+        .expect(200);
+
+      updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.rating).toMatchObject({ average: 0, count: 0 });
+
+      await approve(reviewId);
+      updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.rating).toMatchObject({ average: 2, count: 1 });
+
+      await request(app)
+        .delete(`/api/v1/app/reviews/${reviewId}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      updatedProduct = await Product.findById(product._id);
+      expect(updatedProduct.rating).toMatchObject({ average: 0, count: 0 });
+    });
+  });
+
+  describe('POST /api/v1/app/reviews/:id/helpful', () => {
+    it('should count one helpful vote per user', async () => {
+      const created = await submitReview(userToken).expect(201);
+      const reviewId = created.body.data.id;
+      await approve(reviewId);
+
+      for (let i = 0; i < 2; i++) {
+        await request(app)
+          .post(`/api/v1/app/reviews/${reviewId}/helpful`)
+          .set('Authorization', `Bearer ${otherToken}`)
+          .expect(200);
+      }
+
+      const review = await Review.findById(reviewId);
+      expect(review.helpfulCount).toBe(1);
+
+      await request(app)
+        .post(`/api/v1/app/reviews/${reviewId}/helpful`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import ProductPricingService from '../src/modules/products/productPricing.service.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin, registerUser } from './helpers/fixtures.js';
+
+describe('Scheduled Pricing', () => {
+  let userToken;
+  let adminToken;
+  let product;
+
+  setupTestApp();
+
+  const productPricingService = new ProductPricingService();
+
+  const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  beforeEach(async () => {
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
+
+    ({ token: adminToken } = await createAdmin());
+
+    const productResponse = await request(app)
+      .post('/api/v1/admin/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Weekend Jacket',
+        price: 100,
+        compareAtPrice: 120,
+        category: 'Apparel',
+        stock: 10,
+        sale: { price: 75, startsAt: hoursFromNow(1), endsAt: hoursFromNow(72) },
+      })
+      .expect(201);
+
+    product = productResponse.body.data;
+  });
+
+  describe('POST /api/v1/admin/products', () => {
+    it('should keep the regular price until the sale starts', async () => {
+      expect(product.sale.status).toBe('scheduled');
+      expect(product.effectivePrice).toBe(100);
+      expect(product.onSale).toBe(false);
+    });
+
+    it('should reject a sale that ends before it starts', async () => {
+      await request(app)
+        .put(`/api/v1/admin/products/${product.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ sale: { price: 50, startsAt: hoursFromNow(2), endsAt: hoursFromNow(1) } })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/v1/app/orders', () => {
+    const placeOrder = async () => {
+      const response = await request(app)
+        .post('/api/v1/app/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ items: [{ productId: product.id, quantity: 1 }] })
+        .expect(201);
+
+      return response.body.data.items[0].price;
+    };
+
+    it('should charge the sale price only while its window is open, without the job', async () => {
+      await Product.updateOne({ _id: product.id }, { 'sale.startsAt': hoursFromNow(-2) });
+      expect(await placeOrder()).toBe(75);
+
+      await Product.updateOne({ _id: product.id }, { 'sale.endsAt': hoursFromNow(-1) });
+      expect(await placeOrder()).toBe(100);
+
+      const updated = await Product.findById(product.id);
+      expect(updated.sale.status).toBe('scheduled');
+    });
+  });
+
+  describe('Price schedule job', () => {
+    it('should start and end the sale', async () => {
+      const started = await productPricingService.applyScheduledPrices(hoursFromNow(2));
+      expect(started).toEqual({ started: 1, ended: 0, failed: 0 });
+
+      const ended = await productPricingService.applyScheduledPrices(hoursFromNow(73));
+      expect(ended).toEqual({ started: 0, ended: 1, failed: 0 });
+
+      const updated = await Product.findById(product.id);
+      expect(updated.sale.status).toBe('ended');
+      expect(updated.effectivePrice).toBe(100);
+    });
+  });
+
+  describe('GET /api/v1/admin/products/:id/price-history', () => {
+    it('should record every price change, newest first', async () => {
+      await request(app)
+        .put(`/api/v1/admin/products/${product.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ price: 110 })
+        .expect(200);
+
+      await productPricingService.applyScheduledPrices(hoursFromNow(2));
+
+      const response = await request(app)
+        .get(`/api/v1/admin/products/${product.id}/price-history`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(entry => [entry.reason, entry.effectivePrice])).toEqual([
+        ['sale_started', 75],
+        ['updated', 110],
+        ['created', 100],
+      ]);
+      expect(response.body.data[0].changedBy).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,124 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import { setupTestApp } from './helpers/setup.js';
+
+describe('Product Search', () => {
+  setupTestApp();
+
+  beforeAll(async () => {
+    await Product.syncIndexes();
+  });
+
+  beforeEach(async () => {
+    await Product.create([
+      {
+        name: 'Trail Running Shoes',
+        description: 'Lightweight shoes for running on rough terrain',
+        price: 120,
+        category: 'Footwear',
+        tags: ['running', 'outdoor'],
+        stock: 5,
+        rating: { average: 4.5, count: 10 },
+        sales: { totalSold: 40 },
+      },
+      {
+        name: 'Road Running Shoes',
+        description: 'Cushioned shoes for the road',
+        price: 90,
+        category: 'Footwear',
+        tags: ['running'],
+        stock: 0,
+        rating: { average: 3.8, count: 4 },
+        sales: { totalSold: 100 },
+      },
+      {
+        name: 'Running Socks',
+        description: 'Breathable socks',
+        price: 12,
+        category: 'Accessories',
+        tags: ['running', 'socks'],
+        stock: 50,
+        sales: { totalSold: 5 },
+      },
+      {
+        name: 'Hidden Running Shorts',
+        price: 30,
+        category: 'Apparel',
+        stock: 10,
+        status: 'inactive',
+      },
+    ]);
+  });
+
+  describe('GET /api/v1/app/products/search', () => {
+    it('should return highlighted results with facet counts', async () => {
+      const response = await request(app)
+        .get('/api/v1/app/products/search?q=shoes')
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.data[0].highlights.name).toContain('<em>Shoes</em>');
+      expect(response.body.meta.pagination.total).toBe(2);
+
+      const { facets } = response.body.meta;
+      expect(facets.categories).toEqual([{ id: null, name: 'Footwear', count: 2 }]);
+      expect(facets.availability).toEqual({ inStock: 1, outOfStock: 1 });
+      expect(facets.price).toEqual([
+        { min: 50, max: 100, count: 1 },
+        { min: 100, max: 250, count: 1 },
+      ]);
+      expect(facets.rating.find(bucket => bucket.min === 4).count).toBe(1);
+    });
+
+    it('should filter and sort by popularity or price', async () => {
+      const popular = await request(app)
+        .get('/api/v1/app/products/search?q=running&sort=popularity')
+        .expect(200);
+
+      expect(popular.body.data.map(product => product.name)).toEqual([
+        'Road Running Shoes',
+        'Trail Running Shoes',
+        'Running Socks',
+      ]);
+
+      const filtered = await request(app)
+        .get('/api/v1/app/products/search?tags=running&inStock=true&sort=price_asc')
+        .expect(200);
+
+      expect(filtered.body.data.map(product => product.name)).toEqual([
+        'Running Socks',
+        'Trail Running Shoes',
+      ]);
+      expect(filtered.body.meta.facets.tags[0]).toEqual({ value: 'running', count: 2 });
+    });
+
+    it('should reject an invalid sort', async () => {
+      await request(app)
+        .get('/api/v1/app/products/search?sort=cheapest')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/v1/app/products/search/autocomplete', () => {
+    it('should rank name prefixes first', async () => {
+      const response = await request(app)
+        .get('/api/v1/app/products/search/autocomplete?q=run')
+        .expect(200);
+
+      expect(response.body.data.products[0].name).toBe('Running Socks');
+      expect(response.body.data.products[0].highlight).toBe('<em>Run</em>ning Socks');
+      expect(response.body.data.products).toHaveLength(3);
+      expect(response.body.data.fuzzy).toBe(false);
+    });
+
+    it('should fall back to typo-tolerant matches', async () => {
+      const response = await request(app)
+        .get('/api/v1/app/products/search/autocomplete?q=sokcs')
+        .expect(200);
+
+      expect(response.body.data.products.map(product => product.name)).toEqual(['Running Socks']);
+      expect(response.body.data.fuzzy).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import app from '../src/app.js';
+import { AuthSession } from '../src/modules/auth/auth.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createUser } from './helpers/fixtures.js';
+
+describe('Device Sessions', () => {
+  setupTestApp();
+
+  const chromeOnWindows = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+  const safariOnIphone = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Mobile/15E148 Safari/604.1';
+
+  const login = async (userAgent) => {
+    const response = await request(app)
+      .post('/api/v1/app/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email: 'user@example.com', password: 'UserPass123!' })
+      .expect(200);
+
+    return response.body.data.tokens.accessToken;
+  };
+
+  const getProfile = (token) => request(app)
+    .get('/api/v1/app/auth/profile')
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    await createUser();
+  });
+
+  describe('GET /api/v1/app/auth/sessions', () => {
+    it('should list one session per login with parsed device info', async () => {
+      await login(safariOnIphone);
+      const desktopToken = await login(chromeOnWindows);
+
+      const response = await request(app)
+        .get('/api/v1/app/auth/sessions')
+        .set('Authorization', `Bearer ${desktopToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(2);
+
+      const current = response.body.data.find(session => session.current);
+      expect(current.deviceInfo.browser).toBe('Chrome 120');
+      expect(current.deviceInfo.os).toBe('Windows 10');
+      expect(current.deviceInfo.device).toBe('desktop');
+      expect(current.deviceInfo.ip).toBeDefined();
+    });
+  });
+
+  describe('POST /api/v1/app/auth/login', () => {
+    it('should expire the session together with its refresh token', async () => {
+      const response = await request(app)
+        .post('/api/v1/app/auth/login')
+        .send({ email: 'user@example.com', password: 'UserPass123!' })
+        .expect(200);
+
+      const { exp } = jwt.decode(response.body.data.tokens.refreshToken);
+      const session = await AuthSession.findOne({});
+
+      expect(Math.abs(session.expiresAt.getTime() - exp * 1000)).toBeLessThan(5000);
+    });
+  });
+
+  describe('DELETE /api/v1/app/auth/sessions/:sessionId', () => {
+    it('should reject access tokens of a revoked session', async () => {
+      const phoneToken = await login(safariOnIphone);
+      const desktopToken = await login(chromeOnWindows);
+
+      const sessions = await request(app)
+        .get('/api/v1/app/auth/sessions')
+        .set('Authorization', `Bearer ${desktopToken}`)
+        .expect(200);
+
+      const phoneSession = sessions.body.data.find(session => !session.current);
+
+      await request(app)
+        .delete(`/api/v1/app/auth/sessions/${phoneSession.id}`)
+        .set('Authorization', `Bearer ${desktopToken}`)
+        .expect(200);
+
+      await getProfile(phoneToken).expect(401);
+      await getProfile(desktopToken).expect(200);
+    });
+
+    it('should not revoke sessions of other users', async () => {
+      const token = await login(chromeOnWindows);
+      const other = await AuthSession.create({
+        userId: '507f1f77bcf86cd799439011',
+        sessionId: 'other-session',
+        expiresAt: new Date(Date.now() + 60 * 1000),
+      });
+
+      await request(app)
+        .delete(`/api/v1/app/auth/sessions/${other.sessionId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /api/v1/app/auth/sessions', () => {
+    it('should revoke every session except the current one', async () => {
+      const firstToken = await login(safariOnIphone);
+      const secondToken = await login(safariOnIphone);
+      const currentToken = await login(chromeOnWindows);
+
+      const response = await request(app)
+        .delete('/api/v1/app/auth/sessions')
+        .set('Authorization', `Bearer ${currentToken}`)
+        .expect(200);
+
+      expect(response.body.data.revoked).toBe(2);
+
+      await getProfile(firstToken).expect(401);
+      await getProfile(secondToken).expect(401);
+      await getProfile(currentToken).expect(200);
+    });
+  });
+
+  describe('POST /api/v1/app/auth/logout', () => {
+    it('should end the current session', async () => {
+      const token = await login(chromeOnWindows);
+
+      await request(app)
+        .post('/api/v1/app/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      await getProfile(token).expect(401);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import Category from '../src/modules/categories/category.model.js';
+import SitemapService from '../src/modules/sitemap/sitemap.service.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin } from './helpers/fixtures.js';
+
+describe('Product Slugs and Sitemap', () => {
+  let adminToken;
+
+  setupTestApp();
+
+  beforeEach(async () => {
+    ({ token: adminToken } = await createAdmin());
+  });
+
+  const createProduct = async (data) => {
+    const response = await request(app)
+      .post('/api/v1/admin/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ price: 10, category: 'Testing', stock: 1, ...data })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  describe('POST /api/v1/admin/products', () => {
+    it('should suffix colliding slugs', async () => {
+      const first = await createProduct({ name: 'Coffee Mug' });
+      const second = await createProduct({ name: 'Coffee Mug' });
+
+      expect(first.seo.slug).toBe('coffee-mug');
+      expect(second.seo.slug).toBe('coffee-mug-2');
+    });
+  });
+
+  describe('GET /api/v1/app/products/slug/:slug', () => {
+    it('should return the product for its current slug', async () => {
+      await createProduct({ name: 'Coffee Mug' });
+
+      const response = await request(app)
+        .get('/api/v1/app/products/slug/coffee-mug')
+        .expect(200);
+
+      expect(response.body.data.name).toBe('Coffee Mug');
+    });
+
+    it('should redirect permanently from an earlier slug', async () => {
+      const product = await createProduct({ name: 'Coffee Mug' });
+
+      await request(app)
+        .put(`/api/v1/admin/products/${product.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ seo: { slug: 'ceramic-coffee-mug' } })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/v1/app/products/slug/coffee-mug')
+        .expect(301);
+
+      expect(response.headers.location).toBe('/api/v1/app/products/slug/ceramic-coffee-mug');
+
+      const updated = await Product.findById(product.id);
+      expect(updated.seo.previousSlugs).toEqual(['coffee-mug']);
+    });
+
+    it('should return 404 for an unknown slug', async () => {
+      await request(app)
+        .get('/api/v1/app/products/slug/unknown-product')
+        .expect(404);
+    });
+  });
+
+  describe('GET /sitemap.xml', () => {
+    it('should list active categories and products', async () => {
+      await Category.create({ name: 'Kitchen', slug: 'kitchen' });
+      await createProduct({ name: 'Coffee Mug' });
+      await Product.create({ name: 'Old Mug', price: 5, category: 'Testing', stock: 1, status: 'inactive' });
+
+      await new SitemapService().generateSitemap();
+
+      const response = await request(app)
+        .get('/sitemap.xml')
+        .expect('Content-Type', /xml/)
+        .expect(200);
+
+      expect(response.text).toContain('/categories/kitchen</loc>');
+      expect(response.text).toContain('/products/coffee-mug</loc>');
+      expect(response.text).not.toContain('old-mug');
+    });
+  });
+});
@@ -0,0 +1,267 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import User from '../src/modules/users/user.model.js';
+import { TwoFactorPolicy } from '../src/modules/auth/auth.model.js';
+import { generateCode, getTimeStep } from '../src/utils/totp.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createUser, getAccessToken, login } from './helpers/fixtures.js';
+
+describe('Two-Factor Authentication', () => {
+  let userToken;
+
+  setupTestApp();
+
+  // Codes from the next time step, since a step cannot be used twice
+  let step;
+  const nextCode = (secret) => generateCode(secret, ++step);
+
+  const enroll = async () => {
+    const setup = await request(app)
+      .post('/api/v1/app/auth/2fa/setup')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    const { secret } = setup.body.data;
+
+    const confirm = await request(app)
+      .post('/api/v1/app/auth/2fa/confirm')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ code: generateCode(secret) })
+      .expect(200);
+
+    return { secret, backupCodes: confirm.body.data.backupCodes };
+  };
+
+  beforeEach(async () => {
+    step = getTimeStep();
+
+    await createUser();
+    userToken = await getAccessToken('user@example.com', 'UserPass123!');
+  });
+
+  describe('Enrollment', () => {
+    it('should return an otpauth URI and enable 2FA after the first code', async () => {
+      const setup = await request(app)
+        .post('/api/v1/app/auth/2fa/setup')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+
+      expect(setup.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\/.+secret=/);
+
+      await request(app)
+        .post('/api/v1/app/auth/2fa/confirm')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ code: '000000' })
+        .expect(401);
+
+      const confirm = await request(app)
+        .post('/api/v1/app/auth/2fa/confirm')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ code: generateCode(setup.body.data.secret) })
+        .expect(200);
+
+      expect(confirm.body.data.backupCodes).toHaveLength(10);
+
+      const user = await User.findOne({ email: 'user@example.com' });
+      expect(user.twoFactorEnabled).toBe(true);
+      expect(user.twoFactorBackupCodes[0].codeHash).not.toBe(confirm.body.data.backupCodes[0]);
+    });
+  });
+
+  describe('POST /api/v1/app/auth/login/2fa', () => {
+    it('should issue tokens only after the code is verified', async () => {
+      const { secret } = await enroll();
+
+      const first = await login('user@example.com', 'UserPass123!').expect(200);
+      expect(first.body.data.twoFactorRequired).toBe(true);
+      expect(first.body.data.tokens).toBeUndefined();
+
+      const { challengeToken } = first.body.data;
+
+      // The challenge token is not an access token
+      await request(app)
+        .get('/api/v1/app/auth/profile')
+        .set('Authorization', `Bearer ${challengeToken}`)
+        .expect(401);
+
+      const second = await request(app)
+        .post('/api/v1/app/auth/login/2fa')
+        .send({ challengeToken, code: nextCode(secret) })
+        .expect(200);
+
+      expect(second.body.data.tokens.accessToken).toBeDefined();
+    });
+
+    it('should accept each backup code once', async () => {
+      const { backupCodes } = await enroll();
+
+      const first = await login('user@example.com', 'UserPass123!').expect(200);
+      const { challengeToken } = first.body.data;
+
+      const response = await request(app)
+        .post('/api/v1/app/auth/login/2fa')
+        .send({ challengeToken, code: backupCodes[0] })
+        .expect(200);
+
+      expect(response.body.data.backupCodesRemaining).toBe(9);
+
+      await request(app)
+        .post('/api/v1/app/auth/login/2fa')
+        .send({ challengeToken, code: backupCodes[0] })
+        .expect(401);
+    });
+
+    it('should sign in once when a code is sent twice at the same time', async () => {
+      const { secret, backupCodes } = await enroll();
+
+      for (const code of [nextCode(secret), backupCodes[1]]) {
+        const { challengeToken } = (await login('user@example.com', 'UserPass123!').expect(200)).body.data;
+        const verify = () => request(app)
+          .post('/api/v1/app/auth/login/2fa')
+          .send({ challengeToken, code });
+
+        const responses = await Promise.all([verify(), verify()]);
+        expect(responses.map(response => response.status).sort()).toEqual([200, 401]);
+      }
+
+      const user = await User.findOne({ email: 'user@example.com' });
+      expect(user.getRemainingBackupCodes()).toBe(9);
+    });
+
+    it('should invalidate the challenge after too many invalid codes', async () => {
+      const { secret } = await enroll();
+
+      const first = await login('user@example.com', 'UserPass123!').expect(200);
+      const { challengeToken } = first.body.data;
+
+      for (let attempt = 0; attempt < 5; attempt++) {
+        await request(app)
+          .post('/api/v1/app/auth/login/2fa')
+          .send({ challengeToken, code: '000000' })
+          .expect(401);
+      }
+
+      await request(app)
+        .post('/api/v1/app/auth/login/2fa')
+        .send({ challengeToken, code: nextCode(secret) })
+        .expect(401);
+
+      // Signing in again starts a fresh challenge
+      const second = await login('user@example.com', 'UserPass123!').expect(200);
+
+      await request(app)
+        .post('/api/v1/app/auth/login/2fa')
+        .send({ challengeToken: second.body.data.challengeToken, code: nextCode(secret) })
+        .expect(200);
+    });
+  });
+
+  describe('POST /api/v1/app/auth/2fa/disable', () => {
+    it('should require the password', async () => {
+      await enroll();
+
+      await request(app)
+        .post('/api/v1/app/auth/2fa/disable')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ password: 'WrongPass123!' })
+        .expect(401);
+
+      await request(app)
+        .post('/api/v1/app/auth/2fa/disable')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ password: 'UserPass123!' })
+        .expect(200);
+
+      const user = await User.findOne({ email: 'user@example.com' });
+      expect(user.twoFactorEnabled).toBe(false);
+    });
+  });
+
+  describe('Role policy', () => {
+    it('should make users in a required role enroll before signing in', async () => {
+      await TwoFactorPolicy.create({ role: 'user', required: true });
+
+      const first = await login('user@example.com', 'UserPass123!').expect(200);
+      expect(first.body.data.twoFactorSetupRequired).toBe(true);
+      expect(first.body.data.tokens).toBeUndefined();
+
+      const { challengeToken } = first.body.data;
+
+      const setup = await request(app)
+        .post('/api/v1/app/auth/2fa/setup')
+        .send({ challengeToken })
+        .expect(200);
+
+      const confirm = await request(app)
+        .post('/api/v1/app/auth/2fa/confirm')
+        .send({ challengeToken, code: generateCode(setup.body.data.secret) })
+        .expect(200);
+
+      expect(confirm.body.data.tokens.accessToken).toBeDefined();
+      expect(confirm.body.data.backupCodes).toHaveLength(10);
+    });
+
+    it('should not issue tokens at registration when the role requires 2FA', async () => {
+      await TwoFactorPolicy.create({ role: 'user', required: true });
+
+      const response = await request(app)
+        .post('/api/v1/app/auth/register')
+        .send({
+          username: 'newuser',
+          email: 'new@example.com',
+          password: 'NewPass123!',
+        })
+        .expect(201);
+
+      expect(response.body.data.twoFactorSetupRequired).toBe(true);
+      expect(response.body.data.challengeToken).toBeDefined();
+      expect(response.body.data.tokens).toBeUndefined();
+    });
+
+    it('should stop refreshing sessions once the role requires 2FA', async () => {
+      const first = await login('user@example.com', 'UserPass123!').expect(200);
+      const { refreshToken } = first.body.data.tokens;
+
+      await TwoFactorPolicy.create({ role: 'user', required: true });
+
+      await request(app)
+        .post('/api/v1/app/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
+    it('should let admins require 2FA by role', async () => {
+      await User.create({
+        username: 'adminuser',
+        email: 'admin@example.com',
+        password: 'AdminPass123!',
+        role: 'admin',
+      });
+
+      const adminResponse = await request(app)
+        .post('/api/v1/admin/auth/login')
+        .send({ email: 'admin@example.com', password: 'AdminPass123!' });
+
+      const adminToken = adminResponse.body.data.tokens.accessToken;
+
+      await request(app)
+        .put('/api/v1/admin/auth/2fa/policies/user')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ required: true })
+        .expect(403);
+
+      await request(app)
+        .put('/api/v1/admin/auth/2fa/policies/user')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ required: true })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/v1/admin/auth/2fa/policies')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.find(policy => policy.role === 'user').required).toBe(true);
+    });
+  });
+});
@@ -1,52 +1,21 @@
 import request from 'supertest';
 import app from '../src/app.js';
-import database from '../src/config/database.js';
 import User from '../src/modules/users/user.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin, registerUser } from './helpers/fixtures.js';
 
 describe('Users Endpoints', () => {
-  let server;
   let adminToken;
   let userToken;
 
-  beforeAll(async () => {
-    await database.connect();
-    server = app.listen(0);
-  });
-
-  afterAll(async () => {
-    await database.disconnect();
-    server.close();
-  });
+  setupTestApp();
 
   beforeEach(async () => {
-    await User.deleteMany({});
-
-    // Create admin user
-    const adminData = {
-      username: 'admin',
-      email: 'admin@example.com',
-      password: 'AdminPass123!',
-      role: 'admin',
-    };
-
-    const adminResponse = await request(app)
-      .post('/api/v1/app/auth/register')
-      .send(adminData);
-
-    adminToken = adminResponse.body.data.tokens.accessToken;
-
-    // Create regular user
-    const userData = {
-      username: 'testuser',
-      email: 'user@example.com',
-      password: 'UserPass123!',
-    };
-
-    const userResponse = await request(app)
-      .post('/api/v1/app/auth/register')
-      .send(userData);
-
-    userToken = userResponse.body.data.tokens.accessToken;
+    // Registration cannot grant a role, so the admin is created directly
+    ({ token: adminToken } = await createAdmin());
+
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
   });
 
   describe('GET /api/v1/admin/users', () => {
@@ -0,0 +1,87 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import Product from '../src/modules/products/product.model.js';
+import { setupTestApp } from './helpers/setup.js';
+import { createAdmin, registerUser } from './helpers/fixtures.js';
+
+describe('Product Variants', () => {
+  let userToken;
+  let adminToken;
+  let product;
+
+  setupTestApp();
+
+  beforeEach(async () => {
+    const registered = await registerUser();
+    userToken = registered.tokens.accessToken;
+
+    ({ token: adminToken } = await createAdmin());
+
+    const productResponse = await request(app)
+      .post('/api/v1/admin/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'T-Shirt',
+        price: 20,
+        category: 'Apparel',
+        options: [
+          { name: 'Size', values: ['S', 'M'] },
+          { name: 'Color', values: ['Red', 'Blue'] },
+        ],
+        variants: [
+          { sku: 'TS-S-RED', options: { Size: 'S', Color: 'Red' }, stock: 5 },
+          { sku: 'TS-M-RED', options: { Size: 'M', Color: 'Red' }, price: 22, stock: 3 },
+          { sku: 'TS-M-BLUE', options: { Size: 'M', Color: 'Blue' }, stock: 0 },
+        ],
+      })
+      .expect(201);
+
+    product = productResponse.body.data;
+  });
+
+  describe('POST /api/v1/admin/products', () => {
+    it('should expose price range and in-stock options', async () => {
+      expect(product.stock).toBe(8);
+      expect(product.priceRange).toEqual({ min: 20, max: 22 });
+      expect(product.availableOptions).toEqual([
+        { name: 'Size', values: ['S', 'M'] },
+        { name: 'Color', values: ['Red'] },
+      ]);
+    });
+
+    it('should reject variants with options outside the product axes', async () => {
+      await request(app)
+        .post(`/api/v1/admin/products/${product.id}/variants`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ sku: 'TS-L-RED', options: { Size: 'L', Color: 'Red' } })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/v1/app/orders', () => {
+    it('should reserve stock of the ordered variant', async () => {
+      const variant = product.variants.find(v => v.sku === 'TS-M-RED');
+
+      const response = await request(app)
+        .post('/api/v1/app/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ items: [{ productId: product.id, variantId: variant.id, quantity: 2 }] })
+        .expect(201);
+
+      expect(response.body.data.items[0].sku).toBe('TS-M-RED');
+      expect(response.body.data.items[0].price).toBe(22);
+
+      const updatedProduct = await Product.findById(product.id);
+      expect(updatedProduct.variants.id(variant.id).stock).toBe(1);
+      expect(updatedProduct.stock).toBe(6);
+    });
+
+    it('should require a variant for products with variants', async () => {
+      await request(app)
+        .post('/api/v1/app/orders')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ items: [{ productId: product.id, quantity: 1 }] })
+        .expect(400);
+    });
+  });
+});